@@ -0,0 +1,60 @@
+// What each admin role may do. The owner in config.ADMIN_ID is always an
+// owner; everyone else gets their role from the admins table.
+const PERMISSIONS = {
+  STATS: 'stats',
+  USERS: 'users',
+  DEPOSITS: 'deposits',
+  BALANCE: 'balance',
+  MONTHLY: 'monthly',
+  GIFT_CODES: 'gift_codes',
+  CATALOG: 'catalog',
+  BROADCAST: 'broadcast',
+  AUDIT: 'audit',
+  SETTINGS: 'settings',
+  MANAGE_ADMINS: 'manage_admins'
+};
+
+const ADMIN_ROLES = {
+  OWNER: 'owner',
+  FINANCE: 'finance',
+  SUPPORT: 'support',
+  MARKETING: 'marketing'
+};
+
+const ROLE_PERMISSIONS = {
+  [ADMIN_ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ADMIN_ROLES.FINANCE]: [PERMISSIONS.DEPOSITS],
+  [ADMIN_ROLES.SUPPORT]: [PERMISSIONS.USERS, PERMISSIONS.BALANCE],
+  [ADMIN_ROLES.MARKETING]: [PERMISSIONS.BROADCAST, PERMISSIONS.GIFT_CODES]
+};
+
+const ROLE_DESCRIPTIONS = {
+  [ADMIN_ROLES.OWNER]: 'Full access, manages admins',
+  [ADMIN_ROLES.FINANCE]: 'Deposit approvals and statement reconciliation',
+  [ADMIN_ROLES.SUPPORT]: 'User lookup, wallet ledger and balance refunds',
+  [ADMIN_ROLES.MARKETING]: 'Broadcasts and gift codes'
+};
+
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+// A null permission only asks whether the role belongs to an admin at all.
+function roleHasPermission(role, permission = null) {
+  if (!role || !isValidRole(role)) return false;
+  return permission === null || ROLE_PERMISSIONS[role].includes(permission);
+}
+
+function rolesWithPermission(permission) {
+  return Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].includes(permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  ROLE_PERMISSIONS,
+  ROLE_DESCRIPTIONS,
+  isValidRole,
+  roleHasPermission,
+  rolesWithPermission
+};
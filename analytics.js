@@ -0,0 +1,211 @@
+const { toCSV } = require('./csv');
+
+// Admin revenue reports. Money figures come from the wallet ledger, so they
+// match what users' balances actually did; periods are calendar days, ISO
+// weeks and calendar months in server time.
+const PERIODS = {
+  day: { unit: 'day', label: 'Daily', count: 14 },
+  week: { unit: 'week', label: 'Weekly', count: 8 },
+  month: { unit: 'month', label: 'Monthly', count: 12 }
+};
+
+const COHORT_MONTHS = 6;
+
+const SUMMED_KEYS = ['deposits', 'reversals', 'orders', 'grossOrders', 'refunds', 'discountCost', 'referralPaid', 'giftPaid'];
+
+const FINANCIAL_COLUMNS = [
+  { key: 'period', header: 'Period start' },
+  { key: 'deposits', header: 'Deposits' },
+  { key: 'reversals', header: 'Deposit reversals' },
+  { key: 'orders', header: 'Orders' },
+  { key: 'grossOrders', header: 'Gross order revenue' },
+  { key: 'refunds', header: 'Refunds and cancellations' },
+  { key: 'netRevenue', header: 'Net order revenue' },
+  { key: 'discountCost', header: 'Discount cost' },
+  { key: 'referralPaid', header: 'Referral commission paid' },
+  { key: 'giftPaid', header: 'Gift credit and bonuses paid' },
+  { key: 'margin', header: 'Margin' }
+];
+
+class Analytics {
+  constructor(db) {
+    this.db = db;
+  }
+
+  period(key) {
+    const period = PERIODS[key];
+    if (!period) throw new Error(`Unknown report period: ${key}`);
+    return period;
+  }
+
+  // Start of the oldest period shown; the database truncates it to the
+  // period boundary.
+  since(period) {
+    const now = new Date();
+    if (period.unit === 'month') return new Date(now.getFullYear(), now.getMonth() - (period.count - 1), 1);
+
+    const days = period.unit === 'week' ? (period.count - 1) * 7 : period.count - 1;
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() - days);
+  }
+
+  async getFinancials(key) {
+    const period = this.period(key);
+    const rows = (await this.db.getFinancialsByPeriod(period.unit, this.since(period))).map(row => this.toFinancials(row));
+    const totals = {};
+    for (const key of SUMMED_KEYS) {
+      totals[key] = this.round(rows.reduce((sum, row) => sum + row[key], 0));
+    }
+    const liability = await this.db.getPromotionLiability();
+
+    return { period, rows, totals: this.withMargin(totals), liability };
+  }
+
+  // Margin here is what orders earned after refunds, less the referral and
+  // gift money paid out. Provider cost is not recorded per order, so it is
+  // not taken off.
+  withMargin(figures) {
+    const netRevenue = this.round(figures.grossOrders - figures.refunds);
+    return { ...figures, netRevenue, margin: this.round(netRevenue - figures.referralPaid - figures.giftPaid) };
+  }
+
+  toFinancials(row) {
+    return this.withMargin({
+      period: row.period,
+      deposits: parseFloat(row.deposits),
+      reversals: parseFloat(row.reversals),
+      orders: row.orders,
+      grossOrders: parseFloat(row.gross_orders),
+      refunds: parseFloat(row.refunds),
+      discountCost: parseFloat(row.discount_cost),
+      referralPaid: parseFloat(row.referral_paid),
+      giftPaid: parseFloat(row.gift_paid)
+    });
+  }
+
+  // Share of each join-month cohort that deposited or ordered in the months
+  // after joining. Months that have not happened yet are null.
+  async getCohorts(months = COHORT_MONTHS) {
+    const now = new Date();
+    const rows = await this.db.getCohortActivity(new Date(now.getFullYear(), now.getMonth() - (months - 1), 1));
+
+    return rows.map(row => {
+      const cohort = new Date(row.cohort);
+      const elapsed = (now.getFullYear() - cohort.getFullYear()) * 12 + now.getMonth() - cohort.getMonth();
+      const active = [];
+      const retention = [];
+
+      for (let offset = 0; offset < months; offset++) {
+        const count = offset <= elapsed ? (row.active[offset] || 0) : null;
+        active.push(count);
+        retention.push(count === null || row.size === 0 ? null : Math.round((count / row.size) * 100));
+      }
+
+      return { cohort, size: row.size, active, retention };
+    });
+  }
+
+  formatFinancials({ period, rows, totals, liability }) {
+    const table = [
+      `${'Period'.padEnd(8)}${'Deposits'.padStart(10)}${'Net rev'.padStart(9)}${'Margin'.padStart(9)}`,
+      ...rows.map(row =>
+        `${this.periodLabel(row.period, period.unit).padEnd(8)}${this.formatMoney(row.deposits).padStart(10)}` +
+        `${this.formatMoney(row.netRevenue).padStart(9)}${this.formatMoney(row.margin).padStart(9)}`
+      )
+    ];
+
+    return `
+📈 <b>${period.label} Revenue</b> (last ${period.count} ${period.unit}s)
+
+<pre>${table.join('\n')}</pre>
+
+<b>Totals</b>
+💳 Deposits: ₹${this.formatMoney(totals.deposits)} (reversed ₹${this.formatMoney(totals.reversals)})
+📦 Orders: ${totals.orders}, gross ₹${this.formatMoney(totals.grossOrders)}
+↩️ Refunds and cancellations: ₹${this.formatMoney(totals.refunds)}
+💰 Net order revenue: ₹${this.formatMoney(totals.netRevenue)}
+🏷️ Discount cost: ₹${this.formatMoney(totals.discountCost)}
+👥 Referral commission paid: ₹${this.formatMoney(totals.referralPaid)}
+🎁 Gift credit and bonuses paid: ₹${this.formatMoney(totals.giftPaid)}
+📊 Margin: ₹${this.formatMoney(totals.margin)}
+
+<b>Outstanding</b>
+🎟️ Gift credit on ${liability.giftCodes} live code(s): ₹${this.formatMoney(liability.giftCredit)}
+♾️ Unlimited-use codes: ${liability.unlimitedGiftCodes} live, ₹${this.formatMoney(liability.unlimitedGiftCredit)} each time all are redeemed once
+🎁 Unused % bonuses: ${liability.pendingBonuses}
+🕒 Referral commission not yet paid: ₹${this.formatMoney(liability.referralUnpaid)}
+
+<i>Margin is net order revenue less referral and gift payouts; provider cost is not included.</i>
+    `.trim();
+  }
+
+  formatCohorts(cohorts) {
+    if (cohorts.length === 0) return '👥 <b>Cohort Retention</b>\n\nNo users joined in this range.';
+
+    const months = cohorts[0].retention.length;
+    const header = `${'Cohort'.padEnd(8)}${'Users'.padStart(6)}` +
+      Array.from({ length: months }, (_, offset) => `M${offset}`.padStart(5)).join('');
+    const lines = cohorts.map(cohort =>
+      `${this.monthLabel(cohort.cohort).padEnd(8)}${String(cohort.size).padStart(6)}` +
+      cohort.retention.map(pct => (pct === null ? '' : `${pct}%`).padStart(5)).join('').trimEnd()
+    );
+
+    return `
+👥 <b>Cohort Retention</b>
+
+Share of each join month that deposited or ordered in month 0, 1, 2… after joining.
+
+<pre>${[header, ...lines].join('\n')}</pre>
+    `.trim();
+  }
+
+  financialsCSV({ rows }) {
+    return toCSV(FINANCIAL_COLUMNS, rows.map(row => ({ ...row, period: this.isoDate(row.period) })));
+  }
+
+  cohortsCSV(cohorts) {
+    const months = cohorts.length > 0 ? cohorts[0].retention.length : COHORT_MONTHS;
+    const columns = [
+      { key: 'cohort', header: 'Join month' },
+      { key: 'size', header: 'Users' }
+    ];
+
+    for (let offset = 0; offset < months; offset++) {
+      columns.push({ key: `active${offset}`, header: `Month ${offset} active` });
+      columns.push({ key: `retention${offset}`, header: `Month ${offset} %` });
+    }
+
+    return toCSV(columns, cohorts.map(cohort => {
+      const row = { cohort: this.monthLabel(cohort.cohort), size: cohort.size };
+      cohort.active.forEach((count, offset) => {
+        row[`active${offset}`] = count;
+        row[`retention${offset}`] = cohort.retention[offset];
+      });
+      return row;
+    }));
+  }
+
+  periodLabel(date, unit) {
+    if (unit === 'month') return this.monthLabel(date);
+    return `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  monthLabel(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  isoDate(date) {
+    return `${this.monthLabel(date)}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  formatMoney(value) {
+    return Math.round(value).toLocaleString('en-IN');
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = Analytics;
+module.exports.PERIODS = PERIODS;
+module.exports.COHORT_MONTHS = COHORT_MONTHS;
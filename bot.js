@@ -1,9 +1,101 @@
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
 const config = require('./config');
 const DatabaseManager = require('./database');
+const { LEDGER_REASONS, ADMIN_ACTIONS, GIFT_ERRORS, GIFT_TYPES, REFERRAL_EARNING_STATUS, FUNDS_ERRORS } = DatabaseManager;
 const FirexOTPService = require('./firexService');
 const PaymentService = require('./paymentService');
 const NotificationService = require('./notificationService');
+const OrderScheduler = require('./orderScheduler');
+const StatementService = require('./statementService');
+const SettingsStore = require('./settingsStore');
+const ServiceCatalog = require('./serviceCatalog');
+const DeliveryStats = require('./deliveryStats');
+const ReferralProgram = require('./referralProgram');
+const Analytics = require('./analytics');
+const ReportScheduler = require('./reportScheduler');
+const { createPaymentProvider, PAYMENT_STATUS } = require('./paymentGateway');
+const { toCSV } = require('./csv');
+const logger = require('./logger').child({ module: 'bot' });
+const { PERMISSIONS, ADMIN_ROLES, ROLE_DESCRIPTIONS, isValidRole, roleHasPermission, rolesWithPermission } = require('./adminRoles');
+
+const AUDIT_PAGE_SIZE = 10;
+const AUDIT_EXPORT_LIMIT = 10000;
+const CATALOG_PAGE_SIZE = 10;
+const GIFT_BULK_LIMIT = 1000;
+
+const GIFT_TYPE_LABELS = {
+  [GIFT_TYPES.CREDIT]: '💰 Flat credit',
+  [GIFT_TYPES.DEPOSIT_BONUS]: '📥 Deposit bonus %',
+  [GIFT_TYPES.SERVICE_DISCOUNT]: '🏷️ Service discount %'
+};
+
+// Permission needed for each admin_* callback, matched on the exact data or
+// as a prefix followed by "_". First match wins; a null permission lets any
+// admin through and anything missing from the list is refused.
+const ADMIN_CALLBACK_PERMISSIONS = [
+  ['admin_stats', PERMISSIONS.STATS],
+  ['admin_balance_reports', PERMISSIONS.STATS],
+  ['admin_users', PERMISSIONS.USERS],
+  ['admin_user', PERMISSIONS.USERS],
+  ['admin_order_reveal', PERMISSIONS.USERS],
+  ['admin_ledger_start', PERMISSIONS.USERS],
+  ['admin_ledger_rebuild', PERMISSIONS.BALANCE],
+  ['admin_deposit_start', PERMISSIONS.BALANCE],
+  ['admin_deduct_start', PERMISSIONS.BALANCE],
+  ['admin_reconcile_start', PERMISSIONS.DEPOSITS],
+  ['admin_deposit_reverse', PERMISSIONS.DEPOSITS],
+  ['admin_referral_review', PERMISSIONS.DEPOSITS],
+  ['admin_gift', PERMISSIONS.GIFT_CODES],
+  ['admin_monthly', PERMISSIONS.MONTHLY],
+  ['admin_top_depositors', PERMISSIONS.MONTHLY],
+  ['admin_all_depositors', PERMISSIONS.MONTHLY],
+  ['admin_discounted_users', PERMISSIONS.MONTHLY],
+  ['admin_audit', PERMISSIONS.AUDIT],
+  ['admin_team', PERMISSIONS.MANAGE_ADMINS],
+  ['admin_catalog', PERMISSIONS.CATALOG],
+  ['admin_settings', PERMISSIONS.SETTINGS],
+  ['admin_setting', PERMISSIONS.SETTINGS],
+  ['admin_balance', null],
+  ['admin_back', null]
+];
+
+// The same for the multi-step flows: the permission the step's callback
+// needed is checked again on every message, so an admin who loses it partway
+// through cannot finish the action.
+const ADMIN_STATE_PERMISSIONS = [
+  ['admin_awaiting_search', PERMISSIONS.USERS],
+  ['admin_awaiting_order_reveal', PERMISSIONS.USERS],
+  ['admin_awaiting_ledger', PERMISSIONS.USERS],
+  ['admin_awaiting_deposit', PERMISSIONS.BALANCE],
+  ['admin_awaiting_deduct', PERMISSIONS.BALANCE],
+  ['admin_awaiting_statement', PERMISSIONS.DEPOSITS],
+  ['admin_awaiting_reverse_deposit', PERMISSIONS.DEPOSITS],
+  ['admin_confirm_reverse_deposit', PERMISSIONS.DEPOSITS],
+  ['admin_awaiting_gift', PERMISSIONS.GIFT_CODES],
+  ['admin_awaiting_reset', PERMISSIONS.MONTHLY],
+  ['admin_awaiting_set', PERMISSIONS.MONTHLY],
+  ['admin_awaiting_broadcast', PERMISSIONS.BROADCAST],
+  ['admin_broadcast_ready', PERMISSIONS.BROADCAST],
+  ['admin_awaiting_audit', PERMISSIONS.AUDIT],
+  ['admin_awaiting_new_admin', PERMISSIONS.MANAGE_ADMINS],
+  ['admin_awaiting_catalog', PERMISSIONS.CATALOG],
+  ['admin_awaiting_setting', PERMISSIONS.SETTINGS]
+];
+
+// Reply keyboard buttons and the permissions that show them (any one will do).
+const ADMIN_MENU = [
+  { text: '📚 Statistics', permissions: [PERMISSIONS.STATS] },
+  { text: '🛡️ User Management', permissions: [PERMISSIONS.USERS] },
+  { text: '💳 Balance Management', permissions: [PERMISSIONS.BALANCE, PERMISSIONS.USERS, PERMISSIONS.DEPOSITS] },
+  { text: '🎟️ Gift Codes', permissions: [PERMISSIONS.GIFT_CODES] },
+  { text: '📈 Monthly Deposits', permissions: [PERMISSIONS.MONTHLY] },
+  { text: '📢 Broadcast', permissions: [PERMISSIONS.BROADCAST] },
+  { text: '📜 Audit Log', permissions: [PERMISSIONS.AUDIT] },
+  { text: '🛍️ Services', permissions: [PERMISSIONS.CATALOG] },
+  { text: '👮 Admins', permissions: [PERMISSIONS.MANAGE_ADMINS] },
+  { text: '⚙️ Settings', permissions: [PERMISSIONS.SETTINGS] }
+];
 
 class OTPBot {
   constructor() {
@@ -21,18 +113,45 @@ class OTPBot {
     this.firex = new FirexOTPService();
     this.payment = new PaymentService();
     this.notifier = new NotificationService();
+    this.statements = new StatementService();
+    this.settings = new SettingsStore(this.db);
+    this.catalog = new ServiceCatalog(this.db);
+    this.deliveryStats = new DeliveryStats(this.db);
+    this.analytics = new Analytics(this.db);
+    this.referrals = new ReferralProgram(this.db);
+    this.paymentProvider = createPaymentProvider();
+    this.auditFilters = new Map();
 
     this.userStates = new Map();
     this.activeJobs = new Map();
     this.channelCheckInterval = null;
+    this.referralReleaseInterval = null;
+    this.scheduler = new OrderScheduler(this.bot, this.firex, this.activeJobs, {
+      onStatus: (orderId, job, orderData) => this.handleOrderStatus(orderId, job, orderData),
+      onExpire: (orderId) => this.expireOrder(orderId),
+      render: (orderId, job, now) => this.renderOrderMessage(orderId, job, now)
+    });
+    this.reports = new ReportScheduler(this.db, this.notifier);
 
     this.setupHandlers();
+    this.settings.load().catch(error => logger.error('Settings load error', { error }));
+    this.catalog.ensureLoaded().catch(error => logger.error('Service catalog load error', { error }));
     this.startChannelMonitoring();
+    this.startReferralReleases();
+    this.resumeActiveOrders();
+    this.scheduler.start();
+    this.reports.start();
+    this.notifier.start();
 
-    console.log('Fire OTP bot Started Successfully!');
+    logger.info('Fire OTP bot started');
   }
 
   setupHandlers() {
+  // Each update is handled in its own log context, so every line it leads to,
+  // down to the database and FirexOTP calls, carries its update and user IDs.
+  const processUpdate = this.bot.processUpdate.bind(this.bot);
+  this.bot.processUpdate = (update) => logger.withContext(this.updateContext(update), () => processUpdate(update));
+
   this.bot.onText(/\/start(?:\s+(.+))?/, (msg, match) => this.handleStart(msg, match));
   this.bot.onText(/\/balance/, (msg) => this.handleBalance(msg));
   this.bot.onText(/\/addmoney/, (msg) => this.handleAddMoney(msg));
@@ -45,10 +164,9 @@ class OTPBot {
   this.bot.onText(/\/broadcast/, (msg) => this.handleBroadcastCommand(msg));
 
 
-  Object.keys(config.SERVICES).forEach(serviceId => {
-    const command = config.SERVICES[serviceId].command.slice(1);
-    this.bot.onText(new RegExp(`\\/${command}`), (msg) => this.handleServiceCommand(msg, serviceId));
-  });
+  // Looked up in the catalog on every call, so services added from the admin
+  // panel answer to their command without registering a new handler.
+  this.bot.onText(/^\/(find_\w+)/, (msg, match) => this.handleCatalogCommand(msg, `/${match[1]}`));
 
   this.bot.onText(/\/start quick_(.+)_(\d+)/, async (msg, match) => {
     const chatId = msg.chat.id;
@@ -56,17 +174,29 @@ class OTPBot {
     const serviceId = match[1];
     const serverIndex = match[2];
     
-    console.log(`🔄 Quick buy requested: ${serviceId}, Server: ${serverIndex}`);
+    logger.info('Quick buy requested', { service: serviceId, server: serverIndex });
     
     await this.handleServiceCommand(msg, serviceId);
   });
 
   this.bot.on('callback_query', (query) => this.handleCallbackQuery(query));
   this.bot.on('message', (msg) => this.handleMessage(msg));
+  this.bot.on('document', (msg) => this.handleDocument(msg));
 }
 
+  updateContext(update) {
+    const source = update.message || update.callback_query || update.edited_message ||
+      update.my_chat_member || update.chat_member || update.chat_join_request;
+
+    return {
+      update_id: update.update_id,
+      user_id: source?.from?.id,
+      chat_id: (source?.chat || source?.message?.chat)?.id
+    };
+  }
+
   startChannelMonitoring() {
-    this.channelCheckInterval = setInterval(async () => {
+    this.channelCheckInterval = setInterval(() => logger.withContext({ job: 'channel_monitoring' }, async () => {
       try {
         const users = await this.db.getUsersForVerification();
         const batchSize = 10;
@@ -76,9 +206,33 @@ class OTPBot {
           await new Promise(resolve => setTimeout(resolve, 1000));
         }
       } catch (error) {
-        console.error('Channel monitoring error:', error);
+        logger.error('Channel monitoring error', { error });
+      }
+    }), 3 * 60 * 1000);
+  }
+
+  startReferralReleases() {
+    this.referralReleaseInterval = setInterval(() => logger.withContext({ job: 'referral_release' }, async () => {
+      try {
+        const { released, flagged } = await this.referrals.releaseDue();
+
+        for (const earning of flagged) {
+          await this.notifyReferralFlagged(earning);
+        }
+
+        for (const earning of released) {
+          await this.bot.sendMessage(earning.referrer_id,
+            `✅ <b>Referral Commission Released</b>\n\n` +
+            `🌱 Commission: ₹${earning.amount}\n` +
+            `💻 From User ID: ${earning.referred_id}\n` +
+            `🔴 Your New Balance: ₹${earning.balance}`,
+            { parse_mode: 'HTML' }
+          ).catch(error => logger.error('Commission release notification failed', { referrer_id: earning.referrer_id, error }));
+        }
+      } catch (error) {
+        logger.error('Referral release error', { error });
       }
-    }, 3 * 60 * 1000);
+    }), 10 * 60 * 1000);
   }
 
   async checkAndNotifyUser(userId) {
@@ -88,7 +242,7 @@ class OTPBot {
         await this.notifyUserLeftChannel(userId);
       }
     } catch (error) {
-      console.error(`Error checking user ${userId}:`, error.message);
+      logger.error('Channel membership check failed', { member_id: userId, error });
     }
   }
 
@@ -104,7 +258,7 @@ class OTPBot {
         }
       });
     } catch (error) {
-      console.error(`Failed to notify user ${userId}:`, error.message);
+      logger.error('Failed to notify user about leaving the channel', { member_id: userId, error });
     }
   }
 
@@ -136,18 +290,71 @@ class OTPBot {
 }
 
   getCancelKeyboard() { return { keyboard: [[{ text: 'Back 🔄' }]], resize_keyboard: true }; }
-  getAdminKeyboard() {
+  getAdminKeyboard(role) {
+  const buttons = ADMIN_MENU
+    .filter(item => item.permissions.some(permission => roleHasPermission(role, permission)))
+    .map(item => ({ text: item.text }));
+
+  const keyboard = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    keyboard.push(buttons.slice(i, i + 2));
+  }
+  keyboard.push([{ text: 'Main Menu' }]);
+
   return { 
-    keyboard: [
-      [{ text: '📚 Statistics' }, { text: '🛡️ User Management' }],
-      [{ text: '💳 Balance Management' }, { text: '🎟️ Gift Codes' }],
-      [{ text: '📈 Monthly Deposits' }, { text: '📢 Broadcast' }],
-      [{ text: '⚙️ Settings' }, { text: 'Main Menu' }]
-    ], 
+    keyboard, 
     resize_keyboard: true 
   };
 }
 
+  // The owner in config.ADMIN_ID cannot be locked out; everyone else needs a
+  // row in the admins table.
+  async getAdminRole(userId) {
+    if (userId === config.ADMIN_ID) return ADMIN_ROLES.OWNER;
+
+    const admin = await this.db.getAdmin(userId);
+    return admin && isValidRole(admin.role) ? admin.role : null;
+  }
+
+  async can(userId, permission = null) {
+    return roleHasPermission(await this.getAdminRole(userId), permission);
+  }
+
+  permissionForAdminCallback(data) {
+    const match = ADMIN_CALLBACK_PERMISSIONS.find(([key]) => data === key || data.startsWith(`${key}_`));
+    return match ? match[1] : undefined;
+  }
+
+  permissionForAdminState(state) {
+    const match = ADMIN_STATE_PERMISSIONS.find(([key]) => state === key || state.startsWith(`${key}_`));
+    return match ? match[1] : undefined;
+  }
+
+  async getAdminRecipients(permission) {
+    const admins = await this.db.getAdmins(rolesWithPermission(permission));
+    const recipients = new Set([config.ADMIN_ID]);
+    admins.forEach(admin => recipients.add(parseInt(admin.user_id)));
+    return [...recipients];
+  }
+
+  // Sends to the owner and every admin whose role has the permission.
+  async notifyAdmins(permission, text, options = {}) {
+    let recipients = [config.ADMIN_ID];
+    try {
+      recipients = await this.getAdminRecipients(permission);
+    } catch (error) {
+      logger.error('Admin lookup failed, notifying owner only', { error });
+    }
+
+    for (const adminId of recipients) {
+      try {
+        await this.bot.sendMessage(adminId, text, options);
+      } catch (error) {
+        logger.error('Admin notification failed', { admin_id: adminId, error });
+      }
+    }
+  }
+
   async handleStart(msg, match) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
@@ -165,12 +372,12 @@ class OTPBot {
             if (!existingReferral) {
                 const referral = await this.db.getReferralByCode(referralCode);
                 
-                console.log(`🔍 Referral check - Code: ${referralCode}, Found: ${!!referral}, Referrer: ${referral?.referrer_id}, Current User: ${userId}`);
+                logger.debug('Referral check', { code: referralCode, found: !!referral, referrer_id: referral?.referrer_id });
 
-                if (referral && referral.referrer_id && referral.referrer_id !== userId) {
+                if (referral && referral.referrer_id && String(referral.referrer_id) !== String(userId)) {
                     await this.db.createReferral(referral.referrer_id, userId, referralCode);
                     
-                    console.log(`✅ Referral created - Referrer: ${referral.referrer_id}, Referred: ${userId}`);
+                    logger.info('Referral created', { referrer_id: referral.referrer_id });
                     
                     await this.bot.sendMessage(chatId, 
                         `🎉 <b>Referral Applied Successfully!</b>\n\n` +
@@ -187,13 +394,12 @@ class OTPBot {
                             `You'll earn 5% commission on their deposits! 💰`,
                             { parse_mode: 'HTML' }
                         );
-                        console.log(`✅ Referrer notified: ${referral.referrer_id}`);
                     } catch (error) {
-                        console.error('Referrer notification failed:', error);
+                        logger.error('Referrer notification failed', { referrer_id: referral.referrer_id, error });
                     }
                 } else {
-                    console.log(`❌ Self-referral blocked or invalid code - Referrer: ${referral?.referrer_id}, User: ${userId}`);
-                    if (referral && referral.referrer_id === userId) {
+                    logger.info('Self-referral blocked or invalid code', { code: referralCode, referrer_id: referral?.referrer_id });
+                    if (referral && String(referral.referrer_id) === String(userId)) {
                         await this.bot.sendMessage(chatId,
                             `❌ <b>Self-Referral Not Allowed</b>\n\n` +
                             `You cannot use your own referral code.`,
@@ -202,10 +408,10 @@ class OTPBot {
                     }
                 }
             } else {
-                console.log(`ℹ️ User already has a referrer: ${existingReferral.referrer_id}`);
+                logger.debug('User already has a referrer', { referrer_id: existingReferral.referrer_id });
             }
         } catch (error) {
-            console.error('Referral processing error:', error);
+            logger.error('Referral processing error', { error });
         }
     }
 
@@ -313,7 +519,7 @@ class OTPBot {
       return;
     }
     } catch (error) {
-      console.error('Callback query error:', error);
+      logger.error('Callback query error', { data: query.data, error });
     }
   }
 
@@ -321,58 +527,78 @@ class OTPBot {
     await this.bot.answerCallbackQuery(query.id, { text: '⏳ Still waiting for your next SMS...', show_alert: true });
   }
 
-  startWaitingCountdown(orderId, chatId, messageId, startTime) {
-    const fifteenMinutes = 15 * 60 * 1000;
-    
-    const countdownInterval = setInterval(async () => {
-      const job = this.activeJobs.get(orderId);
-      if (!job) {
-        return clearInterval(countdownInterval);
-      }
+buildOrderKeyboard(orderId, job, timeLeft = null, isOtpReceived = false) {
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '🔄 Check SMS', callback_data: `check_${orderId}` },
+      ]
+    ]
+  };
 
-      const timeElapsed = Date.now() - startTime;
-      const timeLeft = Math.max(0, fifteenMinutes - timeElapsed);
+  if (timeLeft !== null && timeLeft > 0 && !isOtpReceived) {
+    const minutes = Math.floor(timeLeft / 60000);
+    const seconds = Math.floor((timeLeft % 60000) / 1000);
+    const countdownText = `🔒 Cancel (${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')})`;
+    keyboard.inline_keyboard.push([{ text: countdownText, callback_data: 'cancel_locked' }]);
+  } else if (timeLeft !== null && !isOtpReceived) {
+    keyboard.inline_keyboard.push([{ text: '❌ Cancel Order', callback_data: `cancel_${orderId}` }]);
+  }
 
-      if (timeLeft <= 0) {
-        return clearInterval(countdownInterval);
-      }
-      
-      const minutes = Math.floor(timeLeft / 60000);
-      const seconds = Math.floor((timeLeft % 60000) / 1000);
-      const countdownText = `⏳ Waiting (${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')})`;
+  keyboard.inline_keyboard.push([
+    { 
+      text: `🔄 Buy ${job.serviceName} Again`, 
+      callback_data: `buy_new_${job.serviceCode}_0` 
+    }
+  ]);
 
-      const keyboard = {
-        inline_keyboard: [
-          [{ text: countdownText, callback_data: `waiting_next_otp_${orderId}` }],
-          [{ text: 'Main Menu', callback_data: 'main_menu' }]
-        ]
-      };
-      
-      try {
-        await this.bot.editMessageReplyMarkup(keyboard, { chat_id: chatId, message_id: messageId });
-      } catch (e) {
-        if (e.response && e.response.statusCode !== 400) {
-           console.error("Countdown update error:", e.message);
-        }
-      }
-    }, 2000);
+  keyboard.inline_keyboard.push([
+    { text: '🛒 Browse Services', callback_data: 'all_services_0' },
+  ]);
 
-    const job = this.activeJobs.get(orderId);
-    if (job) {
-      job.countdownInterval = countdownInterval;
-      this.activeJobs.set(orderId, job);
-    }
+  return keyboard;
+}
+
+// Called by the scheduler on every tick. Returns the state the order message
+// should show right now; the scheduler skips the edit when nothing changed.
+renderOrderMessage(orderId, job, now) {
+  if (job.cancelling) return null;
+
+  const timeElapsed = now - job.startTime;
+
+  if (!job.otpReceived) {
+    const timeLeft = Math.max(0, 2 * 60 * 1000 - timeElapsed);
+    return { replyMarkup: this.buildOrderKeyboard(orderId, job, timeLeft) };
   }
 
+  const timeLeft = Math.max(0, job.duration - timeElapsed);
+  const minutes = Math.floor(timeLeft / 60000);
+  const seconds = Math.floor((timeLeft % 60000) / 1000);
+  const countdownText = `⏳ Waiting for more OTPs... (${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')})`;
+
+  return {
+    text: `🎉 <b>OTP Received!</b>\n\n` +
+      `🔐 <b>OTP:</b> <code>${job.lastOtp}</code>\n` +
+      `🛍️ <b>Service:</b> ${job.serviceName}\n` +
+      `📱 <b>Number:</b> <code>${job.phoneNumber}</code>\n` +
+      `${countdownText}\n\n` +
+      `💡 <i>Still checking for more OTPs...</i>`,
+    replyMarkup: this.buildOrderKeyboard(orderId, job, null, true)
+  };
+}
+
+refreshOrderMessage(orderId) {
+  const job = this.activeJobs.get(orderId);
+  if (!job) return;
 
-  async startSMSChecking(orderId, activationId, userId, chatId, price, messageId, phoneNumber, serviceName, serviceCode, countryCode, serverName) {
-  const orderStartTime = Date.now();
-  const twoMinutes = 2 * 60 * 1000;
-  const fifteenMinutes = 15 * 60 * 1000;
+  const render = this.renderOrderMessage(orderId, job, Date.now());
+  if (render) this.scheduler.queueEdit(orderId, job.chatId, job.messageId, render);
+}
 
+  async startSMSChecking(orderId, activationId, userId, chatId, price, messageId, phoneNumber, serviceName, serviceCode, countryCode, serverName, resumeState = {}) {
   const jobData = {
-  interval: null, 
-  startTime: orderStartTime, 
+  startTime: resumeState.startTime || Date.now(), 
+  duration: 15 * 60 * 1000,
   messageId, 
   userId, 
   price, 
@@ -383,330 +609,210 @@ class OTPBot {
   serviceCode, 
   countryCode, 
   serverName, 
-  cancelUpdateInterval: null, 
-  countdownInterval: null, 
-  otpReceived: false, 
-  lastOtp: null, 
-  otpCount: 0,
+  otpReceived: (resumeState.otpCount || 0) > 0, 
+  lastOtp: resumeState.lastOtp || null, 
+  otpCount: resumeState.otpCount || 0,
+  checking: false,
   cancelling: false
 };
   this.activeJobs.set(orderId, jobData);
+  this.refreshOrderMessage(orderId);
+}
 
-  const getUpdatedKeyboard = (timeLeft = null, isOtpReceived = false) => {
-    const keyboard = {
+async handleOrderStatus(orderId, job, orderData) {
+  if (orderData.status === 'SUCCESS' && orderData.code && orderData.code !== job.lastOtp) {
+    const code = orderData.code;
+    job.lastOtp = code;
+    job.otpCount += 1;
+    await this.db.updateActiveOrderOTP(orderId, code, job.otpCount);
+
+    if (!job.otpReceived) {
+      job.otpReceived = true;
+      await this.db.updateOrderOTP(orderId, code);
+      await this.notifier.otpReceived({
+        user_id: job.userId,
+        service: job.serviceName,
+        phone: job.phoneNumber,
+        order_id: orderId
+      }, code);
+    } else {
+      await this.bot.sendMessage(job.chatId, 
+        `🆕 <b>Another OTP Received!</b>\n\n` +
+        `🔐 <b>OTP Code:</b> <code>${code}</code>\n` +
+        `📱 <b>Service:</b> ${job.serviceName}\n` +
+        `📱 <b>Number:</b> <code>${job.phoneNumber}</code>\n` +
+        `🆔 <b>Order ID:</b> ${orderId}\n` +
+        `📊 <b>Total OTPs:</b> ${job.otpCount}`,
+        { parse_mode: 'HTML' }
+      );
+    }
+  } else if (orderData.status === 'CANCELLED') {
+    this.cleanupJob(orderId);
+    await this.db.removeActiveOrder(orderId);
+    
+    const cancelKeyboard = {
       inline_keyboard: [
         [
-          { text: '🔄 Check SMS', callback_data: `check_${orderId}` },
+          { text: '🛒 Browse Services', callback_data: 'all_services_0' }
         ]
       ]
     };
-
-    if (timeLeft !== null && timeLeft > 0 && !isOtpReceived) {
-      const minutes = Math.floor(timeLeft / 60000);
-      const seconds = Math.floor((timeLeft % 60000) / 1000);
-      const countdownText = `🔒 Cancel (${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')})`;
-      keyboard.inline_keyboard.push([{ text: countdownText, callback_data: 'cancel_locked' }]);
-    } else if (timeLeft !== null && !isOtpReceived) {
-      keyboard.inline_keyboard.push([{ text: '❌ Cancel Order', callback_data: `cancel_${orderId}` }]);
-    }
-
-   
-    keyboard.inline_keyboard.push([
+    
+    await this.bot.editMessageText(
+      '❌ Order cancelled by system.', 
       { 
-        text: `🔄 Buy ${serviceName} Again`, 
-        callback_data: `buy_new_${serviceCode}_0` 
+        chat_id: job.chatId, 
+        message_id: job.messageId,
+        parse_mode: 'HTML',
+        reply_markup: cancelKeyboard
       }
-    ]);
+    ).catch(() => {});
+  }
+}
 
-    keyboard.inline_keyboard.push([
-      { text: '🛒 Browse Services', callback_data: 'all_services_0' },
-    ]);
+async expireOrder(orderId) {
+  const job = this.activeJobs.get(orderId);
+  if (!job) return;
 
-    return keyboard;
-  };
+  this.cleanupJob(orderId);
 
   try {
-    const initialKeyboard = getUpdatedKeyboard(twoMinutes);
-    await this.bot.editMessageReplyMarkup(initialKeyboard, { 
-      chat_id: chatId, 
-      message_id: messageId 
-    });
+    await this.settleExpiredOrder(orderId, job);
   } catch (error) {
- 
+    logger.error('Expiry handling failed', { error });
   }
+}
 
-  const updateCancelButton = async () => {
-    const job = this.activeJobs.get(orderId);
-    if (!job || job.otpReceived) {
-      if (job?.cancelUpdateInterval) clearInterval(job.cancelUpdateInterval);
-      return;
-    }
-    
-    try {
-      const timeElapsed = Date.now() - job.startTime;
-      const timeLeft = Math.max(0, twoMinutes - timeElapsed);
-      
-      const updatedKeyboard = getUpdatedKeyboard(timeLeft);
-      
-      await this.bot.editMessageReplyMarkup(updatedKeyboard, { 
-        chat_id: chatId, 
-        message_id: messageId 
-      });
-
-      if (timeLeft <= 0) {
-        clearInterval(job.cancelUpdateInterval);
-      }
-    } catch (e) {
-  
-    }
-  };
-
-  jobData.cancelUpdateInterval = setInterval(updateCancelButton, 2000);
-  this.activeJobs.set(orderId, jobData);
-
-  const startOtpCountdown = async () => {
-    const otpStartTime = Date.now();
-    const otpCountdownInterval = setInterval(async () => {
-      const job = this.activeJobs.get(orderId);
-      if (!job) {
-        clearInterval(otpCountdownInterval);
-        return;
-      }
+async settleExpiredOrder(orderId, job) {
+  const claimed = await this.db.claimActiveOrder(orderId);
+  if (!claimed) {
+    logger.debug('Order was already settled');
+    return;
+  }
 
-      const timeElapsed = Date.now() - otpStartTime;
-      const timeLeft = Math.max(0, fifteenMinutes - timeElapsed);
+  try {
+    logger.info('Auto cancelling expired order');
+    await this.firex.cancelOrder(job.activationId);
+  } catch (cancelError) {
+    logger.error('Auto cancel failed', { error: cancelError });
+  }
 
-      if (timeLeft <= 0) {
-        clearInterval(otpCountdownInterval);
-        
-        const sessionEndText = `⏰ <b>Session Expired</b>\n\n🆔 Order ID: ${orderId}\n✅ ${job.otpCount} OTPs Received\n⏳ 15-minute session completed.`;
-        
-        await this.bot.editMessageText(sessionEndText, { 
-          chat_id: chatId, 
-          message_id: messageId, 
-          parse_mode: 'HTML',
-          reply_markup: {
-            inline_keyboard: [
-              [
-                { 
-                  text: `🔄 Buy ${serviceName} Again`, 
-                  callback_data: `buy_new_${serviceCode}_0` 
-                }
-              ],
-              [
-                { text: '🛒 Browse Services', callback_data: 'all_services_0' },
-              ]
-            ]
-          }
-        }).catch(() => {});
-        
-        if (job.interval) clearInterval(job.interval);
-        if (job.cancelUpdateInterval) clearInterval(job.cancelUpdateInterval);
-        this.activeJobs.delete(orderId);
-        return;
-      }
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { 
+          text: `🔄 Buy ${job.serviceName} Again`, 
+          callback_data: `buy_new_${job.serviceCode}_0` 
+        }
+      ],
+      [
+        { text: '🛒 Browse Services', callback_data: 'all_services_0' },
+      ]
+    ]
+  };
 
-      const minutes = Math.floor(timeLeft / 60000);
-      const seconds = Math.floor((timeLeft % 60000) / 1000);
-      const countdownText = `⏳ Waiting for more OTPs... (${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')})`;
+  if (!job.otpReceived) {
+    await this.db.cancelOrder(orderId);
+    await this.refundOrder(job.userId, job.price, orderId, 'Order expired');
+    
+    const refundMessage = `❌ <b>Order Expired & Auto Cancelled</b>\n\n🆔 Order ID: ${orderId}\n💰 Refunded: ₹${job.price}\n⏰ No OTP received within 15 minutes.`;
+    await this.sendOrDeliver(job.chatId, job.messageId, refundMessage, keyboard);
+  } else {
+    const expiredMessage = `⏰ <b>Session Completed</b>\n\n🆔 Order ID: ${orderId}\n✅ ${job.otpCount} OTPs Received\n⏳ 15-minute session completed.`;
+    await this.sendOrDeliver(job.chatId, job.messageId, expiredMessage, keyboard);
+  }
+}
 
-      try {
-        await this.bot.editMessageText(
-          `🎉 <b>OTP Received!</b>\n\n` +
-          `🔐 <b>OTP:</b> <code>${job.lastOtp}</code>\n` +
-          `🛍️ <b>Service:</b> ${serviceName}\n` +
-          `📱 <b>Number:</b> <code>${phoneNumber}</code>\n` +
-          `${countdownText}\n\n` +
-          `💡 <i>Still checking for more OTPs...</i>`,
-          {
-            chat_id: chatId, 
-            message_id: messageId, 
-            parse_mode: 'HTML',
-            reply_markup: getUpdatedKeyboard(null, true)
-          }
-        );
-      } catch (e) {
-      }
-    }, 2000);
+// Edits the order message in place, falling back to a new message when the
+// original is gone or was never recorded (orders placed before a restart).
+async sendOrDeliver(chatId, messageId, text, replyMarkup) {
+  if (messageId) {
+    try {
+      await this.bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'HTML', reply_markup: replyMarkup });
+      return;
+    } catch (error) {
+    }
+  }
 
-    jobData.otpCountdownInterval = otpCountdownInterval;
-    this.activeJobs.set(orderId, jobData);
-  };
+  await this.bot.sendMessage(chatId, text, { parse_mode: 'HTML', reply_markup: replyMarkup }).catch(() => {});
+}
 
+async resumeActiveOrders() {
+  try {
+    const orders = await this.db.getAllActiveOrders();
+    if (orders.length === 0) return;
 
-  const checkInterval = setInterval(async () => {
-    const currentJob = this.activeJobs.get(orderId);
-    if (!currentJob) return clearInterval(checkInterval);
+    logger.info('Resuming active orders', { count: orders.length });
 
-    try {
-      const orderData = await this.firex.checkOrder(activationId);
-
-      if (orderData.status === 'SUCCESS' && orderData.code && orderData.code !== currentJob.lastOtp) {
-        const code = orderData.code;
-        currentJob.lastOtp = code;
-        currentJob.otpCount += 1;
-
-        if (!currentJob.otpReceived) {
-          currentJob.otpReceived = true;
-          await this.db.updateOrderOTP(orderId, code);
-          await this.notifier.otpReceived({
-            user_id: userId,
-            service: serviceName,
-            phone: phoneNumber,
-            order_id: orderId
-          }, code);
-          
-          if (currentJob.cancelUpdateInterval) clearInterval(currentJob.cancelUpdateInterval);
-
-          await startOtpCountdown();
+    for (const order of orders) {
+      if (this.activeJobs.has(order.order_id)) continue;
 
-        } else {
-          await this.bot.sendMessage(chatId, 
-            `🆕 <b>Another OTP Received!</b>\n\n` +
-            `🔐 <b>OTP Code:</b> <code>${code}</code>\n` +
-            `📱 <b>Service:</b> ${serviceName}\n` +
-            `📱 <b>Number:</b> <code>${phoneNumber}</code>\n` +
-            `🆔 <b>Order ID:</b> ${orderId}\n` +
-            `📊 <b>Total OTPs:</b> ${currentJob.otpCount}`,
-            { parse_mode: 'HTML' }
-          );
+      await logger.withContext({ order_id: order.order_id, user_id: order.user_id }, async () => {
+        try {
+          await this.resumeActiveOrder(order);
+        } catch (error) {
+          logger.error('Failed to resume order', { error });
         }
-        this.activeJobs.set(orderId, currentJob);
-      } else if (orderData.status === 'CANCELLED') {
-        if(currentJob.interval) clearInterval(currentJob.interval);
-        if(currentJob.cancelUpdateInterval) clearInterval(currentJob.cancelUpdateInterval);
-        if(currentJob.otpCountdownInterval) clearInterval(currentJob.otpCountdownInterval);
-        this.activeJobs.delete(orderId);
-        await this.db.removeActiveOrder(orderId);
-        
-        const cancelKeyboard = {
-          inline_keyboard: [
-            [
-              { text: '🛒 Browse Services', callback_data: 'all_services_0' }
-            ]
-          ]
-        };
-        
-        await this.bot.editMessageText(
-          '❌ Order cancelled by system.', 
-          { 
-            chat_id: chatId, 
-            message_id: messageId,
-            parse_mode: 'HTML',
-            reply_markup: cancelKeyboard
-          }
-        );
-      }
-    } catch (error) { 
-      console.error('SMS checking error:', error); 
+      });
     }
-  }, 5000);
+  } catch (error) {
+    logger.error('Active order recovery error', { error });
+  }
+}
 
-  jobData.interval = checkInterval;
-  this.activeJobs.set(orderId, jobData);
-  setTimeout(async () => {
-    if (this.activeJobs.has(orderId)) {
-      const job = this.activeJobs.get(orderId);
-  
-      if (job.interval) clearInterval(job.interval);
-      if (job.cancelUpdateInterval) clearInterval(job.cancelUpdateInterval);
-      if (job.otpCountdownInterval) clearInterval(job.otpCountdownInterval);
-      if (job.countdownInterval) clearInterval(job.countdownInterval);
-    
-      this.activeJobs.delete(orderId);
+async resumeActiveOrder(order) {
+  let serviceCode = order.service_code;
+  if (!serviceCode) {
+    await this.catalog.ensureLoaded();
+    serviceCode = this.catalog.listServices({ includeDisabled: true }).find(service => service.name === order.product)?.code;
+  }
+  const job = {
+    userId: order.user_id,
+    chatId: order.chat_id || order.user_id,
+    messageId: order.message_id,
+    price: order.price,
+    phoneNumber: order.phone,
+    serviceName: order.product,
+    serviceCode,
+    activationId: order.activation_id,
+    otpReceived: order.otp_count > 0,
+    otpCount: order.otp_count,
+    lastOtp: order.last_otp
+  };
 
-      try {
-        console.log(`🕒 Auto cancelling expired order: ${orderId}`);
-        await this.firex.cancelOrder(job.activationId);
-      } catch (cancelError) {
-        console.error(`Auto cancel failed for ${orderId}:`, cancelError);
-      }
+  if (new Date(order.expires_at) <= new Date()) {
+    logger.info('Order expired while the bot was offline');
+    await this.settleExpiredOrder(order.order_id, job);
+    return;
+  }
 
-      await this.db.removeActiveOrder(orderId);
-      
-      if (!job.otpReceived) {
+  if (!job.messageId) {
+    const restored = await this.bot.sendMessage(job.chatId,
+      `♻️ <b>Order Restored</b>\n\n📱 <b>Number:</b> <code>${job.phoneNumber}</code>\n🛍️ <b>Service:</b> ${job.serviceName}\n🆔 <b>Order ID:</b> ${order.order_id}\n\n📩 <b>Waiting for SMS...</b>`,
+      { parse_mode: 'HTML' }
+    );
+    job.messageId = restored.message_id;
+    await this.db.setActiveOrderMessage(order.order_id, job.chatId, job.messageId);
+  }
 
-        await this.db.cancelOrder(orderId);
-        await this.db.updateBalance(job.userId, job.price);
-        
-        const refundMessage = `❌ <b>Order Expired & Auto Cancelled</b>\n\n🆔 Order ID: ${orderId}\n💰 Refunded: ₹${job.price}\n⏰ No OTP received within 15 minutes.`;
-        
-        await this.bot.editMessageText(refundMessage, { 
-          chat_id: chatId, 
-          message_id: job.messageId, 
-          parse_mode: 'HTML',
-          reply_markup: {
-            inline_keyboard: [
-              [
-                { 
-                  text: `🔄 Buy ${serviceName} Again`, 
-                  callback_data: `buy_new_${serviceCode}_0` 
-                }
-              ],
-              [
-                { text: '🛒 Browse Services', callback_data: 'all_services_0' },
-              ]
-            ]
-          }
-        }).catch(() => {});
-        
-      } else {
-        const expiredMessage = `⏰ <b>Session Completed</b>\n\n🆔 Order ID: ${orderId}\n✅ ${job.otpCount} OTPs Received\n⏳ 15-minute session completed.`;
-        
-        await this.bot.editMessageText(expiredMessage, { 
-          chat_id: chatId, 
-          message_id: job.messageId, 
-          parse_mode: 'HTML',
-          reply_markup: {
-            inline_keyboard: [
-              [
-                { 
-                  text: `🔄 Buy ${serviceName} Again`, 
-                  callback_data: `buy_new_${serviceCode}_0` 
-                }
-              ],
-              [
-                { text: '🛒 Browse Services', callback_data: 'all_services_0' },
-              ]
-            ]
-          }
-        }).catch(() => {});
-      }
-    }
-  }, fifteenMinutes);
+  const startTime = new Date(order.expires_at).getTime() - 15 * 60 * 1000;
+  await this.startSMSChecking(order.order_id, job.activationId, job.userId, job.chatId, job.price, job.messageId,
+    job.phoneNumber, job.serviceName, job.serviceCode, order.country, order.server_used,
+    { startTime, otpCount: job.otpCount, lastOtp: job.lastOtp });
 }
 
 async handleCheckSMS(query) {
-  const chatId = query.message.chat.id;
   const orderId = query.data.split('_')[1];
+  logger.addContext({ order_id: orderId });
 
   try {
     const job = this.activeJobs.get(orderId);
     if (!job) return await this.bot.answerCallbackQuery(query.id, { text: '❌ Order not found or already completed' });
 
     await this.bot.answerCallbackQuery(query.id, { text: '🔍 Checking for OTP...' });
-    const orderData = await this.firex.checkOrder(job.activationId);
-
-    if (orderData.status === 'SUCCESS' && orderData.code && orderData.code !== job.lastOtp) {
-      const code = orderData.code;
-      job.lastOtp = code;
-      
-      if (!job.otpReceived) {
-          job.otpReceived = true;
-          await this.db.updateOrderOTP(orderId, code);
-          if (job.cancelUpdateInterval) clearInterval(job.cancelUpdateInterval);
-
-          await this.bot.editMessageText(`🎉 <b>OTP Received!</b>\n🔐 <b>OTP Code:</b> <code>${code}</code>\n🛍️ <b>Service:</b> ${job.serviceName}\n📱 <b>Number:</b> <code>${job.phoneNumber}</code>\n\n💡 <i>Checking for more OTPs...</i>`, {
-            chat_id: chatId, message_id: query.message.message_id, parse_mode: 'HTML'
-          });
-
-          this.startWaitingCountdown(orderId, chatId, query.message.message_id, job.startTime);
-      } else {
-          await this.bot.sendMessage(chatId, `🆕 <b>Another OTP Received!</b>\n🔐 <b>OTP Code:</b> <code>${code}</code>`, { parse_mode: 'HTML' });
-      }
-      this.activeJobs.set(orderId, job);
-    }
-  } catch (error) { console.error('Check SMS error:', error); }
+    await this.scheduler.checkJob(orderId);
+    this.refreshOrderMessage(orderId);
+  } catch (error) { logger.error('Check SMS error', { error }); }
 }
 
 
@@ -744,28 +850,29 @@ async showReferralDashboard(chatId, userId) {
     
     const referralEarnings = await this.db.getReferralEarnings(userId);
     const totalEarnings = await this.db.getTotalReferralEarnings(userId);
+    const heldEarnings = await this.db.getTotalReferralEarnings(userId, REFERRAL_EARNING_STATUS.HELD);
+    const reviewEarnings = await this.db.getTotalReferralEarnings(userId, REFERRAL_EARNING_STATUS.REVIEW);
+    const rate = await this.referrals.getRate(userId);
     
     const activeReferrals = validReferrals.filter(ref => {
       return referralEarnings.some(earning => earning.referred_id === ref.referred_id);
     });
 
-    console.log(`📊 Referral Stats - Total: ${validReferrals.length}, Active: ${activeReferrals.length}, Earnings: ₹${totalEarnings}`);
+    logger.debug('Referral stats', { total: validReferrals.length, active: activeReferrals.length, earnings: totalEarnings });
 
     let referralCode;
     const existingCode = await this.db.getReferralCodeByUserId(userId);
     
     if (existingCode) {
       referralCode = existingCode;
-      console.log(`✅ Using existing referral code: ${referralCode}`);
     } else {
-      referralCode = this.payment.generateReferralCode();
-      console.log(`✅ Generated new referral code: ${referralCode}`);
-
       try {
-        await this.db.createReferral(userId, userId, referralCode);
-        console.log(`✅ Referral code saved to database: ${referralCode}`);
+        referralCode = await this.db.createReferralCode(userId, () => this.payment.generateReferralCode());
+        logger.info('Referral code created', { code: referralCode });
       } catch (error) {
-        console.error('❌ Error saving referral code:', error);
+        logger.error('Error saving referral code', { error });
+        await this.bot.sendMessage(chatId, '❌ Could not create your referral code. Please try again.');
+        return;
       }
     }
 
@@ -777,17 +884,20 @@ async showReferralDashboard(chatId, userId) {
       `🟢 <b>Your Stats:</b>\n` +
       `• Total Referrals: <b>${validReferrals.length}</b>\n` +
       `• Active Referrals: <b>${activeReferrals.length}</b>\n` +
-      `• Total Earnings: <b>₹${totalEarnings}</b>\n\n` +
+      `• Total Earnings: <b>₹${totalEarnings}</b>\n` +
+      (heldEarnings > 0 ? `• On Hold: <b>₹${heldEarnings}</b>\n` : '') +
+      (reviewEarnings > 0 ? `• Under Review: <b>₹${reviewEarnings}</b>\n` : '') + `\n` +
       `🔗 <b>Your Referral Link:</b>\n` +
       `<code>${referralLink}</code>\n\n` +
       `📋 <b>Your Referral Code:</b>\n` +
       `<code>${referralCode}</code>\n\n` +
-      `💰 <b>Commission Rate:</b> 5% on every deposit\n\n` +
-      `📢 <b>How it works:</b>\n` +
+      `💰 <b>Commission Rate:</b> ${rate.percent}% on every deposit\n` +
+      (rate.next ? `🎯 <b>Next Tier:</b> ${rate.next.percent}% once your referrals deposit ₹${Math.ceil(rate.next.volume - rate.volume)} more\n` : '') +
+      `\n📢 <b>How it works:</b>\n` +
       `1. Share your link/code with friends\n` +
       `2. They join using your link\n` +
-      `3. You earn 5% on their deposits\n` +
-      `4. Commission added automatically!`;
+      `3. You earn ${rate.percent}% on their deposits\n` +
+      `4. ${this.describeReferralTerms()}`;
 
     const keyboard = {
       inline_keyboard: [
@@ -812,7 +922,7 @@ async showReferralDashboard(chatId, userId) {
     });
 
   } catch (error) {
-    console.error('Referral dashboard error:', error);
+    logger.error('Referral dashboard error', { error });
     await this.bot.sendMessage(chatId, 
       `❌ <b>Referral System Temporarily Unavailable</b>\n\nPlease try again later.`,
       { parse_mode: 'HTML' }
@@ -855,6 +965,20 @@ async showUserProfile(chatId, userId) {
   });
 }
 
+// Hold and cap rules in one line for the referral screens.
+describeReferralTerms() {
+  const { hold_days: holdDays, cap_per_referred: cap, cap_monthly: capMonthly } = config.REFERRAL_SETTINGS;
+  let terms = holdDays > 0
+    ? `Commission is added to your balance after a ${holdDays}-day hold`
+    : 'Commission added automatically';
+
+  if (cap > 0) {
+    terms += `, up to ₹${cap} per referred user${capMonthly ? ' each month' : ''}`;
+  }
+
+  return `${terms}!`;
+}
+
 async showReferralList(chatId, userId) {
   try {
     const referrals = await this.db.getUserReferrals(userId);
@@ -870,8 +994,11 @@ async showReferralList(chatId, userId) {
       
       referrals.forEach((ref, index) => {
         const hasDeposited = referralEarnings.some(earning => earning.referred_id === ref.referred_id);
-        const userEarnings = referralEarnings.filter(earning => earning.referred_id === ref.referred_id);
-        const totalEarned = userEarnings.reduce((sum, earning) => sum + earning.commission_amount, 0);
+        const userEarnings = referralEarnings.filter(earning =>
+          earning.referred_id === ref.referred_id &&
+          ![REFERRAL_EARNING_STATUS.CLAWED_BACK, REFERRAL_EARNING_STATUS.REJECTED].includes(earning.status)
+        );
+        const totalEarned = userEarnings.reduce((sum, earning) => sum + parseFloat(earning.commission_amount), 0);
         
         message += `${index + 1}. <b>${ref.first_name || 'User'}</b> (@${ref.username || 'N/A'})\n`;
         message += `   🆔: <code>${ref.referred_id}</code>\n`;
@@ -894,7 +1021,7 @@ async showReferralList(chatId, userId) {
     });
 
   } catch (error) {
-    console.error('Referral list error:', error);
+    logger.error('Referral list error', { error });
     await this.bot.sendMessage(chatId, '❌ Error loading referral list.');
   }
 }
@@ -903,16 +1030,29 @@ async showReferralEarnings(chatId, userId) {
   try {
     const earnings = await this.db.getReferralEarnings(userId);
     const totalEarnings = await this.db.getTotalReferralEarnings(userId);
+    const heldEarnings = await this.db.getTotalReferralEarnings(userId, REFERRAL_EARNING_STATUS.HELD);
+    const statusLabels = {
+      [REFERRAL_EARNING_STATUS.HELD]: '🕒 On hold',
+      [REFERRAL_EARNING_STATUS.RELEASED]: '✅ Paid',
+      [REFERRAL_EARNING_STATUS.CLAWED_BACK]: '↩️ Reversed',
+      [REFERRAL_EARNING_STATUS.REVIEW]: '🔎 Under review',
+      [REFERRAL_EARNING_STATUS.REJECTED]: '🚫 Not paid'
+    };
 
     let message = `💰 <b>Referral Earnings History</b>\n\n`;
-    message += `Total Earnings: <b>₹${totalEarnings}</b>\n\n`;
+    message += `Total Earnings: <b>₹${totalEarnings}</b>\n`;
+    message += heldEarnings > 0 ? `On Hold: <b>₹${heldEarnings}</b>\n\n` : `\n`;
     
     if (earnings.length === 0) {
+      const rate = await this.referrals.getRate(userId);
       message += `No earnings yet.\n`;
-      message += `You'll earn 5% when your referrals deposit! 🎉`;
+      message += `You'll earn ${rate.percent}% when your referrals deposit! 🎉`;
     } else {
       earnings.slice(0, 20).forEach((earning, index) => {
-        message += `${index + 1}. <b>₹${earning.commission_amount}</b>\n`;
+        message += `${index + 1}. <b>₹${earning.commission_amount}</b> ${statusLabels[earning.status] || ''}\n`;
+        if (earning.status === REFERRAL_EARNING_STATUS.HELD && earning.release_at) {
+          message += `   🕒 Releases: ${new Date(earning.release_at).toLocaleString()}\n`;
+        }
         message += `   👤 From: ${earning.first_name || 'User'} (ID: ${earning.referred_id})\n`;
         message += `   💳 Deposit: ₹${earning.deposit_amount}\n`;
         message += `   🎁 Commission: ${earning.commission_percent}%\n`;
@@ -937,7 +1077,7 @@ async showReferralEarnings(chatId, userId) {
     });
 
   } catch (error) {
-    console.error('Referral earnings error:', error);
+    logger.error('Referral earnings error', { error });
     await this.bot.sendMessage(chatId, '❌ Error loading earnings history.');
   }
 }
@@ -1084,7 +1224,7 @@ Please enter the amount to transfer:
       });
 
     } catch (error) {
-      console.error('Transfer user input error:', error);
+      logger.error('Transfer user input error', { error });
       await this.bot.sendMessage(chatId, '❌ Error processing transfer. Please try again.');
     }
   }
@@ -1138,7 +1278,7 @@ Confirm this transfer?
       });
 
     } catch (error) {
-      console.error('Transfer amount input error:', error);
+      logger.error('Transfer amount input error', { error });
       await this.bot.sendMessage(chatId, '❌ Error processing transfer. Please try again.');
     }
   }
@@ -1196,13 +1336,13 @@ Balance transferred successfully.
           parse_mode: 'HTML'
         });
       } catch (error) {
-        console.error('Failed to notify receiver:', error);
+        logger.error('Failed to notify transfer receiver', { error });
       }
 
       this.clearUserState(userId);
 
     } catch (error) {
-      console.error('Transfer error:', error);
+      logger.error('Transfer error', { error });
       await this.bot.editMessageText('❌ Transfer failed. Please try again.', {
         chat_id: chatId,
         message_id: query.message.message_id
@@ -1216,7 +1356,8 @@ Balance transferred successfully.
     const userId = query.from.id;
     const data = query.data;
 
-    if (userId !== config.ADMIN_ID) {
+    const permission = this.permissionForAdminCallback(data);
+    if (permission === undefined || !(await this.can(userId, permission))) {
       await this.bot.answerCallbackQuery(query.id, { text: '❌ Unauthorized' });
       return;
     }
@@ -1226,11 +1367,25 @@ Balance transferred successfully.
       if (data === 'admin_stats') {
         await this.showAdminStats(chatId);
       }
+      else if (data.startsWith('admin_stats_revenue_')) {
+        await this.showRevenueReport(chatId, data.substring('admin_stats_revenue_'.length));
+      }
+      else if (data === 'admin_stats_cohorts') {
+        await this.showCohortReport(chatId);
+      }
+      else if (data.startsWith('admin_stats_export_')) {
+        await this.exportAnalytics(chatId, data.substring('admin_stats_export_'.length));
+      }
+      else if (data.startsWith('admin_stats_report_')) {
+        const report = data.substring('admin_stats_report_'.length);
+        await this.reports.send(report);
+        await this.bot.sendMessage(chatId, `📨 ${report === 'weekly' ? 'Weekly summary' : 'Daily digest'} sent to the notification chat.`);
+      }
       else if (data === 'admin_users') {
         await this.showUserManagement(chatId);
       }
       else if (data === 'admin_balance') {
-        await this.showBalanceManagement(chatId);
+        await this.showBalanceManagement(chatId, userId);
       }
       else if (data === 'admin_gift') {
         await this.showGiftCodeManagement(chatId);
@@ -1239,220 +1394,1551 @@ Balance transferred successfully.
         await this.showMonthlyDepositManagement(chatId, query.message.message_id);
       }
       else if (data === 'admin_back') {
-        await this.showAdminPanel(chatId, query.message.message_id);
+        await this.showAdminPanel(chatId, userId, query.message.message_id);
+      }
+      else if (data === 'admin_settings') {
+        await this.showSettingsPanel(chatId, query.message.message_id);
+      }
+      else if (data.startsWith('admin_setting_edit_')) {
+        await this.handleSettingEdit(chatId, userId, data.substring('admin_setting_edit_'.length));
+      }
+      else if (data.startsWith('admin_setting_toggle_')) {
+        const key = data.substring('admin_setting_toggle_'.length);
+        await this.settings.set(key, !this.settings.get(key), userId);
+        await this.showSettingsPanel(chatId, query.message.message_id);
+      }
+      else if (data.startsWith('admin_setting_reset_')) {
+        const key = data.substring('admin_setting_reset_'.length);
+        await this.settings.reset(key, userId);
+        this.clearUserState(userId);
+        await this.bot.sendMessage(chatId, `♻️ <b>${this.settings.definition(key).label}</b> reset to ${this.escapeHTML(this.settings.format(key))}`, { parse_mode: 'HTML' });
+        await this.showSettingsPanel(chatId);
+      }
+      else if (data.startsWith('admin_catalog_')) {
+        await this.handleCatalogCallback(chatId, userId, data.substring('admin_catalog_'.length), query.message.message_id);
+      }
+      else if (data === 'admin_team') {
+        await this.showAdminTeam(chatId);
+      }
+      else if (data === 'admin_team_add') {
+        await this.handleAdminTeamAdd(chatId, userId);
+      }
+      else if (data.startsWith('admin_team_remove_')) {
+        const adminId = parseInt(data.split('_')[3]);
+        await this.removeAdminMember(chatId, userId, adminId);
       }
       else if (data === 'admin_deposit_start') {
-        await this.handleManualDeposit(chatId);
+        await this.handleManualDeposit(chatId, userId);
       }
       else if (data === 'admin_deduct_start') {
-        await this.handleBalanceDeduction(chatId);
+        await this.handleBalanceDeduction(chatId, userId);
       }
       else if (data === 'admin_monthly_reset_start') {
-        await this.handleMonthlyDepositReset(chatId);
+        await this.handleMonthlyDepositReset(chatId, userId);
       }
       else if (data === 'admin_monthly_set_start') {
-        await this.handleMonthlyDepositSet(chatId);
+        await this.handleMonthlyDepositSet(chatId, userId);
       }
       else if (data === 'admin_gift_create') {
-        await this.handleGiftCodeCreation(chatId);
+        await this.handleGiftCodeCreation(chatId, userId);
       }
       else if (data === 'admin_gift_list') {
         await this.showGiftCodeList(chatId);
       }
       else if (data === 'admin_user_search') {
-        await this.handleUserSearch(chatId);
+        await this.handleUserSearch(chatId, userId);
       }
       else if (data === 'admin_user_list') {
         await this.showAllUsers(chatId);
       }
+      else if (data === 'admin_order_reveal') {
+        await this.handleOrderRevealStart(chatId, userId);
+      }
       else if (data === 'admin_balance_reports') {
         await this.showBalanceReports(chatId);
       }
-      else if (data.startsWith('admin_top_depositors_')) {
-          const page = parseInt(data.split('_')[3]);
-          await this.showTopDepositors(chatId, page, query.message.message_id);
+      else if (data === 'admin_ledger_start') {
+        await this.handleLedgerLookup(chatId, userId);
       }
-      else if (data.startsWith('admin_all_depositors_')) {
-          const page = parseInt(data.split('_')[3]);
-          await this.showAllDepositors(chatId, page, query.message.message_id);
+      else if (data === 'admin_deposit_reverse') {
+        await this.handleDepositReverseStart(chatId, userId);
       }
-      else if (data.startsWith('admin_discounted_users_')) {
-          const page = parseInt(data.split('_')[3]);
-          await this.showDiscountedUsers(chatId, page, query.message.message_id);
+      else if (data.startsWith('admin_deposit_reverse_confirm_')) {
+        await this.confirmDepositReversal(chatId, userId, parseInt(data.split('_')[4]));
       }
-      else {
+      else if (data === 'admin_reconcile_start') {
+        await this.handleStatementReconcile(chatId, userId);
       }
+      else if (data === 'admin_referral_review') {
+        await this.showReferralReview(chatId);
+      }
+      else if (data.startsWith('admin_referral_review_release_') || data.startsWith('admin_referral_review_reject_')) {
+        const [, , , decision, earningId] = data.split('_');
+        await this.reviewReferralEarning(chatId, userId, parseInt(earningId), decision === 'release');
+      }
+      else if (data === 'admin_audit_filter') {
+        await this.handleAuditFilter(chatId, userId);
+      }
+      else if (data === 'admin_audit_clear') {
+        this.auditFilters.delete(userId);
+        await this.showAuditLog(chatId, userId, 0);
+      }
+      else if (data === 'admin_audit_export') {
+        await this.exportAuditLog(chatId, userId);
+      }
+      else if (data.startsWith('admin_audit_page_')) {
+        const page = parseInt(data.split('_')[3]);
+        await this.showAuditLog(chatId, userId, page, query.message.message_id);
+      }
+      else if (data.startsWith('admin_gift_delete_')) {
+        const code = data.substring('admin_gift_delete_'.length);
+        await this.deleteGiftCode(chatId, userId, code);
+      }
+      else if (data.startsWith('admin_gift_type_')) {
+        await this.handleAdminGiftTypeChoice(chatId, userId, data.substring('admin_gift_type_'.length));
+      }
+      else if (data.startsWith('admin_gift_newusers_')) {
+        await this.handleAdminGiftNewUsersChoice(chatId, userId, data.endsWith('_yes'));
+      }
+      else if (data.startsWith('admin_gift_campaign_export_')) {
+        await this.exportGiftCampaign(chatId, parseInt(data.split('_')[4]));
+      }
+      else if (data.startsWith('admin_gift_campaign_delete_')) {
+        await this.deleteGiftCampaign(chatId, userId, parseInt(data.split('_')[4]));
+      }
+      else if (data.startsWith('admin_ledger_rebuild_')) {
+        const targetUserId = parseInt(data.split('_')[3]);
+        const rebuilt = await this.db.withTransaction(async (tx) => {
+          const before = await tx.findUser(targetUserId, { forUpdate: true });
+          if (!before) return false;
+
+          const balance = await tx.rebuildBalance(targetUserId);
+          await tx.logAdminAction({
+            adminId: userId,
+            action: ADMIN_ACTIONS.LEDGER_REBUILD,
+            targetUserId,
+            before: { balance: before.balance },
+            after: { balance }
+          });
+          return true;
+        });
+
+        if (!rebuilt) {
+          await this.bot.sendMessage(chatId, '❌ User not found.');
+          return;
+        }
+        await this.showWalletLedger(chatId, targetUserId);
+      }
+      else if (data.startsWith('admin_top_depositors_')) {
+          const page = parseInt(data.split('_')[3]);
+          await this.showTopDepositors(chatId, page, query.message.message_id);
+      }
+      else if (data.startsWith('admin_all_depositors_')) {
+          const page = parseInt(data.split('_')[3]);
+          await this.showAllDepositors(chatId, page, query.message.message_id);
+      }
+      else if (data.startsWith('admin_discounted_users_')) {
+          const page = parseInt(data.split('_')[3]);
+          await this.showDiscountedUsers(chatId, page, query.message.message_id);
+      }
+      else {
+      }
+
+    } catch (error) {
+      logger.error('Admin callback error', { data, error });
+      await this.bot.sendMessage(chatId, '❌ Admin operation failed: ' + error.message);
+    }
+  }
+
+  async handleBalanceDeduction(chatId, adminId) {
+    this.setUserState(adminId, 'admin_awaiting_deduct_user');
+
+    await this.bot.sendMessage(chatId, `
+➖ <b>Deduct Balance</b>
+
+Please enter the User ID to deduct balance from:
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Cancel', callback_data: 'admin_balance' }]
+        ]
+      }
+    });
+  }
+
+  async handleMonthlyDepositReset(chatId, adminId) {
+    this.setUserState(adminId, 'admin_awaiting_reset_user');
+
+    await this.bot.sendMessage(chatId, `
+🔄 <b>Reset Monthly Deposit</b>
+
+Please enter the User ID to reset this month's deposit to 0:
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Cancel', callback_data: 'admin_monthly' }]
+        ]
+      }
+    });
+  }
+
+  async handleMonthlyDepositSet(chatId, adminId) {
+    this.setUserState(adminId, 'admin_awaiting_set_user');
+
+    await this.bot.sendMessage(chatId, `
+📊 <b>Set Monthly Deposit</b>
+
+Please enter the User ID to set a new monthly deposit value:
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Cancel', callback_data: 'admin_monthly' }]
+        ]
+      }
+    });
+  }
+
+  async handleGiftCodeCreation(chatId, adminId) {
+    this.clearUserState(adminId);
+
+    await this.bot.sendMessage(chatId, `
+🎟️ <b>Create Gift Code</b>
+
+What should the code give?
+• <b>Flat credit:</b> rupees added to the wallet on redemption
+• <b>Deposit bonus:</b> a % extra on the user's next approved deposit
+• <b>Service discount:</b> a % off the user's next purchase of one service
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          ...Object.entries(GIFT_TYPE_LABELS).map(([type, label]) => [{ text: label, callback_data: `admin_gift_type_${type}` }]),
+          [{ text: 'Cancel', callback_data: 'admin_gift' }]
+        ]
+      }
+    });
+  }
+
+  async handleAdminGiftTypeChoice(chatId, adminId, bonusType) {
+    if (!GIFT_TYPE_LABELS[bonusType]) {
+      await this.bot.sendMessage(chatId, '❌ Unknown gift type.');
+      return;
+    }
+
+    if (bonusType === GIFT_TYPES.SERVICE_DISCOUNT) {
+      this.setUserState(adminId, 'admin_awaiting_gift_service', { bonusType });
+      await this.bot.sendMessage(chatId, `
+🎟️ <b>Create Gift Code</b>
+
+${this.describeGiftTerms({ bonusType })}
+
+Send the service code the discount applies to (e.g. WHATSAPP):
+      `.trim(), { parse_mode: 'HTML' });
+      return;
+    }
+
+    this.setUserState(adminId, 'admin_awaiting_gift_amount', { bonusType });
+    await this.bot.sendMessage(chatId, `
+🎟️ <b>Create Gift Code</b>
+
+${this.describeGiftTerms({ bonusType })}
+
+${bonusType === GIFT_TYPES.CREDIT ? 'Please enter the gift code amount:' : 'Please enter the bonus percentage (1-100):'}
+    `.trim(), { parse_mode: 'HTML' });
+  }
+
+  async handleAdminGiftServiceInput(chatId, adminId, text) {
+    await this.catalog.ensureLoaded();
+    const service = this.catalog.getService(text.trim().toUpperCase(), { includeDisabled: true });
+
+    if (!service) {
+      await this.bot.sendMessage(chatId, '❌ Unknown service code. Use the code shown in 🛍️ Services.');
+      return;
+    }
+
+    const data = { ...this.getUserState(adminId).data, serviceCode: service.code };
+    this.setUserState(adminId, 'admin_awaiting_gift_amount', data);
+
+    await this.bot.sendMessage(chatId, `
+🎟️ <b>Create Gift Code</b>
+
+${this.describeGiftTerms(data)}
+
+Please enter the discount percentage (1-100):
+    `.trim(), { parse_mode: 'HTML' });
+  }
+
+  // What a code gives, in the words shown to admins and to the user who
+  // redeems it.
+  describeGiftBonus({ bonusType, amount, serviceCode }) {
+    amount = parseFloat(amount);
+    if (bonusType === GIFT_TYPES.DEPOSIT_BONUS) {
+      return `${amount}% bonus on the next deposit`;
+    }
+    if (bonusType === GIFT_TYPES.SERVICE_DISCOUNT) {
+      const service = this.catalog.getService(serviceCode, { includeDisabled: true });
+      return `${amount}% off the next ${service ? service.name : serviceCode} purchase`;
+    }
+    return `₹${amount} credit`;
+  }
+
+  // The terms chosen so far, one line each, for the creation prompts.
+  describeGiftTerms(data) {
+    const lines = [`✅ <b>Type:</b> ${GIFT_TYPE_LABELS[data.bonusType]}`];
+
+    if (data.serviceCode) lines.push(`🛍️ <b>Service:</b> ${data.serviceCode}`);
+    if (data.amount !== undefined) lines.push(`🎁 <b>Gives:</b> ${this.describeGiftBonus(data)}`);
+    if (data.maxUses !== undefined) lines.push(`🔄 <b>Max Uses:</b> ${data.maxUses === 0 ? 'Unlimited' : data.maxUses}`);
+    if (data.minDeposit !== undefined) lines.push(`📋 <b>Min Deposit:</b> ₹${data.minDeposit}`);
+    if (data.expiresAt !== undefined) {
+      lines.push(`⏳ <b>Expires:</b> ${data.expiresAt ? new Date(data.expiresAt).toLocaleString() : 'Never'}`);
+    }
+    if (data.newUsersOnly !== undefined) lines.push(`🆕 <b>New Users Only:</b> ${data.newUsersOnly ? 'Yes' : 'No'}`);
+
+    return lines.join('\n');
+  }
+
+  async showGiftCodeList(chatId) {
+    await this.catalog.ensureLoaded();
+    const giftCodes = await this.db.getAllGiftCodes();
+    const campaigns = await this.db.getGiftCampaigns();
+
+    let giftText = `
+🎟️ <b>Gift Code List</b>
+
+`;
+
+    if (giftCodes.length === 0 && campaigns.length === 0) {
+      giftText += 'No gift codes found.';
+    } else {
+      giftCodes.forEach((code, index) => {
+        const usedBy = code.used_by ? `Used by: ${code.used_by}` : 'Not used';
+        giftText += `\n${index + 1}. <code>${code.code}</code> - ${this.describeGiftBonus({ bonusType: code.bonus_type, amount: code.amount, serviceCode: code.service_code })}\n`;
+        giftText += `   Status: ${usedBy} | Created: ${new Date(code.created_at).toLocaleDateString()}`;
+        giftText += code.expires_at ? ` | Expires: ${new Date(code.expires_at).toLocaleDateString()}\n` : '\n';
+      });
+    }
+
+    if (campaigns.length > 0) {
+      giftText += `\n📦 <b>Bulk Campaigns</b>\n`;
+      campaigns.forEach(campaign => {
+        giftText += `\n#${campaign.id} - ${campaign.code_count} codes, ${this.describeGiftBonus({ bonusType: campaign.bonus_type, amount: campaign.amount, serviceCode: campaign.service_code })}\n`;
+        giftText += `   Redeemed: ${campaign.redeemed}${campaign.new_users_only ? ' | New users only' : ''}`;
+        giftText += campaign.expires_at ? ` | Expires: ${new Date(campaign.expires_at).toLocaleDateString()}\n` : '\n';
+      });
+    }
+
+    const keyboard = {
+      inline_keyboard: [
+        ...giftCodes.map(code => [{ text: `🗑️ Delete ${code.code}`, callback_data: `admin_gift_delete_${code.code}` }]),
+        ...campaigns.map(campaign => [
+          { text: `📤 Export #${campaign.id}`, callback_data: `admin_gift_campaign_export_${campaign.id}` },
+          { text: `🗑️ Delete #${campaign.id}`, callback_data: `admin_gift_campaign_delete_${campaign.id}` }
+        ]),
+        [{ text: 'Back', callback_data: 'admin_gift' }]
+      ]
+    };
+
+    await this.bot.sendMessage(chatId, giftText, {
+      parse_mode: 'HTML',
+      reply_markup: keyboard
+    });
+  }
+
+  async deleteGiftCode(chatId, adminId, code) {
+    const deleted = await this.db.withTransaction(async (tx) => {
+      const giftCode = await tx.deleteGiftCode(code);
+      if (!giftCode) return null;
+
+      await tx.logAdminAction({
+        adminId,
+        action: ADMIN_ACTIONS.GIFT_DELETE,
+        before: giftCode
+      });
+      return giftCode;
+    });
+
+    await this.bot.sendMessage(chatId, deleted
+      ? `🗑️ Gift code <code>${code}</code> deleted.`
+      : '❌ Gift code not found.', { parse_mode: 'HTML' });
+    await this.showGiftCodeList(chatId);
+  }
+
+  async deleteGiftCampaign(chatId, adminId, campaignId) {
+    const deleted = await this.db.withTransaction(async (tx) => {
+      const campaign = await tx.deleteGiftCampaign(campaignId);
+      if (!campaign) return null;
+
+      await tx.logAdminAction({
+        adminId,
+        action: ADMIN_ACTIONS.GIFT_CAMPAIGN_DELETE,
+        before: campaign,
+        details: `campaign ${campaignId}`
+      });
+      return campaign;
+    });
+
+    await this.bot.sendMessage(chatId, deleted
+      ? `🗑️ Campaign #${campaignId} and its ${deleted.code_count} codes deleted.`
+      : '❌ Campaign not found.');
+    await this.showGiftCodeList(chatId);
+  }
+
+  async exportGiftCampaign(chatId, campaignId) {
+    const codes = await this.db.getGiftCampaignCodes(campaignId);
+
+    if (codes.length === 0) {
+      await this.bot.sendMessage(chatId, '❌ Campaign not found.');
+      return;
+    }
+
+    const csv = toCSV([
+      { key: 'code', header: 'Code' },
+      { key: 'bonus_type', header: 'Type' },
+      { key: 'amount', header: 'Amount' },
+      { key: 'service_code', header: 'Service' },
+      { key: 'max_uses', header: 'Max Uses' },
+      { key: 'used_count', header: 'Used' },
+      { key: 'min_deposit', header: 'Min Deposit' },
+      { key: 'new_users_only', header: 'New Users Only' },
+      { key: 'expires_at', header: 'Expires At' }
+    ], codes);
+
+    await this.bot.sendDocument(chatId, Buffer.from(csv, 'utf8'), {
+      caption: `🎟️ Campaign #${campaignId}: ${codes.length} codes`
+    }, {
+      filename: `gift_campaign_${campaignId}.csv`,
+      contentType: 'text/csv'
+    });
+  }
+
+  async handleUserSearch(chatId, adminId) {
+    this.setUserState(adminId, 'admin_awaiting_search_user');
+
+    await this.bot.sendMessage(chatId, `
+🔍 <b>Search User</b>
+
+Please enter User ID, name, or username to search:
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Cancel', callback_data: 'admin_users' }]
+        ]
+      }
+    });
+  }
+
+  async handleOrderRevealStart(chatId, adminId) {
+    this.setUserState(adminId, 'admin_awaiting_order_reveal');
+
+    await this.bot.sendMessage(chatId, `
+🔓 <b>Reveal Order</b>
+
+Notifications and logs mask phone numbers and OTPs. Send an order ID to see its full number and code.
+
+Every reveal is recorded in the audit log.
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Cancel', callback_data: 'admin_users' }]
+        ]
+      }
+    });
+  }
+
+  async handleAdminOrderRevealInput(chatId, adminId, text) {
+    const orderId = text.trim();
+    const order = await this.db.getOrderDetails(orderId);
+
+    if (!order) {
+      await this.bot.sendMessage(chatId, `❌ Order ${this.escapeHTML(orderId)} not found.`, { parse_mode: 'HTML' });
+      return;
+    }
+
+    this.clearUserState(adminId);
+
+    // Unlike other admin actions, a reveal that cannot be audited is refused.
+    try {
+      await this.db.logAdminAction({
+        adminId,
+        action: ADMIN_ACTIONS.ORDER_REVEAL,
+        targetUserId: order.user_id,
+        details: `Order ${orderId}`
+      });
+    } catch (error) {
+      logger.error('Audit log failed', { action: ADMIN_ACTIONS.ORDER_REVEAL, error });
+      await this.bot.sendMessage(chatId, '❌ Could not record this lookup in the audit log, so the order was not revealed.');
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, `
+🔓 <b>Order ${this.escapeHTML(orderId)}</b>
+
+👤 <b>User ID:</b> <code>${order.user_id}</code>
+🛍️ <b>Service:</b> ${this.escapeHTML(order.service)}
+📱 <b>Number:</b> <code>${this.escapeHTML(order.phone)}</code>
+🔐 <b>OTP:</b> ${order.otp_code ? `<code>${this.escapeHTML(order.otp_code)}</code>` : 'none yet'}
+💰 <b>Price:</b> ₹${order.price}
+📊 <b>Status:</b> ${this.escapeHTML(order.status)}
+⏰ <b>Ordered:</b> ${new Date(order.order_time).toLocaleString()}
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🔁 Back', callback_data: 'admin_users' }]
+        ]
+      }
+    });
+  }
+
+  async showAllUsers(chatId) {
+    const users = await this.db.getAllUsers(50);
+
+    let usersText = `
+👥 <b>All Users</b> (Latest 50)
+
+`;
+
+    users.forEach((user, index) => {
+      usersText += `\n${index + 1}. <b>${user.first_name || 'Unknown'}</b>\n`;
+      usersText += `   🆔: <code>${user.user_id}</code> | 💰: ₹${user.balance} | 📦: ${user.total_orders}\n`;
+      usersText += `   📅 Joined: ${new Date(user.joined_date).toLocaleDateString()}\n`;
+    });
+
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: '🔁 Back', callback_data: 'admin_users' }]
+      ]
+    };
+
+    await this.bot.sendMessage(chatId, usersText, {
+      parse_mode: 'HTML',
+      reply_markup: keyboard
+    });
+  }
+
+  async showBalanceReports(chatId) {
+    const totalUsers = await this.db.getTotalUsers();
+    const totalRevenue = await this.db.getTotalRevenue();
+
+    const reportText = `
+🏦 <b>Balance Reports</b>
+
+👥 Total Users: ${totalUsers}
+💵 Total Revenue: ₹${this.payment.formatCurrency(totalRevenue)}
+
+♻️ More detailed reports coming soon...
+    `;
+
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: '🔁 Back', callback_data: 'admin_balance' }]
+      ]
+    };
+
+    await this.bot.sendMessage(chatId, reportText, {
+      parse_mode: 'HTML',
+      reply_markup: keyboard
+    });
+  }
+
+  async handleLedgerLookup(chatId, adminId) {
+    this.setUserState(adminId, 'admin_awaiting_ledger_user');
+
+    await this.bot.sendMessage(chatId, `
+📒 <b>Wallet Ledger</b>
+
+Please enter the User ID to view balance history for:
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Cancel', callback_data: 'admin_balance' }]
+        ]
+      }
+    });
+  }
+
+  async handleStatementReconcile(chatId, adminId) {
+    this.setUserState(adminId, 'admin_awaiting_statement');
+
+    await this.bot.sendMessage(chatId, `
+🧾 <b>Statement Reconciliation</b>
+
+Upload your bank or UPI statement as a <b>.csv</b> or <b>.xlsx</b> document.
+
+Rows are matched to pending deposits by UTR and amount. Exact matches are approved automatically; everything else is listed for review.
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Cancel', callback_data: 'admin_balance' }]
+        ]
+      }
+    });
+  }
+
+  async handleDepositReverseStart(chatId, adminId) {
+    this.setUserState(adminId, 'admin_awaiting_reverse_deposit');
+
+    await this.bot.sendMessage(chatId, `
+↩️ <b>Reverse Deposit</b>
+
+Send the request ID of an approved deposit and the reason, e.g.
+<code>1234 chargeback from bank</code>
+
+The deposit and any gift bonus paid on it are taken back from the user, and referral commission earned on it is clawed back.
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Cancel', callback_data: 'admin_balance' }]
+        ]
+      }
+    });
+  }
+
+  async handleAdminReverseDepositInput(chatId, adminId, text) {
+    const match = text.trim().match(/^(\d+)\s+(.+)$/s);
+    if (!match) {
+      await this.bot.sendMessage(chatId, '❌ Send the request ID followed by a reason.');
+      return;
+    }
+
+    const requestId = parseInt(match[1]);
+    const reason = match[2].trim();
+    const request = await this.db.getTopupRequestInfo(requestId);
+
+    if (!request || request.status !== 'approved') {
+      await this.bot.sendMessage(chatId, `❌ Request ${requestId} is not an approved deposit${request ? ` (status: ${request.status})` : ''}.`);
+      return;
+    }
+
+    this.setUserState(adminId, 'admin_confirm_reverse_deposit', { requestId, reason });
+
+    await this.bot.sendMessage(chatId, `
+↩️ <b>Confirm Deposit Reversal</b>
+
+🆔 <b>Request ID:</b> ${requestId}
+👤 <b>User ID:</b> <code>${request.user_id}</code>
+💳 <b>Amount:</b> ₹${request.amount}
+🔢 <b>UTR:</b> ${this.escapeHTML(request.utr)}
+📝 <b>Reason:</b> ${this.escapeHTML(reason)}
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '↩️ Reverse', callback_data: `admin_deposit_reverse_confirm_${requestId}` }],
+          [{ text: 'Cancel', callback_data: 'admin_balance' }]
+        ]
+      }
+    });
+  }
+
+  async confirmDepositReversal(chatId, adminId, requestId) {
+    const userState = this.getUserState(adminId);
+    if (userState?.state !== 'admin_confirm_reverse_deposit' || userState.data.requestId !== requestId) {
+      await this.bot.sendMessage(chatId, '❌ This reversal has expired. Please start again.');
+      return;
+    }
+
+    this.clearUserState(adminId);
+    const { reason } = userState.data;
+    const reversal = await this.reverseDeposit(requestId, reason);
+
+    if (!reversal) {
+      await this.bot.sendMessage(chatId, `❌ Request ${requestId} is no longer an approved deposit.`);
+      return;
+    }
+
+    await this.auditAdminAction(ADMIN_ACTIONS.DEPOSIT_REVERSE, {
+      adminId,
+      targetUserId: reversal.userId,
+      before: { requestId, status: 'approved', balance: reversal.newBalance + reversal.debited },
+      after: { requestId, status: 'reversed', balance: reversal.newBalance },
+      details: `₹${reversal.amount} UTR ${reversal.utr}: ${reason}`
+    });
+    await this.announceDepositReversal(requestId, reversal, reason);
+
+    await this.bot.sendMessage(chatId, `
+✅ <b>Deposit Reversed</b>
+
+🆔 <b>Request ID:</b> ${requestId}
+💸 <b>Debited from user:</b> ₹${reversal.debited}
+💰 <b>User balance now:</b> ₹${reversal.newBalance}
+🔙 <b>Commission clawed back:</b> ${reversal.clawbacks.length > 0 ? reversal.clawbacks.map(clawback => `₹${clawback.amount} from ${clawback.referrerId}${clawback.wasHeld ? ' (on hold)' : ''}`).join(', ') : 'none'}
+    `.trim(), { parse_mode: 'HTML' });
+  }
+
+  async showReferralReview(chatId) {
+    const earnings = await this.db.getReferralEarningsForReview(10);
+    const total = await this.db.countReferralEarningsForReview();
+
+    if (earnings.length === 0) {
+      await this.bot.sendMessage(chatId, '✅ No referral commission is waiting for review.', {
+        reply_markup: { inline_keyboard: [[{ text: 'Back', callback_data: 'admin_balance' }]] }
+      });
+      return;
+    }
+
+    let text = `🚩 <b>Referral Review</b> (${total} waiting)\n\n`;
+    const buttons = [];
+
+    for (const earning of earnings) {
+      text += `<b>#${earning.id}</b> ₹${earning.commission_amount} on a ₹${earning.deposit_amount} deposit\n`;
+      text += `👤 Referrer: ${this.escapeHTML(earning.referrer_name || 'User')} (<code>${earning.referrer_id}</code>)\n`;
+      text += `👥 Referred: ${this.escapeHTML(earning.referred_name || 'User')} (<code>${earning.referred_id}</code>)\n`;
+      text += `⚠️ Risk score: ${earning.risk_score}\n`;
+      for (const line of this.referrals.risk.describe(earning.risk_signals)) {
+        text += `• ${this.escapeHTML(line)}\n`;
+      }
+      text += '\n';
+
+      buttons.push([
+        { text: `✅ Release #${earning.id}`, callback_data: `admin_referral_review_release_${earning.id}` },
+        { text: `❌ Reject #${earning.id}`, callback_data: `admin_referral_review_reject_${earning.id}` }
+      ]);
+    }
+
+    buttons.push([{ text: 'Back', callback_data: 'admin_balance' }]);
+
+    await this.bot.sendMessage(chatId, text.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: buttons }
+    });
+  }
+
+  async reviewReferralEarning(chatId, adminId, earningId, release) {
+    const earning = await this.referrals.review(earningId, adminId, release);
+
+    if (!earning) {
+      await this.bot.sendMessage(chatId, `❌ Commission #${earningId} is no longer waiting for review.`);
+      return;
+    }
+
+    await this.auditAdminAction(release ? ADMIN_ACTIONS.REFERRAL_RELEASE : ADMIN_ACTIONS.REFERRAL_REJECT, {
+      adminId,
+      targetUserId: earning.referrer_id,
+      before: { earningId, status: REFERRAL_EARNING_STATUS.REVIEW },
+      after: { earningId, status: earning.status, balance: earning.balance },
+      details: `₹${earning.amount} from referred user ${earning.referred_id}, risk score ${earning.risk_score}`
+    });
+
+    await this.bot.sendMessage(earning.referrer_id, release
+      ? `✅ <b>Referral Commission Released</b>\n\n🌱 Commission: ₹${earning.amount}\n💻 From User ID: ${earning.referred_id}\n🔴 Your New Balance: ₹${earning.balance}`
+      : `🚫 <b>Referral Commission Not Paid</b>\n\nCommission of ₹${earning.amount} from user ${earning.referred_id} was not approved after review.\nPlease contact support if you think this is a mistake.`,
+      { parse_mode: 'HTML' }
+    ).catch(error => logger.error('Review notification failed', { error }));
+
+    await this.bot.sendMessage(chatId, `${release ? '✅ Released' : '❌ Rejected'} commission #${earningId} (₹${earning.amount} to ${earning.referrer_id}).`);
+    await this.showReferralReview(chatId);
+  }
+
+  async notifyReferralFlagged(earning) {
+    const lines = this.referrals.risk.describe(earning.risk.signals).map(line => `• ${this.escapeHTML(line)}`);
+
+    await this.notifyAdmins(PERMISSIONS.DEPOSITS,
+      `🚩 <b>Referral Commission Flagged</b>\n\n` +
+      `🆔 Commission: #${earning.id}\n` +
+      `👤 Referrer: <code>${earning.referrer_id}</code>\n` +
+      `👥 Referred: <code>${earning.referred_id}</code>\n` +
+      `💰 Amount: ₹${earning.amount}\n` +
+      `⚠️ Risk score: ${earning.risk.score}\n` +
+      `${lines.join('\n')}`,
+      {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [[{ text: '🚩 Review', callback_data: 'admin_referral_review' }]] }
+      }
+    );
+  }
+
+  async handleDocument(msg) {
+    const userId = msg.from.id;
+    const userState = this.getUserState(userId);
+
+    if (userState?.state !== 'admin_awaiting_statement' || !(await this.can(userId, PERMISSIONS.DEPOSITS))) return;
+
+    const chatId = msg.chat.id;
+    const document = msg.document;
+
+    if (!this.statements.isSupported(document.file_name)) {
+      await this.bot.sendMessage(chatId, '❌ Please upload the statement as a .csv or .xlsx file.');
+      return;
+    }
+
+    if (document.file_size > 5 * 1024 * 1024) {
+      await this.bot.sendMessage(chatId, '❌ Statement is too large. Please upload a file under 5 MB.');
+      return;
+    }
+
+    this.clearUserState(userId);
+    await this.bot.sendMessage(chatId, `🔄 Reconciling <b>${this.escapeHTML(document.file_name)}</b>...`, { parse_mode: 'HTML' });
+
+    try {
+      const buffer = await this.downloadDocument(document.file_id);
+      const { entries, skipped } = await this.statements.parse(buffer, document.file_name);
+      const report = await this.reconcileStatement(entries, userId);
+      report.skipped = skipped;
+
+      await this.showReconciliationReport(chatId, document.file_name, entries.length, report);
+    } catch (error) {
+      logger.error('Statement reconciliation error', { error });
+      await this.bot.sendMessage(chatId, '❌ Statement import failed: ' + error.message);
+    }
+  }
+
+  async downloadDocument(fileId) {
+    const chunks = [];
+    for await (const chunk of this.bot.getFileStream(fileId)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async reconcileStatement(entries, adminId) {
+    const report = { approved: [], mismatched: [], processed: [], unknown: [], duplicates: [], failed: [] };
+    if (entries.length === 0) return report;
+
+    const { entries: rows, duplicates } = this.statements.splitDuplicates(entries);
+    report.duplicates = duplicates;
+
+    const requests = await this.db.getTopupRequestsByUTR(rows.map(entry => entry.utr));
+    const requestsByUTR = new Map();
+    for (const request of requests) {
+      if (!requestsByUTR.has(request.utr)) requestsByUTR.set(request.utr, []);
+      requestsByUTR.get(request.utr).push(request);
+    }
+
+    for (const entry of rows) {
+      const matches = requestsByUTR.get(entry.utr) || [];
+      const request = matches.find(candidate => candidate.status === 'pending') || matches[0];
+
+      if (!request) {
+        report.unknown.push(entry);
+        continue;
+      }
+
+      if (request.status !== 'pending') {
+        report.processed.push({ ...entry, request });
+        continue;
+      }
+
+      if (Math.abs(parseFloat(request.amount) - entry.amount) >= 0.01) {
+        report.mismatched.push({ ...entry, request });
+        continue;
+      }
+
+      try {
+        const approval = await this.approveDeposit(request.id);
+        if (!approval) {
+          report.processed.push({ ...entry, request });
+          continue;
+        }
+
+        logger.info('Statement matched deposit', { utr: entry.utr, topup_request_id: request.id });
+        await this.auditDepositApproval(ADMIN_ACTIONS.STATEMENT_APPROVE, request.id, approval, adminId);
+        await this.announceDepositApproval(request.id, approval);
+        report.approved.push({ ...entry, request });
+      } catch (error) {
+        logger.error('Statement approval failed', { topup_request_id: request.id, error });
+        report.failed.push({ ...entry, request, error: error.message });
+      }
+    }
+
+    return report;
+  }
+
+  async showReconciliationReport(chatId, fileName, rowCount, report) {
+    const listRows = (rows, format) => {
+      const shown = rows.slice(0, 10).map(format).join('\n');
+      return rows.length > 10 ? `${shown}\n… and ${rows.length - 10} more` : shown;
+    };
+
+    let reportText = `🧾 <b>Reconciliation Report</b>\n\n`;
+    reportText += `📄 <b>File:</b> ${this.escapeHTML(fileName)}\n`;
+    reportText += `📊 <b>Credit Rows:</b> ${rowCount}\n\n`;
+    reportText += `✅ Auto-approved: ${report.approved.length}\n`;
+    reportText += `⚠️ Amount mismatch: ${report.mismatched.length}\n`;
+    reportText += `❓ No deposit request: ${report.unknown.length}\n`;
+    reportText += `♻️ Already processed: ${report.processed.length}\n`;
+    reportText += `🔁 Duplicate UTR rows: ${report.duplicates.length}\n`;
+    reportText += `🚫 Rows without UTR: ${report.skipped.length}\n`;
+    if (report.failed.length > 0) {
+      reportText += `❌ Approval errors: ${report.failed.length}\n`;
+    }
+
+    if (report.approved.length > 0) {
+      reportText += `\n<b>Approved</b>\n` + listRows(report.approved, row =>
+        `• <code>${row.utr}</code> ₹${row.amount} → user ${row.request.user_id} (REQ ${row.request.id})`);
+    }
+
+    if (report.unknown.length > 0) {
+      reportText += `\n\n<b>No Deposit Request</b>\n` + listRows(report.unknown, row =>
+        `• <code>${row.utr}</code> ₹${row.amount} (row ${row.line})`);
+    }
+
+    if (report.processed.length > 0) {
+      reportText += `\n\n<b>Already Processed</b>\n` + listRows(report.processed, row =>
+        `• <code>${row.utr}</code> ₹${row.amount} — ${row.request.status} (REQ ${row.request.id})`);
+    }
+
+    if (report.failed.length > 0) {
+      reportText += `\n\n<b>Approval Errors</b>\n` + listRows(report.failed, row =>
+        `• <code>${row.utr}</code> REQ ${row.request.id}: ${row.error}`);
+    }
+
+    await this.bot.sendMessage(chatId, reportText.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🧾 Upload Another', callback_data: 'admin_reconcile_start' }],
+          [{ text: '🔁 Back', callback_data: 'admin_balance' }]
+        ]
+      }
+    });
+
+    // Mismatches go out one per message so the usual approve/reject buttons
+    // can edit each of them independently.
+    for (const row of report.mismatched.slice(0, 20)) {
+      await this.bot.sendMessage(chatId, `
+⚠️ <b>Amount Mismatch</b>
+
+🆔 <b>User ID:</b> <code>${row.request.user_id}</code>
+🔢 <b>UTR:</b> <code>${row.utr}</code>
+💳 <b>Requested:</b> ₹${row.request.amount}
+🏦 <b>Statement:</b> ₹${row.amount}
+REQ-ID: ${row.request.id}
+      `.trim(), {
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '✅ Approve', callback_data: `approve_${row.request.id}` },
+              { text: '❌ Reject', callback_data: `reject_${row.request.id}` }
+            ]
+          ]
+        }
+      });
+    }
+  }
+
+  async showWalletLedger(chatId, targetUserId) {
+    const user = await this.db.findUser(targetUserId);
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ User not found.');
+      return;
+    }
+
+    const ledgerBalance = await this.db.getLedgerBalance(targetUserId);
+    const entries = await this.db.getLedgerEntries(targetUserId, 20);
+
+    let ledgerText = `📒 <b>Wallet Ledger</b>\n\n`;
+    ledgerText += `👤 <b>User:</b> ${user.first_name || 'Unknown'} (ID: <code>${targetUserId}</code>)\n`;
+    ledgerText += `💳 <b>Cached Balance:</b> ₹${this.payment.formatCurrency(user.balance)}\n`;
+    ledgerText += `📒 <b>Ledger Balance:</b> ₹${this.payment.formatCurrency(ledgerBalance)}\n`;
+
+    const inSync = Math.abs(user.balance - ledgerBalance) < 0.01;
+    ledgerText += inSync ? `✅ Balance matches ledger\n\n` : `⚠️ <b>Balance does not match ledger!</b>\n\n`;
+
+    if (entries.length === 0) {
+      ledgerText += 'No ledger entries found.';
+    } else {
+      ledgerText += `<b>Latest ${entries.length} entries:</b>\n\n`;
+      entries.forEach(entry => {
+        const sign = entry.amount >= 0 ? '+' : '-';
+        ledgerText += `${entry.amount >= 0 ? '🟢' : '🔴'} ${sign}₹${this.payment.formatCurrency(Math.abs(entry.amount))} → ₹${this.payment.formatCurrency(entry.balance_after)}\n`;
+        ledgerText += `   📝 ${entry.reason}${entry.reference ? ` | ${entry.reference}` : ''}${entry.note ? ` | ${entry.note}` : ''}\n`;
+        ledgerText += `   🕒 ${new Date(entry.created_at).toLocaleString()}\n\n`;
+      });
+    }
+
+    const keyboard = { inline_keyboard: [] };
+    if (!inSync) {
+      keyboard.inline_keyboard.push([{ text: '♻️ Rebuild Balance from Ledger', callback_data: `admin_ledger_rebuild_${targetUserId}` }]);
+    }
+    keyboard.inline_keyboard.push([{ text: '🔁 Back', callback_data: 'admin_balance' }]);
 
-    } catch (error) {
-      console.error('Admin callback error:', error);
-      await this.bot.sendMessage(chatId, '❌ Admin operation failed: ' + error.message);
+    await this.bot.sendMessage(chatId, ledgerText, {
+      parse_mode: 'HTML',
+      reply_markup: keyboard
+    });
+  }
+
+  async handleAdminLedgerUserInput(chatId, adminId, targetUserId) {
+    const parsedUserId = parseInt(targetUserId);
+    if (isNaN(parsedUserId)) {
+      await this.bot.sendMessage(chatId, '❌ Please enter a valid User ID.');
+      return;
+    }
+
+    this.clearUserState(adminId);
+    await this.showWalletLedger(chatId, parsedUserId);
+  }
+
+  async showAuditLog(chatId, adminId, page = 0, messageId = null) {
+    const filters = this.auditFilters.get(adminId) || {};
+    const entries = await this.db.getAdminLogs(filters, AUDIT_PAGE_SIZE + 1, page * AUDIT_PAGE_SIZE);
+    const hasMore = entries.length > AUDIT_PAGE_SIZE;
+
+    let auditText = `📜 <b>Admin Audit Log</b>\n\n`;
+    auditText += `🔎 <b>Filters:</b> ${this.describeAuditFilters(filters)}\n\n`;
+
+    if (entries.length === 0) {
+      auditText += 'No audit entries found.';
+    } else {
+      entries.slice(0, AUDIT_PAGE_SIZE).forEach(entry => {
+        auditText += `🕒 ${new Date(entry.timestamp).toLocaleString()} | <b>${entry.action}</b>\n`;
+        auditText += `   👮 Admin: <code>${entry.admin_id}</code>${entry.target_user_id ? ` | 👤 User: <code>${entry.target_user_id}</code>` : ''}\n`;
+        if (entry.before_value !== null) auditText += `   ⬅️ ${this.escapeHTML(JSON.stringify(entry.before_value))}\n`;
+        if (entry.after_value !== null) auditText += `   ➡️ ${this.escapeHTML(JSON.stringify(entry.after_value))}\n`;
+        if (entry.details) auditText += `   📝 ${this.escapeHTML(entry.details)}\n`;
+        auditText += '\n';
+      });
+    }
+
+    const navigation = [];
+    if (page > 0) navigation.push({ text: '⬅️ Newer', callback_data: `admin_audit_page_${page - 1}` });
+    if (hasMore) navigation.push({ text: 'Older ➡️', callback_data: `admin_audit_page_${page + 1}` });
+
+    const keyboard = { inline_keyboard: [] };
+    if (navigation.length > 0) keyboard.inline_keyboard.push(navigation);
+    keyboard.inline_keyboard.push([
+      { text: '🔎 Filter', callback_data: 'admin_audit_filter' },
+      { text: '📤 Export CSV', callback_data: 'admin_audit_export' }
+    ]);
+    if (Object.keys(filters).length > 0) {
+      keyboard.inline_keyboard.push([{ text: '♻️ Clear Filters', callback_data: 'admin_audit_clear' }]);
+    }
+
+    if (messageId) {
+      await this.bot.editMessageText(auditText, {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'HTML',
+        reply_markup: keyboard
+      });
+    } else {
+      await this.bot.sendMessage(chatId, auditText, {
+        parse_mode: 'HTML',
+        reply_markup: keyboard
+      });
     }
   }
 
-  async handleBalanceDeduction(chatId) {
-    this.setUserState(config.ADMIN_ID, 'admin_awaiting_deduct_user');
+  escapeHTML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  describeAuditFilters(filters) {
+    const parts = [];
+    if (filters.adminId) parts.push(`admin ${filters.adminId}`);
+    if (filters.targetUserId) parts.push(`user ${filters.targetUserId}`);
+    if (filters.from) parts.push(`from ${filters.from.toISOString().substring(0, 10)}`);
+    if (filters.to) parts.push(`to ${new Date(filters.to - 86400000).toISOString().substring(0, 10)}`);
+    return parts.length > 0 ? parts.join(', ') : 'none';
+  }
+
+  async handleAuditFilter(chatId, adminId) {
+    this.setUserState(adminId, 'admin_awaiting_audit_filter');
 
     await this.bot.sendMessage(chatId, `
-➖ <b>Deduct Balance</b>
+🔎 <b>Filter Audit Log</b>
 
-Please enter the User ID to deduct balance from:
+Send any combination of:
+<code>admin:123456</code>
+<code>user:987654</code>
+<code>from:2026-10-01</code>
+<code>to:2026-10-19</code>
+
+Example: <code>user:987654 from:2026-10-01</code>
     `.trim(), {
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: [
-          [{ text: 'Cancel', callback_data: 'admin_balance' }]
+          [{ text: 'Cancel', callback_data: 'admin_audit_page_0' }]
         ]
       }
     });
   }
 
-  async handleMonthlyDepositReset(chatId) {
-    this.setUserState(config.ADMIN_ID, 'admin_awaiting_reset_user');
+  async handleAdminAuditFilterInput(chatId, userId, text) {
+    const filters = {};
+
+    for (const token of text.trim().split(/\s+/)) {
+      const [key, value = ''] = token.split(':');
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+
+      if (key === 'admin' && /^\d+$/.test(value)) {
+        filters.adminId = parseInt(value);
+      } else if (key === 'user' && /^\d+$/.test(value)) {
+        filters.targetUserId = parseInt(value);
+      } else if (key === 'from' && date && !isNaN(date)) {
+        filters.from = date;
+      } else if (key === 'to' && date && !isNaN(date)) {
+        // Dates are whole days, so "to" includes the day it names.
+        filters.to = new Date(date.getTime() + 86400000);
+      } else {
+        await this.bot.sendMessage(chatId, `❌ Could not read filter "${token}". Use admin:, user:, from: or to: (YYYY-MM-DD).`);
+        return;
+      }
+    }
 
-    await this.bot.sendMessage(chatId, `
-🔄 <b>Reset Monthly Deposit</b>
+    this.clearUserState(userId);
+    this.auditFilters.set(userId, filters);
+    await this.showAuditLog(chatId, userId, 0);
+  }
 
-Please enter the User ID to reset this month's deposit to 0:
-    `.trim(), {
-      parse_mode: 'HTML',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: 'Cancel', callback_data: 'admin_monthly' }]
-        ]
-      }
+  async exportAuditLog(chatId, adminId) {
+    const filters = this.auditFilters.get(adminId) || {};
+    const entries = await this.db.getAdminLogs(filters, AUDIT_EXPORT_LIMIT, 0);
+
+    if (entries.length === 0) {
+      await this.bot.sendMessage(chatId, '📜 No audit entries match the current filters.');
+      return;
+    }
+
+    const csv = toCSV([
+      { key: 'id', header: 'ID' },
+      { key: 'timestamp', header: 'Timestamp' },
+      { key: 'admin_id', header: 'Admin ID' },
+      { key: 'action', header: 'Action' },
+      { key: 'target_user_id', header: 'Target User ID' },
+      { key: 'before_value', header: 'Before' },
+      { key: 'after_value', header: 'After' },
+      { key: 'details', header: 'Details' }
+    ], entries);
+
+    const limited = entries.length === AUDIT_EXPORT_LIMIT ? ` (latest ${AUDIT_EXPORT_LIMIT})` : '';
+    await this.bot.sendDocument(chatId, Buffer.from(csv, 'utf8'), {
+      caption: `📜 Audit log: ${entries.length} entries${limited}\n🔎 Filters: ${this.describeAuditFilters(filters)}`
+    }, {
+      filename: 'audit_log.csv',
+      contentType: 'text/csv'
+    });
+  }
+
+  async showSettingsPanel(chatId, messageId = null) {
+    let settingsText = `⚙️ <b>Admin Settings</b>\n\nChanges apply immediately and survive restarts.\n\n`;
+
+    this.settings.keys().forEach(key => {
+      const marker = this.settings.isDefault(key) ? '' : ' ✏️';
+      settingsText += `• <b>${this.settings.definition(key).label}:</b> ${this.escapeHTML(this.settings.format(key))}${marker}\n`;
     });
+    settingsText += `\n✏️ = changed from the default`;
+
+    const keyboard = {
+      inline_keyboard: [
+        ...this.settings.keys().map(key => {
+          const { label, type } = this.settings.definition(key);
+          return type === 'boolean'
+            ? [{ text: `${this.settings.get(key) ? '✅' : '❌'} ${label}`, callback_data: `admin_setting_toggle_${key}` }]
+            : [{ text: `✏️ ${label}`, callback_data: `admin_setting_edit_${key}` }];
+        }),
+        [{ text: 'Back to Admin', callback_data: 'admin_back' }]
+      ]
+    };
+
+    const options = { parse_mode: 'HTML', reply_markup: keyboard };
+
+    if (messageId) {
+      await this.bot.editMessageText(settingsText, {
+        chat_id: chatId,
+        message_id: messageId,
+        ...options
+      }).catch(() => this.bot.sendMessage(chatId, settingsText, options));
+    } else {
+      await this.bot.sendMessage(chatId, settingsText, options);
+    }
   }
 
-  async handleMonthlyDepositSet(chatId) {
-    this.setUserState(config.ADMIN_ID, 'admin_awaiting_set_user');
+  async handleSettingEdit(chatId, adminId, key) {
+    const { label, type, min, max, hint } = this.settings.definition(key);
+    this.setUserState(adminId, 'admin_awaiting_setting_value', { key });
+
+    const format = hint || (type === 'integer' ? `A whole number from ${min} to ${max}` : `A number from ${min} to ${max}`);
 
     await this.bot.sendMessage(chatId, `
-📊 <b>Set Monthly Deposit</b>
+✏️ <b>${label}</b>
 
-Please enter the User ID to set a new monthly deposit value:
+Current: <b>${this.escapeHTML(this.settings.format(key))}</b>
+Default: ${this.escapeHTML(this.settings.format(key, this.settings.defaults[key]))}
+
+Send the new value.
+Format: ${format}
     `.trim(), {
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: [
-          [{ text: 'Cancel', callback_data: 'admin_monthly' }]
+          [{ text: '♻️ Reset to Default', callback_data: `admin_setting_reset_${key}` }],
+          [{ text: 'Cancel', callback_data: 'admin_settings' }]
         ]
       }
     });
   }
 
-  async handleGiftCodeCreation(chatId) {
-    this.setUserState(config.ADMIN_ID, 'admin_awaiting_gift_amount');
+  async handleAdminSettingInput(chatId, userId, text) {
+    const { key } = this.getUserState(userId).data;
 
-    await this.bot.sendMessage(chatId, `
-🎟️ <b>Create Gift Code</b>
+    let value;
+    try {
+      value = this.settings.parse(key, text);
+    } catch (error) {
+      await this.bot.sendMessage(chatId, `❌ ${error.message}. Please try again.`);
+      return;
+    }
 
-Please enter the gift code amount:
-    `.trim(), {
-      parse_mode: 'HTML',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: 'Cancel', callback_data: 'admin_gift' }]
-        ]
+    await this.settings.set(key, value, userId);
+    this.clearUserState(userId);
+    logger.info('Setting changed', { key });
+
+    await this.bot.sendMessage(chatId, `✅ <b>${this.settings.definition(key).label}</b> set to ${this.escapeHTML(this.settings.format(key))}`, { parse_mode: 'HTML' });
+    await this.showSettingsPanel(chatId);
+  }
+
+  async handleCatalogCallback(chatId, userId, action, messageId) {
+    await this.catalog.ensureLoaded();
+    const [command, ...rest] = action.split('_');
+    const arg = rest.join('_');
+
+    switch (command) {
+      case 'page':
+        return this.showCatalogAdmin(chatId, parseInt(arg) || 0, messageId);
+      case 'add':
+        this.setUserState(userId, 'admin_awaiting_catalog_service');
+        return this.bot.sendMessage(chatId, `
+➕ <b>Add Service</b>
+
+Send the service code and name, for example:
+<code>ZOMATO | Zomato</code>
+
+The code becomes the command (<code>/find_ZOMATO</code>). Add servers after creating it.
+        `.trim(), {
+          parse_mode: 'HTML',
+          reply_markup: { inline_keyboard: [[{ text: 'Cancel', callback_data: 'admin_catalog_page_0' }]] }
+        });
+      case 'svc':
+        return this.showCatalogService(chatId, arg);
+      case 'toggle': {
+        const service = this.catalog.getService(arg, { includeDisabled: true });
+        if (service) await this.catalog.updateService(arg, { enabled: !service.enabled }, userId);
+        return this.showCatalogService(chatId, arg);
       }
-    });
+      case 'rename':
+        this.setUserState(userId, 'admin_awaiting_catalog_name', { code: arg });
+        return this.bot.sendMessage(chatId, `✏️ Send the new display name for <b>${arg}</b>:`, {
+          parse_mode: 'HTML',
+          reply_markup: { inline_keyboard: [[{ text: 'Cancel', callback_data: `admin_catalog_svc_${arg}` }]] }
+        });
+      case 'addsrv':
+        return this.promptCatalogServer(chatId, userId, { code: arg });
+      case 'srv':
+        return this.showCatalogServer(chatId, parseInt(arg));
+      case 'edit':
+        return this.promptCatalogServer(chatId, userId, { serverId: parseInt(arg) });
+      case 'price':
+        this.setUserState(userId, 'admin_awaiting_catalog_price', { serverId: parseInt(arg) });
+        return this.bot.sendMessage(chatId, '💰 Send the new price in ₹:', {
+          reply_markup: { inline_keyboard: [[{ text: 'Cancel', callback_data: `admin_catalog_srv_${arg}` }]] }
+        });
+      case 'srvtoggle': {
+        const found = this.catalog.findServer(parseInt(arg));
+        if (found) await this.catalog.updateServer(found.server.id, { enabled: !found.server.enabled }, userId);
+        return this.showCatalogServer(chatId, parseInt(arg));
+      }
+    }
   }
 
-  async showGiftCodeList(chatId) {
-    const giftCodes = await this.db.getAllGiftCodes();
+  async showCatalogAdmin(chatId, page = 0, messageId = null) {
+    await this.catalog.ensureLoaded();
+    const services = this.catalog.listServices({ includeDisabled: true });
+    const totalPages = Math.max(1, Math.ceil(services.length / CATALOG_PAGE_SIZE));
+    page = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageServices = services.slice(page * CATALOG_PAGE_SIZE, (page + 1) * CATALOG_PAGE_SIZE);
+
+    let catalogText = `🛍️ <b>Service Catalog</b> (Page ${page + 1}/${totalPages})\n\n`;
+    catalogText += `${services.filter(service => service.enabled).length} of ${services.length} services enabled. Pick one to edit it and its servers.`;
+
+    const keyboard = { inline_keyboard: [] };
+    for (let i = 0; i < pageServices.length; i += 2) {
+      keyboard.inline_keyboard.push(pageServices.slice(i, i + 2).map(service => ({
+        text: `${service.enabled ? '🟢' : '🔴'} ${service.name}`,
+        callback_data: `admin_catalog_svc_${service.code}`
+      })));
+    }
 
-    let giftText = `
-🎟️ <b>Gift Code List</b>
+    const navigation = [];
+    if (page > 0) navigation.push({ text: '⬅️ Previous', callback_data: `admin_catalog_page_${page - 1}` });
+    if (page < totalPages - 1) navigation.push({ text: 'Next ➡️', callback_data: `admin_catalog_page_${page + 1}` });
+    if (navigation.length > 0) keyboard.inline_keyboard.push(navigation);
 
-`;
+    keyboard.inline_keyboard.push([{ text: '➕ Add Service', callback_data: 'admin_catalog_add' }]);
+    keyboard.inline_keyboard.push([{ text: 'Back to Admin', callback_data: 'admin_back' }]);
 
-    if (giftCodes.length === 0) {
-      giftText += 'No gift codes found.';
+    const options = { parse_mode: 'HTML', reply_markup: keyboard };
+    if (messageId) {
+      await this.bot.editMessageText(catalogText, {
+        chat_id: chatId,
+        message_id: messageId,
+        ...options
+      }).catch(() => this.bot.sendMessage(chatId, catalogText, options));
     } else {
-      giftCodes.forEach((code, index) => {
-        const usedBy = code.used_by ? `Used by: ${code.used_by}` : 'Not used';
-        giftText += `\n${index + 1}. <code>${code.code}</code> - ₹${code.amount}\n`;
-        giftText += `   Status: ${usedBy} | Created: ${new Date(code.created_at).toLocaleDateString()}\n`;
-      });
+      await this.bot.sendMessage(chatId, catalogText, options);
+    }
+  }
+
+  async showCatalogService(chatId, code) {
+    const service = this.catalog.getService(code, { includeDisabled: true });
+    if (!service) {
+      await this.bot.sendMessage(chatId, '❌ Service not found.');
+      return;
+    }
+
+    let serviceText = `🛍️ <b>${this.escapeHTML(service.name)}</b> (<code>${this.escapeHTML(service.code)}</code>)\n\n`;
+    serviceText += `⌨️ <b>Command:</b> ${this.escapeHTML(service.command)}\n`;
+    serviceText += `📶 <b>Status:</b> ${service.enabled ? '🟢 Enabled' : '🔴 Disabled'}\n\n`;
+    serviceText += `<b>Servers:</b>\n`;
+
+    if (service.servers.length === 0) {
+      serviceText += 'No servers yet. Users cannot buy this service until one is added.';
     }
+    service.servers.forEach(server => {
+      serviceText += `${server.enabled ? '🟢' : '🔴'} ${this.escapeHTML(server.name)} - ₹${server.price} | ${this.escapeHTML(server.service)} / ${this.escapeHTML(server.country)}\n`;
+    });
 
     const keyboard = {
       inline_keyboard: [
-        [{ text: 'Back', callback_data: 'admin_gift' }]
+        ...service.servers.map(server => [{ text: `⚙️ ${server.name} (₹${server.price})`, callback_data: `admin_catalog_srv_${server.id}` }]),
+        [{ text: '➕ Add Server', callback_data: `admin_catalog_addsrv_${service.code}` }],
+        [
+          { text: '✏️ Rename', callback_data: `admin_catalog_rename_${service.code}` },
+          { text: service.enabled ? '🔴 Disable' : '🟢 Enable', callback_data: `admin_catalog_toggle_${service.code}` }
+        ],
+        [{ text: '🔙 Back', callback_data: 'admin_catalog_page_0' }]
       ]
     };
 
-    await this.bot.sendMessage(chatId, giftText, {
+    await this.bot.sendMessage(chatId, serviceText, {
       parse_mode: 'HTML',
       reply_markup: keyboard
     });
   }
 
-  async handleUserSearch(chatId) {
-    this.setUserState(config.ADMIN_ID, 'admin_awaiting_search_user');
+  async showCatalogServer(chatId, serverId) {
+    const found = this.catalog.findServer(serverId);
+    if (!found) {
+      await this.bot.sendMessage(chatId, '❌ Server not found.');
+      return;
+    }
+
+    const { service, server } = found;
+    const serverText = `
+⚙️ <b>${this.escapeHTML(service.name)} / ${this.escapeHTML(server.name)}</b>
 
-    await this.bot.sendMessage(chatId, `
-🔍 <b>Search User</b>
+💰 <b>Price:</b> ₹${server.price}
+🔌 <b>Provider service:</b> <code>${this.escapeHTML(server.service)}</code>
+🌍 <b>Country:</b> <code>${this.escapeHTML(server.country)}</code>
+📈 <b>Success:</b> ${this.escapeHTML(server.success || '-')}
+⏱️ <b>Delivery time:</b> ${this.escapeHTML(server.time || '-')}
+📶 <b>Status:</b> ${server.enabled ? '🟢 Enabled' : '🔴 Disabled'}
+    `.trim();
 
-Please enter User ID, name, or username to search:
-    `.trim(), {
+    await this.bot.sendMessage(chatId, serverText, {
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: [
-          [{ text: 'Cancel', callback_data: 'admin_users' }]
+          [
+            { text: '💰 Reprice', callback_data: `admin_catalog_price_${server.id}` },
+            { text: '✏️ Edit', callback_data: `admin_catalog_edit_${server.id}` }
+          ],
+          [{ text: server.enabled ? '🔴 Disable' : '🟢 Enable', callback_data: `admin_catalog_srvtoggle_${server.id}` }],
+          [{ text: '🔙 Back', callback_data: `admin_catalog_svc_${service.code}` }]
         ]
       }
     });
   }
 
-  async showAllUsers(chatId) {
-    const users = await this.db.getAllUsers(50);
+  async promptCatalogServer(chatId, userId, { code = null, serverId = null }) {
+    const found = serverId ? this.catalog.findServer(serverId) : null;
+    const current = found
+      ? `\n\nCurrent:\n<code>${[found.server.name, found.server.price, found.server.service, found.server.country, found.server.success || '', found.server.time || ''].join(' | ')}</code>`
+      : '';
 
-    let usersText = `
-👥 <b>All Users</b> (Latest 50)
+    this.setUserState(userId, 'admin_awaiting_catalog_server', { code, serverId });
 
-`;
+    await this.bot.sendMessage(chatId, `
+${found ? '✏️ <b>Edit Server</b>' : '➕ <b>Add Server</b>'}
 
-    users.forEach((user, index) => {
-      usersText += `\n${index + 1}. <b>${user.first_name || 'Unknown'}</b>\n`;
-      usersText += `   🆔: <code>${user.user_id}</code> | 💰: ₹${user.balance} | 📦: ${user.total_orders}\n`;
-      usersText += `   📅 Joined: ${new Date(user.joined_date).toLocaleDateString()}\n`;
+Send the server as:
+<code>Name | price | provider service | country | success | delivery time</code>
+
+Example: <code>Server 2 | 18 | wa | 58 | 97% | 10-20 sec</code>${current}
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[{ text: 'Cancel', callback_data: found ? `admin_catalog_srv_${serverId}` : `admin_catalog_svc_${code}` }]]
+      }
+    });
+  }
+
+  async handleAdminCatalogInput(chatId, userId, text, state) {
+    try {
+      await this.catalog.ensureLoaded();
+
+      if (state.state === 'admin_awaiting_catalog_service') {
+        const [code, ...name] = text.split('|').map(part => part.trim());
+        const service = await this.catalog.addService({ code, name: name.join(' ') }, userId);
+        this.clearUserState(userId);
+        await this.bot.sendMessage(chatId, `✅ Service <b>${service.name}</b> added as ${service.command}.`, { parse_mode: 'HTML' });
+        await this.showCatalogService(chatId, service.code);
+      }
+      else if (state.state === 'admin_awaiting_catalog_name') {
+        if (!text.trim()) throw new Error('Name cannot be empty');
+        await this.catalog.updateService(state.data.code, { name: text.trim() }, userId);
+        this.clearUserState(userId);
+        await this.showCatalogService(chatId, state.data.code);
+      }
+      else if (state.state === 'admin_awaiting_catalog_server') {
+        const server = this.catalog.parseServerInput(text);
+        if (state.data.serverId) {
+          await this.catalog.updateServer(state.data.serverId, server, userId);
+          this.clearUserState(userId);
+          await this.showCatalogServer(chatId, state.data.serverId);
+        } else {
+          await this.catalog.addServer(state.data.code, server, userId);
+          this.clearUserState(userId);
+          await this.showCatalogService(chatId, state.data.code);
+        }
+      }
+      else if (state.state === 'admin_awaiting_catalog_price') {
+        const price = parseFloat(text);
+        if (isNaN(price) || price <= 0) throw new Error('Price must be a number above 0');
+        await this.catalog.updateServer(state.data.serverId, { price }, userId);
+        this.clearUserState(userId);
+        await this.showCatalogServer(chatId, state.data.serverId);
+      }
+    } catch (error) {
+      await this.bot.sendMessage(chatId, `❌ ${error.message}. Please try again.`);
+    }
+  }
+
+  async showAdminTeam(chatId) {
+    const admins = await this.db.getAdmins();
+
+    let teamText = `👮 <b>Admins</b>\n\n`;
+    teamText += `👑 <code>${config.ADMIN_ID}</code> - owner (config)\n`;
+    admins.forEach(admin => {
+      teamText += `👤 <code>${admin.user_id}</code> - ${admin.role}\n`;
+    });
+
+    teamText += `\n<b>Roles:</b>\n`;
+    Object.values(ADMIN_ROLES).forEach(role => {
+      teamText += `• <b>${role}</b>: ${ROLE_DESCRIPTIONS[role]}\n`;
     });
 
     const keyboard = {
       inline_keyboard: [
-        [{ text: '🔁 Back', callback_data: 'admin_users' }]
+        ...admins.map(admin => [{ text: `🗑️ Remove ${admin.user_id} (${admin.role})`, callback_data: `admin_team_remove_${admin.user_id}` }]),
+        [{ text: '➕ Add Admin', callback_data: 'admin_team_add' }],
+        [{ text: 'Back to Admin', callback_data: 'admin_back' }]
       ]
     };
 
-    await this.bot.sendMessage(chatId, usersText, {
+    await this.bot.sendMessage(chatId, teamText, {
       parse_mode: 'HTML',
       reply_markup: keyboard
     });
   }
 
-  async showBalanceReports(chatId) {
-    const totalUsers = await this.db.getTotalUsers();
-    const totalRevenue = await this.db.getTotalRevenue();
+  async handleAdminTeamAdd(chatId, adminId) {
+    this.setUserState(adminId, 'admin_awaiting_new_admin');
 
-    const reportText = `
-🏦 <b>Balance Reports</b>
+    await this.bot.sendMessage(chatId, `
+➕ <b>Add Admin</b>
 
-👥 Total Users: ${totalUsers}
-💵 Total Revenue: ₹${this.payment.formatCurrency(totalRevenue)}
+Send the User ID and role, for example:
+<code>123456789 finance</code>
 
-♻️ More detailed reports coming soon...
-    `;
+Roles: ${Object.values(ADMIN_ROLES).join(', ')}
+Sending an existing admin's ID changes their role.
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Cancel', callback_data: 'admin_team' }]
+        ]
+      }
+    });
+  }
 
-    const keyboard = {
-      inline_keyboard: [
-        [{ text: '🔁 Back', callback_data: 'admin_balance' }]
-      ]
-    };
+  async handleAdminTeamAddInput(chatId, userId, text) {
+    const [rawId, rawRole = ''] = text.trim().split(/\s+/);
+    const newAdminId = parseInt(rawId);
+    const role = rawRole.toLowerCase();
 
-    await this.bot.sendMessage(chatId, reportText, {
-      parse_mode: 'HTML',
-      reply_markup: keyboard
+    if (isNaN(newAdminId) || !isValidRole(role)) {
+      await this.bot.sendMessage(chatId, `❌ Please send a User ID and one of: ${Object.values(ADMIN_ROLES).join(', ')}`);
+      return;
+    }
+
+    if (newAdminId === config.ADMIN_ID) {
+      await this.bot.sendMessage(chatId, '❌ The configured owner always has full access.');
+      return;
+    }
+
+    await this.db.withTransaction(async (tx) => {
+      const previous = await tx.getAdmin(newAdminId);
+      await tx.addAdmin(newAdminId, role, userId);
+
+      await tx.logAdminAction({
+        adminId: userId,
+        action: ADMIN_ACTIONS.ADMIN_ADD,
+        targetUserId: newAdminId,
+        before: previous ? { role: previous.role } : null,
+        after: { role }
+      });
+    });
+
+    this.clearUserState(userId);
+    logger.info('Admin role set', { admin_id: newAdminId, role });
+
+    try {
+      await this.bot.sendMessage(newAdminId, `👮 You are now a <b>${role}</b> admin. Send /admin to open the admin panel.`, { parse_mode: 'HTML' });
+    } catch (error) {
+      logger.warn('Could not notify new admin', { admin_id: newAdminId, error });
+    }
+
+    await this.bot.sendMessage(chatId, `✅ <code>${newAdminId}</code> is now a <b>${role}</b> admin.`, { parse_mode: 'HTML' });
+    await this.showAdminTeam(chatId);
+  }
+
+  async removeAdminMember(chatId, userId, adminId) {
+    const removed = await this.db.withTransaction(async (tx) => {
+      const admin = await tx.removeAdmin(adminId);
+      if (!admin) return null;
+
+      await tx.logAdminAction({
+        adminId: userId,
+        action: ADMIN_ACTIONS.ADMIN_REMOVE,
+        targetUserId: adminId,
+        before: { role: admin.role }
+      });
+      return admin;
     });
+
+    if (removed) {
+      this.clearUserState(adminId);
+      logger.info('Admin removed', { admin_id: adminId });
+    }
+
+    await this.bot.sendMessage(chatId, removed
+      ? `🗑️ Admin <code>${adminId}</code> removed.`
+      : '❌ Admin not found.', { parse_mode: 'HTML' });
+    await this.showAdminTeam(chatId);
   }
 
   async handleJoinCheck(query) {
@@ -1467,7 +2953,7 @@ Please enter User ID, name, or username to search:
       try {
         await this.bot.deleteMessage(chatId, query.message.message_id);
       } catch (error) {
-        console.log('Could not delete message:', error.message);
+        logger.debug('Could not delete message', { error });
       }
 
       await this.bot.sendMessage(chatId, '✅ Channel verification successful! Please accept terms to continue.');
@@ -1510,28 +2996,25 @@ There are important Terms and Conditions provided below. Please read them carefu
     const userId = query.from.id;
 
     try {
-        console.log('📊 Setting terms accepted for user:', userId);
         await this.db.setTermsAccepted(userId);
-        console.log('✅ Terms set successfully in database');
+        logger.info('Terms accepted');
 
         try {
             await this.bot.editMessageText('✅ Terms accepted! Welcome to Fire OTP Bot.', {
                 chat_id: chatId,
                 message_id: query.message.message_id
             });
-            console.log('✅ Message edited successfully');
         } catch (editError) {
-            console.log('⚠️ Edit failed, sending new message');
+            logger.debug('Terms message edit failed, sending a new one', { error: editError });
             await this.bot.sendMessage(chatId, '✅ Terms accepted! Welcome to Fire OTP Bot.');
         }
 
         this.clearUserState(userId);
 
-        console.log('🎯 Showing main menu for user:', userId);
         await this.showMainMenu(chatId, userId);
 
     } catch (error) {
-        console.error('❌ Terms accept error:', error);
+        logger.error('Terms accept error', { error });
         await this.bot.sendMessage(chatId, '❌ Error accepting terms. Please try /start again.');
     }
   }
@@ -1544,6 +3027,18 @@ There are important Terms and Conditions provided below. Please read them carefu
     });
   }
 
+    async handleCatalogCommand(msg, command) {
+    await this.catalog.ensureLoaded();
+    const service = this.catalog.findByCommand(command);
+
+    if (!service) {
+      await this.bot.sendMessage(msg.chat.id, '❌ This service is not available right now.');
+      return;
+    }
+
+    await this.handleServiceCommand(msg, service.code);
+  }
+
     async handleServiceCommand(msg, serviceId) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
@@ -1567,8 +3062,21 @@ There are important Terms and Conditions provided below. Please read them carefu
   }
 
   async showServiceDetails(chatId, userId, serviceId) {
-    const service = config.SERVICES[serviceId];
-    const servers = config.SERVICE_SERVERS[serviceId] || config.SERVICE_SERVERS.DEFAULT;
+    await this.catalog.ensureLoaded();
+    const service = this.catalog.getService(serviceId);
+    const servers = this.catalog.getServers(serviceId);
+
+    if (!service || servers.length === 0) {
+      await this.bot.sendMessage(chatId, '❌ This service is not available right now.', {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🔙 Back to All Services', callback_data: 'all_services_0' }]
+          ]
+        }
+      });
+      return;
+    }
+
     const user = await this.db.getUser(userId);
     const monthlyDeposit = await this.db.getMonthlyDeposit(userId);
     const discountInfo = this.payment.getDiscountInfo(monthlyDeposit);
@@ -1593,8 +3101,29 @@ There are important Terms and Conditions provided below. Please read them carefu
       serviceMessage += `\n🎯 <b>Next Tier:</b> Deposit ₹${discountInfo.nextTier.depositNeeded} more for ${discountInfo.nextTier.discount}% discount`;
     }
 
+    const giftDiscount = (await this.db.getPendingBonuses(userId))
+      .find(bonus => bonus.bonus_type === GIFT_TYPES.SERVICE_DISCOUNT && bonus.service_code === serviceId);
+    if (giftDiscount) {
+      serviceMessage += `\n🎁 <b>Gift:</b> ${giftDiscount.percent}% off your next purchase here`;
+    }
+
     serviceMessage += `\n\n⚡ <b>Available Servers:</b>`;
 
+    // Measured figures replace the catalog's success/time strings once a
+    // server has enough recent orders; until then the estimate is labelled.
+    const measured = await Promise.all(servers.map(server =>
+      this.deliveryStats.forServer(server.id).catch(() => null)
+    ));
+
+    servers.forEach((server, index) => {
+      const stat = measured[index];
+      if (stat) {
+        serviceMessage += `\n• ${server.name}: ${stat.rate}% delivered, median ${this.deliveryStats.formatDuration(stat.medianSeconds)} (${stat.window.label}, ${stat.finished} orders)`;
+      } else {
+        serviceMessage += `\n• ${server.name}: no recent orders (est. ${server.success || '-'}, ${server.time || '-'})`;
+      }
+    });
+
     const keyboard = {
       inline_keyboard: []
     };
@@ -1608,13 +3137,13 @@ There are important Terms and Conditions provided below. Please read them carefu
       if (discountCalc.discount > 0) {
         buttonText += ` (${discountCalc.discountPercent}% OFF)`;
       } else {
-        buttonText += ` (${server.success})`;
+        buttonText += ` (${measured[index] ? this.deliveryStats.formatShort(measured[index]) : server.success})`;
       }
 
       keyboard.inline_keyboard.push([
         {
           text: buttonText,
-          callback_data: `buy_${serviceId}_${index}`
+          callback_data: `buy_${serviceId}_${server.id}`
         }
       ]);
     });
@@ -1700,12 +3229,8 @@ Example: <code>shein</code>, <code>amazon</code>, <code>facebook</code>
   async showSearchResults(chatId, userId, searchTerm) {
     const user = await this.db.getUser(userId);
 
-    const searchResults = Object.entries(config.SERVICES)
-      .filter(([serviceId, service]) =>
-        service.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        serviceId.toLowerCase().includes(searchTerm.toLowerCase())
-      )
-      .slice(0, 30);
+    await this.catalog.ensureLoaded();
+    const searchResults = this.catalog.search(searchTerm).slice(0, 30);
 
     if (searchResults.length === 0) {
       await this.bot.sendMessage(chatId, `
@@ -1728,7 +3253,7 @@ Please try a different search term.
     let searchText = `🔍 <b>Search Results for "${searchTerm}"</b>\n\n`;
     searchText += `<b>Please select service below 👇</b>\n\n`;
 
-    searchResults.forEach(([serviceId, service], index) => {
+    searchResults.forEach((service, index) => {
       searchText += `${index + 1}. ${service.name} ➤ ${service.command}\n`;
     });
 
@@ -1753,8 +3278,9 @@ Please try a different search term.
 
     const user = await this.db.getUser(userId);
     const servicesPerPage = 30;
-    const allServices = Object.entries(config.SERVICES);
-    const totalPages = Math.ceil(allServices.length / servicesPerPage);
+    await this.catalog.ensureLoaded();
+    const allServices = this.catalog.listServices();
+    const totalPages = Math.max(1, Math.ceil(allServices.length / servicesPerPage));
 
     const startIndex = page * servicesPerPage;
     const endIndex = startIndex + servicesPerPage;
@@ -1762,7 +3288,7 @@ Please try a different search term.
 
     let servicesText = `📋 <b>All Available Services</b> (Page ${page + 1}/${totalPages})\n\n`;
 
-    pageServices.forEach(([serviceId, service], index) => {
+    pageServices.forEach((service, index) => {
       const globalIndex = startIndex + index + 1;
       servicesText += `${globalIndex}. ${service.name} ➤ ${service.command}\n`;
     });
@@ -1815,64 +3341,100 @@ Please try a different search term.
 
   await this.bot.answerCallbackQuery(query.id);
 
-  let serviceId, serverIndex;
+  let serviceId, serverId;
   
   if (query.data.startsWith('buy_new_')) {
-    [, , serviceId, serverIndex] = query.data.split('_');
+    [, , serviceId, serverId] = query.data.split('_');
   } else {
-    [, serviceId, serverIndex] = query.data.split('_');
+    [, serviceId, serverId] = query.data.split('_');
   }
+  serverId = parseInt(serverId);
 
-  const service = config.SERVICES[serviceId];
-  const servers = config.SERVICE_SERVERS[serviceId] || config.SERVICE_SERVERS.DEFAULT;
-  const server = servers[parseInt(serverIndex)];
+  await this.catalog.ensureLoaded();
+  const service = this.catalog.getService(serviceId);
+  const servers = this.catalog.getServers(serviceId);
+  // "Buy again" buttons carry server 0, meaning the first available server.
+  const server = serverId === 0 ? servers[0] : this.catalog.getServer(serviceId, serverId);
 
   if (!service || !server) {
     await this.bot.sendMessage(chatId, 'Service is not active...');
     return;
   }
 
-  const user = await this.db.getUser(userId);
   const monthlyDeposit = await this.db.getMonthlyDeposit(userId);
 
   const discountCalc = this.payment.calculateDiscountedPrice(server.price, monthlyDeposit);
-  const finalPrice = discountCalc.finalPrice;
+  let finalPrice = discountCalc.finalPrice;
+  const uniqueOrderId = `ORD${Date.now()}${Math.random().toString(36).substr(2, 5)}`.toUpperCase();
+  logger.addContext({ order_id: uniqueOrderId });
+
+  // A redeemed service discount code comes off the tier-discounted price. It
+  // is handed back by refundOrder if the order does not go through.
+  const giftDiscount = await this.db.claimUserBonus(userId, GIFT_TYPES.SERVICE_DISCOUNT, `order:${uniqueOrderId}`, serviceId);
+  const giftSaving = giftDiscount ? Math.round(finalPrice * giftDiscount.percent) / 100 : 0;
+  finalPrice = Math.round((finalPrice - giftSaving) * 100) / 100;
+  const totalSaving = Math.round((discountCalc.discount + giftSaving) * 100) / 100;
+
+  const reservation = await this.db.reserveFunds(userId, finalPrice, { reference: `order:${uniqueOrderId}`, note: service.name });
+
+  if (!reservation.success) {
+    await this.db.releaseUserBonus(`order:${uniqueOrderId}`);
+
+    if (reservation.reason === FUNDS_ERRORS.USER_NOT_FOUND) {
+      await this.bot.sendMessage(chatId, '❌ Account not found. Please try /start again.');
+      return;
+    }
 
-  if (user.balance < finalPrice) {
     await this.bot.sendMessage(chatId,
-      `❌ <b>Insufficient Balance</b>\n\n💰 Required: ₹${finalPrice}\n💳 Your Balance: ₹${this.payment.formatCurrency(user.balance)}\n\nPlease deposit money to continue.`,
+      `❌ <b>Insufficient Balance</b>\n\n💰 Required: ₹${reservation.required}\n💳 Your Balance: ₹${this.payment.formatCurrency(reservation.balance)}\n\nPlease deposit money to continue.`,
       { parse_mode: 'HTML' }
     );
     return;
   }
 
-  const processingMsg = await this.bot.sendMessage(chatId,
-    `🔄 <b>Processing Order...</b>\n\n📱 Service: ${service.name}\n💰 Price: ₹${finalPrice}${discountCalc.discount > 0 ? ` (${discountCalc.discountPercent}% OFF)` : ''}`,
-    { 
-      parse_mode: 'HTML'
-    }
-  );
-
   try {
-    await this.db.updateBalance(userId, -finalPrice);
+    const processingMsg = await this.bot.sendMessage(chatId,
+      `🔄 <b>Processing Order...</b>\n\n📱 Service: ${service.name}\n💰 Price: ₹${finalPrice}${discountCalc.discount > 0 ? ` (${discountCalc.discountPercent}% OFF)` : ''}${giftDiscount ? ` (🎁 ${giftDiscount.percent}% gift)` : ''}`,
+      { 
+        parse_mode: 'HTML'
+      }
+    );
 
-    const result = await this.firex.buyNumber(server.service, server.country);
+    let result = await this.firex.buyNumber(server.service, server.country);
+
+    if (!result.success && result.retryable) {
+      logger.warn('Retrying purchase', { error_code: result.errorCode });
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      result = await this.firex.buyNumber(server.service, server.country);
+    }
 
     if (!result.success) {
-      await this.db.updateBalance(userId, finalPrice);
+      await this.refundOrder(userId, finalPrice, uniqueOrderId, 'Number purchase failed');
+
+      if (result.adminAlert) {
+        await this.notifier.providerAlert(result.errorCode, service.name, server.name);
+      }
+
+      // Stock and price limits are per server, so point the user at the others.
+      const otherServers = servers.filter(candidate => candidate.id !== server.id);
+      const suggestOthers = ['NO_NUMBERS', 'WRONG_MAX_PRICE'].includes(result.errorCode) && otherServers.length > 0;
+
       await this.bot.editMessageText(
         `${result.error}\n\n💰 Refunded: ₹${finalPrice}`,
         {
           chat_id: chatId,
           message_id: processingMsg.message_id,
-          parse_mode: 'HTML'
+          parse_mode: 'HTML',
+          reply_markup: suggestOthers ? {
+            inline_keyboard: otherServers.slice(0, 4).map(candidate => [
+              { text: `🔄 Try ${candidate.name} (₹${candidate.price})`, callback_data: `buy_${serviceId}_${candidate.id}` }
+            ])
+          } : undefined
         }
       );
       return;
     }
 
-    const uniqueOrderId = `ORD${Date.now()}${Math.random().toString(36).substr(2, 5)}`.toUpperCase();
-
     let formattedPhone = result.number;
     if (formattedPhone.startsWith('+91')) {
       formattedPhone = formattedPhone.substring(3);
@@ -1889,8 +3451,10 @@ Please try a different search term.
       activation_id: result.orderId,
       status: 'active',
       server_used: server.name,
+      service_code: serviceId,
+      server_id: server.id,
       original_price: server.price,
-      discount_applied: discountCalc.discount
+      discount_applied: totalSaving
     });
 
     await this.db.addActiveOrder({
@@ -1900,7 +3464,11 @@ Please try a different search term.
       phone: formattedPhone,
       product: service.name,
       expires_at: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
-      server_used: server.name
+      server_used: server.name,
+      chat_id: chatId,
+      price: finalPrice,
+      service_code: serviceId,
+      country: server.country
     });
 
     const successText = `
@@ -1908,7 +3476,7 @@ Please try a different search term.
 
 📱 <b>Number:</b> <code>${formattedPhone}</code>
 🛍️ <b>Service:</b> ${service.name}
-💰 <b>Price:</b> ₹${finalPrice}${discountCalc.discount > 0 ? ` (Saved: ₹${discountCalc.discount})` : ''}
+💰 <b>Price:</b> ₹${finalPrice}${totalSaving > 0 ? ` (Saved: ₹${totalSaving})` : ''}
 
 ⏰ <b>Time Limit:</b> 15 minutes
 📩 <b>Waiting for SMS...</b>`;
@@ -1920,7 +3488,7 @@ Please try a different search term.
       price: finalPrice,
       order_id: uniqueOrderId,
       original_price: server.price,
-      discount_applied: discountCalc.discount
+      discount_applied: totalSaving
     });
 
     const sentMessage = await this.bot.sendMessage(chatId, successText, {
@@ -1936,18 +3504,19 @@ Please try a different search term.
           [
             { 
               text: `🔄 Buy ${service.name} Again`, 
-              callback_data: `buy_new_${serviceId}_${serverIndex}` 
+              callback_data: `buy_new_${serviceId}_${server.id}` 
             }
           ],
         ]
       }
     });
 
+    await this.db.setActiveOrderMessage(uniqueOrderId, chatId, sentMessage.message_id);
     this.startSMSChecking(uniqueOrderId, result.orderId, userId, chatId, finalPrice, sentMessage.message_id, formattedPhone, service.name, serviceId, server.country, server.name);
 
   } catch (error) {
-    console.error('Purchase error:', error);
-    await this.db.updateBalance(userId, finalPrice);
+    logger.error('Purchase error', { error });
+    await this.refundOrder(userId, finalPrice, uniqueOrderId, 'Purchase error');
     
     await this.bot.sendMessage(chatId,
       `❌ ${error.message || 'Purchase failed. Refund issued.'}\n\n💰 Refunded: ₹${finalPrice}`,
@@ -1956,13 +3525,23 @@ Please try a different search term.
   }
 }
 
+// Refunds an order and gives back any gift discount it used.
+async refundOrder(userId, amount, orderId, note) {
+  await this.db.updateBalance(userId, amount, LEDGER_REASONS.REFUND, { reference: `order:${orderId}`, note });
+  await this.db.releaseUserBonus(`order:${orderId}`);
+}
+
 async handleCancelOrder(query) {
   const chatId = query.message.chat.id;
   const userId = query.from.id;
   const orderId = query.data.split('_')[1];
+  logger.addContext({ order_id: orderId });
+  let job = null;
+  let claimed = null;
+  let refunded = false;
 
   try {
-    const job = this.activeJobs.get(orderId);
+    job = this.activeJobs.get(orderId);
     if (!job) {
       await this.bot.answerCallbackQuery(query.id, {
         text: '❌ Order not found or already completed'
@@ -2002,6 +3581,20 @@ async handleCancelOrder(query) {
     job.cancelling = true;
     this.activeJobs.set(orderId, job);
 
+    // Expiry settles through the same claim, so only one of them refunds.
+    // Dropping the job stops later polls from serving an OTP; a poll already
+    // in flight may have served one, and then there is nothing to refund.
+    claimed = await this.db.claimActiveOrder(orderId);
+    this.cleanupJob(orderId);
+
+    if (!claimed || job.otpReceived) {
+      await this.bot.answerCallbackQuery(query.id, {
+        text: job.otpReceived ? '❌ Cannot cancel - OTP already received' : '❌ Order not found or already completed',
+        show_alert: true
+      });
+      return;
+    }
+
     await this.bot.editMessageText(`🔄 <b>Cancelling Order...</b>\n\nPlease wait...`, {
       chat_id: chatId,
       message_id: query.message.message_id,
@@ -2010,15 +3603,8 @@ async handleCancelOrder(query) {
 
     let cancelSuccess = await this.firex.cancelOrder(job.activationId);
 
-    if (job.interval) clearInterval(job.interval);
-    if (job.cancelUpdateInterval) clearInterval(job.cancelUpdateInterval);
-    if (job.countdownInterval) clearInterval(job.countdownInterval);
-    
-    this.activeJobs.delete(orderId);
-
-  
-    await this.db.updateBalance(userId, job.price);
-    await this.db.removeActiveOrder(orderId);
+    await this.refundOrder(userId, job.price, orderId, 'User cancelled');
+    refunded = true;
     await this.db.cancelOrder(orderId);
 
     await this.notifier.orderCancelled({
@@ -2054,27 +3640,25 @@ async handleCancelOrder(query) {
     });
 
   } catch (error) {
-    console.error('Cancel order error:', error);
+    logger.error('Cancel order error', { error });
     
 
-    const job = this.activeJobs.get(orderId);
-    if (job) {
-      if (job.interval) clearInterval(job.interval);
-      if (job.cancelUpdateInterval) clearInterval(job.cancelUpdateInterval);
-      if (job.countdownInterval) clearInterval(job.countdownInterval);
-      this.activeJobs.delete(orderId);
- 
+    // Refund only an order this handler claimed; anything else is still
+    // active and expiry settles it.
+    if (claimed && !refunded && !job.otpReceived) {
       try {
-        await this.db.updateBalance(userId, job.price);
-        await this.db.removeActiveOrder(orderId);
+        await this.refundOrder(userId, job.price, orderId, 'Cancellation error');
+        refunded = true;
         await this.db.cancelOrder(orderId);
       } catch (refundError) {
-        console.error('Refund during error also failed:', refundError);
+        logger.error('Refund during error also failed', { error: refundError });
       }
     }
 
     await this.bot.editMessageText(
-      `❌ <b>Cancellation Error</b>\n\nTechnical error occurred but amount refunded.\nPlease contact support if issue persists.`,
+      refunded
+        ? `❌ <b>Cancellation Error</b>\n\nTechnical error occurred but amount refunded.\nPlease contact support if issue persists.`
+        : `❌ <b>Cancellation Error</b>\n\nTechnical error occurred.\nPlease contact support if issue persists.`,
       {
         chat_id: chatId,
         message_id: query.message.message_id,
@@ -2086,20 +3670,15 @@ async handleCancelOrder(query) {
 
 
 cleanupJob(orderId) {
-  const job = this.activeJobs.get(orderId);
-  if (job) {
-    if (job.interval) clearInterval(job.interval);
-    if (job.cancelUpdateInterval) clearInterval(job.cancelUpdateInterval);
-    if (job.otpCountdownInterval) clearInterval(job.otpCountdownInterval);
-    if (job.countdownInterval) clearInterval(job.countdownInterval);
-    this.activeJobs.delete(orderId);
-  }
+  this.activeJobs.delete(orderId);
+  this.scheduler.forget(orderId);
 }
 
   async handleNewNumber(query) {
   const chatId = query.message.chat.id;
   const userId = query.from.id;
   const orderId = query.data.split('_')[2];
+  logger.addContext({ order_id: orderId });
 
   try {
     const job = this.activeJobs.get(orderId);
@@ -2114,20 +3693,15 @@ cleanupJob(orderId) {
       text: '🔄 Requesting new number...'
     });
 
-    console.log(`🔄 Requesting new number for order: ${orderId}, Activation: ${job.activationId}`);
+    logger.info('Requesting new number', { activation_id: job.activationId });
     const newNumberResult = await this.firex.requestNewNumber(job.activationId);
     
     if (newNumberResult.success) {
-      if (this.activeJobs.has(orderId)) {
-        const jobData = this.activeJobs.get(orderId);
-        if (jobData.interval) clearInterval(jobData.interval);
-        if (jobData.cancelUpdateInterval) clearInterval(jobData.cancelUpdateInterval);
-        this.activeJobs.delete(orderId);
-      }
+      this.cleanupJob(orderId);
 
-      const service = config.SERVICES[job.serviceCode];
-      const servers = config.SERVICE_SERVERS[job.serviceCode] || config.SERVICE_SERVERS.DEFAULT;
-      const server = servers[job.serverIndex];
+      await this.catalog.ensureLoaded();
+      const service = this.catalog.getService(job.serviceCode);
+      const server = this.catalog.getServers(job.serviceCode).find(candidate => candidate.name === job.serverName);
 
       if (!service || !server) {
         throw new Error('Service not available');
@@ -2213,7 +3787,7 @@ const initialKeyboard = {
       });
     }
   } catch (error) {
-    console.error('New number error:', error);
+    logger.error('New number error', { error });
     await this.bot.answerCallbackQuery(query.id, {
       text: '❌ Error requesting new number: ' + error.message
     });
@@ -2224,15 +3798,16 @@ const initialKeyboard = {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
 
-    if (userId !== config.ADMIN_ID) {
+    if (!(await this.can(userId))) {
       await this.bot.sendMessage(chatId, '❌ Unauthorized access.');
       return;
     }
 
-    await this.showAdminPanel(chatId);
+    await this.showAdminPanel(chatId, userId);
   }
 
-  async showAdminPanel(chatId, messageId = null) {
+  async showAdminPanel(chatId, userId, messageId = null) {
+    const role = await this.getAdminRole(userId);
     const adminText = `
 🛠️ <b>Admin Panel</b>
 
@@ -2240,7 +3815,7 @@ Welcome to the administration dashboard. Select an option below to manage the bo
     `;
     const options = {
         parse_mode: 'HTML',
-        reply_markup: this.getAdminKeyboard()
+        reply_markup: this.getAdminKeyboard(role)
     };
     if (messageId) {
         await this.bot.editMessageText(adminText, {
@@ -2259,19 +3834,35 @@ Welcome to the administration dashboard. Select an option below to manage the bo
     const totalRevenue = await this.db.getTotalRevenue();
     const totalTransfers = await this.db.getTotalBalanceTransfers();
 
-    const statsText = `
+    let statsText = `
 📊 <b>Bot Statistics</b>
 
 👥 <b>Total Users:</b> ${totalUsers}
 📦 <b>Total Orders:</b> ${totalOrders}
 💰 <b>Total Revenue:</b> ₹${this.payment.formatCurrency(totalRevenue)}
 🔄 <b>Total Transfers:</b> ${totalTransfers}
+`;
 
-🕒 <b>Last Updated:</b> ${new Date().toLocaleString()}
-    `;
+    try {
+      statsText += await this.formatDeliveryStats();
+    } catch (error) {
+      logger.error('Error loading delivery stats', { error });
+    }
+
+    statsText += `\n🕒 <b>Last Updated:</b> ${new Date().toLocaleString()}`;
 
     const keyboard = {
       inline_keyboard: [
+        [
+          { text: '📅 Daily', callback_data: 'admin_stats_revenue_day' },
+          { text: '🗓️ Weekly', callback_data: 'admin_stats_revenue_week' },
+          { text: '📆 Monthly', callback_data: 'admin_stats_revenue_month' }
+        ],
+        [{ text: '👥 Cohort Retention', callback_data: 'admin_stats_cohorts' }],
+        [
+          { text: '📰 Send Daily Digest', callback_data: 'admin_stats_report_daily' },
+          { text: '📊 Send Weekly Summary', callback_data: 'admin_stats_report_weekly' }
+        ],
         [{ text: '🔄 Refresh', callback_data: 'admin_stats' }],
         [{ text: 'Back to Admin', callback_data: 'admin_back' }]
       ]
@@ -2283,6 +3874,96 @@ Welcome to the administration dashboard. Select an option below to manage the bo
     });
   }
 
+  async showRevenueReport(chatId, periodKey) {
+    const report = await this.analytics.getFinancials(periodKey);
+
+    await this.bot.sendMessage(chatId, this.analytics.formatFinancials(report), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: '📅 Daily', callback_data: 'admin_stats_revenue_day' },
+            { text: '🗓️ Weekly', callback_data: 'admin_stats_revenue_week' },
+            { text: '📆 Monthly', callback_data: 'admin_stats_revenue_month' }
+          ],
+          [{ text: '📥 Export CSV', callback_data: `admin_stats_export_${periodKey}` }],
+          [{ text: 'Back to Statistics', callback_data: 'admin_stats' }]
+        ]
+      }
+    });
+  }
+
+  async showCohortReport(chatId) {
+    const cohorts = await this.analytics.getCohorts();
+
+    await this.bot.sendMessage(chatId, this.analytics.formatCohorts(cohorts), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '📥 Export CSV', callback_data: 'admin_stats_export_cohorts' }],
+          [{ text: 'Back to Statistics', callback_data: 'admin_stats' }]
+        ]
+      }
+    });
+  }
+
+  async exportAnalytics(chatId, reportKey) {
+    let csv;
+    let caption;
+
+    if (reportKey === 'cohorts') {
+      csv = this.analytics.cohortsCSV(await this.analytics.getCohorts());
+      caption = '👥 Cohort retention by join month';
+    } else {
+      const report = await this.analytics.getFinancials(reportKey);
+      csv = this.analytics.financialsCSV(report);
+      caption = `📈 ${report.period.label} revenue, last ${report.period.count} ${report.period.unit}s`;
+    }
+
+    await this.bot.sendDocument(chatId, Buffer.from(csv, 'utf8'), { caption }, {
+      filename: `${reportKey === 'cohorts' ? 'cohorts' : `revenue_${reportKey}`}_${new Date().toISOString().slice(0, 10)}.csv`,
+      contentType: 'text/csv'
+    });
+  }
+
+  // OTP delivery over both windows, then the busiest services of the week
+  // with a line per server.
+  async formatDeliveryStats() {
+    await this.catalog.ensureLoaded();
+    const day = await this.deliveryStats.getWindow('24h');
+    const week = await this.deliveryStats.getWindow('7d');
+    const describe = (stat) => stat.finished > 0
+      ? `${stat.rate}% delivered, median ${this.deliveryStats.formatDuration(stat.medianSeconds)} (${stat.finished} orders)`
+      : 'no orders';
+
+    let text = `
+📶 <b>OTP Delivery</b>
+• Last 24h: ${describe(day.overall)}
+• Last 7 days: ${describe(week.overall)}
+`;
+
+    const busiest = [...week.services.entries()]
+      .sort((a, b) => b[1].finished - a[1].finished)
+      .slice(0, 10);
+
+    if (busiest.length > 0) {
+      text += `\n<b>Top services (7 days):</b>`;
+    }
+
+    for (const [code, stat] of busiest) {
+      const service = this.catalog.getService(code, { includeDisabled: true });
+      text += `\n• <b>${this.escapeHTML(service ? service.name : code)}</b>: ${this.deliveryStats.formatShort(stat)} (${stat.finished})`;
+
+      for (const server of this.catalog.getServers(code, { includeDisabled: true })) {
+        const serverStat = week.servers.get(server.id);
+        if (!serverStat || serverStat.finished === 0) continue;
+        text += `\n   └ ${this.escapeHTML(server.name)}: ${this.deliveryStats.formatShort(serverStat)} (${serverStat.finished})`;
+      }
+    }
+
+    return text + '\n';
+  }
+
   async showUserManagement(chatId) {
     const users = await this.db.getAllUsers(10);
 
@@ -2301,6 +3982,7 @@ Recent users (latest 10):
       inline_keyboard: [
         [{ text: '🔍 Search User', callback_data: 'admin_user_search' }],
         [{ text: '📋 All Users', callback_data: 'admin_user_list' }],
+        [{ text: '🔓 Reveal Order', callback_data: 'admin_order_reveal' }],
         [{ text: 'Back to Admin', callback_data: 'admin_back' }]
       ]
     };
@@ -2311,22 +3993,37 @@ Recent users (latest 10):
     });
   }
 
-  async showBalanceManagement(chatId) {
+  async showBalanceManagement(chatId, userId) {
     const balanceText = `
 💳 <b>Balance Management</b>
 
 Manage user balances and deposits.
     `;
 
+    const role = await this.getAdminRole(userId);
+    const rows = [
+      [
+        { text: 'Add Balance', callback_data: 'admin_deposit_start' },
+        { text: 'Deduct Balance', callback_data: 'admin_deduct_start' }
+      ],
+      [
+        { text: '📊 Balance Reports', callback_data: 'admin_balance_reports' },
+        { text: '📒 Wallet Ledger', callback_data: 'admin_ledger_start' }
+      ],
+      [
+        { text: '🧾 Reconcile Statement', callback_data: 'admin_reconcile_start' },
+        { text: '↩️ Reverse Deposit', callback_data: 'admin_deposit_reverse' }
+      ],
+      [
+        { text: '🚩 Referral Review', callback_data: 'admin_referral_review' }
+      ]
+    ];
+
     const keyboard = {
       inline_keyboard: [
-        [
-          { text: 'Add Balance', callback_data: 'admin_deposit_start' },
-          { text: 'Deduct Balance', callback_data: 'admin_deduct_start' }
-        ],
-        [
-          { text: '📊 Balance Reports', callback_data: 'admin_balance_reports' }
-        ],
+        ...rows
+          .map(row => row.filter(button => roleHasPermission(role, this.permissionForAdminCallback(button.callback_data))))
+          .filter(row => row.length > 0),
         [{ text: 'Back to Admin', callback_data: 'admin_back' }]
       ]
     };
@@ -2505,8 +4202,8 @@ Manage and view user monthly deposits for discount tiers.
     }
 
 
-  async handleManualDeposit(chatId) {
-    this.setUserState(config.ADMIN_ID, 'admin_awaiting_deposit_user');
+  async handleManualDeposit(chatId, adminId) {
+    this.setUserState(adminId, 'admin_awaiting_deposit_user');
 
     await this.bot.sendMessage(chatId, `
 ➕ <b>Manual Deposit</b>
@@ -2522,7 +4219,7 @@ Please enter the User ID to deposit balance to:
     });
   }
 
-  async handleAdminDepositUserInput(chatId, targetUserId) {
+  async handleAdminDepositUserInput(chatId, adminId, targetUserId) {
     try {
       const targetUser = await this.db.getUser(parseInt(targetUserId));
 
@@ -2531,7 +4228,7 @@ Please enter the User ID to deposit balance to:
         return;
       }
 
-      this.setUserState(config.ADMIN_ID, 'admin_awaiting_deposit_amount', { targetUserId: parseInt(targetUserId) });
+      this.setUserState(adminId, 'admin_awaiting_deposit_amount', { targetUserId: parseInt(targetUserId) });
 
       await this.bot.sendMessage(chatId, `
 ➕ <b>Manual Deposit</b>
@@ -2550,14 +4247,14 @@ Please enter the amount to deposit:
       });
 
     } catch (error) {
-      console.error('Admin deposit error:', error);
+      logger.error('Admin deposit error', { error });
       await this.bot.sendMessage(chatId, '❌ Error processing deposit.');
     }
   }
 
-  async handleAdminDepositAmountInput(chatId, amount) {
+  async handleAdminDepositAmountInput(chatId, adminId, amount) {
     try {
-      const userState = this.getUserState(config.ADMIN_ID);
+      const userState = this.getUserState(adminId);
       const targetUserId = userState.data.targetUserId;
 
       const depositAmount = parseFloat(amount);
@@ -2567,8 +4264,24 @@ Please enter the amount to deposit:
         return;
       }
 
-      await this.db.updateBalance(targetUserId, depositAmount);
-      await this.db.updateMonthlyDeposit(targetUserId, depositAmount);
+      await this.db.withTransaction(async (tx) => {
+        const before = {
+          balance: parseFloat((await tx.getUser(targetUserId)).balance),
+          monthlyDeposit: await tx.getMonthlyDeposit(targetUserId)
+        };
+
+        const balance = await tx.updateBalance(targetUserId, depositAmount, LEDGER_REASONS.ADMIN_ADJUSTMENT, { note: `Manual deposit by admin ${adminId}` });
+        await tx.updateMonthlyDeposit(targetUserId, depositAmount);
+
+        await tx.logAdminAction({
+          adminId,
+          action: ADMIN_ACTIONS.MANUAL_DEPOSIT,
+          targetUserId,
+          before,
+          after: { balance: parseFloat(balance), monthlyDeposit: await tx.getMonthlyDeposit(targetUserId) },
+          details: `Deposited ₹${depositAmount}`
+        });
+      });
 
       const targetUser = await this.db.getUser(targetUserId);
       const monthlyDeposit = await this.db.getMonthlyDeposit(targetUserId);
@@ -2591,7 +4304,7 @@ Deposit completed successfully.
         }
       });
 
-      this.clearUserState(config.ADMIN_ID);
+      this.clearUserState(adminId);
 
       try {
         await this.bot.sendMessage(targetUserId, `
@@ -2606,11 +4319,11 @@ Balance added successfully by administrator.
           parse_mode: 'HTML'
         });
       } catch (error) {
-        console.error('Failed to notify user:', error);
+        logger.error('Failed to notify user about admin deposit', { error });
       }
 
     } catch (error) {
-      console.error('Admin deposit error:', error);
+      logger.error('Admin deposit error', { error });
       await this.bot.sendMessage(chatId, '❌ Deposit failed. Please try again.');
     }
   }
@@ -2707,194 +4420,429 @@ After rejoining, click below to verify:
     const paymentNote = `${config.FIRE_OTP_NOTE_PREFIX}${depositId}`;
     const upiLink = this.payment.generateUPILink(amount, paymentNote);
 
+    if (this.paymentProvider) {
+      try {
+        await this.startGatewayPayment(chatId, userId, amount, depositId, messageId);
+        return;
+      } catch (error) {
+        logger.error('Payment gateway error, falling back to manual UPI', { error });
+      }
+    }
+
     try {
       const qrBuffer = await this.payment.generateQRCode(upiLink);
 
       const paymentText = `
 💰 <b>Payment Invoice</b>
 
-💳 <b>Amount:</b> ₹${amount}
-🆔 <b>Deposit ID:</b> <code>${depositId}</code>
+💳 <b>Amount:</b> ₹${amount}
+🆔 <b>Deposit ID:</b> <code>${depositId}</code>
+
+<b>Payment Methods:</b>
+1. Scan QR Code below
+2. Manual UPI payment
+
+<b>After payment, send your ${config.MIN_UTR_LENGTH}-digit UTR number here.</b>
+      `;
+
+      this.setUserState(userId, 'awaiting_utr', { amount, depositId });
+
+      if (messageId) {
+          try { await this.bot.deleteMessage(chatId, messageId); } catch(e){}
+      }
+
+      await this.bot.sendPhoto(chatId, qrBuffer, {
+        caption: paymentText,
+        parse_mode: 'HTML',
+        reply_markup: this.getCancelKeyboard()
+      });
+
+    } catch (error) {
+      logger.error('QR code error', { error });
+      const paymentText = `
+💰 <b>Payment Request</b>
+
+📱 <b>UPI ID:</b> <code>${config.UPI_ID}</code>
+👤 <b>UPI Name:</b> ${config.UPI_NAME}
+💳 <b>Amount:</b> ₹${amount}
+🆔 <b>Deposit ID:</b> <code>${depositId}</code>
+📝 <b>Note:</b> <code>${paymentNote}</code>
+
+<b>UPI Link:</b> <code>${upiLink}</code>
+
+<b>After payment, send your ${config.MIN_UTR_LENGTH}-digit UTR number here.</b>
+      `;
+      if (messageId) {
+          try { await this.bot.deleteMessage(chatId, messageId); } catch(e){}
+      }
+      await this.bot.sendMessage(chatId, paymentText, {
+        parse_mode: 'HTML',
+        reply_markup: this.getCancelKeyboard()
+      });
+    }
+  }
+
+  async startGatewayPayment(chatId, userId, amount, depositId, messageId = null) {
+    const payment = await this.paymentProvider.createPayment({ reference: depositId, amount, userId });
+
+    await this.db.createPaymentIntent({
+      provider: this.paymentProvider.name,
+      provider_payment_id: payment.paymentId,
+      reference: depositId,
+      user_id: userId,
+      amount
+    });
+
+    if (messageId) {
+        try { await this.bot.deleteMessage(chatId, messageId); } catch(e){}
+    }
+
+    await this.bot.sendMessage(chatId, `
+💰 <b>Payment Invoice</b>
+
+💳 <b>Amount:</b> ₹${amount}
+🆔 <b>Deposit ID:</b> <code>${depositId}</code>
+
+<b>Pay here:</b> ${payment.paymentUrl}
+
+Your balance is credited automatically as soon as the payment is confirmed.
+    `.trim(), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: `💳 Pay ₹${amount}`, url: payment.paymentUrl }]
+        ]
+      }
+    });
+  }
+
+  // Entry point for provider webhooks. Returns the HTTP status and body so the
+  // server only has to write them out; providers retry anything but a 2xx.
+  async handlePaymentWebhook(providerName, rawBody, headers) {
+    if (!this.paymentProvider || this.paymentProvider.name !== providerName) {
+      return { statusCode: 404, body: { error: 'unknown_provider' } };
+    }
+
+    if (!this.paymentProvider.verifySignature(rawBody, headers)) {
+      logger.warn('Rejected payment webhook with a bad signature', { provider: providerName });
+      return { statusCode: 401, body: { error: 'invalid_signature' } };
+    }
+
+    let event;
+    try {
+      event = this.paymentProvider.parseWebhook(rawBody, headers);
+    } catch (error) {
+      return { statusCode: 400, body: { error: 'invalid_payload' } };
+    }
+
+    logger.addContext({ payment_id: event.paymentId });
+
+    try {
+      const result = await this.settleGatewayPayment(event);
+      return { statusCode: 200, body: { result } };
+    } catch (error) {
+      logger.error('Payment webhook error', { error });
+      return { statusCode: 500, body: { error: 'processing_failed' } };
+    }
+  }
+
+  async settleGatewayPayment(event) {
+    const provider = this.paymentProvider.name;
+
+    const outcome = await this.db.withTransaction(async (tx) => {
+      const intent = await tx.lockPaymentIntent(provider, event.paymentId);
+
+      if (!intent) return { result: 'unknown_payment' };
+
+      // Chargebacks and refunds arrive after the payment was credited.
+      if (event.status === PAYMENT_STATUS.REVERSED) {
+        if (intent.status !== 'paid') return { result: 'ignored', intent };
+
+        const reversal = await this.reverseDeposit(intent.topup_request_id, `${provider} payment reversed`, tx);
+        await tx.updatePaymentIntent(intent.id, 'reversed');
+        return { result: 'reversed', intent, requestId: intent.topup_request_id, reversal };
+      }
+
+      if (intent.status !== 'created') return { result: 'already_processed', intent };
+
+      if (event.status === PAYMENT_STATUS.FAILED) {
+        await tx.updatePaymentIntent(intent.id, 'failed');
+        return { result: 'failed', intent };
+      }
+
+      if (event.status !== PAYMENT_STATUS.SUCCESS) return { result: 'ignored', intent };
+
+      const utr = event.utr || `${provider}:${event.paymentId}`;
+
+      if (Math.abs(event.amount - parseFloat(intent.amount)) >= 0.01) {
+        await tx.updatePaymentIntent(intent.id, 'review', { utr });
+        return { result: 'amount_mismatch', intent, utr };
+      }
+
+      // The user may also have typed the UTR by hand; credit that request
+      // instead of creating a second one for the same money.
+      const [existing] = await tx.getTopupRequestsByUTR([utr]);
+      if (existing && String(existing.user_id) !== String(intent.user_id)) {
+        await tx.updatePaymentIntent(intent.id, 'review', { utr });
+        return { result: 'utr_conflict', intent, utr };
+      }
+
+      const requestId = existing ? existing.id : await tx.logTopupRequest(intent.user_id, intent.amount, utr, 'pending');
+      const approval = await this.approveDeposit(requestId, tx);
+      await tx.updatePaymentIntent(intent.id, 'paid', { utr, topupRequestId: requestId });
+
+      return { result: 'paid', intent, utr, requestId, approval };
+    });
+
+    const { result, intent } = outcome;
+    logger.info('Gateway payment settled', { provider, result, user_id: intent?.user_id });
+
+    if (result === 'paid' && outcome.approval) {
+      await this.announceDepositApproval(outcome.requestId, outcome.approval);
+    } else if (result === 'reversed' && outcome.reversal) {
+      await this.announceDepositReversal(outcome.requestId, outcome.reversal, `${provider} payment reversed`);
+    } else if (result === 'failed') {
+      await this.bot.sendMessage(intent.user_id,
+        `❌ <b>Payment Failed</b>\n\n💳 Amount: ₹${intent.amount}\n🆔 Deposit ID: <code>${intent.reference}</code>\n\nNo money was added. Please try again.`,
+        { parse_mode: 'HTML' }
+      ).catch(() => {});
+    } else if (result === 'amount_mismatch' || result === 'utr_conflict') {
+      await this.notifyAdmins(PERMISSIONS.DEPOSITS, `
+⚠️ <b>Gateway Payment Needs Review</b>
+
+🆔 <b>User ID:</b> <code>${intent.user_id}</code>
+🏷️ <b>Deposit ID:</b> <code>${intent.reference}</code>
+💳 <b>Expected:</b> ₹${intent.amount}
+🏦 <b>Reported:</b> ₹${event.amount}
+🔢 <b>UTR:</b> <code>${outcome.utr}</code>
+❗ <b>Reason:</b> ${result === 'amount_mismatch' ? 'Amount mismatch' : 'UTR already used by another user'}
+      `.trim(), { parse_mode: 'HTML' });
+    }
+
+    return result;
+  }
+
+  async approveDeposit(requestId, db = this.db) {
+    return db.withTransaction(async (tx) => {
+      const requestInfo = await tx.lockTopupRequest(requestId);
+
+      if (!requestInfo || requestInfo.status !== 'pending') {
+        logger.info('Deposit request not found or already processed', { topup_request_id: requestId });
+        return null;
+      }
+
+      const userId = requestInfo.user_id;
+      const amount = parseFloat(requestInfo.amount);
+      const utr = requestInfo.utr;
+
+      logger.info('Approving deposit', { topup_request_id: requestId, depositor_id: userId, amount });
+
+      let newBalance = await tx.updateBalance(userId, amount, LEDGER_REASONS.DEPOSIT, { reference: `topup:${requestId}`, note: `UTR ${utr}` });
+      await tx.updateMonthlyDeposit(userId, amount);
+      await tx.updateTopupStatus(requestId, 'approved');
+
+      // A redeemed deposit bonus code pays out on the first deposit after it.
+      let depositBonus = null;
+      const bonus = await tx.claimUserBonus(userId, GIFT_TYPES.DEPOSIT_BONUS, `topup:${requestId}`);
+
+      if (bonus) {
+        const bonusAmount = Math.round(amount * bonus.percent) / 100;
+        newBalance = await tx.updateBalance(userId, bonusAmount, LEDGER_REASONS.DEPOSIT_BONUS, { reference: `topup:${requestId}`, note: `Gift ${bonus.code}` });
+        depositBonus = { amount: bonusAmount, percent: bonus.percent, code: bonus.code };
+      }
+
+      let commission = null;
+
+      if (config.REFERRAL_SETTINGS.enabled && amount >= config.REFERRAL_SETTINGS.min_deposit_for_commission) {
+        const referral = await tx.getReferralByReferredId(userId);
+
+        if (referral && String(referral.referrer_id) !== String(userId)) {
+          logger.debug('Processing referral commission', { referrer_id: referral.referrer_id, referred_id: userId });
+
+          commission = await this.referrals.award(tx, {
+            referrerId: referral.referrer_id,
+            referredId: userId,
+            amount,
+            requestId: parseInt(requestId)
+          });
+        }
+      }
+
+      return { userId, amount, utr, newBalance, commission, depositBonus };
+    });
+  }
+
+  // Undoes an approved deposit: what it credited, gift bonus included, is
+  // debited even if that leaves the balance negative, and referral commission
+  // earned on it is clawed back.
+  async reverseDeposit(requestId, reason, db = this.db) {
+    return db.withTransaction(async (tx) => {
+      const request = await tx.lockTopupRequest(requestId);
+
+      if (!request || request.status !== 'approved') {
+        logger.info('Deposit request is not approved, nothing to reverse', { topup_request_id: requestId });
+        return null;
+      }
+
+      const userId = request.user_id;
+      const amount = parseFloat(request.amount);
+      const reference = `topup:${requestId}`;
+
+      const debited = await tx.getLedgerTotalByReference(userId, reference);
+      const newBalance = await tx.updateBalance(userId, -debited, LEDGER_REASONS.DEPOSIT_REVERSAL, { reference, note: reason });
+      await tx.updateMonthlyDeposit(userId, -amount);
+      await tx.updateTopupStatus(requestId, 'reversed');
+
+      const clawbacks = await this.referrals.clawBack(tx, requestId);
+
+      logger.info('Deposit reversed', { topup_request_id: requestId, depositor_id: userId, debited, clawbacks: clawbacks.length });
+      return { userId, amount, utr: request.utr, debited, newBalance, clawbacks };
+    });
+  }
+
+  async announceDepositReversal(requestId, reversal, reason) {
+    const { userId, amount, debited, newBalance, clawbacks } = reversal;
+
+    await this.bot.sendMessage(userId,
+      `↩️ <b>Deposit Reversed</b>\n\n` +
+      `💳 Amount: ₹${amount}\n` +
+      `💸 Debited: ₹${debited}\n` +
+      `💰 New Balance: ₹${newBalance}\n` +
+      `🆔 Request ID: ${requestId}\n\n` +
+      `Please contact support if you think this is a mistake.`,
+      { parse_mode: 'HTML' }
+    ).catch(error => logger.error('Reversal notification failed', { topup_request_id: requestId, error }));
+
+    for (const clawback of clawbacks) {
+      await this.bot.sendMessage(clawback.referrerId,
+        `↩️ <b>Referral Commission Reversed</b>\n\n` +
+        `A deposit by your referral (ID: ${userId}) was reversed, so its commission of ₹${clawback.amount} ` +
+        (clawback.wasHeld ? 'was cancelled before release.' : `was taken back.\n🔴 Your New Balance: ₹${clawback.referrerBalance}`),
+        { parse_mode: 'HTML' }
+      ).catch(error => logger.error('Clawback notification failed', { referrer_id: clawback.referrerId, error }));
+    }
+
+    await this.notifier.depositReversed({ userId, amount, requestId, reason: this.escapeHTML(reason) });
+  }
+
+  // Audit entries are best-effort: a failed insert is logged but never undoes
+  // or blocks the admin action it describes.
+  async auditAdminAction(action, { adminId, targetUserId = null, before = null, after = null, details = null } = {}) {
+    try {
+      await this.db.logAdminAction({ adminId, action, targetUserId, before, after, details });
+    } catch (error) {
+      logger.error('Audit log failed', { action, error });
+    }
+  }
+
+  async auditDepositApproval(action, requestId, approval, adminId) {
+    const { userId, amount, utr, newBalance, depositBonus } = approval;
+    const credited = parseFloat(amount) + (depositBonus ? depositBonus.amount : 0);
 
-<b>Payment Methods:</b>
-1. Scan QR Code below
-2. Manual UPI payment
+    await this.auditAdminAction(action, {
+      adminId,
+      targetUserId: userId,
+      before: { requestId: parseInt(requestId), status: 'pending', balance: parseFloat(newBalance) - credited },
+      after: { requestId: parseInt(requestId), status: 'approved', balance: parseFloat(newBalance) },
+      details: `₹${amount} UTR ${utr}`
+    });
+  }
 
-<b>After payment, send your ${config.MIN_UTR_LENGTH}-digit UTR number here.</b>
-      `;
+  // User, referrer and log-channel messages for a deposit that approveDeposit
+  // has already committed. Shared by the approve button and statement imports.
+  async announceDepositApproval(requestId, approval) {
+    const { userId: user_id, amount, utr, newBalance, commission, depositBonus } = approval;
+    const userAfter = await this.db.getUser(user_id);
+    const monthlyDeposit = await this.db.getMonthlyDeposit(user_id);
 
-      this.setUserState(userId, 'awaiting_utr', { amount, depositId });
+    logger.debug('Deposit announced', { topup_request_id: requestId, depositor_id: user_id, balance: newBalance, monthly_deposit: monthlyDeposit });
 
-      if (messageId) {
-          try { await this.bot.deleteMessage(chatId, messageId); } catch(e){}
+    if (commission) {
+      try {
+        await this.bot.sendMessage(commission.referrerId,
+          `🎊 <b>Referral Commission Earned!</b>\n\n` +
+          `💻 From: ${userAfter.first_name || 'User'} (ID: ${user_id})\n` +
+          `💳 Deposit: ₹${amount}\n` +
+          `🌱 Commission: ₹${commission.amount} (${commission.percent}%${commission.capped ? ', capped' : ''})\n` +
+          (commission.risk.flagged
+            ? `🔎 Under review before it is paid\n\n`
+            : commission.releaseAt
+              ? `🕒 On hold until: ${commission.releaseAt.toLocaleString()}\n\n`
+              : `🔴 Your New Balance: ₹${commission.referrerBalance}\n\n`) +
+          `Keep referring to earn more! 🎊`,
+          { parse_mode: 'HTML' }
+        );
+      } catch (error) {
+        logger.error('Referrer commission notification failed', { referrer_id: commission.referrerId, error });
       }
+    }
 
-      await this.bot.sendPhoto(chatId, qrBuffer, {
-        caption: paymentText,
-        parse_mode: 'HTML',
-        reply_markup: this.getCancelKeyboard()
+    if (commission?.risk.flagged) {
+      await this.notifyReferralFlagged({
+        id: commission.earningId,
+        referrer_id: commission.referrerId,
+        referred_id: user_id,
+        amount: commission.amount,
+        risk: commission.risk
       });
+    }
 
-    } catch (error) {
-      console.error('QR code error:', error);
-      const paymentText = `
-💰 <b>Payment Request</b>
-
-📱 <b>UPI ID:</b> <code>${config.UPI_ID}</code>
-👤 <b>UPI Name:</b> ${config.UPI_NAME}
-💳 <b>Amount:</b> ₹${amount}
-🆔 <b>Deposit ID:</b> <code>${depositId}</code>
-📝 <b>Note:</b> <code>${paymentNote}</code>
+    if (this.notifier) {
+      await this.notifier.depositApproved({
+        user_id: user_id,
+        amount: amount,
+        utr: utr
+      }, newBalance);
+    }
+    
+    try {
+      await this.bot.sendMessage(user_id, `
+✅ <b>Deposit Approved</b>
 
-<b>UPI Link:</b> <code>${upiLink}</code>
+💳 Amount: ₹${amount}${depositBonus ? `\n🎁 Gift Bonus: ₹${depositBonus.amount} (${depositBonus.percent}%)` : ''}
+🔢 UTR: ${utr}
+💰 New Balance: ₹${newBalance}
+💵 Monthly Deposit: ₹${monthlyDeposit}
+🆔 Request ID: ${requestId}
 
-<b>After payment, send your ${config.MIN_UTR_LENGTH}-digit UTR number here.</b>
-      `;
-      if (messageId) {
-          try { await this.bot.deleteMessage(chatId, messageId); } catch(e){}
-      }
-      await this.bot.sendMessage(chatId, paymentText, {
-        parse_mode: 'HTML',
-        reply_markup: this.getCancelKeyboard()
-      });
+Your balance has been updated! 🎉
+      `.trim(), { parse_mode: 'HTML' });
+    } catch (error) {
+      logger.error('Deposit approval notification failed', { topup_request_id: requestId, error });
     }
+
+    return monthlyDeposit;
   }
 
   async handleAdminApproval(query) {
     const chatId = query.message.chat.id;
     const [action, requestId] = query.data.split('_');
 
-    console.log(`🔍 Debug: Admin approval called - Action: ${action}, RequestID: ${requestId}, ChatID: ${chatId}`);
+    logger.debug('Admin approval called', { action, topup_request_id: requestId });
 
-    if (query.from.id !== config.ADMIN_ID) {
-      console.log('❌ Unauthorized access attempt');
+    if (!(await this.can(query.from.id, PERMISSIONS.DEPOSITS))) {
+      logger.warn('Unauthorized deposit approval attempt', { action, topup_request_id: requestId });
       await this.bot.answerCallbackQuery(query.id, { text: '❌ Unauthorized' });
       return;
     }
 
     try {
-      console.log(`🔍 Debug: Fetching request info for ID: ${requestId}`);
-      const requestInfo = await this.db.getTopupRequestInfo(requestId);
-      
-      if (!requestInfo) {
-        console.log('❌ Request not found in database');
-        await this.bot.editMessageText('❌ Request not found or already processed', {
-          chat_id: chatId,
-          message_id: query.message.message_id
-        });
-        return;
-      }
-
-      console.log(`🔍 Debug: Request found - User: ${requestInfo.user_id}, Amount: ${requestInfo.amount}, Status: ${requestInfo.status}`);
-
-      if (requestInfo.status !== 'pending') {
-        console.log(`❌ Request already processed - Status: ${requestInfo.status}`);
-        await this.bot.editMessageText('❌ Request not found or already processed', {
-          chat_id: chatId,
-          message_id: query.message.message_id
-        });
-        return;
-      }
-
-      const { user_id, amount, utr } = requestInfo;
-
-      console.log(`🔄 Processing ${action} for request ${requestId}, User: ${user_id}, Amount: ${amount}`);
-      
       if (action === 'approve') {
-        console.log(`✅ Approving deposit - User: ${user_id}, Amount: ${amount}`);
-    
-        const userBefore = await this.db.getUser(user_id);
-        console.log(`🔍 Balance before: ₹${userBefore.balance}`);
-        
-        await this.db.updateBalance(user_id, amount);
-        await this.db.updateMonthlyDeposit(user_id, amount);
-        await this.db.updateTopupStatus(requestId, 'approved');
-        
-        const userAfter = await this.db.getUser(user_id);
-        const monthlyDeposit = await this.db.getMonthlyDeposit(user_id);
-        
-        console.log(`✅ Balance after: ₹${userAfter.balance}, Monthly Deposit: ₹${monthlyDeposit}`);
-
-        if (config.REFERRAL_SETTINGS.enabled && amount >= config.REFERRAL_SETTINGS.min_deposit_for_commission) {
-          try {
-            console.log(`💰 Checking for referral commission...`);
-            const referral = await this.db.getReferralByReferredId(user_id);
-            
-            if (referral && referral.referrer_id !== user_id) {
-              const commission = (amount * config.REFERRAL_SETTINGS.commission_percent) / 100;
-              
-              console.log(`💰 Processing referral commission:`);
-              console.log(`- Referrer: ${referral.referrer_id}`);
-              console.log(`- Referred: ${user_id}`);
-              console.log(`- Deposit: ₹${amount}`);
-              console.log(`- Commission: ₹${commission}`);
-        
-              const referrerBefore = await this.db.getUser(referral.referrer_id);
-              console.log(`🔍 Referrer balance before: ₹${referrerBefore.balance}`);
-              
-              await this.db.updateBalance(referral.referrer_id, commission);
-              
-              await this.db.addReferralEarning({
-                referrer_id: referral.referrer_id,
-                referred_id: user_id,
-                deposit_amount: amount,
-                commission_amount: commission,
-                commission_percent: config.REFERRAL_SETTINGS.commission_percent
-              });
-
-              const referrerAfter = await this.db.getUser(referral.referrer_id);
-              console.log(`✅ Referrer balance after: ₹${referrerAfter.balance}`);
-              console.log(`✅ Commission processed successfully`);
-
-              try {
-                await this.bot.sendMessage(referral.referrer_id,
-                  `🎊 <b>Referral Commission Earned!</b>\n\n` +
-                  `💻 From: ${userAfter.first_name || 'User'} (ID: ${user_id})\n` +
-                  `💳 Deposit: ₹${amount}\n` +
-                  `🌱 Commission: ₹${commission} (${config.REFERRAL_SETTINGS.commission_percent}%)\n` +
-                  `🔴 Your New Balance: ₹${referrerAfter.balance}\n\n` +
-                  `Keep referring to earn more! 🎊`,
-                  { parse_mode: 'HTML' }
-                );
-                console.log(`✅ Referrer notified successfully`);
-              } catch (error) {
-                console.error('Referrer commission notification failed:', error);
-              }
-            } else {
-              console.log(`ℹ️ No referral found or self-referral for user: ${user_id}`);
-            }
-          } catch (error) {
-            console.error('Referral commission processing error:', error);
-          }
-        } else {
-          console.log(`ℹ️ Referral system disabled or amount too low for commission`);
-        }
+        const approval = await this.approveDeposit(requestId);
 
-        if (this.notifier) {
-          await this.notifier.depositApproved({
-            user_id: user_id,
-            amount: amount,
-            utr: utr
-          }, userAfter.balance);
+        if (!approval) {
+          await this.bot.editMessageText('❌ Request not found or already processed', {
+            chat_id: chatId,
+            message_id: query.message.message_id
+          });
+          return;
         }
-        
-        try {
-          await this.bot.sendMessage(user_id, `
-✅ <b>Deposit Approved</b>
-
-💳 Amount: ₹${amount}
-🔢 UTR: ${utr}
-💰 New Balance: ₹${userAfter.balance}
-💵 Monthly Deposit: ₹${monthlyDeposit}
-🆔 Request ID: ${requestId}
 
-Your balance has been updated! 🎉
-          `.trim(), { parse_mode: 'HTML' });
-        } catch (error) {
-          console.error('User notification error:', error);
-        }
+        const { userId: user_id, amount, newBalance } = approval;
+        await this.auditDepositApproval(ADMIN_ACTIONS.DEPOSIT_APPROVE, requestId, approval, query.from.id);
+        const monthlyDeposit = await this.announceDepositApproval(requestId, approval);
 
-        await this.bot.editMessageText(`✅ Approved deposit of ₹${amount} for user ${user_id}\n\n💰 New Balance: ₹${userAfter.balance}\n💵 Monthly Deposit: ₹${monthlyDeposit}\n🆔 Request ID: ${requestId}`, {
+        await this.bot.editMessageText(`✅ Approved deposit of ₹${amount} for user ${user_id}\n\n💰 New Balance: ₹${newBalance}\n💵 Monthly Deposit: ₹${monthlyDeposit}\n🆔 Request ID: ${requestId}`, {
           chat_id: chatId,
           message_id: query.message.message_id
         });
@@ -2902,9 +4850,26 @@ Your balance has been updated! 🎉
         await this.bot.answerCallbackQuery(query.id, { text: '✅ Deposit approved successfully!' });
 
       } else if (action === 'reject') {
-        console.log(`❌ Rejecting deposit - User: ${user_id}, Amount: ${amount}`);
-        
-        await this.db.updateTopupStatus(requestId, 'rejected');
+        const requestInfo = await this.db.rejectTopupRequest(requestId);
+
+        if (!requestInfo) {
+          await this.bot.editMessageText('❌ Request not found or already processed', {
+            chat_id: chatId,
+            message_id: query.message.message_id
+          });
+          return;
+        }
+
+        const { user_id, amount, utr } = requestInfo;
+
+        logger.info('Deposit rejected', { topup_request_id: requestId, depositor_id: user_id, amount });
+        await this.auditAdminAction(ADMIN_ACTIONS.DEPOSIT_REJECT, {
+          adminId: query.from.id,
+          targetUserId: user_id,
+          before: { requestId: parseInt(requestId), status: 'pending' },
+          after: { requestId: parseInt(requestId), status: 'rejected' },
+          details: `₹${amount} UTR ${utr}`
+        });
 
         if (this.notifier) {
           await this.notifier.depositRejected({
@@ -2925,7 +4890,7 @@ Your balance has been updated! 🎉
 Please contact admin for assistance.
           `.trim(), { parse_mode: 'HTML' });
         } catch (error) {
-          console.error('User notification error:', error);
+          logger.error('Deposit rejection notification failed', { topup_request_id: requestId, error });
         }
 
         await this.bot.editMessageText(`❌ Rejected deposit of ₹${amount} for user ${user_id}\n🆔 Request ID: ${requestId}`, {
@@ -2936,7 +4901,7 @@ Please contact admin for assistance.
         await this.bot.answerCallbackQuery(query.id, { text: '❌ Deposit rejected!' });
       }
     } catch (error) {
-      console.error('Admin approval error:', error);
+      logger.error('Admin approval error', { action, topup_request_id: requestId, error });
       await this.bot.editMessageText('❌ Error processing request: ' + error.message, {
         chat_id: chatId,
         message_id: query.message.message_id
@@ -2957,12 +4922,15 @@ Please contact admin for assistance.
 
     this.setUserState(userId, 'awaiting_gift_code');
 
+    const format = this.payment.giftCodes;
+    const prefix = format.prefix ? ` and start with <code>${this.escapeHTML(format.prefix)}</code>` : '';
+
     await this.bot.sendMessage(chatId, `
 🎟️ <b>Redeem Gift Code</b>
 
 Please enter your gift code:
 
-Gift codes are 8 characters long.
+Gift codes are ${format.codeLength()} characters long${prefix}.
     `.trim(), {
       parse_mode: 'HTML',
       reply_markup: this.getCancelKeyboard()
@@ -2971,85 +4939,108 @@ Gift codes are 8 characters long.
 
   async handleGiftCodeInput(chatId, userId, code) {
     try {
-        const giftCode = await this.db.getGiftCodeWithCondition(code.toUpperCase());
-
-        if (!giftCode) {
-            await this.bot.sendMessage(chatId, '❌ Invalid gift code');
-            return;
-        }
-
-        if (giftCode.min_deposit > 0) {
-            const meetsCondition = await this.db.checkUserDepositCondition(userId, giftCode.min_deposit);
-            if (!meetsCondition) {
-                const monthlyDeposit = await this.db.getMonthlyDeposit(userId);
-                await this.bot.sendMessage(chatId, 
-                    `❌ <b>Gift Code Requirement Not Met</b>\n\n` +
-                    `💰 Required Monthly Deposit: ₹${giftCode.min_deposit}\n` +
-                    `💳 Your Monthly Deposit: ₹${monthlyDeposit}\n\n` +
-                    `Please deposit more to redeem this gift code.`,
-                    { parse_mode: 'HTML' }
-                );
-                return;
-            }
-        }
-
-        if (giftCode.expires_at && new Date(giftCode.expires_at) < new Date()) {
-            await this.bot.sendMessage(chatId, '❌ This gift code has expired.');
-            return;
-        }
-
-
-        if (giftCode.max_uses > 0 && giftCode.used_count >= giftCode.max_uses) {
-            await this.bot.sendMessage(chatId, '❌ This gift code has reached its maximum uses.');
-            return;
-        }
-
+        const giftCodeKey = code.toUpperCase();
+        const result = await this.db.redeemGiftCode(giftCodeKey, userId);
+
+        if (result.success && result.bonus) {
+            await this.catalog.ensureLoaded();
+            const reward = this.describeGiftBonus({
+                bonusType: result.bonus.bonus_type,
+                amount: result.amount,
+                serviceCode: result.bonus.service_code
+            });
 
-        const userHasUsed = await this.db.checkIfUserUsedGiftCode(code.toUpperCase(), userId);
-        if (userHasUsed) {
-            await this.bot.sendMessage(chatId, '❌ You have already redeemed this gift code.');
-            return;
-        }
+            await this.bot.sendMessage(chatId,
+                `🎉 <b>Gift Code Redeemed!</b>\n\n` +
+                `🎁 <b>Reward:</b> ${reward}\n` +
+                `🔤 <b>Code:</b> <code>${giftCodeKey}</code>\n\n` +
+                `✅ <b>It will be applied automatically.</b>`,
+                { parse_mode: 'HTML' }
+            );
 
-        const success = await this.db.useGiftCode(code.toUpperCase(), userId);
+            await this.notifier.giftBonusRedeemed(userId, giftCodeKey, reward);
 
-        if (success) {
-            await this.db.updateBalance(userId, giftCode.amount);
-            const user = await this.db.getUser(userId);
+        } else if (result.success) {
+            const { giftCode } = result;
 
             await this.bot.sendMessage(chatId, 
                 `🎉 <b>Gift Code Redeemed!</b>\n\n` +
                 `💰 <b>Amount:</b> ₹${giftCode.amount}\n` +
-                `🔤 <b>Code:</b> <code>${code.toUpperCase()}</code>\n` +
-                `💳 <b>New Balance:</b> ₹${user.balance}\n` +
+                `🔤 <b>Code:</b> <code>${giftCodeKey}</code>\n` +
+                `💳 <b>New Balance:</b> ₹${result.balance}\n` +
                 `${giftCode.min_deposit > 0 ? `📋 <b>Condition:</b> Min. ₹${giftCode.min_deposit} deposit` : ''}\n\n` +
                 `✅ <b>Balance updated successfully!</b>`,
                 { parse_mode: 'HTML' }
             );
 
 
-            await this.notifier.giftCodeRedeemed(userId, code.toUpperCase(), giftCode.amount, user.balance);
+            await this.notifier.giftCodeRedeemed(userId, giftCodeKey, giftCode.amount, result.balance);
 
         } else {
-            await this.bot.sendMessage(chatId, '❌ Failed to redeem gift code. Please try again.');
+            await this.sendGiftCodeFailure(chatId, { ...result, code: giftCodeKey });
+            return;
         }
 
     } catch (error) {
-        console.error('Gift code error:', error);
+        logger.error('Gift code error', { error });
         await this.bot.sendMessage(chatId, '❌ Error processing gift code. Please try again.');
     }
 
     this.clearUserState(userId);
 }
 
+  async sendGiftCodeFailure(chatId, result) {
+    switch (result.reason) {
+      case GIFT_ERRORS.NOT_FOUND:
+        await this.bot.sendMessage(chatId, this.payment.giftCodes.isMistyped(result.code)
+          ? '❌ This gift code looks mistyped. Please check each character and try again.'
+          : '❌ Invalid gift code');
+        break;
+      case GIFT_ERRORS.EXPIRED:
+        await this.bot.sendMessage(chatId, '❌ This gift code has expired.');
+        break;
+      case GIFT_ERRORS.ALREADY_USED:
+        await this.bot.sendMessage(chatId, '❌ You have already redeemed this gift code.');
+        break;
+      case GIFT_ERRORS.EXHAUSTED:
+        await this.bot.sendMessage(chatId, '❌ This gift code has reached its maximum uses.');
+        break;
+      case GIFT_ERRORS.NEW_USERS_ONLY:
+        await this.bot.sendMessage(chatId, '❌ This gift code is only for new users.');
+        break;
+      case GIFT_ERRORS.MIN_DEPOSIT_NOT_MET:
+        await this.bot.sendMessage(chatId, 
+          `❌ <b>Gift Code Requirement Not Met</b>\n\n` +
+          `💰 Required Monthly Deposit: ₹${result.minDeposit}\n` +
+          `💳 Your Monthly Deposit: ₹${result.monthlyDeposit}\n\n` +
+          `Please deposit more to redeem this gift code.`,
+          { parse_mode: 'HTML' }
+        );
+        break;
+      default:
+        await this.bot.sendMessage(chatId, '❌ Failed to redeem gift code. Please try again.');
+    }
+  }
+
     async handleMessage(msg) {
     if (!msg.text || msg.text.startsWith('/')) return;
 
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const text = msg.text.trim();
-    const userState = this.getUserState(userId);
+    let userState = this.getUserState(userId);
     await this.db.updateUserProfile(userId, msg.from.first_name, msg.from.username);
+
+    // An admin removed or moved to a narrower role mid-flow must not finish
+    // the action they started.
+    if (userState?.state?.startsWith('admin_')) {
+      const permission = this.permissionForAdminState(userState.state);
+      if (permission === undefined || !(await this.can(userId, permission))) {
+        this.clearUserState(userId);
+        userState = null;
+      }
+    }
+
     if (text === '🛒 Buy OTP') {
       await this.showAllServices(chatId, userId, 0);
     }
@@ -3078,28 +5069,37 @@ Gift codes are 8 characters long.
       this.clearUserState(userId);
       await this.showMainMenu(chatId, userId);
     }
-    else if (text === '📚 Statistics' && userId === config.ADMIN_ID) {
+    else if (text === '📚 Statistics' && await this.can(userId, PERMISSIONS.STATS)) {
       await this.showAdminStats(chatId);
     }
-    else if (text === '🛡️ User Management' && userId === config.ADMIN_ID) {
+    else if (text === '🛡️ User Management' && await this.can(userId, PERMISSIONS.USERS)) {
       await this.showUserManagement(chatId);
     }
-    else if (text === '💳 Balance Management' && userId === config.ADMIN_ID) {
-      await this.showBalanceManagement(chatId);
+    else if (text === '💳 Balance Management' && await this.can(userId)) {
+      await this.showBalanceManagement(chatId, userId);
     }
-    else if (text === '📢 Broadcast' && userId === config.ADMIN_ID) {
+    else if (text === '📢 Broadcast' && await this.can(userId, PERMISSIONS.BROADCAST)) {
     await this.handleBroadcastCommand(msg);
     }
-    else if (text === '🎟️ Gift Codes' && userId === config.ADMIN_ID) {
+    else if (text === '🎟️ Gift Codes' && await this.can(userId, PERMISSIONS.GIFT_CODES)) {
       await this.showGiftCodeManagement(chatId);
     }
-    else if (text === '📈 Monthly Deposits' && userId === config.ADMIN_ID) {
+    else if (text === '📈 Monthly Deposits' && await this.can(userId, PERMISSIONS.MONTHLY)) {
       await this.showMonthlyDepositManagement(chatId);
     }
-    else if (text === '⚙️ Settings' && userId === config.ADMIN_ID) {
-      await this.bot.sendMessage(chatId, '⚙️ <b>Admin Settings</b>\n\nSettings panel coming soon...', { parse_mode: 'HTML' });
+    else if (text === '📜 Audit Log' && await this.can(userId, PERMISSIONS.AUDIT)) {
+      await this.showAuditLog(chatId, userId, 0);
     }
-    else if (text === 'Main Menu' && userId === config.ADMIN_ID) {
+    else if (text === '🛍️ Services' && await this.can(userId, PERMISSIONS.CATALOG)) {
+      await this.showCatalogAdmin(chatId);
+    }
+    else if (text === '👮 Admins' && await this.can(userId, PERMISSIONS.MANAGE_ADMINS)) {
+      await this.showAdminTeam(chatId);
+    }
+    else if (text === '⚙️ Settings' && await this.can(userId, PERMISSIONS.SETTINGS)) {
+      await this.showSettingsPanel(chatId);
+    }
+    else if (text === 'Main Menu' && await this.can(userId)) {
       await this.showMainMenu(chatId, userId);
     }
     else if (userState?.state === 'awaiting_custom_amount') {
@@ -3121,54 +5121,84 @@ Gift codes are 8 characters long.
       await this.handleTransferAmountInput(chatId, userId, text);
     }
     else if (userState?.state === 'admin_awaiting_deposit_user') {
-      await this.handleAdminDepositUserInput(chatId, text);
+      await this.handleAdminDepositUserInput(chatId, userId, text);
     }
     else if (userState?.state === 'admin_awaiting_deposit_amount') {
-      await this.handleAdminDepositAmountInput(chatId, text);
+      await this.handleAdminDepositAmountInput(chatId, userId, text);
     }
     else if (userState?.state === 'admin_awaiting_deduct_user') {
-      await this.handleAdminDeductUserInput(chatId, text);
+      await this.handleAdminDeductUserInput(chatId, userId, text);
     }
     else if (userState?.state === 'admin_awaiting_deduct_amount') {
-      await this.handleAdminDeductAmountInput(chatId, text);
+      await this.handleAdminDeductAmountInput(chatId, userId, text);
     }
     else if (userState?.state === 'admin_awaiting_reset_user') {
-      await this.handleAdminResetUserInput(chatId, text);
+      await this.handleAdminResetUserInput(chatId, userId, text);
     }
     else if (userState?.state === 'admin_awaiting_set_user') {
-      await this.handleAdminSetUserInput(chatId, text);
+      await this.handleAdminSetUserInput(chatId, userId, text);
     }
     else if (userState?.state === 'admin_awaiting_set_amount') {
-      await this.handleAdminSetAmountInput(chatId, text);
+      await this.handleAdminSetAmountInput(chatId, userId, text);
     }
     else if (userState?.state === 'admin_awaiting_broadcast') {
-    await this.handleBroadcastMessageInput(chatId, text);
+    await this.handleBroadcastMessageInput(chatId, userId, text);
     }
     else if (userState?.state === 'admin_awaiting_gift_amount') {
-      await this.handleAdminGiftAmountInput(chatId, text);
+      await this.handleAdminGiftAmountInput(chatId, userId, text);
     }
     else if (userState?.state === 'admin_awaiting_gift_uses') {
-      await this.handleAdminGiftUsesInput(chatId, text);
+      await this.handleAdminGiftUsesInput(chatId, userId, text);
     }
     else if (userState?.state === 'admin_awaiting_gift_min_deposit') {
-  await this.handleAdminGiftMinDepositInput(chatId, text);
+  await this.handleAdminGiftMinDepositInput(chatId, userId, text);
 }
+    else if (userState?.state === 'admin_awaiting_reverse_deposit') {
+      await this.handleAdminReverseDepositInput(chatId, userId, text);
+    }
+    else if (userState?.state === 'admin_awaiting_gift_service') {
+      await this.handleAdminGiftServiceInput(chatId, userId, text);
+    }
+    else if (userState?.state === 'admin_awaiting_gift_expiry') {
+      await this.handleAdminGiftExpiryInput(chatId, userId, text);
+    }
+    else if (userState?.state === 'admin_awaiting_gift_count') {
+      await this.handleAdminGiftCountInput(chatId, userId, text);
+    }
     else if (userState?.state === 'admin_awaiting_search_user') {
       await this.handleAdminSearchUserInput(chatId, text);
     }
+    else if (userState?.state === 'admin_awaiting_order_reveal') {
+      await this.handleAdminOrderRevealInput(chatId, userId, text);
+    }
+    else if (userState?.state?.startsWith('admin_awaiting_catalog_')) {
+      await this.handleAdminCatalogInput(chatId, userId, text, userState);
+    }
+    else if (userState?.state === 'admin_awaiting_setting_value') {
+      await this.handleAdminSettingInput(chatId, userId, text);
+    }
+    else if (userState?.state === 'admin_awaiting_new_admin') {
+      await this.handleAdminTeamAddInput(chatId, userId, text);
+    }
+    else if (userState?.state === 'admin_awaiting_audit_filter') {
+      await this.handleAdminAuditFilterInput(chatId, userId, text);
+    }
+    else if (userState?.state === 'admin_awaiting_ledger_user') {
+      await this.handleAdminLedgerUserInput(chatId, userId, text);
+    }
     else {
       await this.handleSearchCommand(msg, text);
     }
   }
 
-    async handleAdminDeductUserInput(chatId, targetUserId) {
+    async handleAdminDeductUserInput(chatId, adminId, targetUserId) {
         try {
             const targetUser = await this.db.getUser(parseInt(targetUserId));
             if (!targetUser) {
                 await this.bot.sendMessage(chatId, '❌ User not found.');
                 return;
             }
-            this.setUserState(config.ADMIN_ID, 'admin_awaiting_deduct_amount', { targetUserId: parseInt(targetUserId) });
+            this.setUserState(adminId, 'admin_awaiting_deduct_amount', { targetUserId: parseInt(targetUserId) });
             await this.bot.sendMessage(chatId, `
 ➖ <b>Deduct Balance</b>
 
@@ -3182,16 +5212,28 @@ Please enter the amount to deduct:
         }
     }
 
-    async handleAdminDeductAmountInput(chatId, amount) {
+    async handleAdminDeductAmountInput(chatId, adminId, amount) {
         try {
-            const userState = this.getUserState(config.ADMIN_ID);
+            const userState = this.getUserState(adminId);
             const targetUserId = userState.data.targetUserId;
             const deductAmount = parseFloat(amount);
             if (isNaN(deductAmount) || deductAmount <= 0) {
                 await this.bot.sendMessage(chatId, '❌ Please enter a valid amount.');
                 return;
             }
-            await this.db.updateBalance(targetUserId, -deductAmount);
+            await this.db.withTransaction(async (tx) => {
+                const before = { balance: parseFloat((await tx.getUser(targetUserId)).balance) };
+                const balance = await tx.updateBalance(targetUserId, -deductAmount, LEDGER_REASONS.ADMIN_ADJUSTMENT, { note: `Deducted by admin ${adminId}` });
+
+                await tx.logAdminAction({
+                    adminId,
+                    action: ADMIN_ACTIONS.BALANCE_DEDUCT,
+                    targetUserId,
+                    before,
+                    after: { balance: parseFloat(balance) },
+                    details: `Deducted ₹${deductAmount}`
+                });
+            });
             const targetUser = await this.db.getUser(targetUserId);
             await this.bot.sendMessage(chatId, `
 ✅ <b>Deduction Successful!</b>
@@ -3200,7 +5242,7 @@ Please enter the amount to deduct:
 💰 <b>Amount Deducted:</b> ₹${deductAmount}
 💳 <b>New Balance:</b> ₹${this.payment.formatCurrency(targetUser.balance)}
             `.trim(), { parse_mode: 'HTML' });
-            this.clearUserState(config.ADMIN_ID);
+            this.clearUserState(adminId);
             await this.bot.sendMessage(targetUserId, `
 📢 <b>Balance Update</b>
 
@@ -3212,29 +5254,40 @@ Your new balance is ₹${this.payment.formatCurrency(targetUser.balance)}.
         }
     }
 
-    async handleAdminResetUserInput(chatId, targetUserId) {
+    async handleAdminResetUserInput(chatId, adminId, targetUserId) {
         try {
             const targetUser = await this.db.getUser(parseInt(targetUserId));
             if (!targetUser) {
                 await this.bot.sendMessage(chatId, '❌ User not found.');
                 return;
             }
-            await this.db.resetMonthlyDeposit(parseInt(targetUserId));
+            await this.db.withTransaction(async (tx) => {
+                const before = { monthlyDeposit: await tx.getMonthlyDeposit(parseInt(targetUserId)) };
+                await tx.resetMonthlyDeposit(parseInt(targetUserId));
+
+                await tx.logAdminAction({
+                    adminId,
+                    action: ADMIN_ACTIONS.MONTHLY_RESET,
+                    targetUserId: parseInt(targetUserId),
+                    before,
+                    after: { monthlyDeposit: 0 }
+                });
+            });
             await this.bot.sendMessage(chatId, `✅ Monthly deposit for user ${targetUserId} has been reset to 0.`, { parse_mode: 'HTML' });
-            this.clearUserState(config.ADMIN_ID);
+            this.clearUserState(adminId);
         } catch (error) {
             await this.bot.sendMessage(chatId, '❌ Error processing request.');
         }
     }
 
-    async handleAdminSetUserInput(chatId, targetUserId) {
+    async handleAdminSetUserInput(chatId, adminId, targetUserId) {
         try {
             const targetUser = await this.db.getUser(parseInt(targetUserId));
             if (!targetUser) {
                 await this.bot.sendMessage(chatId, '❌ User not found.');
                 return;
             }
-            this.setUserState(config.ADMIN_ID, 'admin_awaiting_set_amount', { targetUserId: parseInt(targetUserId) });
+            this.setUserState(adminId, 'admin_awaiting_set_amount', { targetUserId: parseInt(targetUserId) });
             const monthlyDeposit = await this.db.getMonthlyDeposit(parseInt(targetUserId));
             await this.bot.sendMessage(chatId, `
 📊 <b>Set Monthly Deposit</b>
@@ -3249,95 +5302,212 @@ Please enter the new total monthly deposit amount:
         }
     }
 
-    async handleAdminSetAmountInput(chatId, amount) {
+    async handleAdminSetAmountInput(chatId, adminId, amount) {
         try {
-            const userState = this.getUserState(config.ADMIN_ID);
+            const userState = this.getUserState(adminId);
             const targetUserId = userState.data.targetUserId;
             const newAmount = parseFloat(amount);
             if (isNaN(newAmount) || newAmount < 0) {
                 await this.bot.sendMessage(chatId, '❌ Please enter a valid non-negative amount.');
                 return;
             }
-            await this.db.setMonthlyDeposit(targetUserId, newAmount);
+            await this.db.withTransaction(async (tx) => {
+                const before = { monthlyDeposit: await tx.getMonthlyDeposit(targetUserId) };
+                await tx.setMonthlyDeposit(targetUserId, newAmount);
+
+                await tx.logAdminAction({
+                    adminId,
+                    action: ADMIN_ACTIONS.MONTHLY_SET,
+                    targetUserId,
+                    before,
+                    after: { monthlyDeposit: newAmount }
+                });
+            });
             await this.bot.sendMessage(chatId, `✅ Monthly deposit for user ${targetUserId} has been set to ₹${newAmount}.`);
-            this.clearUserState(config.ADMIN_ID);
+            this.clearUserState(adminId);
         } catch (error) {
             await this.bot.sendMessage(chatId, '❌ Failed to set amount.');
         }
     }
 
-    async handleAdminGiftAmountInput(chatId, amount) {
+    async handleAdminGiftAmountInput(chatId, adminId, amount) {
+        const data = this.getUserState(adminId).data || {};
+        const bonusType = data.bonusType || GIFT_TYPES.CREDIT;
         const giftAmount = parseFloat(amount);
         if (isNaN(giftAmount) || giftAmount <= 0) {
             await this.bot.sendMessage(chatId, '❌ Please enter a valid amount.');
             return;
         }
-        this.setUserState(config.ADMIN_ID, 'admin_awaiting_gift_uses', { amount: giftAmount });
+        if (bonusType !== GIFT_TYPES.CREDIT && giftAmount > 100) {
+            await this.bot.sendMessage(chatId, '❌ Please enter a percentage from 1 to 100.');
+            return;
+        }
+        const next = { ...data, bonusType, amount: giftAmount };
+        this.setUserState(adminId, 'admin_awaiting_gift_uses', next);
         await this.bot.sendMessage(chatId, `
 🎟️ <b>Create Gift Code</b>
 
-✅ <b>Amount:</b> ₹${giftAmount}
+${this.describeGiftTerms(next)}
 
-How many times can this code be used? (Enter a number, or 0 for unlimited)
+How many times can each code be used? (Enter a number, or 0 for unlimited)
         `.trim(), { parse_mode: 'HTML' });
     }
 
-    async handleAdminGiftUsesInput(chatId, uses) {
+    async handleAdminGiftUsesInput(chatId, adminId, uses) {
     const maxUses = parseInt(uses);
     if (isNaN(maxUses) || maxUses < 0) {
         await this.bot.sendMessage(chatId, '❌ Please enter a valid number of uses (0 or more).');
         return;
     }
     
-    const userState = this.getUserState(config.ADMIN_ID);
-    const amount = userState.data.amount;
+    const userState = this.getUserState(adminId);
+    const next = { ...userState.data, maxUses };
     
-    this.setUserState(config.ADMIN_ID, 'admin_awaiting_gift_min_deposit', { 
-        amount: amount, 
-        maxUses: maxUses 
-    });
+    this.setUserState(adminId, 'admin_awaiting_gift_min_deposit', next);
 
     await this.bot.sendMessage(chatId, 
         `🎟️ <b>Create Gift Code</b>\n\n` +
-        `✅ <b>Amount:</b> ₹${amount}\n` +
-        `🔄 <b>Max Uses:</b> ${maxUses === 0 ? 'Unlimited' : maxUses}\n\n` +
+        `${this.describeGiftTerms(next)}\n\n` +
         `Set minimum monthly deposit requirement (Enter 0 for no condition):`,
         { parse_mode: 'HTML' }
     );
 }
 
-async handleAdminGiftMinDepositInput(chatId, minDeposit) {
+async handleAdminGiftMinDepositInput(chatId, adminId, minDeposit) {
     const minDepositAmount = parseFloat(minDeposit);
     if (isNaN(minDepositAmount) || minDepositAmount < 0) {
         await this.bot.sendMessage(chatId, '❌ Please enter a valid minimum deposit amount (0 or more).');
         return;
     }
     
-    const userState = this.getUserState(config.ADMIN_ID);
-    const amount = userState.data.amount;
-    const maxUses = userState.data.maxUses;
-    const newCode = this.payment.generateGiftCode();
+    const userState = this.getUserState(adminId);
+    const next = { ...userState.data, minDeposit: minDepositAmount };
+
+    this.setUserState(adminId, 'admin_awaiting_gift_expiry', next);
+
+    await this.bot.sendMessage(chatId, 
+        `🎟️ <b>Create Gift Code</b>\n\n` +
+        `${this.describeGiftTerms(next)}\n\n` +
+        `When should the code expire? Send a number of days (e.g. 7), a date as YYYY-MM-DD, or 0 for never:`,
+        { parse_mode: 'HTML' }
+    );
+}
+
+  // Days from now, or the end of a YYYY-MM-DD date; 0 means no expiry.
+  async handleAdminGiftExpiryInput(chatId, adminId, text) {
+    const input = text.trim();
+    let expiresAt = null;
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(input)) {
+      expiresAt = new Date(`${input}T23:59:59`);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        await this.bot.sendMessage(chatId, '❌ Please send a valid date in the future.');
+        return;
+      }
+    } else {
+      const days = Number(input);
+      if (input === '' || !Number.isInteger(days) || days < 0 || days > 3650) {
+        await this.bot.sendMessage(chatId, '❌ Please send a number of days (0-3650) or a date as YYYY-MM-DD.');
+        return;
+      }
+      expiresAt = days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null;
+    }
+
+    const next = { ...this.getUserState(adminId).data, expiresAt: expiresAt ? expiresAt.toISOString() : null };
+    this.setUserState(adminId, 'admin_awaiting_gift_new_users', next);
+
+    await this.bot.sendMessage(chatId,
+      `🎟️ <b>Create Gift Code</b>\n\n` +
+      `${this.describeGiftTerms(next)}\n\n` +
+      `Only for new users? New users have not deposited or bought a number yet.`,
+      {
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '🆕 New users only', callback_data: 'admin_gift_newusers_yes' },
+              { text: '👥 Everyone', callback_data: 'admin_gift_newusers_no' }
+            ],
+            [{ text: 'Cancel', callback_data: 'admin_gift' }]
+          ]
+        }
+      }
+    );
+  }
+
+  async handleAdminGiftNewUsersChoice(chatId, adminId, newUsersOnly) {
+    const userState = this.getUserState(adminId);
+    if (userState?.state !== 'admin_awaiting_gift_new_users') {
+      await this.bot.sendMessage(chatId, '❌ This gift code setup has expired. Please start again.');
+      return;
+    }
+
+    const next = { ...userState.data, newUsersOnly };
+    this.setUserState(adminId, 'admin_awaiting_gift_count', next);
+
+    await this.bot.sendMessage(chatId,
+      `🎟️ <b>Create Gift Code</b>\n\n` +
+      `${this.describeGiftTerms(next)}\n\n` +
+      `How many codes? Send 1 for a single code, or up to ${GIFT_BULK_LIMIT} to generate a campaign exported as a CSV file.`,
+      { parse_mode: 'HTML' }
+    );
+  }
+
+  async handleAdminGiftCountInput(chatId, adminId, text) {
+    const count = Number(text.trim());
+    if (!Number.isInteger(count) || count < 1 || count > GIFT_BULK_LIMIT) {
+      await this.bot.sendMessage(chatId, `❌ Please send a whole number from 1 to ${GIFT_BULK_LIMIT}.`);
+      return;
+    }
+
+    const data = this.getUserState(adminId).data;
+    const terms = {
+      amount: data.amount,
+      createdBy: adminId,
+      maxUses: data.maxUses,
+      minDeposit: data.minDeposit,
+      expiresAt: data.expiresAt,
+      bonusType: data.bonusType,
+      serviceCode: data.serviceCode || null,
+      newUsersOnly: data.newUsersOnly
+    };
 
-    await this.db.createGiftCodeWithCondition({
-        code: newCode,
-        amount,
-        createdBy: config.ADMIN_ID,
-        maxUses,
-        minDeposit: minDepositAmount
+    let codes = [];
+    const campaign = await this.db.withTransaction(async (tx) => {
+      const created = count > 1 ? await tx.createGiftCampaign(terms, count) : null;
+      const rows = await tx.createUniqueGiftCodes(count, () => this.payment.generateGiftCode(), { ...terms, campaignId: created ? created.id : null });
+      codes = rows.map(row => row.code);
+
+      await tx.logAdminAction({
+        adminId,
+        action: created ? ADMIN_ACTIONS.GIFT_CAMPAIGN_CREATE : ADMIN_ACTIONS.GIFT_CREATE,
+        after: created ? { campaignId: created.id, count, ...terms } : { code: codes[0], ...terms },
+        details: created ? `campaign ${created.id}` : null
+      });
+      return created;
     });
 
+    this.clearUserState(adminId);
+
+    if (campaign) {
+      await this.bot.sendMessage(chatId,
+        `✅ <b>Gift Campaign #${campaign.id} Created!</b>\n\n` +
+        `📦 <b>Codes:</b> ${count}\n` +
+        `${this.describeGiftTerms(data)}\n\n` +
+        `The codes are in the file below.`,
+        { parse_mode: 'HTML' }
+      );
+      await this.exportGiftCampaign(chatId, campaign.id);
+      return;
+    }
+
     await this.bot.sendMessage(chatId, 
         `✅ <b>Gift Code Created!</b>\n\n` +
-        `🏷️ <b>Code:</b> <code>${newCode}</code>\n` +
-        `💳 <b>Amount:</b> ₹${amount}\n` +
-        `🔄 <b>Max Uses:</b> ${maxUses === 0 ? 'Unlimited' : maxUses}\n` +
-        `📋 <b>Min Deposit:</b> ₹${minDepositAmount}\n\n` +
-        `Only users with ₹${minDepositAmount}+ monthly deposit can redeem this code.`,
+        `🏷️ <b>Code:</b> <code>${codes[0]}</code>\n` +
+        `${this.describeGiftTerms(data)}`,
         { parse_mode: 'HTML' }
     );
-    
-    this.clearUserState(config.ADMIN_ID);
-}
+  }
 
 
   async handleCustomAmountInput(chatId, userId, text) {
@@ -3405,14 +5575,10 @@ REQ-ID: ${requestId}
       ]
     };
 
-    try {
-      await this.bot.sendMessage(config.ADMIN_ID, adminText, {
-        parse_mode: 'HTML',
-        reply_markup: adminKeyboard
-      });
-    } catch (error) {
-      console.error('Admin notification error:', error);
-    }
+    await this.notifyAdmins(PERMISSIONS.DEPOSITS, adminText, {
+      parse_mode: 'HTML',
+      reply_markup: adminKeyboard
+    });
 
     await this.bot.sendMessage(chatId, `
 ✅ <b>Deposit Request Submitted</b>
@@ -3434,9 +5600,6 @@ Your balance will be updated after verification.
   }
 
   async showMyOrders(chatId, userId) {
-
-  await this.db.cleanupExpiredOrders();
-  
   const activeOrders = await this.db.getActiveOrders(userId);
   const orderHistory = await this.db.getUserOrders(userId);
   const user = await this.db.getUser(userId);
@@ -3572,11 +5735,16 @@ async handleBroadcastCommand(msg) {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
 
-  if (userId !== config.ADMIN_ID) {
+  if (!(await this.can(userId, PERMISSIONS.BROADCAST))) {
     await this.bot.sendMessage(chatId, '❌ Unauthorized access.');
     return;
   }
 
+  if (!config.BROADCAST_SETTINGS.enabled) {
+    await this.bot.sendMessage(chatId, '❌ Broadcasts are turned off in Settings.');
+    return;
+  }
+
   this.setUserState(userId, 'admin_awaiting_broadcast');
   
   await this.bot.sendMessage(chatId, `
@@ -3586,7 +5754,7 @@ Please enter your broadcast message:
 
 <b>Formatting:</b>
 • Use HTML formatting
-• Maximum 4096 characters
+• Maximum ${config.BROADCAST_SETTINGS.max_message_length} characters
 • Supports emojis
 
 <b>Available tags:</b>
@@ -3609,13 +5777,13 @@ async handleBroadcastCallback(query) {
   const userId = query.from.id;
   const data = query.data;
 
-  if (userId !== config.ADMIN_ID) {
+  if (!(await this.can(userId, PERMISSIONS.BROADCAST))) {
     await this.bot.answerCallbackQuery(query.id, { text: '❌ Unauthorized' });
     return;
   }
 
   if (data === 'broadcast_confirm') {
-    await this.sendBroadcastToAllUsers(chatId, query.message.message_id);
+    await this.sendBroadcastToAllUsers(chatId, userId, query.message.message_id);
   } else if (data === 'broadcast_cancel') {
     await this.bot.editMessageText('❌ Broadcast cancelled.', {
       chat_id: chatId,
@@ -3625,14 +5793,15 @@ async handleBroadcastCallback(query) {
   }
 }
 
-async handleBroadcastMessageInput(chatId, message) {
+async handleBroadcastMessageInput(chatId, adminId, message) {
   try {
-    if (message.length > 4096) {
-      await this.bot.sendMessage(chatId, '❌ Message too long. Maximum 4096 characters allowed.');
+    const maxLength = config.BROADCAST_SETTINGS.max_message_length;
+    if (message.length > maxLength) {
+      await this.bot.sendMessage(chatId, `❌ Message too long. Maximum ${maxLength} characters allowed.`);
       return;
     }
 
-    this.setUserState(config.ADMIN_ID, 'admin_broadcast_ready', { message });
+    this.setUserState(adminId, 'admin_broadcast_ready', { message });
 
     const previewMessage = `
 📢 <b>Broadcast Preview</b>
@@ -3658,14 +5827,14 @@ Confirm broadcast?
     });
 
   } catch (error) {
-    console.error('Broadcast input error:', error);
+    logger.error('Broadcast input error', { error });
     await this.bot.sendMessage(chatId, '❌ Error processing broadcast message.');
   }
 }
 
-async sendBroadcastToAllUsers(adminChatId, messageId) {
+async sendBroadcastToAllUsers(adminChatId, adminId, messageId) {
   try {
-    const userState = this.getUserState(config.ADMIN_ID);
+    const userState = this.getUserState(adminId);
     if (!userState || !userState.data.message) {
       await this.bot.editMessageText('❌ Broadcast session expired.', {
         chat_id: adminChatId,
@@ -3722,11 +5891,17 @@ async sendBroadcastToAllUsers(adminChatId, messageId) {
         await new Promise(resolve => setTimeout(resolve, 100));
         
       } catch (error) {
-        console.error(`Failed to send to user ${user.user_id}:`, error.message);
+        logger.warn('Broadcast send failed', { recipient_id: user.user_id, error });
         failCount++;
       }
     }
 
+    await this.auditAdminAction(ADMIN_ACTIONS.BROADCAST, {
+      adminId,
+      after: { totalUsers, successCount, failCount },
+      details: broadcastMessage.substring(0, 200)
+    });
+
     const resultMessage = `
 ✅ <b>Broadcast Completed!</b>
 
@@ -3750,10 +5925,10 @@ async sendBroadcastToAllUsers(adminChatId, messageId) {
       }
     });
 
-    this.clearUserState(config.ADMIN_ID);
+    this.clearUserState(adminId);
 
   } catch (error) {
-    console.error('Broadcast error:', error);
+    logger.error('Broadcast error', { error });
     await this.bot.editMessageText('❌ Broadcast failed: ' + error.message, {
       chat_id: adminChatId,
       message_id: messageId
@@ -3761,52 +5936,97 @@ async sendBroadcastToAllUsers(adminChatId, messageId) {
   }
 }
 
-  cleanup() {
+  async cleanup() {
     if (this.channelCheckInterval) {
       clearInterval(this.channelCheckInterval);
     }
-
-    for (const [orderId, job] of this.activeJobs) {
-      if (job.interval) {
-        clearInterval(job.interval);
-      }
-      if (job.cancelUpdateInterval) {
-        clearInterval(job.cancelUpdateInterval);
-      }
+    if (this.referralReleaseInterval) {
+      clearInterval(this.referralReleaseInterval);
     }
+
+    this.scheduler.stop();
+    this.reports.stop();
+    await this.notifier.stop();
   }
 }
 
 const bot = new OTPBot();
 const PORT = process.env.PORT || 3000;
 const http = require('http');
-const server = http.createServer((req, res) => {
-  res.writeHead(200, { 'Content-Type': 'text/plain' });
-  res.end('Fire OTP Bot is running!');
+const readRequestBody = (req, limit = 1024 * 1024) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
 });
 
+const server = http.createServer((req, res) => logger.withContext({ request_id: crypto.randomUUID() }, async () => {
+  try {
+    if (req.url === '/status') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ scheduler: bot.scheduler.getQueueStats() }));
+      return;
+    }
+
+    const webhook = req.method === 'POST' && req.url.match(/^\/webhooks\/payments\/([\w-]+)$/);
+    if (webhook) {
+      const rawBody = await readRequestBody(req);
+      const { statusCode, body } = await bot.handlePaymentWebhook(webhook[1], rawBody, req.headers);
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+      return;
+    }
+
+    if (bot.paymentProvider && await bot.paymentProvider.handleHttpRequest(req, res)) {
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Fire OTP Bot is running!');
+  } catch (error) {
+    logger.error('HTTP request error', { method: req.method, url: req.url, error });
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+    }
+    res.end();
+  }
+}));
+
 server.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server is running on port ${PORT}`);
+  logger.info('Server is running', { port: PORT });
 });
 
 
-process.on('SIGINT', () => {
-  console.log('🛑 Shutting down bot gracefully...');
-  bot.cleanup();
+// Waits for pending notifications to go out, but not forever: Telegram being
+// down must not keep the process from exiting.
+const shutdown = async (signal) => {
+  logger.info('Shutting down bot gracefully', { signal });
+  const deadline = new Promise(resolve => setTimeout(resolve, 10 * 1000).unref());
+  await Promise.race([
+    bot.cleanup().catch(error => logger.error('Shutdown cleanup failed', { error })),
+    deadline
+  ]);
   process.exit(0);
-});
+};
 
-process.on('SIGTERM', () => {
-  console.log('🛑 Shutting down bot gracefully...');
-  bot.cleanup();
-  process.exit(0);
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 process.on('unhandledRejection', (error) => {
-  console.error('Unhandled Promise Rejection:', error);
+  logger.error('Unhandled promise rejection', { error });
 });
 
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  logger.error('Uncaught exception', { error });
 
 });
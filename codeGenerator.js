@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Gift codes carry cash value, so they are drawn from the CSPRNG. The alphabet
+// leaves out 0/O and 1/I, which users mix up when typing codes from a picture.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class CodeGenerator {
+  constructor({ length = 8, prefix = '', checksum = false, alphabet = CODE_ALPHABET } = {}) {
+    this.length = length;
+    this.prefix = prefix.toUpperCase();
+    this.checksum = checksum;
+    this.alphabet = alphabet;
+  }
+
+  generate() {
+    let body = '';
+    for (let i = 0; i < this.length; i++) {
+      body += this.alphabet[crypto.randomInt(this.alphabet.length)];
+    }
+
+    return this.prefix + body + (this.checksum ? this.checkCharacter(body) : '');
+  }
+
+  // Length of a generated code, prefix and check character included.
+  codeLength() {
+    return this.prefix.length + this.length + (this.checksum ? 1 : 0);
+  }
+
+  // Luhn mod N over the alphabet: catches any single wrong character and
+  // most swaps of neighbouring ones.
+  checkCharacter(body) {
+    const base = this.alphabet.length;
+    let factor = 2;
+    let sum = 0;
+
+    for (let i = body.length - 1; i >= 0; i--) {
+      let addend = factor * this.alphabet.indexOf(body[i]);
+      factor = factor === 2 ? 1 : 2;
+      addend = Math.floor(addend / base) + (addend % base);
+      sum += addend;
+    }
+
+    return this.alphabet[(base - (sum % base)) % base];
+  }
+
+  // True for a code in this format whose check character does not match,
+  // i.e. one that was almost certainly mistyped. Codes from before the format
+  // was turned on, or without a checksum at all, are never flagged.
+  isMistyped(code) {
+    if (!this.checksum) return false;
+
+    const text = String(code).trim().toUpperCase();
+    if (!text.startsWith(this.prefix) || text.length !== this.codeLength()) return false;
+
+    const body = text.slice(this.prefix.length, -1);
+    if ([...body].some(char => !this.alphabet.includes(char))) return false;
+
+    return this.checkCharacter(body) !== text.slice(-1);
+  }
+}
+
+module.exports = CodeGenerator;
+module.exports.CODE_ALPHABET = CODE_ALPHABET;
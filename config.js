@@ -28,15 +28,55 @@ const validateEnv = () => {
 
 validateEnv();
 
+// Optional separate chats or forum topics for the busiest notification streams.
+const ORDER_NOTIFICATIONS = { chat: process.env.NOTIFICATION_ORDERS_CHAT_ID, topic: process.env.NOTIFICATION_ORDERS_TOPIC_ID };
+const DEPOSIT_NOTIFICATIONS = { chat: process.env.NOTIFICATION_DEPOSITS_CHAT_ID, topic: process.env.NOTIFICATION_DEPOSITS_TOPIC_ID };
+const ALERT_NOTIFICATIONS = { chat: process.env.NOTIFICATION_ALERTS_CHAT_ID, topic: process.env.NOTIFICATION_ALERTS_TOPIC_ID };
+
 module.exports = {
 
   BOT_TOKEN: process.env.BOT_TOKEN,
   NOTIFICATION_BOT_TOKEN: process.env.NOTIFICATION_BOT_TOKEN,
   NOTIFICATION_CHAT_ID: process.env.NOTIFICATION_CHAT_ID,
 
+  // Where each notification event goes. `chat` and `topic` pick the chat and
+  // forum topic (NOTIFICATION_CHAT_ID when unset); severity is info, action or
+  // critical. Batched events are posted as one list every batch_minutes.
+  // During quiet hours batches wait and info events arrive without a sound.
+  // Critical events are never batched and are the last to be dropped when
+  // Telegram is unreachable for long.
+  NOTIFICATION_SETTINGS: {
+    routes: {
+      default: { severity: 'info' },
+      userRegistered: { severity: 'info', batch: true },
+      orderPlaced: { ...ORDER_NOTIFICATIONS, severity: 'info', batch: true },
+      otpReceived: { ...ORDER_NOTIFICATIONS, severity: 'info', batch: true },
+      orderCancelled: { ...ORDER_NOTIFICATIONS, severity: 'info', batch: true },
+      newNumberRequested: { ...ORDER_NOTIFICATIONS, severity: 'info', batch: true },
+      giftCodeRedeemed: { severity: 'info', batch: true },
+      depositRequested: { ...DEPOSIT_NOTIFICATIONS, severity: 'action' },
+      depositApproved: { ...DEPOSIT_NOTIFICATIONS, severity: 'info' },
+      depositRejected: { ...DEPOSIT_NOTIFICATIONS, severity: 'info' },
+      depositReversed: { ...DEPOSIT_NOTIFICATIONS, severity: 'action' },
+      providerAlert: { ...ALERT_NOTIFICATIONS, severity: 'critical' }
+    },
+    batch_minutes: 10,
+    quiet_hours: false,
+    quiet_start: '23:00',
+    quiet_end: '07:00',
+    retry_attempts: 5
+  },
+
   FIREX_API_KEY: process.env.FIREX_API_KEY,
   FIREX_BASE_URL: process.env.FIREX_BASE_URL,
 
+  // Phone numbers and OTPs are masked in the console and the notification
+  // chat unless these are turned off; admins can still reveal an order.
+  PRIVACY_SETTINGS: {
+    mask_in_logs: process.env.MASK_IN_LOGS !== 'false',
+    mask_in_notifications: process.env.MASK_IN_NOTIFICATIONS !== 'false'
+  },
+
   CHANNEL_ID: process.env.CHANNEL_ID,
   CHANNEL_LINK: process.env.CHANNEL_LINK,
 
@@ -61,7 +101,72 @@ module.exports = {
     enabled: true,
     commission_percent: 5,
     min_deposit_for_commission: 1,
-    referral_code_length: 8
+    referral_code_length: 8,
+    // Higher commission % once a referrer's referred users have deposited
+    // this much in total, e.g. [{ volume: 50000, percent: 7 }].
+    tiers: [],
+    // Most a referrer can earn from one referred user (0 = no cap), over
+    // their lifetime or per calendar month.
+    cap_per_referred: 0,
+    cap_monthly: false,
+    // Days commission is held before it reaches the referrer's balance.
+    hold_days: 7
+  },
+
+  // Signs that a referred account belongs to the referrer. Each signal found
+  // adds its weight to a risk score; commission scoring review_score or more
+  // waits for an admin instead of being paid.
+  REFERRAL_RISK: {
+    enabled: true,
+    review_score: 50,
+    weights: {
+      shared_utr: 40,
+      transfer_back: 60,
+      signup_burst: 30
+    },
+    // UPI references start with the date and hour followed by a running
+    // number, so payments made minutes apart from one bank share a long prefix.
+    utr_prefix_length: 9,
+    transfer_days: 30,
+    burst_minutes: 60,
+    burst_signups: 5
+  },
+
+  // Gift and referral code formats. A prefix tells the two apart at a glance;
+  // a check character lets the bot tell a mistyped code from an unknown one.
+  // Changes only affect codes generated afterwards.
+  CODE_FORMATS: {
+    gift: {
+      length: 8,
+      prefix: process.env.GIFT_CODE_PREFIX || '',
+      checksum: process.env.GIFT_CODE_CHECKSUM === 'true'
+    },
+    referral: {
+      prefix: process.env.REFERRAL_CODE_PREFIX || '',
+      checksum: process.env.REFERRAL_CODE_CHECKSUM === 'true'
+    }
+  },
+
+  PAYMENT_GATEWAY: {
+    provider: process.env.PAYMENT_PROVIDER || null,
+    webhook_secret: process.env.PAYMENT_WEBHOOK_SECRET || '',
+    public_url: (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '')
+  },
+
+  SCHEDULER_SETTINGS: {
+    tick_interval_ms: parseInt(process.env.SCHEDULER_TICK_MS) || 4000,
+    check_batch_size: parseInt(process.env.SCHEDULER_BATCH_SIZE) || 10,
+    edits_per_second: parseInt(process.env.SCHEDULER_EDITS_PER_SECOND) || 20
+  },
+
+  // Digests posted to the notification chat. Times are HH:MM in server time
+  // (set TZ to change it); weekly_day runs from 1 = Monday to 7 = Sunday.
+  REPORT_SETTINGS: {
+    daily_enabled: true,
+    daily_time: '09:00',
+    weekly_enabled: true,
+    weekly_day: 1,
+    weekly_time: '09:00'
   },
 
   BROADCAST_SETTINGS: {
@@ -70,6 +175,8 @@ module.exports = {
   allowed_formats: ['text', 'photo', 'document']
 },
 
+  // SERVICES and SERVICE_SERVERS only seed the service catalog on first start.
+  // After that services are managed from the admin panel (🛍️ Services).
   SERVICES: {
     "SHEIN": { name: "SHEIN", price: 8.44, command: "/find_SHEIN" },
     "FACEBOOK": { name: "Facebook", price: 18, command: "/find_FACEBOOK" },
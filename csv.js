@@ -0,0 +1,28 @@
+// Minimal RFC 4180 writer for the CSV exports sent to admins.
+function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  // Names and notes are user-controlled; keep spreadsheets from running them
+  // as formulas. Plain negative numbers are left alone.
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(columns, rows) {
+  const lines = [columns.map(column => escapeCSV(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCSV(row[column.key])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { escapeCSV, toCSV };
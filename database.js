@@ -1,8 +1,85 @@
-const { Client } = require('pg');
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const Migrator = require('./migrator');
+const logger = require('./logger').child({ module: 'database' });
+
+const LEDGER_REASONS = {
+  ORDER_DEBIT: 'order_debit',
+  REFUND: 'refund',
+  DEPOSIT: 'deposit',
+  GIFT_REDEMPTION: 'gift_redemption',
+  REFERRAL_COMMISSION: 'referral_commission',
+  TRANSFER: 'transfer',
+  ADMIN_ADJUSTMENT: 'admin_adjustment',
+  OPENING_BALANCE: 'opening_balance',
+  DEPOSIT_BONUS: 'deposit_bonus',
+  DEPOSIT_REVERSAL: 'deposit_reversal',
+  REFERRAL_CLAWBACK: 'referral_clawback'
+};
+
+const REFERRAL_EARNING_STATUS = {
+  HELD: 'held',
+  RELEASED: 'released',
+  CLAWED_BACK: 'clawed_back',
+  // Flagged by the risk checks; paid only once an admin releases it.
+  REVIEW: 'review',
+  REJECTED: 'rejected'
+};
+
+const FUNDS_ERRORS = {
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  USER_NOT_FOUND: 'user_not_found'
+};
+
+const GIFT_ERRORS = {
+  NOT_FOUND: 'not_found',
+  EXPIRED: 'expired',
+  ALREADY_USED: 'already_used',
+  EXHAUSTED: 'exhausted',
+  MIN_DEPOSIT_NOT_MET: 'min_deposit_not_met',
+  NEW_USERS_ONLY: 'new_users_only'
+};
+
+// What a gift code gives. Credit adds `amount` rupees straight away; the other
+// two treat `amount` as a percentage and are saved as a pending user bonus.
+const GIFT_TYPES = {
+  CREDIT: 'credit',
+  DEPOSIT_BONUS: 'deposit_bonus',
+  SERVICE_DISCOUNT: 'service_discount'
+};
+
+const ADMIN_ACTIONS = {
+  MANUAL_DEPOSIT: 'manual_deposit',
+  BALANCE_DEDUCT: 'balance_deduct',
+  MONTHLY_RESET: 'monthly_reset',
+  MONTHLY_SET: 'monthly_set',
+  GIFT_CREATE: 'gift_create',
+  GIFT_DELETE: 'gift_delete',
+  GIFT_CAMPAIGN_CREATE: 'gift_campaign_create',
+  GIFT_CAMPAIGN_DELETE: 'gift_campaign_delete',
+  DEPOSIT_APPROVE: 'deposit_approve',
+  DEPOSIT_REJECT: 'deposit_reject',
+  DEPOSIT_REVERSE: 'deposit_reverse',
+  ORDER_REVEAL: 'order_reveal',
+  REFERRAL_RELEASE: 'referral_release',
+  REFERRAL_REJECT: 'referral_reject',
+  STATEMENT_APPROVE: 'statement_approve',
+  LEDGER_REBUILD: 'ledger_rebuild',
+  BROADCAST: 'broadcast',
+  ADMIN_ADD: 'admin_add',
+  ADMIN_REMOVE: 'admin_remove',
+  SETTING_UPDATE: 'setting_update',
+  SERVICE_UPDATE: 'service_update',
+  SERVER_UPDATE: 'server_update'
+};
 
 class DatabaseManager {
-  constructor() {
+  constructor(options = {}) {
+    this.autoMigrate = options.autoMigrate !== false;
+    this.pool = null;
     this.client = null;
+    this.connecting = null;
+    this.inTransaction = false;
     this.isConnected = false;
     this.connectionAttempts = 0;
     this.maxConnectionAttempts = 3;
@@ -17,20 +94,30 @@ async cleanupExpiredOrders() {
       );
       
       if (result.rowCount > 0) {
-        console.log(`🧹 Cleaned up ${result.rowCount} expired orders`);
+        logger.info('Cleaned up expired orders', { count: result.rowCount });
       }
       
       return result.rowCount;
     } catch (error) {
-      console.error('Error cleaning up expired orders:', error.message);
+      logger.error('Error cleaning up expired orders', { error });
       return 0;
     }
   }
 
   async connect() {
     if (this.isConnected || this.connectionAttempts >= this.maxConnectionAttempts) return;
-    
+    if (this.connecting) return this.connecting;
+
+    this.connecting = this.openPool().finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  async openPool() {
     this.connectionAttempts++;
+    let migrating = false;
     
     try {
       const connectionString = process.env.DATABASE_URL;
@@ -39,46 +126,55 @@ async cleanupExpiredOrders() {
         throw new Error('DATABASE_URL environment variable is required');
       }
 
-      console.log(`🔄 Connecting to PostgreSQL database (Attempt ${this.connectionAttempts})...`);
+      logger.info('Connecting to PostgreSQL', { attempt: this.connectionAttempts });
       
-      this.client = new Client({
+      this.pool = new Pool({
         connectionString: connectionString,
         ssl: {
           rejectUnauthorized: false
         },
+        max: parseInt(process.env.DATABASE_POOL_SIZE) || 10,
         connectionTimeoutMillis: 30000,
+        idleTimeoutMillis: 30000,
         idle_in_transaction_session_timeout: 10000,
         keepAlive: true
       });
 
-    
-      this.client.on('error', (err) => {
-        console.error('❌ PostgreSQL client error:', err.message);
-        this.isConnected = false;
-      });
-
-      this.client.on('end', () => {
-        console.log('🔌 PostgreSQL connection ended');
-        this.isConnected = false;
+      // Errors on idle clients are reported here; the pool drops the broken
+      // client and opens a new one on the next checkout.
+      this.pool.on('error', (err) => {
+        logger.error('PostgreSQL pool error', { error: err });
       });
 
-      await this.client.connect();
+      await this.pool.query('SELECT 1 as connection_test');
+      this.client = this.pool;
       this.isConnected = true;
-      this.connectionAttempts = 0;
       
-      console.log('✅ Connected to PostgreSQL database successfully!');
+      logger.info('Connected to PostgreSQL');
       
+      migrating = true;
       await this.initDatabase();
+      this.connectionAttempts = 0;
       
     } catch (error) {
-      console.error(`❌ Database connection error (Attempt ${this.connectionAttempts}):`, error.message);
+      logger.error(migrating ? 'Database migration failed' : 'Database connection error', { attempt: this.connectionAttempts, error });
       this.isConnected = false;
+
+      if (this.pool) {
+        this.pool.end().catch(() => {});
+        this.pool = null;
+      }
       
       if (this.connectionAttempts < this.maxConnectionAttempts) {
-        console.log(`🔄 Retrying connection in 10 seconds...`);
+        logger.info('Retrying database connection in 10 seconds');
         setTimeout(() => this.connect(), 10000);
+      } else if (migrating) {
+        // Running on a half-migrated or old schema only fails later in
+        // unrelated handlers, so refuse to start instead.
+        logger.error('Database migrations keep failing, stopping the bot.');
+        process.exit(1);
       } else {
-        console.error('❌ Max connection attempts reached. Please check your database configuration.');
+        logger.error('Max database connection attempts reached. Please check your database configuration.');
       }
     }
   }
@@ -86,15 +182,34 @@ async cleanupExpiredOrders() {
   async ensureConnection() {
     if (!this.isConnected || !this.client) {
       await this.connect();
-      return;
     }
-    
+  }
+
+  // Runs fn with a DatabaseManager bound to one dedicated pool client inside
+  // BEGIN/COMMIT. Every method called on that instance joins the transaction,
+  // and nested calls reuse it instead of opening a second one.
+  async withTransaction(fn) {
+    if (this.inTransaction) {
+      return fn(this);
+    }
+
+    await this.ensureConnection();
+    const client = await this.pool.connect();
+
+    const tx = Object.create(this);
+    tx.client = client;
+    tx.inTransaction = true;
+
     try {
-      await this.client.query('SELECT 1 as connection_test');
+      await client.query('BEGIN');
+      const result = await fn(tx);
+      await client.query('COMMIT');
+      return result;
     } catch (error) {
-      console.log('🔄 Connection lost, reconnecting...');
-      this.isConnected = false;
-      await this.connect();
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
     }
   }
 
@@ -103,133 +218,14 @@ async cleanupExpiredOrders() {
     return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
   }
 
+  // Throws if a migration fails, so connect() drops the pool and tries again;
+  // the migrator's advisory lock makes a second run safe.
   async initDatabase() {
-    const queries = [
-      `CREATE TABLE IF NOT EXISTS users (
-        user_id BIGINT PRIMARY KEY,
-        balance DECIMAL(15,2) DEFAULT 0,
-        joined_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        channel_joined BOOLEAN DEFAULT FALSE,
-        terms_accepted BOOLEAN DEFAULT FALSE,
-        last_checked TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        total_orders INTEGER DEFAULT 0,
-        first_name TEXT,
-        username TEXT
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS orders (
-        id SERIAL PRIMARY KEY,
-        user_id BIGINT,
-        service TEXT,
-        phone TEXT,
-        price DECIMAL(10,2),
-        order_id TEXT,
-        activation_id TEXT,
-        status TEXT,
-        order_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        otp_code TEXT DEFAULT NULL,
-        server_used TEXT,
-        original_price DECIMAL(10,2),
-        discount_applied DECIMAL(10,2) DEFAULT 0
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS active_orders (
-        order_id TEXT PRIMARY KEY,
-        activation_id TEXT,
-        user_id BIGINT,
-        phone TEXT,
-        product TEXT,
-        expires_at TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        server_used TEXT
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS topup_requests (
-        id SERIAL PRIMARY KEY,
-        user_id BIGINT,
-        amount DECIMAL(10,2),
-        utr TEXT UNIQUE,
-        status TEXT,
-        request_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS gift_codes (
-        code TEXT PRIMARY KEY,
-        amount DECIMAL(10,2),
-        created_by BIGINT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        max_uses INTEGER DEFAULT 1,
-        expires_at TIMESTAMP,
-        min_deposit DECIMAL(10,2) DEFAULT 0
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS gift_code_uses (
-        id SERIAL PRIMARY KEY,
-        code TEXT,
-        user_id BIGINT,
-        used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(code, user_id)
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS admin_logs (
-        id SERIAL PRIMARY KEY,
-        admin_id BIGINT,
-        action TEXT,
-        target_user_id BIGINT,
-        details TEXT,
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS monthly_deposits (
-        user_id BIGINT,
-        month_year TEXT,
-        total_deposit DECIMAL(15,2) DEFAULT 0,
-        PRIMARY KEY (user_id, month_year)
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS balance_transfers (
-        id SERIAL PRIMARY KEY,
-        from_user_id BIGINT,
-        to_user_id BIGINT,
-        amount DECIMAL(10,2),
-        transfer_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        note TEXT
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS referrals (
-        id SERIAL PRIMARY KEY,
-        referrer_id BIGINT,
-        referred_id BIGINT UNIQUE,
-        referral_code TEXT,
-        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        is_active BOOLEAN DEFAULT TRUE
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS referral_earnings (
-        id SERIAL PRIMARY KEY,
-        referrer_id BIGINT,
-        referred_id BIGINT,
-        deposit_amount DECIMAL(10,2),
-        commission_amount DECIMAL(10,2),
-        commission_percent DECIMAL(5,2) DEFAULT 5,
-        earned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    ];
+    if (!this.autoMigrate) return;
 
-    try {
-      console.log('🔄 Creating PostgreSQL tables...');
-      for (let i = 0; i < queries.length; i++) {
-        try {
-          await this.client.query(queries[i]);
-          console.log(`✅ Table ${i + 1} created successfully`);
-        } catch (tableError) {
-          console.log(`ℹ️ Table ${i + 1} might already exist:`, tableError.message);
-        }
-      }
-      console.log('✅ Database initialization completed successfully');
-    } catch (error) {
-      console.error('❌ Error during database initialization:', error.message);
-    }
+    logger.info('Running database migrations');
+    await new Migrator(this).migrate();
+    logger.info('Database initialization completed');
   }
 
   async getUser(userId) {
@@ -266,6 +262,18 @@ async cleanupExpiredOrders() {
     };
   }
 
+  // Unlike getUser, returns null for an unknown ID instead of registering it.
+  async findUser(userId, { forUpdate = false } = {}) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT * FROM users WHERE user_id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [userId]
+    );
+
+    const user = result.rows[0];
+    return user ? { ...user, balance: parseFloat(user.balance) || 0 } : null;
+  }
+
   async debugUserBalance(userId) {
     await this.ensureConnection();
     
@@ -276,15 +284,14 @@ async cleanupExpiredOrders() {
     
     if (result.rows.length > 0) {
       const user = result.rows[0];
-      console.log(`🔍 DEBUG User ${userId}:`, {
-        user_id: user.user_id,
+      logger.debug('User balance', {
+        balance_user_id: user.user_id,
         balance: user.balance,
-        balance_type: typeof user.balance,
-        first_name: user.first_name
+        balance_type: typeof user.balance
       });
       return user;
     } else {
-      console.log(`🔍 DEBUG User ${userId}: NOT FOUND`);
+      logger.debug('User balance: user not found', { balance_user_id: userId });
       return null;
     }
   }
@@ -297,41 +304,104 @@ async cleanupExpiredOrders() {
     );
   }
 
-  async updateBalance(userId, amount) {
+  async updateBalance(userId, amount, reason = LEDGER_REASONS.ADMIN_ADJUSTMENT, options = {}) {
     await this.ensureConnection();
-    console.log(`💰 Updating balance: User ${userId}, Amount: ${amount}`);
-    
-   
-    const currentResult = await this.client.query(
-      'SELECT balance FROM users WHERE user_id = $1',
-      [userId]
+    const { reference = null, note = null, txnId = crypto.randomUUID(), requireFunds = false } = options;
+    const counterAccount = options.counterAccount === undefined ? `system:${reason}` : options.counterAccount;
+
+    // The user leg and its counter leg are written in the same statement as the
+    // balance change, so users.balance can never drift from the ledger.
+    const result = await this.client.query(
+      `WITH updated AS (
+         UPDATE users SET balance = balance + $2::numeric
+         WHERE user_id = $1 AND (NOT $8::boolean OR balance + $2::numeric >= 0)
+         RETURNING user_id, balance
+       )
+       INSERT INTO wallet_ledger (txn_id, account, user_id, amount, balance_after, reason, reference, note)
+       SELECT $3::uuid, 'user:' || user_id, user_id, $2::numeric, balance, $4::text, $5::text, $6::text FROM updated
+       UNION ALL
+       SELECT $3::uuid, $7::text, NULL, -$2::numeric, NULL, $4::text, $5::text, $6::text FROM updated WHERE $7::text IS NOT NULL
+       RETURNING user_id, balance_after`,
+      [userId, amount, txnId, reason, reference, note, counterAccount, requireFunds]
     );
 
-    if (currentResult.rows.length === 0) {
+    const userLeg = result.rows.find(row => row.user_id !== null);
+    if (!userLeg) {
+      if (requireFunds) {
+        return null;
+      }
       throw new Error('User not found');
     }
 
-    const currentBalance = parseFloat(currentResult.rows[0].balance);
-    console.log(`📊 Current balance: ${currentBalance}, Adding: ${amount}`);
-    
-  
+    const newBalance = parseFloat(userLeg.balance_after);
+    logger.info('Balance updated', { balance_user_id: userId, amount, reason, reference, txn_id: txnId, balance: newBalance });
+    return newBalance;
+  }
+
+  async reserveFunds(userId, amount, options = {}) {
+    const newBalance = await this.updateBalance(userId, -amount, LEDGER_REASONS.ORDER_DEBIT, {
+      ...options,
+      requireFunds: true
+    });
+
+    if (newBalance === null) {
+      const user = await this.findUser(userId);
+      if (!user) {
+        return { success: false, reason: FUNDS_ERRORS.USER_NOT_FOUND, balance: 0, required: amount };
+      }
+
+      return {
+        success: false,
+        reason: FUNDS_ERRORS.INSUFFICIENT_FUNDS,
+        balance: user.balance,
+        required: amount
+      };
+    }
+
+    return { success: true, balance: newBalance };
+  }
+
+  async getLedgerEntries(userId, limit = 20) {
+    await this.ensureConnection();
     const result = await this.client.query(
-      'UPDATE users SET balance = balance + $1 WHERE user_id = $2',
-      [amount, userId]
+      `SELECT id, txn_id, amount, balance_after, reason, reference, note, created_at
+       FROM wallet_ledger WHERE user_id = $1
+       ORDER BY id DESC LIMIT $2`,
+      [userId, limit]
     );
 
-    if (result.rowCount === 0) {
-      throw new Error('User not found');
-    }
+    return result.rows.map(entry => ({
+      ...entry,
+      amount: parseFloat(entry.amount) || 0,
+      balance_after: parseFloat(entry.balance_after) || 0
+    }));
+  }
+
+  async getLedgerBalance(userId) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      'SELECT COALESCE(SUM(amount), 0) as total FROM wallet_ledger WHERE user_id = $1',
+      [userId]
+    );
 
+    return parseFloat(result.rows[0].total);
+  }
 
-    const updatedResult = await this.client.query(
-      'SELECT balance FROM users WHERE user_id = $1',
+  async rebuildBalance(userId) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `UPDATE users SET balance = (
+         SELECT COALESCE(SUM(amount), 0) FROM wallet_ledger WHERE wallet_ledger.user_id = users.user_id
+       )
+       WHERE user_id = $1 RETURNING balance`,
       [userId]
     );
-    
-    const newBalance = parseFloat(updatedResult.rows[0].balance);
-    console.log(`✅ Balance updated successfully. New balance: ${newBalance}`);
+
+    if (result.rowCount === 0) {
+      throw new Error('User not found');
+    }
+
+    return parseFloat(result.rows[0].balance);
   }
 
   async updateMonthlyDeposit(userId, amount) {
@@ -551,7 +621,7 @@ async cleanupExpiredOrders() {
       const monthlyDeposit = await this.getMonthlyDeposit(userId);
       return monthlyDeposit >= minDeposit;
     } catch (error) {
-      console.error('Deposit condition check error:', error.message);
+      logger.error('Deposit condition check error', { error });
       return false;
     }
   }
@@ -572,71 +642,268 @@ async cleanupExpiredOrders() {
     return this.getGiftCode(code);
   }
 
+  // Codes made one at a time; bulk codes are listed through their campaign.
   async getAllGiftCodes() {
     await this.ensureConnection();
-    const result = await this.client.query('SELECT * FROM gift_codes ORDER BY created_at DESC');
+    const result = await this.client.query('SELECT * FROM gift_codes WHERE campaign_id IS NULL ORDER BY created_at DESC');
+    return result.rows;
+  }
+
+  // Inserts every code with the same terms in one statement. Codes that
+  // already exist are skipped, so the rows returned are the ones created.
+  async createGiftCodes(codes, terms) {
+    await this.ensureConnection();
+    const {
+      amount, createdBy, maxUses = 1, expiresAt = null, minDeposit = 0,
+      bonusType = GIFT_TYPES.CREDIT, serviceCode = null, newUsersOnly = false, campaignId = null
+    } = terms;
+
+    const result = await this.client.query(
+      `INSERT INTO gift_codes (code, amount, created_by, max_uses, expires_at, min_deposit, bonus_type, service_code, new_users_only, campaign_id)
+       SELECT code, $2, $3, $4, $5, $6, $7, $8, $9, $10 FROM UNNEST($1::text[]) AS code
+       ON CONFLICT (code) DO NOTHING
+       RETURNING *`,
+      [codes, amount, createdBy, maxUses, expiresAt, minDeposit, bonusType, serviceCode, newUsersOnly, campaignId]
+    );
+
+    return result.rows;
+  }
+
+  // Draws codes until `count` of them are stored. A draw that collides with an
+  // existing code is skipped by the insert and replaced on the next pass.
+  async createUniqueGiftCodes(count, generateCode, terms, maxAttempts = 5) {
+    const created = [];
+
+    for (let attempt = 1; created.length < count; attempt++) {
+      if (attempt > maxAttempts) {
+        throw new Error(`Could not generate ${count} unique gift codes`);
+      }
+
+      const batch = new Set();
+      while (batch.size < count - created.length) {
+        batch.add(generateCode());
+      }
+      created.push(...await this.createGiftCodes([...batch], terms));
+    }
+
+    return created;
+  }
+
+  async createGiftCampaign(terms, codeCount) {
+    await this.ensureConnection();
+    const { amount, createdBy, maxUses = 1, expiresAt = null, minDeposit = 0, bonusType = GIFT_TYPES.CREDIT, serviceCode = null, newUsersOnly = false } = terms;
+
+    const result = await this.client.query(
+      `INSERT INTO gift_campaigns (bonus_type, amount, service_code, code_count, max_uses, min_deposit, new_users_only, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [bonusType, amount, serviceCode, codeCount, maxUses, minDeposit, newUsersOnly, expiresAt, createdBy]
+    );
+
+    return result.rows[0];
+  }
+
+  async getGiftCampaigns(limit = 20) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT c.*, COUNT(gu.id)::int AS redeemed
+       FROM gift_campaigns c
+       LEFT JOIN gift_codes g ON g.campaign_id = c.id
+       LEFT JOIN gift_code_uses gu ON gu.code = g.code
+       GROUP BY c.id
+       ORDER BY c.id DESC
+       LIMIT $1`,
+      [limit]
+    );
+
     return result.rows;
   }
 
+  async getGiftCampaignCodes(campaignId) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT g.*, COUNT(gu.id)::int AS used_count
+       FROM gift_codes g
+       LEFT JOIN gift_code_uses gu ON gu.code = g.code
+       WHERE g.campaign_id = $1
+       GROUP BY g.code
+       ORDER BY g.code`,
+      [campaignId]
+    );
+
+    return result.rows;
+  }
+
+  async deleteGiftCampaign(campaignId) {
+    await this.ensureConnection();
+    const result = await this.client.query('DELETE FROM gift_campaigns WHERE id = $1 RETURNING *', [campaignId]);
+    return result.rows[0] || null;
+  }
+
+  // Anyone who has deposited or bought a number is no longer a new user.
+  async hasUserTransacted(userId) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      'SELECT 1 FROM wallet_ledger WHERE user_id = $1 AND reason = ANY($2::text[]) LIMIT 1',
+      [userId, [LEDGER_REASONS.DEPOSIT, LEDGER_REASONS.ORDER_DEBIT]]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  async addUserBonus({ userId, code, bonusType, percent, serviceCode = null }) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `INSERT INTO user_bonuses (user_id, code, bonus_type, percent, service_code)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [userId, code, bonusType, percent, serviceCode]
+    );
+
+    return result.rows[0];
+  }
+
+  async getPendingBonuses(userId) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      "SELECT * FROM user_bonuses WHERE user_id = $1 AND status = 'pending' ORDER BY id",
+      [userId]
+    );
+
+    return result.rows.map(bonus => ({ ...bonus, percent: parseFloat(bonus.percent) }));
+  }
+
+  // Marks the oldest matching pending bonus as used by `reference` and returns
+  // it, or null when the user has none. A service discount only matches its
+  // own service.
+  async claimUserBonus(userId, bonusType, reference, serviceCode = null) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `UPDATE user_bonuses SET status = 'used', used_reference = $3, used_at = NOW()
+       WHERE id = (
+         SELECT id FROM user_bonuses
+         WHERE user_id = $1 AND bonus_type = $2 AND status = 'pending'
+           AND ($4::text IS NULL OR service_code = $4::text)
+         ORDER BY id LIMIT 1
+         FOR UPDATE
+       ) AND status = 'pending'
+       RETURNING *`,
+      [userId, bonusType, reference, serviceCode]
+    );
+
+    const bonus = result.rows[0];
+    return bonus ? { ...bonus, percent: parseFloat(bonus.percent) } : null;
+  }
+
+  // Gives a bonus back when whatever used it was refunded.
+  async releaseUserBonus(reference) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `UPDATE user_bonuses SET status = 'pending', used_reference = NULL, used_at = NULL
+       WHERE used_reference = $1 AND status = 'used'
+       RETURNING id`,
+      [reference]
+    );
+
+    return result.rows.length > 0;
+  }
+
   async deleteGiftCode(code) {
     await this.ensureConnection();
-    const result = await this.client.query('DELETE FROM gift_codes WHERE code = $1', [code]);
-    return result.rowCount > 0;
+    const result = await this.client.query('DELETE FROM gift_codes WHERE code = $1 RETURNING *', [code]);
+    return result.rows[0] || null;
+  }
+
+  async lockGiftCode(code) {
+    await this.ensureConnection();
+    const result = await this.client.query('SELECT * FROM gift_codes WHERE code = $1 FOR UPDATE', [code]);
+    return result.rows[0] || null;
   }
 
-  async useGiftCode(code, userId) {
-    try {
-      await this.ensureConnection();
-      const giftCode = await this.getGiftCode(code);
-      
+  // Redemptions of one code queue on its row lock, so the use limit, the
+  // one-use-per-user rule and the wallet credit commit together or not at all.
+  // Uses are counted after the lock is taken: a count in the locking statement
+  // would come from before the wait and miss the redemption just committed.
+  async redeemGiftCode(code, userId) {
+    return this.withTransaction(async (tx) => {
+      const giftCode = await tx.lockGiftCode(code);
       if (!giftCode) {
-        return false;
+        return { success: false, reason: GIFT_ERRORS.NOT_FOUND };
       }
 
+      const fail = (reason, details = {}) => ({ success: false, reason, giftCode, ...details });
+
       if (giftCode.expires_at && new Date(giftCode.expires_at) < new Date()) {
-        return false;
+        return fail(GIFT_ERRORS.EXPIRED);
       }
 
-      if (giftCode.max_uses > 0 && giftCode.used_count >= giftCode.max_uses) {
-        return false;
+      const uses = await tx.client.query(
+        `SELECT COUNT(*)::int AS used_count, COALESCE(BOOL_OR(user_id = $2), false) AS used_by_user
+         FROM gift_code_uses WHERE code = $1`,
+        [code, userId]
+      );
+      const { used_count, used_by_user } = uses.rows[0];
+
+      if (used_by_user) {
+        return fail(GIFT_ERRORS.ALREADY_USED);
       }
 
-      const alreadyUsed = await this.checkIfUserUsedGiftCode(code, userId);
-      if (alreadyUsed) {
-        return false;
+      if (giftCode.max_uses > 0 && used_count >= giftCode.max_uses) {
+        return fail(GIFT_ERRORS.EXHAUSTED);
       }
 
-      await this.client.query(
-        'INSERT INTO gift_code_uses (code, user_id) VALUES ($1, $2)',
-        [code, userId]
-      );
-      
-      return true;
-    } catch (error) {
-      console.error('Gift code processing error:', error.message);
-      return false;
-    }
+      const minDeposit = parseFloat(giftCode.min_deposit) || 0;
+      if (minDeposit > 0) {
+        const monthlyDeposit = await tx.getMonthlyDeposit(userId);
+        if (monthlyDeposit < minDeposit) {
+          return fail(GIFT_ERRORS.MIN_DEPOSIT_NOT_MET, { monthlyDeposit, minDeposit });
+        }
+      }
+
+      if (giftCode.new_users_only && await tx.hasUserTransacted(userId)) {
+        return fail(GIFT_ERRORS.NEW_USERS_ONLY);
+      }
+
+      await tx.client.query('INSERT INTO gift_code_uses (code, user_id) VALUES ($1, $2)', [code, userId]);
+
+      const amount = parseFloat(giftCode.amount);
+
+      if (giftCode.bonus_type !== GIFT_TYPES.CREDIT) {
+        const bonus = await tx.addUserBonus({
+          userId,
+          code,
+          bonusType: giftCode.bonus_type,
+          percent: amount,
+          serviceCode: giftCode.service_code
+        });
+        return { success: true, giftCode, amount, bonus };
+      }
+
+      const balance = await tx.updateBalance(userId, amount, LEDGER_REASONS.GIFT_REDEMPTION, { reference: `gift:${code}` });
+      return { success: true, giftCode, amount, balance };
+    });
   }
 
   async transferBalance(fromUserId, toUserId, amount, note = '') {
-    try {
-      await this.ensureConnection();
-      await this.client.query('BEGIN');
-      
-      await this.updateBalance(fromUserId, -amount);
-      await this.updateBalance(toUserId, amount);
-
-      const result = await this.client.query(
+    return this.withTransaction(async (tx) => {
+      const result = await tx.client.query(
         'INSERT INTO balance_transfers (from_user_id, to_user_id, amount, note) VALUES ($1, $2, $3, $4) RETURNING id',
         [fromUserId, toUserId, amount, note]
       );
-      
-      await this.client.query('COMMIT');
+
+      // Both users are legs of one ledger transaction, so no system account is needed.
+      const ledgerOptions = {
+        txnId: crypto.randomUUID(),
+        counterAccount: null,
+        reference: `transfer:${result.rows[0].id}`,
+        note
+      };
+      const senderBalance = await tx.updateBalance(fromUserId, -amount, LEDGER_REASONS.TRANSFER, { ...ledgerOptions, requireFunds: true });
+      if (senderBalance === null) {
+        throw new Error('Insufficient balance');
+      }
+      await tx.updateBalance(toUserId, amount, LEDGER_REASONS.TRANSFER, ledgerOptions);
+
       return result.rows[0].id;
-    } catch (error) {
-      await this.client.query('ROLLBACK');
-      throw error;
-    }
+    });
   }
 
   async getBalanceTransfers(userId) {
@@ -700,12 +967,12 @@ async cleanupExpiredOrders() {
 
   async addOrder(orderData) {
     await this.ensureConnection();
-    const { user_id, service, phone, price, order_id, activation_id, status, server_used, original_price, discount_applied } = orderData;
+    const { user_id, service, phone, price, order_id, activation_id, status, server_used, original_price, discount_applied, service_code, server_id } = orderData;
 
     const result = await this.client.query(
-      `INSERT INTO orders (user_id, service, phone, price, order_id, activation_id, status, server_used, original_price, discount_applied)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
-      [user_id, service, phone, price, order_id, activation_id, status, server_used || '', original_price || price, discount_applied || 0]
+      `INSERT INTO orders (user_id, service, phone, price, order_id, activation_id, status, server_used, original_price, discount_applied, service_code, server_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+      [user_id, service, phone, price, order_id, activation_id, status, server_used || '', original_price || price, discount_applied || 0, service_code || null, server_id || null]
     );
 
     await this.incrementOrderCount(user_id);
@@ -714,14 +981,30 @@ async cleanupExpiredOrders() {
 
   async addActiveOrder(orderData) {
     await this.ensureConnection();
-    const { order_id, activation_id, user_id, phone, product, expires_at, server_used } = orderData;
+    const { order_id, activation_id, user_id, phone, product, expires_at, server_used, chat_id, price, service_code, country } = orderData;
     
     await this.client.query(
-      `INSERT INTO active_orders (order_id, activation_id, user_id, phone, product, expires_at, server_used)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO active_orders (order_id, activation_id, user_id, phone, product, expires_at, server_used, chat_id, price, service_code, country)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
        ON CONFLICT (order_id) 
-       DO UPDATE SET activation_id = $2, phone = $4, expires_at = $6, server_used = $7`,
-      [order_id, activation_id, user_id, phone, product, expires_at, server_used || '']
+       DO UPDATE SET activation_id = $2, phone = $4, expires_at = $6, server_used = $7, otp_count = 0, last_otp = NULL`,
+      [order_id, activation_id, user_id, phone, product, expires_at, server_used || '', chat_id || user_id, price, service_code, country]
+    );
+  }
+
+  async setActiveOrderMessage(orderId, chatId, messageId) {
+    await this.ensureConnection();
+    await this.client.query(
+      'UPDATE active_orders SET chat_id = $1, message_id = $2 WHERE order_id = $3',
+      [chatId, messageId, orderId]
+    );
+  }
+
+  async updateActiveOrderOTP(orderId, otpCode, otpCount) {
+    await this.ensureConnection();
+    await this.client.query(
+      'UPDATE active_orders SET last_otp = $1, otp_count = $2 WHERE order_id = $3',
+      [otpCode, otpCount, orderId]
     );
   }
 
@@ -730,12 +1013,66 @@ async cleanupExpiredOrders() {
     await this.client.query('DELETE FROM active_orders WHERE order_id = $1', [orderId]);
   }
 
+  // Deletes the row and returns it, so only one caller (the expiry timer or the
+  // startup recovery) ever settles a given order.
+  async claimActiveOrder(orderId) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      'DELETE FROM active_orders WHERE order_id = $1 RETURNING *',
+      [orderId]
+    );
+    return result.rows[0] || null;
+  }
+
   async getActiveOrders(userId) {
     await this.ensureConnection();
-    const result = await this.client.query('SELECT * FROM active_orders WHERE user_id = $1', [userId]);
+    const result = await this.client.query(
+      'SELECT * FROM active_orders WHERE user_id = $1 AND expires_at > NOW()',
+      [userId]
+    );
     return result.rows;
   }
 
+  async getAllActiveOrders() {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT a.*, COALESCE(a.price, o.price) AS order_price, o.otp_code AS order_otp
+       FROM active_orders a
+       LEFT JOIN orders o ON o.order_id = a.order_id
+       ORDER BY a.created_at`
+    );
+
+    return result.rows.map(order => ({
+      ...order,
+      price: parseFloat(order.order_price) || 0,
+      otp_count: order.otp_count || (order.order_otp ? 1 : 0),
+      last_otp: order.last_otp || order.order_otp
+    }));
+  }
+
+  // Full number and codes for one order, for the audited admin reveal.
+  async getOrderDetails(orderId) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT o.order_id, o.user_id, o.service, o.phone, o.price, o.status, o.order_time, o.otp_code,
+              o.server_used, a.phone AS active_phone, a.last_otp, a.otp_count
+       FROM orders o
+       LEFT JOIN active_orders a ON a.order_id = o.order_id
+       WHERE o.order_id = $1`,
+      [orderId]
+    );
+
+    const order = result.rows[0];
+    if (!order) return null;
+
+    return {
+      ...order,
+      price: parseFloat(order.price) || 0,
+      phone: order.active_phone || order.phone,
+      otp_code: order.last_otp || order.otp_code
+    };
+  }
+
   async getUserOrders(userId) {
     await this.ensureConnection();
     const result = await this.client.query(
@@ -755,7 +1092,7 @@ async cleanupExpiredOrders() {
   async updateOrderOTP(orderId, otpCode) {
     await this.ensureConnection();
     await this.client.query(
-      'UPDATE orders SET otp_code = $1, status = $2 WHERE order_id = $3',
+      'UPDATE orders SET otp_code = $1, status = $2, otp_at = COALESCE(otp_at, NOW()) WHERE order_id = $3',
       [otpCode, 'completed', orderId]
     );
   }
@@ -768,6 +1105,226 @@ async cleanupExpiredOrders() {
     );
   }
 
+  // Delivery rate and median seconds to the first OTP for orders placed
+  // since `since`, per server, per service and overall. Orders still inside
+  // their 15-minute window (plus a margin for the expiry sweep) are not
+  // counted yet.
+  async getDeliveryStats(since) {
+    await this.ensureConnection();
+
+    const measures = `COUNT(*)::int AS finished, COUNT(otp_at)::int AS delivered,
+      PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM otp_at - order_time)) AS median_seconds`;
+    const filter = `WHERE order_time >= $1 AND service_code IS NOT NULL
+      AND (status <> 'active' OR order_time < NOW() - INTERVAL '20 minutes')`;
+
+    const servers = await this.client.query(
+      `SELECT service_code, server_id, ${measures} FROM orders ${filter} AND server_id IS NOT NULL GROUP BY service_code, server_id`,
+      [since]
+    );
+    const services = await this.client.query(
+      `SELECT service_code, ${measures} FROM orders ${filter} GROUP BY service_code`,
+      [since]
+    );
+    const overall = await this.client.query(`SELECT ${measures} FROM orders ${filter}`, [since]);
+
+    return { servers: servers.rows, services: services.rows, overall: overall.rows[0] };
+  }
+
+  // Money in and out per day, week or month since `since`, from the user side
+  // of the ledger, with periods that saw nothing filled in as zero. Discount
+  // cost is what completed orders would have cost at list price.
+  async getFinancialsByPeriod(unit, since) {
+    await this.ensureConnection();
+    const sum = (condition, sign = '') => `COALESCE(SUM(CASE WHEN ${condition} THEN ${sign}amount END), 0)`;
+    const reason = (...reasons) => `reason IN (${reasons.map(value => `'${value}'`).join(', ')})`;
+
+    const result = await this.client.query(
+      `WITH periods AS (
+         SELECT generate_series(date_trunc($1, $2::timestamp), date_trunc($1, NOW()::timestamp), ('1 ' || $1)::interval) AS period
+       ),
+       ledger AS (
+         SELECT date_trunc($1, created_at) AS period,
+           ${sum(reason(LEDGER_REASONS.DEPOSIT))} AS deposits,
+           ${sum(reason(LEDGER_REASONS.DEPOSIT_REVERSAL), '-')} AS reversals,
+           ${sum(reason(LEDGER_REASONS.ORDER_DEBIT), '-')} AS gross_orders,
+           COUNT(CASE WHEN ${reason(LEDGER_REASONS.ORDER_DEBIT)} THEN 1 END) AS orders,
+           ${sum(reason(LEDGER_REASONS.REFUND))} AS refunds,
+           ${sum(reason(LEDGER_REASONS.REFERRAL_COMMISSION, LEDGER_REASONS.REFERRAL_CLAWBACK))} AS referral_paid,
+           ${sum(reason(LEDGER_REASONS.GIFT_REDEMPTION, LEDGER_REASONS.DEPOSIT_BONUS))} AS gift_paid
+         FROM wallet_ledger
+         WHERE user_id IS NOT NULL AND created_at >= date_trunc($1, $2::timestamp)
+         GROUP BY 1
+       ),
+       discounts AS (
+         SELECT date_trunc($1, order_time) AS period, COALESCE(SUM(discount_applied), 0) AS discount_cost
+         FROM orders
+         WHERE status = 'completed' AND order_time >= date_trunc($1, $2::timestamp)
+         GROUP BY 1
+       )
+       SELECT p.period,
+         COALESCE(l.deposits, 0) AS deposits, COALESCE(l.reversals, 0) AS reversals,
+         COALESCE(l.gross_orders, 0) AS gross_orders, COALESCE(l.orders, 0)::int AS orders,
+         COALESCE(l.refunds, 0) AS refunds, COALESCE(d.discount_cost, 0) AS discount_cost,
+         COALESCE(l.referral_paid, 0) AS referral_paid, COALESCE(l.gift_paid, 0) AS gift_paid
+       FROM periods p
+       LEFT JOIN ledger l ON l.period = p.period
+       LEFT JOIN discounts d ON d.period = p.period
+       ORDER BY p.period DESC`,
+      [unit, since]
+    );
+
+    return result.rows;
+  }
+
+  // What the bot still owes on promotions: unused credit on live gift codes,
+  // percentage bonuses waiting to be used and referral commission not yet paid.
+  async getPromotionLiability() {
+    await this.ensureConnection();
+    const gifts = await this.client.query(
+      `SELECT COUNT(*)::int AS codes, COALESCE(SUM(g.amount * GREATEST(g.max_uses - COALESCE(u.uses, 0), 0)), 0) AS credit
+       FROM gift_codes g
+       LEFT JOIN (SELECT code, COUNT(*) AS uses FROM gift_code_uses GROUP BY code) u ON u.code = g.code
+       WHERE g.bonus_type = $1 AND (g.expires_at IS NULL OR g.expires_at > NOW())
+         AND g.max_uses > COALESCE(u.uses, 0)`,
+      [GIFT_TYPES.CREDIT]
+    );
+    // max_uses = 0 means unlimited, so these have no upper bound; report what
+    // redeeming each of them once more would cost instead.
+    const unlimited = await this.client.query(
+      `SELECT COUNT(*)::int AS codes, COALESCE(SUM(amount), 0) AS per_use
+       FROM gift_codes
+       WHERE bonus_type = $1 AND max_uses = 0 AND (expires_at IS NULL OR expires_at > NOW())`,
+      [GIFT_TYPES.CREDIT]
+    );
+    const bonuses = await this.client.query("SELECT COUNT(*)::int AS count FROM user_bonuses WHERE status = 'pending'");
+    const referrals = await this.client.query(
+      'SELECT COALESCE(SUM(commission_amount), 0) AS total FROM referral_earnings WHERE status IN ($1, $2)',
+      [REFERRAL_EARNING_STATUS.HELD, REFERRAL_EARNING_STATUS.REVIEW]
+    );
+
+    return {
+      giftCodes: gifts.rows[0].codes,
+      giftCredit: parseFloat(gifts.rows[0].credit),
+      unlimitedGiftCodes: unlimited.rows[0].codes,
+      unlimitedGiftCredit: parseFloat(unlimited.rows[0].per_use),
+      pendingBonuses: bonuses.rows[0].count,
+      referralUnpaid: parseFloat(referrals.rows[0].total)
+    };
+  }
+
+  // Activity between two times for the scheduled digests. Deposits are
+  // grouped by when they were requested; OTP delivery counts orders whose
+  // activation window has ended.
+  async getReportSummary(from, to) {
+    await this.ensureConnection();
+    const range = [from, to];
+
+    const users = await this.client.query(
+      'SELECT COUNT(*)::int AS count FROM users WHERE joined_date >= $1 AND joined_date < $2',
+      range
+    );
+    const deposits = await this.client.query(
+      `SELECT status, COUNT(*)::int AS count, COALESCE(SUM(amount), 0) AS total
+       FROM topup_requests WHERE request_time >= $1 AND request_time < $2
+       GROUP BY status`,
+      range
+    );
+    const orders = await this.client.query(
+      `SELECT COUNT(*)::int AS count,
+         COUNT(*) FILTER (WHERE status <> 'active')::int AS finished,
+         COUNT(otp_at) FILTER (WHERE status <> 'active')::int AS delivered,
+         COUNT(*) FILTER (WHERE status = 'cancelled')::int AS cancelled
+       FROM orders WHERE order_time >= $1 AND order_time < $2`,
+      range
+    );
+    const ledger = await this.client.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE reason = $3)::int AS refunds,
+         COALESCE(SUM(amount) FILTER (WHERE reason = $3), 0) AS refunded,
+         COALESCE(-SUM(amount) FILTER (WHERE reason = $4), 0) AS spent
+       FROM wallet_ledger
+       WHERE user_id IS NOT NULL AND created_at >= $1 AND created_at < $2`,
+      [...range, LEDGER_REASONS.REFUND, LEDGER_REASONS.ORDER_DEBIT]
+    );
+    const services = await this.client.query(
+      `SELECT COALESCE(service_code, service) AS service, COUNT(*)::int AS count
+       FROM orders WHERE order_time >= $1 AND order_time < $2
+       GROUP BY 1 ORDER BY count DESC LIMIT 5`,
+      range
+    );
+
+    return {
+      newUsers: users.rows[0].count,
+      deposits: Object.fromEntries(deposits.rows.map(row => [row.status, { count: row.count, total: parseFloat(row.total) }])),
+      orders: orders.rows[0],
+      refunds: ledger.rows[0].refunds,
+      refunded: parseFloat(ledger.rows[0].refunded),
+      spent: parseFloat(ledger.rows[0].spent),
+      topServices: services.rows
+    };
+  }
+
+  // Everything users could still spend: wallet balances plus the promotions
+  // that have not been paid out yet.
+  async getWalletLiability() {
+    await this.ensureConnection();
+    const result = await this.client.query('SELECT COALESCE(SUM(balance), 0) AS total FROM users WHERE balance > 0');
+    return { balances: parseFloat(result.rows[0].total), ...(await this.getPromotionLiability()) };
+  }
+
+  // True when this call recorded the run, false when the report already went out.
+  async claimReportRun(report, scheduledFor) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      'INSERT INTO report_runs (report, scheduled_for) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING report',
+      [report, scheduledFor]
+    );
+    return result.rows.length > 0;
+  }
+
+  async releaseReportRun(report, scheduledFor) {
+    await this.ensureConnection();
+    await this.client.query(
+      'DELETE FROM report_runs WHERE report = $1 AND scheduled_for = $2',
+      [report, scheduledFor]
+    );
+  }
+
+  // Users grouped by the month they joined, with how many of them deposited
+  // or ordered in each month since.
+  async getCohortActivity(since) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `WITH cohorts AS (
+         SELECT user_id, date_trunc('month', joined_date) AS cohort
+         FROM users WHERE joined_date >= date_trunc('month', $1::timestamp)
+       ),
+       activity AS (
+         SELECT DISTINCT user_id, date_trunc('month', created_at) AS month
+         FROM wallet_ledger
+         WHERE reason IN ($2, $3) AND created_at >= date_trunc('month', $1::timestamp)
+       ),
+       sizes AS (
+         SELECT cohort, COUNT(*)::int AS size FROM cohorts GROUP BY cohort
+       ),
+       retention AS (
+         SELECT c.cohort,
+           ((EXTRACT(YEAR FROM a.month) - EXTRACT(YEAR FROM c.cohort)) * 12 + EXTRACT(MONTH FROM a.month) - EXTRACT(MONTH FROM c.cohort))::int AS month_offset,
+           COUNT(DISTINCT a.user_id)::int AS active
+         FROM cohorts c
+         JOIN activity a ON a.user_id = c.user_id AND a.month >= c.cohort
+         GROUP BY 1, 2
+       )
+       SELECT s.cohort, s.size,
+         COALESCE((SELECT json_object_agg(r.month_offset, r.active) FROM retention r WHERE r.cohort = s.cohort), '{}') AS active
+       FROM sizes s
+       ORDER BY s.cohort DESC`,
+      [since, LEDGER_REASONS.DEPOSIT, LEDGER_REASONS.ORDER_DEBIT]
+    );
+
+    return result.rows;
+  }
+
   async logTopupRequest(userId, amount, utr, status) {
     await this.ensureConnection();
     const result = await this.client.query(
@@ -787,6 +1344,18 @@ async cleanupExpiredOrders() {
     );
   }
 
+  // Net amount a user's ledger moved under one reference, e.g. a deposit and
+  // the gift bonus paid on it.
+  async getLedgerTotalByReference(userId, reference) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      'SELECT COALESCE(SUM(amount), 0) AS total FROM wallet_ledger WHERE user_id = $1 AND reference = $2',
+      [userId, reference]
+    );
+
+    return parseFloat(result.rows[0].total) || 0;
+  }
+
   async getTopupRequestInfo(requestId) {
     await this.ensureConnection();
     const result = await this.client.query(
@@ -797,6 +1366,219 @@ async cleanupExpiredOrders() {
     return result.rows[0] || null;
   }
 
+  async lockTopupRequest(requestId) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      'SELECT user_id, amount, utr, status FROM topup_requests WHERE id = $1 FOR UPDATE',
+      [requestId]
+    );
+    
+    return result.rows[0] || null;
+  }
+
+  async rejectTopupRequest(requestId) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `UPDATE topup_requests SET status = 'rejected'
+       WHERE id = $1 AND status = 'pending'
+       RETURNING user_id, amount, utr`,
+      [requestId]
+    );
+    
+    return result.rows[0] || null;
+  }
+
+  async createPaymentIntent({ provider, provider_payment_id, reference, user_id, amount }) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `INSERT INTO payment_intents (provider, provider_payment_id, reference, user_id, amount)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [provider, provider_payment_id, reference, user_id, amount]
+    );
+    
+    return result.rows[0];
+  }
+
+  async lockPaymentIntent(provider, providerPaymentId) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT * FROM payment_intents
+       WHERE provider = $1 AND provider_payment_id = $2 FOR UPDATE`,
+      [provider, providerPaymentId]
+    );
+    
+    return result.rows[0] || null;
+  }
+
+  async updatePaymentIntent(intentId, status, { utr = null, topupRequestId = null } = {}) {
+    await this.ensureConnection();
+    await this.client.query(
+      `UPDATE payment_intents
+       SET status = $2, utr = COALESCE($3, utr), topup_request_id = COALESCE($4, topup_request_id), updated_at = NOW()
+       WHERE id = $1`,
+      [intentId, status, utr, topupRequestId]
+    );
+  }
+
+  async getCatalog() {
+    await this.ensureConnection();
+    const services = await this.client.query('SELECT * FROM services ORDER BY sort_order, code');
+    const servers = await this.client.query('SELECT * FROM service_servers ORDER BY service_code, position, id');
+    return { services: services.rows, servers: servers.rows };
+  }
+
+  async addService({ code, name, command, sortOrder = 0 }) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `INSERT INTO services (code, name, command, sort_order) VALUES ($1, $2, $3, $4) RETURNING *`,
+      [code, name, command, sortOrder]
+    );
+    return result.rows[0];
+  }
+
+  async updateService(code, { name = null, command = null, enabled = null }) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `UPDATE services
+       SET name = COALESCE($2, name), command = COALESCE($3, command), enabled = COALESCE($4, enabled), updated_at = NOW()
+       WHERE code = $1 RETURNING *`,
+      [code, name, command, enabled]
+    );
+    return result.rows[0] || null;
+  }
+
+  async addServiceServer(serviceCode, { name, price, success = null, time = null, country, service, position = 0 }) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `INSERT INTO service_servers (service_code, name, price, success, delivery_time, country, provider_service, position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [serviceCode, name, price, success, time, country, service, position]
+    );
+    return result.rows[0];
+  }
+
+  async updateServiceServer(serverId, { name = null, price = null, success = null, time = null, country = null, service = null, enabled = null }) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `UPDATE service_servers
+       SET name = COALESCE($2, name), price = COALESCE($3, price), success = COALESCE($4, success),
+           delivery_time = COALESCE($5, delivery_time), country = COALESCE($6, country),
+           provider_service = COALESCE($7, provider_service), enabled = COALESCE($8, enabled), updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [serverId, name, price, success, time, country, service, enabled]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getSettings() {
+    await this.ensureConnection();
+    const result = await this.client.query('SELECT key, value FROM settings');
+    return result.rows;
+  }
+
+  async saveSetting(key, value, updatedBy) {
+    await this.ensureConnection();
+    await this.client.query(
+      `INSERT INTO settings (key, value, updated_by) VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+      [key, JSON.stringify(value), updatedBy]
+    );
+  }
+
+  async deleteSetting(key) {
+    await this.ensureConnection();
+    await this.client.query('DELETE FROM settings WHERE key = $1', [key]);
+  }
+
+  async getAdmin(userId) {
+    await this.ensureConnection();
+    const result = await this.client.query('SELECT * FROM admins WHERE user_id = $1', [userId]);
+    return result.rows[0] || null;
+  }
+
+  async getAdmins(roles = null) {
+    await this.ensureConnection();
+    const result = roles
+      ? await this.client.query('SELECT * FROM admins WHERE role = ANY($1::text[]) ORDER BY created_at', [roles])
+      : await this.client.query('SELECT * FROM admins ORDER BY created_at');
+    return result.rows;
+  }
+
+  async addAdmin(userId, role, addedBy) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `INSERT INTO admins (user_id, role, added_by) VALUES ($1, $2, $3)
+       ON CONFLICT (user_id) DO UPDATE SET role = EXCLUDED.role, added_by = EXCLUDED.added_by
+       RETURNING *`,
+      [userId, role, addedBy]
+    );
+    return result.rows[0];
+  }
+
+  async removeAdmin(userId) {
+    await this.ensureConnection();
+    const result = await this.client.query('DELETE FROM admins WHERE user_id = $1 RETURNING *', [userId]);
+    return result.rows[0] || null;
+  }
+
+  async logAdminAction({ adminId, action, targetUserId = null, before = null, after = null, details = null }) {
+    await this.ensureConnection();
+    await this.client.query(
+      `INSERT INTO admin_logs (admin_id, action, target_user_id, before_value, after_value, details)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [adminId, action, targetUserId, before && JSON.stringify(before), after && JSON.stringify(after), details]
+    );
+  }
+
+  // filters: { adminId, targetUserId, from, to } where from/to are Dates and
+  // `to` is exclusive.
+  async getAdminLogs(filters = {}, limit = 10, offset = 0) {
+    await this.ensureConnection();
+
+    const conditions = [];
+    const params = [];
+
+    if (filters.adminId) {
+      params.push(filters.adminId);
+      conditions.push(`admin_id = $${params.length}`);
+    }
+    if (filters.targetUserId) {
+      params.push(filters.targetUserId);
+      conditions.push(`target_user_id = $${params.length}`);
+    }
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`timestamp >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`timestamp < $${params.length}`);
+    }
+
+    params.push(limit, offset);
+    const result = await this.client.query(
+      `SELECT * FROM admin_logs
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY timestamp DESC, id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  async getTopupRequestsByUTR(utrs) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT id, user_id, amount, utr, status
+       FROM topup_requests WHERE utr = ANY($1::text[])
+       ORDER BY request_time`,
+      [utrs]
+    );
+    
+    return result.rows;
+  }
+
   async checkDuplicateUTR(utr) {
     await this.ensureConnection();
     const result = await this.client.query('SELECT id FROM topup_requests WHERE utr = $1', [utr]);
@@ -828,6 +1610,22 @@ async cleanupExpiredOrders() {
     return result.rows[0].id;
   }
 
+  // Saves a user's own referral code, drawing a new one when the unique index
+  // reports that another user already has it.
+  async createReferralCode(userId, generateCode, maxAttempts = 5) {
+    for (let attempt = 1; ; attempt++) {
+      const referralCode = generateCode();
+
+      try {
+        await this.createReferral(userId, userId, referralCode);
+        return referralCode;
+      } catch (error) {
+        if (error.code !== '23505' || attempt >= maxAttempts) throw error;
+        logger.warn('Referral code collision, retrying', { referral_user_id: userId });
+      }
+    }
+  }
+
   async getReferralByCode(referralCode) {
     await this.ensureConnection();
     const result = await this.client.query(
@@ -874,18 +1672,20 @@ async cleanupExpiredOrders() {
 
   async addReferralEarning(earningData) {
     await this.ensureConnection();
-    const { referrer_id, referred_id, deposit_amount, commission_amount, commission_percent = 5 } = earningData;
-
-    console.log(`💾 Saving referral earning: Referrer ${referrer_id}, Referred ${referred_id}, Commission ₹${commission_amount}`);
+    const {
+      referrer_id, referred_id, deposit_amount, commission_amount, commission_percent = 5,
+      topup_request_id = null, status = REFERRAL_EARNING_STATUS.RELEASED, release_at = null,
+      risk_score = null, risk_signals = null
+    } = earningData;
 
     const result = await this.client.query(
       `INSERT INTO referral_earnings 
-       (referrer_id, referred_id, deposit_amount, commission_amount, commission_percent) 
-       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
-      [referrer_id, referred_id, deposit_amount, commission_amount, commission_percent]
+       (referrer_id, referred_id, deposit_amount, commission_amount, commission_percent, topup_request_id, status, release_at, released_at, risk_score, risk_signals) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $7 = '${REFERRAL_EARNING_STATUS.RELEASED}' THEN NOW() END, $9, $10) RETURNING id`,
+      [referrer_id, referred_id, deposit_amount, commission_amount, commission_percent, topup_request_id, status, release_at, risk_score, risk_signals && JSON.stringify(risk_signals)]
     );
     
-    console.log(`✅ Referral earning saved with ID: ${result.rows[0].id}`);
+    logger.info('Referral earning saved', { earning_id: result.rows[0].id, referrer_id, referred_id, commission: commission_amount, status });
     return result.rows[0].id;
   }
 
@@ -903,16 +1703,163 @@ async cleanupExpiredOrders() {
     return result.rows;
   }
 
-  async getTotalReferralEarnings(userId) {
+  async getTotalReferralEarnings(userId, status = REFERRAL_EARNING_STATUS.RELEASED) {
     await this.ensureConnection();
     const result = await this.client.query(
-      'SELECT SUM(commission_amount) as total_earnings FROM referral_earnings WHERE referrer_id = $1',
-      [userId]
+      'SELECT SUM(commission_amount) as total_earnings FROM referral_earnings WHERE referrer_id = $1 AND status = $2',
+      [userId, status]
     );
     
     return result.rows[0]?.total_earnings ? parseFloat(result.rows[0].total_earnings) : 0;
   }
 
+  // Approved deposits by everyone the user referred, which sets their tier.
+  async getReferredDepositVolume(referrerId, excludeRequestId = null) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT COALESCE(SUM(t.amount), 0) AS volume
+       FROM topup_requests t
+       JOIN referrals r ON r.referred_id = t.user_id
+       WHERE r.referrer_id = $1 AND r.referred_id <> r.referrer_id
+         AND t.status = 'approved' AND ($2::int IS NULL OR t.id <> $2::int)`,
+      [referrerId, excludeRequestId]
+    );
+
+    return parseFloat(result.rows[0].volume) || 0;
+  }
+
+  // Commission a referrer has earned from one referred user, held or paid,
+  // optionally only since a date.
+  async getCommissionFromReferred(referrerId, referredId, since = null) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT COALESCE(SUM(commission_amount), 0) AS total
+       FROM referral_earnings
+       WHERE referrer_id = $1 AND referred_id = $2 AND status NOT IN ($3, $4)
+         AND ($5::timestamp IS NULL OR earned_at >= $5::timestamp)`,
+      [referrerId, referredId, REFERRAL_EARNING_STATUS.CLAWED_BACK, REFERRAL_EARNING_STATUS.REJECTED, since]
+    );
+
+    return parseFloat(result.rows[0].total) || 0;
+  }
+
+  async lockDueReferralEarnings(limit = 100) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT * FROM referral_earnings
+       WHERE status = $1 AND release_at <= NOW()
+       ORDER BY release_at LIMIT $2
+       FOR UPDATE`,
+      [REFERRAL_EARNING_STATUS.HELD, limit]
+    );
+
+    return result.rows;
+  }
+
+  async lockReferralEarningsForTopup(requestId) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      'SELECT * FROM referral_earnings WHERE topup_request_id = $1 AND status NOT IN ($2, $3) FOR UPDATE',
+      [requestId, REFERRAL_EARNING_STATUS.CLAWED_BACK, REFERRAL_EARNING_STATUS.REJECTED]
+    );
+
+    return result.rows;
+  }
+
+  async lockReferralEarning(earningId) {
+    await this.ensureConnection();
+    const result = await this.client.query('SELECT * FROM referral_earnings WHERE id = $1 FOR UPDATE', [earningId]);
+    return result.rows[0] || null;
+  }
+
+  async setReferralEarningStatus(earningId, status, reviewedBy = null) {
+    await this.ensureConnection();
+    await this.client.query(
+      `UPDATE referral_earnings SET status = $2,
+         released_at = CASE WHEN $2 = '${REFERRAL_EARNING_STATUS.RELEASED}' THEN NOW() ELSE released_at END,
+         clawed_back_at = CASE WHEN $2 = '${REFERRAL_EARNING_STATUS.CLAWED_BACK}' THEN NOW() ELSE clawed_back_at END,
+         reviewed_by = COALESCE($3, reviewed_by),
+         reviewed_at = CASE WHEN $3::bigint IS NOT NULL THEN NOW() ELSE reviewed_at END
+       WHERE id = $1`,
+      [earningId, status, reviewedBy]
+    );
+  }
+
+  async flagReferralEarning(earningId, riskScore, riskSignals) {
+    await this.ensureConnection();
+    await this.client.query(
+      'UPDATE referral_earnings SET status = $2, release_at = NULL, risk_score = $3, risk_signals = $4 WHERE id = $1',
+      [earningId, REFERRAL_EARNING_STATUS.REVIEW, riskScore, JSON.stringify(riskSignals)]
+    );
+  }
+
+  async getReferralEarningsForReview(limit = 10) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT re.*, referrer.first_name AS referrer_name, referred.first_name AS referred_name
+       FROM referral_earnings re
+       LEFT JOIN users referrer ON referrer.user_id = re.referrer_id
+       LEFT JOIN users referred ON referred.user_id = re.referred_id
+       WHERE re.status = $1
+       ORDER BY re.earned_at
+       LIMIT $2`,
+      [REFERRAL_EARNING_STATUS.REVIEW, limit]
+    );
+
+    return result.rows;
+  }
+
+  async countReferralEarningsForReview() {
+    await this.ensureConnection();
+    const result = await this.client.query('SELECT COUNT(*) AS count FROM referral_earnings WHERE status = $1', [REFERRAL_EARNING_STATUS.REVIEW]);
+    return parseInt(result.rows[0].count);
+  }
+
+  // Numeric UTRs of the referred user that share a prefix with a UTR used by
+  // the referrer or by anyone else the referrer brought in.
+  async getSharedUtrPrefixes(referrerId, referredId, prefixLength) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT mine.utr, theirs.utr AS other_utr, theirs.user_id AS other_user_id
+       FROM topup_requests mine
+       JOIN topup_requests theirs
+         ON LEFT(theirs.utr, $3) = LEFT(mine.utr, $3) AND theirs.user_id <> mine.user_id
+       WHERE mine.user_id = $2
+         AND mine.status <> 'rejected' AND theirs.status <> 'rejected'
+         AND mine.utr ~ '^[0-9]+$' AND LENGTH(mine.utr) > $3
+         AND theirs.user_id IN (SELECT referred_id FROM referrals WHERE referrer_id = $1)
+       LIMIT 10`,
+      [referrerId, referredId, prefixLength]
+    );
+
+    return result.rows;
+  }
+
+  async getTransfersBetween(fromUserId, toUserId, since) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total
+       FROM balance_transfers
+       WHERE from_user_id = $1 AND to_user_id = $2 AND transfer_time >= $3`,
+      [fromUserId, toUserId, since]
+    );
+
+    return { count: parseInt(result.rows[0].count), total: parseFloat(result.rows[0].total) };
+  }
+
+  // Sign-ups on the referrer's code within `minutes` either side of `at`.
+  async countReferralsAround(referrerId, at, minutes) {
+    await this.ensureConnection();
+    const result = await this.client.query(
+      `SELECT COUNT(*) AS count FROM referrals
+       WHERE referrer_id = $1 AND referred_id <> referrer_id
+         AND joined_at BETWEEN $2::timestamp - make_interval(mins => $3) AND $2::timestamp + make_interval(mins => $3)`,
+      [referrerId, at, minutes]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+
   async getReferralStats(userId) {
     await this.ensureConnection();
     const result = await this.client.query(
@@ -932,17 +1879,25 @@ async cleanupExpiredOrders() {
   async debugAllReferrals() {
     await this.ensureConnection();
     const result = await this.client.query('SELECT * FROM referrals');
-    console.log('🔍 DEBUG - All referrals:', result.rows);
+    logger.debug('All referrals', { referrals: result.rows });
     return result.rows;
   }
 
   async close() {
-    if (this.client) {
-      await this.client.end();
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+      this.client = null;
       this.isConnected = false;
-      console.log('🔌 Database connection closed');
+      logger.info('Database connection closed');
     }
   }
 }
 
-module.exports = DatabaseManager;
\ No newline at end of file
+module.exports = DatabaseManager;
+module.exports.LEDGER_REASONS = LEDGER_REASONS;
+module.exports.FUNDS_ERRORS = FUNDS_ERRORS;
+module.exports.GIFT_ERRORS = GIFT_ERRORS;
+module.exports.GIFT_TYPES = GIFT_TYPES;
+module.exports.REFERRAL_EARNING_STATUS = REFERRAL_EARNING_STATUS;
+module.exports.ADMIN_ACTIONS = ADMIN_ACTIONS;
\ No newline at end of file
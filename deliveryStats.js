@@ -0,0 +1,92 @@
+// Measured OTP delivery per server and service over rolling windows. Figures
+// come from the orders table and are cached briefly, since every service page
+// shows them.
+const WINDOWS = [
+  { key: '24h', label: 'last 24h', hours: 24 },
+  { key: '7d', label: 'last 7 days', hours: 24 * 7 }
+];
+
+// Below this many finished orders a rate says more about luck than the server.
+const MIN_SAMPLE = 5;
+
+class DeliveryStats {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.cacheMs = options.cacheMs || 60 * 1000;
+    this.cache = new Map();
+  }
+
+  async getWindow(key) {
+    const window = WINDOWS.find(candidate => candidate.key === key);
+    if (!window) throw new Error(`Unknown stats window: ${key}`);
+
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.at < this.cacheMs) return cached.stats;
+
+    const since = new Date(Date.now() - window.hours * 60 * 60 * 1000);
+    const rows = await this.db.getDeliveryStats(since);
+
+    const stats = {
+      window,
+      overall: this.toStat(rows.overall),
+      services: new Map(rows.services.map(row => [row.service_code, this.toStat(row)])),
+      servers: new Map(rows.servers.map(row => [row.server_id, this.toStat(row)]))
+    };
+
+    this.cache.set(key, { at: Date.now(), stats });
+    return stats;
+  }
+
+  toStat(row) {
+    const finished = row ? row.finished : 0;
+    const delivered = row ? row.delivered : 0;
+
+    return {
+      finished,
+      delivered,
+      rate: finished > 0 ? Math.round((delivered / finished) * 100) : null,
+      medianSeconds: row && row.median_seconds !== null ? Math.round(parseFloat(row.median_seconds)) : null
+    };
+  }
+
+  // The shortest window with enough orders to be meaningful, or null when
+  // even the longest one is too thin.
+  async forServer(serverId) {
+    for (const window of WINDOWS) {
+      const stats = await this.getWindow(window.key);
+      const stat = stats.servers.get(serverId);
+      if (stat && stat.finished >= MIN_SAMPLE) return { ...stat, window };
+    }
+    return null;
+  }
+
+  async forService(code) {
+    for (const window of WINDOWS) {
+      const stats = await this.getWindow(window.key);
+      const stat = stats.services.get(code);
+      if (stat && stat.finished >= MIN_SAMPLE) return { ...stat, window };
+    }
+    return null;
+  }
+
+  formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return '-';
+    if (seconds < 60) return `${seconds}s`;
+
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return rest > 0 ? `${minutes}m ${rest}s` : `${minutes}m`;
+  }
+
+  // "92% • ~38s", or "-" for a stat without finished orders.
+  formatShort(stat) {
+    if (!stat || stat.rate === null) return '-';
+    return stat.medianSeconds !== null
+      ? `${stat.rate}% • ~${this.formatDuration(stat.medianSeconds)}`
+      : `${stat.rate}%`;
+  }
+}
+
+module.exports = DeliveryStats;
+module.exports.WINDOWS = WINDOWS;
+module.exports.MIN_SAMPLE = MIN_SAMPLE;
@@ -0,0 +1,266 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Local stand-in for the FirexOTP handler API. It answers the same
+// getNumber/getStatus/setStatus query protocol, so pointing FIREX_BASE_URL at
+// it runs purchases, OTP delivery, cancels and new-number requests offline.
+//
+//   node firexMock.js --scenario delayed --delay 20 --service WHATSAPP=no_numbers
+//
+// Scenarios can also be switched while the bot runs through /__mock/scenario.
+const SCENARIOS = {
+  instant: 'OTP is available on the first status check',
+  delayed: 'OTP arrives after --delay seconds',
+  no_numbers: 'getNumber answers NO_NUMBERS',
+  timeout: 'requests are held open until the client gives up',
+  second_otp: 'a second OTP follows the first after another --delay seconds',
+  cancel_refused: 'no OTP arrives and cancelling answers EARLY_CANCEL_DENIED'
+};
+
+const USAGE = `Usage: node firexMock.js [options]
+
+Options:
+  --port <port>              Port to listen on (default 4010)
+  --scenario <name>          Default scenario (default delayed)
+  --delay <seconds>          OTP delay for delayed/second_otp (default 20)
+  --service <code>=<name>    Scenario for one service code, repeatable
+  --api-key <key>            Answer BAD_KEY for any other key
+
+Scenarios:
+${Object.entries(SCENARIOS).map(([name, description]) => `  ${name.padEnd(15)} ${description}`).join('\n')}
+
+Control endpoints:
+  GET /__mock/state                           Current scenario and activations
+  GET /__mock/scenario?name=<s>[&service=<c>] Switch scenario
+  GET /__mock/sms?id=<activation>&code=<otp>  Deliver an OTP right now
+  GET /__mock/reset                           Forget all activations`;
+
+class FirexMockServer {
+  constructor(options = {}) {
+    this.port = options.port !== undefined ? options.port : 4010;
+    this.scenario = options.scenario || 'delayed';
+    this.delayMs = (options.delay !== undefined ? options.delay : 20) * 1000;
+    this.serviceScenarios = { ...(options.services || {}) };
+    this.apiKey = options.apiKey || null;
+    this.activations = new Map();
+    this.nextId = 100000;
+    this.server = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve) => {
+      this.server.listen(this.port, () => {
+        // Port 0 asks the OS for a free port; report the one it picked.
+        this.port = this.server.address().port;
+        console.log(`🧪 FirexOTP mock listening on http://localhost:${this.port} (scenario: ${this.scenario})`);
+        resolve(this);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.closeAllConnections?.();
+      this.server.close(() => resolve());
+    });
+  }
+
+  scenarioFor(service) {
+    return this.serviceScenarios[service] || this.scenario;
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, `http://localhost:${this.port}`);
+    const params = Object.fromEntries(url.searchParams);
+
+    if (url.pathname.startsWith('/__mock/')) {
+      return this.handleControl(url.pathname, params, res);
+    }
+
+    console.log('🧪 Mock request:', params.action, params.id || params.service || '');
+
+    if (this.apiKey && params.api_key !== this.apiKey) {
+      return this.reply(res, 'BAD_KEY');
+    }
+
+    const activation = params.id ? this.activations.get(params.id) : null;
+    const scenario = activation ? activation.scenario : this.scenarioFor(params.service);
+
+    // Leave the socket open; the bot's own request timeout has to fire.
+    if (scenario === 'timeout') return;
+
+    switch (params.action) {
+      case 'getNumber': return this.reply(res, this.getNumber(params, scenario));
+      case 'getStatus': return this.reply(res, this.getStatus(activation));
+      case 'setStatus': return this.reply(res, this.setStatus(activation, params.status));
+      case 'getBalance': return this.reply(res, 'ACCESS_BALANCE:1000.00');
+      default: return this.reply(res, 'BAD_ACTION');
+    }
+  }
+
+  reply(res, body) {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(body);
+  }
+
+  getNumber(params, scenario) {
+    if (!params.service) return 'BAD_SERVICE';
+    if (scenario === 'no_numbers') return 'NO_NUMBERS';
+
+    const id = String(this.nextId++);
+    const phone = `91${crypto.randomInt(7, 10)}${String(crypto.randomInt(0, 1e9)).padStart(9, '0')}`;
+    const delay = scenario === 'instant' ? 0 : this.delayMs;
+
+    const activation = {
+      id,
+      service: params.service,
+      country: params.country,
+      phone,
+      scenario,
+      status: 'waiting',
+      createdAt: Date.now(),
+      codes: [],
+      schedule: []
+    };
+
+    if (scenario === 'instant' || scenario === 'delayed') {
+      activation.schedule.push(delay);
+    } else if (scenario === 'second_otp') {
+      activation.schedule.push(this.delayMs, this.delayMs * 2);
+    }
+
+    this.activations.set(id, activation);
+    return `ACCESS_NUMBER:${id}:${phone}`;
+  }
+
+  // Codes are produced lazily from the schedule, so nothing needs a timer.
+  deliverDueCodes(activation) {
+    const elapsed = Date.now() - activation.createdAt;
+
+    while (activation.schedule.length > 0 && activation.schedule[0] <= elapsed) {
+      activation.schedule.shift();
+      activation.codes.push(String(crypto.randomInt(100000, 1000000)));
+    }
+  }
+
+  getStatus(activation) {
+    if (!activation) return 'NO_ACTIVATION';
+    if (activation.status === 'cancelled') return 'STATUS_CANCEL';
+
+    this.deliverDueCodes(activation);
+
+    if (activation.codes.length === 0) return 'STATUS_WAIT_CODE';
+    return `STATUS_OK:${activation.codes[activation.codes.length - 1]}`;
+  }
+
+  setStatus(activation, status) {
+    if (!activation) return 'NO_ACTIVATION';
+
+    switch (String(status)) {
+      case '1':
+        return 'ACCESS_READY';
+      case '3':
+        return 'ACCESS_RETRY_GET';
+      case '6':
+        activation.status = 'finished';
+        return 'ACCESS_ACTIVATION';
+      case '8':
+        if (activation.scenario === 'cancel_refused') return 'EARLY_CANCEL_DENIED';
+        this.deliverDueCodes(activation);
+        if (activation.status !== 'waiting' || activation.codes.length > 0) return 'BAD_STATUS';
+        activation.status = 'cancelled';
+        return 'ACCESS_CANCEL';
+      default:
+        return 'BAD_STATUS';
+    }
+  }
+
+  handleControl(pathname, params, res) {
+    const json = (statusCode, body) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body, null, 2));
+    };
+
+    if (pathname === '/__mock/state') {
+      return json(200, {
+        scenario: this.scenario,
+        services: this.serviceScenarios,
+        activations: [...this.activations.values()]
+      });
+    }
+
+    if (pathname === '/__mock/scenario') {
+      if (!SCENARIOS[params.name]) {
+        return json(400, { error: `Unknown scenario. Use one of: ${Object.keys(SCENARIOS).join(', ')}` });
+      }
+
+      if (params.service) {
+        this.serviceScenarios[params.service] = params.name;
+      } else {
+        this.scenario = params.name;
+      }
+      console.log(`🧪 Scenario for ${params.service || 'all services'}: ${params.name}`);
+      return json(200, { scenario: this.scenario, services: this.serviceScenarios });
+    }
+
+    if (pathname === '/__mock/sms') {
+      const activation = this.activations.get(params.id);
+      if (!activation) return json(404, { error: 'Unknown activation' });
+
+      activation.codes.push(params.code || String(crypto.randomInt(100000, 1000000)));
+      return json(200, activation);
+    }
+
+    if (pathname === '/__mock/reset') {
+      this.activations.clear();
+      return json(200, { reset: true });
+    }
+
+    return json(404, { error: 'Unknown control endpoint' });
+  }
+}
+
+function parseArgs(argv) {
+  const options = { services: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+
+    switch (argv[i]) {
+      case '--port': options.port = parseInt(value); i++; break;
+      case '--scenario': options.scenario = value; i++; break;
+      case '--delay': options.delay = parseFloat(value); i++; break;
+      case '--api-key': options.apiKey = value; i++; break;
+      case '--service': {
+        const [service, scenario] = String(value).split('=');
+        options.services[service] = scenario;
+        i++;
+        break;
+      }
+      default: return null;
+    }
+  }
+
+  const scenarios = [options.scenario, ...Object.values(options.services)].filter(Boolean);
+  if (scenarios.some(name => !SCENARIOS[name])) return null;
+
+  return options;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  options.port = options.port || parseInt(process.env.FIREX_MOCK_PORT) || 4010;
+  new FirexMockServer(options).start();
+}
+
+module.exports = FirexMockServer;
+module.exports.SCENARIOS = SCENARIOS;
@@ -0,0 +1,205 @@
+// Parsers for the FirexOTP handler API. Responses are plain strings such as
+// ACCESS_NUMBER:123:919876543210 or STATUS_OK:4521; every parser either
+// returns a typed result or throws one of the FirexError subclasses below.
+
+class FirexError extends Error {
+  constructor(code, message, { retryable = false, adminAlert = false, raw = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.retryable = retryable;
+    this.adminAlert = adminAlert;
+    this.raw = raw;
+  }
+}
+
+class NoNumbersError extends FirexError {
+  constructor(raw) {
+    super('NO_NUMBERS', '❌ No numbers available for this service right now', { raw });
+  }
+}
+
+class NoBalanceError extends FirexError {
+  constructor(raw) {
+    super('NO_BALANCE', '❌ Service temporarily unavailable. Please try again later.', { adminAlert: true, raw });
+  }
+}
+
+class BadServiceError extends FirexError {
+  constructor(raw) {
+    super('BAD_SERVICE', '❌ This service is not available on this server', { adminAlert: true, raw });
+  }
+}
+
+class BadKeyError extends FirexError {
+  constructor(raw) {
+    super('BAD_KEY', '❌ Service temporarily unavailable. Please try again later.', { adminAlert: true, raw });
+  }
+}
+
+class BannedKeyError extends FirexError {
+  constructor(raw, until = null) {
+    super('BANNED', '❌ Service temporarily unavailable. Please try again later.', { adminAlert: true, raw });
+    this.until = until;
+  }
+}
+
+class WrongMaxPriceError extends FirexError {
+  constructor(raw, minPrice = null) {
+    super('WRONG_MAX_PRICE', '❌ Numbers for this service are currently above our price. Try another server.', { adminAlert: true, raw });
+    this.minPrice = minPrice;
+  }
+}
+
+class NoActivationError extends FirexError {
+  constructor(raw) {
+    super('NO_ACTIVATION', '❌ Activation not found or already closed', { raw });
+  }
+}
+
+class BadStatusError extends FirexError {
+  constructor(raw) {
+    super('BAD_STATUS', '❌ This action is not allowed for the activation right now', { raw });
+  }
+}
+
+class EarlyCancelDeniedError extends FirexError {
+  constructor(raw) {
+    super('EARLY_CANCEL_DENIED', '❌ The provider does not allow cancelling this number yet', { retryable: true, raw });
+  }
+}
+
+class ProviderUnavailableError extends FirexError {
+  constructor(raw, message = '❌ Service temporarily unavailable') {
+    super('PROVIDER_UNAVAILABLE', message, { retryable: true, raw });
+  }
+}
+
+class UnexpectedResponseError extends FirexError {
+  constructor(raw) {
+    super('UNEXPECTED_RESPONSE', `❌ Unknown API response: ${raw}`, { raw });
+  }
+}
+
+const ORDER_STATUS = {
+  WAITING: 'WAITING',
+  SUCCESS: 'SUCCESS',
+  CANCELLED: 'CANCELLED',
+  NOT_FOUND: 'NOT_FOUND',
+  ERROR: 'ERROR'
+};
+
+const SET_STATUS_RESULT = {
+  READY: 'READY',
+  RETRY_GET: 'RETRY_GET',
+  ACTIVATION: 'ACTIVATION',
+  CANCELLED: 'CANCELLED'
+};
+
+function splitResponse(raw) {
+  if (typeof raw !== 'string' && typeof raw !== 'number') {
+    throw new UnexpectedResponseError(JSON.stringify(raw));
+  }
+
+  const text = String(raw).trim();
+  const [code, ...args] = text.split(':');
+  return { text, code, args };
+}
+
+// Error codes the API can send for any action. Returns null for anything that
+// is not an error so the caller can go on to parse its own success codes.
+function errorFor(raw) {
+  const { text, code, args } = splitResponse(raw);
+
+  switch (code) {
+    case 'NO_NUMBERS': return new NoNumbersError(text);
+    case 'NO_BALANCE': return new NoBalanceError(text);
+    case 'BAD_SERVICE': return new BadServiceError(text);
+    case 'BAD_KEY': return new BadKeyError(text);
+    case 'BANNED': return new BannedKeyError(text, args.join(':') || null);
+    case 'WRONG_MAX_PRICE': return new WrongMaxPriceError(text, args[0] ? parseFloat(args[0]) : null);
+    case 'NO_ACTIVATION': return new NoActivationError(text);
+    case 'BAD_STATUS': return new BadStatusError(text);
+    case 'EARLY_CANCEL_DENIED': return new EarlyCancelDeniedError(text);
+    case 'ERROR_SQL': return new ProviderUnavailableError(text);
+    case 'BAD_ACTION': return new UnexpectedResponseError(text);
+  }
+
+  if (code.startsWith('ERROR')) return new ProviderUnavailableError(text);
+  return null;
+}
+
+function normalizePhone(phone) {
+  const digits = String(phone).replace(/^\+/, '');
+  return digits.length === 12 && digits.startsWith('91') ? digits.substring(2) : digits;
+}
+
+function parseBuyNumber(raw) {
+  const error = errorFor(raw);
+  if (error) throw error;
+
+  const { text, code, args } = splitResponse(raw);
+  if (!code.startsWith('ACCESS_') || args.length < 2) {
+    throw new UnexpectedResponseError(text);
+  }
+
+  const phone = normalizePhone(args[1]);
+  if (!/^\d{10}$/.test(phone)) {
+    throw new UnexpectedResponseError(text);
+  }
+
+  return { activationId: args[0], phone };
+}
+
+function parseStatus(raw) {
+  const { text, code, args } = splitResponse(raw);
+
+  switch (code) {
+    case 'STATUS_WAIT_CODE':
+    case 'STATUS_WAIT_RETRY':
+    case 'STATUS_WAIT_RESEND':
+      return { status: ORDER_STATUS.WAITING, code: null };
+    case 'STATUS_OK':
+      return { status: ORDER_STATUS.SUCCESS, code: args.join(':') || null };
+    case 'STATUS_CANCEL':
+      return { status: ORDER_STATUS.CANCELLED, code: null };
+    case 'NO_ACTIVATION':
+      return { status: ORDER_STATUS.NOT_FOUND, code: null };
+  }
+
+  throw errorFor(text) || new UnexpectedResponseError(text);
+}
+
+function parseSetStatus(raw) {
+  const { text, code } = splitResponse(raw);
+
+  switch (code) {
+    case 'ACCESS_READY': return SET_STATUS_RESULT.READY;
+    case 'ACCESS_RETRY_GET': return SET_STATUS_RESULT.RETRY_GET;
+    case 'ACCESS_ACTIVATION': return SET_STATUS_RESULT.ACTIVATION;
+    case 'ACCESS_CANCEL': return SET_STATUS_RESULT.CANCELLED;
+  }
+
+  throw errorFor(text) || new UnexpectedResponseError(text);
+}
+
+module.exports = {
+  ORDER_STATUS,
+  SET_STATUS_RESULT,
+  FirexError,
+  NoNumbersError,
+  NoBalanceError,
+  BadServiceError,
+  BadKeyError,
+  BannedKeyError,
+  WrongMaxPriceError,
+  NoActivationError,
+  BadStatusError,
+  EarlyCancelDeniedError,
+  ProviderUnavailableError,
+  UnexpectedResponseError,
+  errorFor,
+  parseBuyNumber,
+  parseStatus,
+  parseSetStatus
+};
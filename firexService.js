@@ -1,5 +1,17 @@
 const axios = require('axios');
 const config = require('./config');
+const { redactParams, redactSecrets, logProviderResponse } = require('./privacy');
+const logger = require('./logger').child({ module: 'firex' });
+const {
+  ORDER_STATUS,
+  SET_STATUS_RESULT,
+  FirexError,
+  BadKeyError,
+  ProviderUnavailableError,
+  parseBuyNumber,
+  parseStatus,
+  parseSetStatus
+} = require('./firexProtocol');
 
 class FirexOTPService {
   constructor() {
@@ -10,7 +22,7 @@ class FirexOTPService {
 
   async makeRequest(params) {
     try {
-      console.log('FirexOTP API Request:', params);
+      logger.debug('FirexOTP API request', { params: redactParams(params) });
 
       const response = await axios({
         method: 'GET',
@@ -22,18 +34,18 @@ class FirexOTPService {
         timeout: this.timeout
       });
 
-      console.log(' FirexOTP API Response:', response.data);
+      logger.debug('FirexOTP API response', { action: params.action, response: logProviderResponse(response.data) });
 
       return response.data;
     } catch (error) {
-      console.error('FirexOTP API Error:', error.message);
+      logger.error('FirexOTP API error', { action: params.action, code: error.code, status: error.response?.status, message: redactSecrets(error.message) });
 
       if (error.code === 'ECONNABORTED') {
-        throw new Error('❌ Request timeout');
+        throw new ProviderUnavailableError(null, '❌ Request timeout');
       } else if (error.response?.status === 401) {
-        throw new Error('❌ Invalid API Key');
+        throw new BadKeyError(null);
       } else {
-        throw new Error('❌ Service temporarily unavailable');
+        throw new ProviderUnavailableError(null);
       }
     }
   }
@@ -46,58 +58,34 @@ async buyNumber(service, country) {
       country: country
     });
 
-    console.log('Raw API Response for buyNumber:', data);
-    
-    if (typeof data === 'string') {
-      if (data.startsWith('ACCESS_NUMBER')) {
-        const parts = data.split(':');
-        if (parts.length >= 3) {
-          let phoneNumber = parts[2];
-          const orderId = parts[1];
-          
-          phoneNumber = phoneNumber.replace('+91', '').replace('91', '');
-          
-          if (phoneNumber.length === 10 && /^\d+$/.test(phoneNumber)) {
-            return {
-              success: true,
-              number: phoneNumber,
-              orderId: orderId
-            };
-          } else {
-            return {
-              success: false,
-              error: `❌ Invalid phone number format: ${phoneNumber}`
-            };
-          }
-        }
-      } 
-   
-      else if (data.startsWith('ACCESS_')) {
-        const parts = data.split(':');
-        if (parts.length >= 3) {
-          return {
-            success: true,
-            number: parts[2].replace('+91', '').replace('91', ''),
-            orderId: parts[1]
-          };
-        }
-      }
-      else if (data === 'NO_NUMBERS') {
-        return { success: false, error: '❌ No numbers available for this service' };
-      } else if (data === 'NO_BALANCE') {
-        return { success: false, error: '❌ Insufficient API balance' };
-      } else if (data.startsWith('ERROR')) {
-        return { success: false, error: `❌ API Error: ${data}` };
-      }
-    }
+    const { activationId, phone } = parseBuyNumber(data);
+    logger.info('Number bought', { service, country, response: logProviderResponse(data) });
 
-    return { success: false, error: `❌ Unknown API response: ${data}` };
+    return {
+      success: true,
+      number: phone,
+      orderId: activationId
+    };
   } catch (error) {
-    console.error('Buy Number Error:', error);
-    return { success: false, error: error.message };
+    logger.error('Buy number error', { service, country, code: error.code, message: logProviderResponse(error.message) });
+    return this.failure(error);
   }
 }
 
+  // Purchase failures keep the { success: false, error } shape the bot has
+  // always used, plus what it needs to decide whether to retry or alert.
+  failure(error) {
+    const firexError = error instanceof FirexError ? error : new ProviderUnavailableError(null, error.message);
+
+    return {
+      success: false,
+      error: firexError.message,
+      errorCode: firexError.code,
+      retryable: firexError.retryable,
+      adminAlert: firexError.adminAlert
+    };
+  }
+
   async checkOrder(orderId) {
     try {
       const data = await this.makeRequest({
@@ -105,39 +93,17 @@ async buyNumber(service, country) {
         id: orderId
       });
 
-      console.log('Raw API Response for checkOrder:', data);
-      if (typeof data === 'string') {
-        if (data.startsWith('STATUS_WAIT_CODE')) {
-          return { status: 'WAITING', code: null };
-        } else if (data.startsWith('STATUS_OK')) {
-          const parts = data.split(':');
-          if (parts.length >= 2) {
-            return { status: 'SUCCESS', code: parts[1] };
-          } else {
-            return { status: 'SUCCESS', code: null };
-          }
-        } else if (data.startsWith('STATUS_CANCEL')) {
-          return { status: 'CANCELLED', code: null };
-        } else if (data === 'NO_ACTIVATION') {
-          return { status: 'NOT_FOUND', code: null };
-        } else if (data.startsWith('ERROR')) {
-          return { status: 'ERROR', code: null, error: data };
-        } else {
-          console.log('Unknown status response:', data);
-          return { status: 'UNKNOWN', code: null, raw: data };
-        }
-      }
-
-      return { status: 'ERROR', code: null };
+      logger.debug('Order status', { activation_id: orderId, response: logProviderResponse(data) });
+      return parseStatus(data);
     } catch (error) {
-      console.error('Check order error:', error.message);
-      return { status: 'ERROR', code: null };
+      logger.error('Check order error', { activation_id: orderId, code: error.code, message: logProviderResponse(error.message) });
+      return { status: ORDER_STATUS.ERROR, code: null, error };
     }
   }
 
   async cancelOrder(orderId) {
   try {
-    console.log(`🔄 Attempting to cancel order: ${orderId}`);
+    logger.info('Cancelling activation', { activation_id: orderId });
     
     const data = await this.makeRequest({
       action: 'setStatus',
@@ -145,27 +111,23 @@ async buyNumber(service, country) {
       status: '8'
     });
     
-    console.log('📋 Cancel Order Response:', data);
-    
-    if (data === 'ACCESS_CANCEL' || data === 'ACCESS_READY' || data.includes('CANCEL')) {
-      console.log(`✅ Order ${orderId} cancelled successfully`);
+    const result = parseSetStatus(data);
+    if (result === SET_STATUS_RESULT.CANCELLED || result === SET_STATUS_RESULT.READY) {
+      logger.info('Activation cancelled', { activation_id: orderId, response: logProviderResponse(data) });
       return true;
-    } else if (data === 'NO_ACTIVATION' || data.includes('NO_ACTIVATION')) {
-      console.log(`❌ Order ${orderId} not found or already cancelled`);
-      return false;
-    } else {
-      console.log(`❌ Unexpected cancel response: ${data}`);
-      return false;
     }
+
+    logger.warn('Unexpected cancel response', { activation_id: orderId, response: logProviderResponse(data) });
+    return false;
   } catch (error) {
-    console.error('❌ Cancel order error:', error.message);
+    logger.error('Cancel activation failed', { activation_id: orderId, code: error.code, message: logProviderResponse(error.message) });
     return false;
   }
 }
 
   async requestNewNumber(orderId) {
     try {
-      console.log(`Requesting new number for order: ${orderId}`);
+      logger.info('Requesting new number', { activation_id: orderId });
       
       const data = await this.makeRequest({
         action: 'setStatus',
@@ -173,40 +135,33 @@ async buyNumber(service, country) {
         status: '3'
       });
 
-      console.log('New Number Response:', data);
-      if (data === 'ACCESS_RETRY_GET') {
-        console.log(`✅ New number requested successfully for order ${orderId}`);
+      if (parseSetStatus(data) === SET_STATUS_RESULT.RETRY_GET) {
+        logger.info('New number requested', { activation_id: orderId, response: logProviderResponse(data) });
         return true;
-      } else if (data === 'NO_ACTIVATION') {
-        console.log(`❌ Order ${orderId} not found`);
-        return false;
-      } else if (data.startsWith('ERROR')) {
-        console.log(`❌ Error requesting new number: ${data}`);
-        return false;
-      } else {
-        console.log(`❌ Unexpected new number response: ${data}`);
-        return false;
       }
+
+      logger.warn('Unexpected new number response', { activation_id: orderId, response: logProviderResponse(data) });
+      return false;
     } catch (error) {
-      console.error('New number request error:', error.message);
+      logger.error('New number request error', { activation_id: orderId, code: error.code, message: logProviderResponse(error.message) });
       return false;
     }
   }
   async forceCancelExpiredOrder(orderId) {
     try {
-      console.log(`🕒 Force cancelling expired order: ${orderId}`);
+      logger.info('Force cancelling expired activation', { activation_id: orderId });
       
       const result = await this.cancelOrder(orderId);
       
       if (result) {
-        console.log(`✅ Successfully force cancelled expired order: ${orderId}`);
+        logger.info('Force cancelled expired activation', { activation_id: orderId });
       } else {
-        console.log(`❌ Failed to force cancel expired order: ${orderId}`);
+        logger.warn('Failed to force cancel expired activation', { activation_id: orderId });
       }
       
       return result;
     } catch (error) {
-      console.error(`Force cancel error for order ${orderId}:`, error.message);
+      logger.error('Force cancel error', { activation_id: orderId, code: error.code, message: logProviderResponse(error.message) });
       return false;
     }
   }
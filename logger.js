@@ -0,0 +1,119 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Read straight from the environment rather than config.js, so migrate.js can
+// log without the bot's own settings; both load .env before requiring this.
+// LOG_LEVEL is error, warn, info or debug.
+const LOG_SETTINGS = {
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || 'json'
+};
+
+// Correlation fields (update_id, user_id, order_id…) for whatever is being
+// handled right now. They follow the work through awaits, timers and
+// callbacks, so a database or FirexOTP line logged deep inside a purchase
+// still says which update, user and order it belongs to.
+const context = new AsyncLocalStorage();
+
+// One line per entry on stdout (errors and warnings on stderr): JSON by
+// default, or a readable line with LOG_FORMAT=pretty.
+class Logger {
+  constructor(settings = LOG_SETTINGS, fields = {}) {
+    this.settings = settings;
+    this.fields = fields;
+  }
+
+  // A logger that adds `fields` to every line, e.g. the module name.
+  child(fields) {
+    return new Logger(this.settings, { ...this.fields, ...fields });
+  }
+
+  // Runs fn with `fields` added to the current correlation context.
+  withContext(fields, fn) {
+    return context.run({ ...this.context(), ...this.clean(fields) }, fn);
+  }
+
+  // Adds fields once they are known, e.g. the order ID partway through a
+  // purchase. Only lines logged from here on in this context carry them.
+  addContext(fields) {
+    const current = context.getStore();
+    if (current) Object.assign(current, this.clean(fields));
+  }
+
+  context() {
+    return context.getStore() || {};
+  }
+
+  enabled(level) {
+    const threshold = LOG_LEVELS[this.settings.level] ?? LOG_LEVELS.info;
+    return LOG_LEVELS[level] <= threshold;
+  }
+
+  error(message, fields) { this.write('error', message, fields); }
+  warn(message, fields) { this.write('warn', message, fields); }
+  info(message, fields) { this.write('info', message, fields); }
+  debug(message, fields) { this.write('debug', message, fields); }
+
+  write(level, message, fields = {}) {
+    if (!this.enabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.fields,
+      ...this.context(),
+      ...this.serialize(fields)
+    };
+
+    const line = this.settings.format === 'pretty' ? this.pretty(entry) : this.json(entry);
+    const stream = LOG_LEVELS[level] <= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(line + '\n');
+  }
+
+  json(entry) {
+    try {
+      return JSON.stringify(entry);
+    } catch (error) {
+      return JSON.stringify({ time: entry.time, level: entry.level, msg: entry.msg, log_error: error.message });
+    }
+  }
+
+  pretty({ time, level, msg, error, ...fields }) {
+    const details = Object.entries(fields)
+      .map(([key, value]) => `${key}=${value !== null && typeof value === 'object' ? JSON.stringify(value) : value}`);
+    if (error) details.push(`error=${JSON.stringify(error.message ?? error)}`);
+
+    const line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details.length > 0 ? ` ${details.join(' ')}` : ''}`;
+    return error?.stack ? `${line}\n${error.stack}` : line;
+  }
+
+  serialize(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (value === undefined) continue;
+      result[key] = value instanceof Error ? this.serializeError(value) : value;
+    }
+    return result;
+  }
+
+  serializeError(error) {
+    const result = { name: error.name, message: error.message };
+    if (error.code !== undefined) result.code = error.code;
+    if (error.stack) result.stack = error.stack;
+    return result;
+  }
+
+  clean(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (value !== undefined && value !== null) result[key] = value;
+    }
+    return result;
+  }
+}
+
+module.exports = new Logger();
+module.exports.Logger = Logger;
+module.exports.LOG_LEVELS = LOG_LEVELS;
@@ -0,0 +1,58 @@
+require('dotenv').config();
+
+const DatabaseManager = require('./database');
+const Migrator = require('./migrator');
+
+const USAGE = `Usage: node migrate.js <command>
+
+Commands:
+  status        List migrations and whether they have been applied
+  up            Apply all pending migrations
+  down [steps]  Roll back the latest migration (or the latest <steps>)`;
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  if (!['status', 'up', 'down'].includes(command)) {
+    console.log(USAGE);
+    return 1;
+  }
+
+  const db = new DatabaseManager({ autoMigrate: false });
+  await db.connect();
+
+  if (!db.isConnected) {
+    console.error('❌ Could not connect to the database');
+    return 1;
+  }
+
+  const migrator = new Migrator(db);
+
+  try {
+    if (command === 'status') {
+      const migrations = await migrator.status();
+      migrations.forEach(migration => {
+        const state = migration.applied
+          ? `applied ${new Date(migration.appliedAt).toLocaleString()}`
+          : 'pending';
+        console.log(`${migration.applied ? '✅' : '⏳'} ${String(migration.version).padStart(3, '0')}_${migration.name} - ${state}`);
+      });
+      const pending = migrations.filter(migration => !migration.applied).length;
+      console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+    } else if (command === 'up') {
+      await migrator.migrate();
+    } else if (command === 'down') {
+      const steps = parseInt(arg) || 1;
+      const rolledBack = await migrator.rollback(steps);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+    }
+    return 0;
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    return 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main().then(code => process.exit(code));
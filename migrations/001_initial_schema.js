@@ -0,0 +1,129 @@
+// The original schema. IF NOT EXISTS is kept so databases created before
+// migrations were introduced adopt this version unchanged.
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE TABLE IF NOT EXISTS users (
+      user_id BIGINT PRIMARY KEY,
+      balance DECIMAL(15,2) DEFAULT 0,
+      joined_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      channel_joined BOOLEAN DEFAULT FALSE,
+      terms_accepted BOOLEAN DEFAULT FALSE,
+      last_checked TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      total_orders INTEGER DEFAULT 0,
+      first_name TEXT,
+      username TEXT
+    )`);
+
+    await client.query(`CREATE TABLE IF NOT EXISTS orders (
+      id SERIAL PRIMARY KEY,
+      user_id BIGINT,
+      service TEXT,
+      phone TEXT,
+      price DECIMAL(10,2),
+      order_id TEXT,
+      activation_id TEXT,
+      status TEXT,
+      order_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      otp_code TEXT DEFAULT NULL,
+      server_used TEXT,
+      original_price DECIMAL(10,2),
+      discount_applied DECIMAL(10,2) DEFAULT 0
+    )`);
+
+    await client.query(`CREATE TABLE IF NOT EXISTS active_orders (
+      order_id TEXT PRIMARY KEY,
+      activation_id TEXT,
+      user_id BIGINT,
+      phone TEXT,
+      product TEXT,
+      expires_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      server_used TEXT
+    )`);
+
+    await client.query(`CREATE TABLE IF NOT EXISTS topup_requests (
+      id SERIAL PRIMARY KEY,
+      user_id BIGINT,
+      amount DECIMAL(10,2),
+      utr TEXT UNIQUE,
+      status TEXT,
+      request_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await client.query(`CREATE TABLE IF NOT EXISTS gift_codes (
+      code TEXT PRIMARY KEY,
+      amount DECIMAL(10,2),
+      created_by BIGINT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      max_uses INTEGER DEFAULT 1,
+      expires_at TIMESTAMP,
+      min_deposit DECIMAL(10,2) DEFAULT 0
+    )`);
+
+    await client.query(`CREATE TABLE IF NOT EXISTS gift_code_uses (
+      id SERIAL PRIMARY KEY,
+      code TEXT,
+      user_id BIGINT,
+      used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(code, user_id)
+    )`);
+
+    await client.query(`CREATE TABLE IF NOT EXISTS admin_logs (
+      id SERIAL PRIMARY KEY,
+      admin_id BIGINT,
+      action TEXT,
+      target_user_id BIGINT,
+      details TEXT,
+      timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await client.query(`CREATE TABLE IF NOT EXISTS monthly_deposits (
+      user_id BIGINT,
+      month_year TEXT,
+      total_deposit DECIMAL(15,2) DEFAULT 0,
+      PRIMARY KEY (user_id, month_year)
+    )`);
+
+    await client.query(`CREATE TABLE IF NOT EXISTS balance_transfers (
+      id SERIAL PRIMARY KEY,
+      from_user_id BIGINT,
+      to_user_id BIGINT,
+      amount DECIMAL(10,2),
+      transfer_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      note TEXT
+    )`);
+
+    await client.query(`CREATE TABLE IF NOT EXISTS referrals (
+      id SERIAL PRIMARY KEY,
+      referrer_id BIGINT,
+      referred_id BIGINT UNIQUE,
+      referral_code TEXT,
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      is_active BOOLEAN DEFAULT TRUE
+    )`);
+
+    await client.query(`CREATE TABLE IF NOT EXISTS referral_earnings (
+      id SERIAL PRIMARY KEY,
+      referrer_id BIGINT,
+      referred_id BIGINT,
+      deposit_amount DECIMAL(10,2),
+      commission_amount DECIMAL(10,2),
+      commission_percent DECIMAL(5,2) DEFAULT 5,
+      earned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS referral_earnings');
+    await client.query('DROP TABLE IF EXISTS referrals');
+    await client.query('DROP TABLE IF EXISTS balance_transfers');
+    await client.query('DROP TABLE IF EXISTS monthly_deposits');
+    await client.query('DROP TABLE IF EXISTS admin_logs');
+    await client.query('DROP TABLE IF EXISTS gift_code_uses');
+    await client.query('DROP TABLE IF EXISTS gift_codes');
+    await client.query('DROP TABLE IF EXISTS topup_requests');
+    await client.query('DROP TABLE IF EXISTS active_orders');
+    await client.query('DROP TABLE IF EXISTS orders');
+    await client.query('DROP TABLE IF EXISTS users');
+  }
+};
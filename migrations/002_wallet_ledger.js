@@ -0,0 +1,35 @@
+// Double-entry wallet ledger. Users with a balance but no entries get a
+// single opening balance transaction so users.balance can be rebuilt from it.
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE TABLE IF NOT EXISTS wallet_ledger (
+      id BIGSERIAL PRIMARY KEY,
+      txn_id UUID NOT NULL,
+      account TEXT NOT NULL,
+      user_id BIGINT,
+      amount DECIMAL(15,2) NOT NULL,
+      balance_after DECIMAL(15,2),
+      reason TEXT NOT NULL,
+      reference TEXT,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS wallet_ledger_user_idx ON wallet_ledger (user_id, id)');
+    await client.query('CREATE INDEX IF NOT EXISTS wallet_ledger_txn_idx ON wallet_ledger (txn_id)');
+
+    await client.query(`WITH opening AS (
+      SELECT u.user_id, u.balance FROM users u
+      WHERE u.balance <> 0
+        AND NOT EXISTS (SELECT 1 FROM wallet_ledger l WHERE l.user_id = u.user_id)
+    )
+    INSERT INTO wallet_ledger (txn_id, account, user_id, amount, balance_after, reason, note)
+    SELECT md5('opening:' || user_id)::uuid, 'user:' || user_id, user_id, balance, balance, 'opening_balance', 'Balance before ledger' FROM opening
+    UNION ALL
+    SELECT md5('opening:' || user_id)::uuid, 'system:opening_balance', NULL, -balance, NULL, 'opening_balance', 'Balance before ledger' FROM opening`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS wallet_ledger');
+  }
+};
@@ -0,0 +1,24 @@
+// Everything needed to rebuild an order's polling job after a restart.
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE active_orders
+      ADD COLUMN IF NOT EXISTS chat_id BIGINT,
+      ADD COLUMN IF NOT EXISTS message_id BIGINT,
+      ADD COLUMN IF NOT EXISTS price DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS service_code TEXT,
+      ADD COLUMN IF NOT EXISTS country TEXT,
+      ADD COLUMN IF NOT EXISTS otp_count INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_otp TEXT`);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE active_orders
+      DROP COLUMN IF EXISTS chat_id,
+      DROP COLUMN IF EXISTS message_id,
+      DROP COLUMN IF EXISTS price,
+      DROP COLUMN IF EXISTS service_code,
+      DROP COLUMN IF EXISTS country,
+      DROP COLUMN IF EXISTS otp_count,
+      DROP COLUMN IF EXISTS last_otp`);
+  }
+};
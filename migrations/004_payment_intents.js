@@ -0,0 +1,27 @@
+// Deposits started through a payment gateway. The provider's payment id is the
+// idempotency key for its webhooks; topup_request_id points at the request the
+// payment was credited through once it succeeds.
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE TABLE IF NOT EXISTS payment_intents (
+      id SERIAL PRIMARY KEY,
+      provider TEXT NOT NULL,
+      provider_payment_id TEXT NOT NULL,
+      reference TEXT NOT NULL,
+      user_id BIGINT NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      status TEXT NOT NULL DEFAULT 'created',
+      utr TEXT,
+      topup_request_id INTEGER REFERENCES topup_requests(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (provider, provider_payment_id)
+    )`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS payment_intents_user_idx ON payment_intents (user_id, created_at DESC)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS payment_intents');
+  }
+};
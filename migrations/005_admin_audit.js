@@ -0,0 +1,20 @@
+// Structured audit entries on the admin_logs table created in 001. details
+// stays free text; before/after hold the values an action changed.
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE admin_logs
+      ADD COLUMN IF NOT EXISTS before_value JSONB,
+      ADD COLUMN IF NOT EXISTS after_value JSONB`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS admin_logs_admin_idx ON admin_logs (admin_id, timestamp DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS admin_logs_target_idx ON admin_logs (target_user_id, timestamp DESC)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS admin_logs_target_idx');
+    await client.query('DROP INDEX IF EXISTS admin_logs_admin_idx');
+    await client.query(`ALTER TABLE admin_logs
+      DROP COLUMN IF EXISTS before_value,
+      DROP COLUMN IF EXISTS after_value`);
+  }
+};
@@ -0,0 +1,16 @@
+// Operators besides the owner in config.ADMIN_ID, who always keeps full
+// access. Roles are names from adminRoles.js.
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE TABLE IF NOT EXISTS admins (
+      user_id BIGINT PRIMARY KEY,
+      role TEXT NOT NULL,
+      added_by BIGINT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS admins');
+  }
+};
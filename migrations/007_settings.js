@@ -0,0 +1,16 @@
+// Admin overrides for values that default to config.js. Only changed
+// settings have a row; deleting it restores the default.
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_by BIGINT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS settings');
+  }
+};
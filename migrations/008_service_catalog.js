@@ -0,0 +1,37 @@
+// Services and the provider servers that sell them. The bot seeds both from
+// config.js on first start; after that the admin panel owns them.
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE TABLE IF NOT EXISTS services (
+      code TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      command TEXT NOT NULL UNIQUE,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await client.query(`CREATE TABLE IF NOT EXISTS service_servers (
+      id SERIAL PRIMARY KEY,
+      service_code TEXT NOT NULL REFERENCES services(code) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      price DECIMAL(10,2) NOT NULL,
+      success TEXT,
+      delivery_time TEXT,
+      country TEXT NOT NULL,
+      provider_service TEXT NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS service_servers_service_idx ON service_servers (service_code, position)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS service_servers');
+    await client.query('DROP TABLE IF EXISTS services');
+  }
+};
@@ -0,0 +1,20 @@
+// Delivery statistics need to know which catalog server sold an order and
+// when its first OTP arrived. Older orders have neither and are left out.
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS service_code TEXT,
+      ADD COLUMN IF NOT EXISTS server_id INTEGER,
+      ADD COLUMN IF NOT EXISTS otp_at TIMESTAMP`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS orders_service_time_idx ON orders (service_code, order_time)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS orders_service_time_idx');
+    await client.query(`ALTER TABLE orders
+      DROP COLUMN IF EXISTS otp_at,
+      DROP COLUMN IF EXISTS server_id,
+      DROP COLUMN IF EXISTS service_code`);
+  }
+};
@@ -0,0 +1,55 @@
+// Gift codes gain a bonus type, per-code terms and an optional campaign that
+// groups codes generated in bulk. Percentage bonuses are not paid out when the
+// code is redeemed; they wait in user_bonuses until the next deposit or
+// purchase uses them.
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE TABLE IF NOT EXISTS gift_campaigns (
+      id SERIAL PRIMARY KEY,
+      bonus_type TEXT NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      service_code TEXT,
+      code_count INTEGER NOT NULL,
+      max_uses INTEGER NOT NULL DEFAULT 1,
+      min_deposit DECIMAL(10,2) NOT NULL DEFAULT 0,
+      new_users_only BOOLEAN NOT NULL DEFAULT FALSE,
+      expires_at TIMESTAMP,
+      created_by BIGINT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await client.query(`ALTER TABLE gift_codes
+      ADD COLUMN IF NOT EXISTS bonus_type TEXT NOT NULL DEFAULT 'credit',
+      ADD COLUMN IF NOT EXISTS service_code TEXT,
+      ADD COLUMN IF NOT EXISTS new_users_only BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES gift_campaigns(id) ON DELETE CASCADE`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS gift_codes_campaign_idx ON gift_codes (campaign_id)');
+
+    await client.query(`CREATE TABLE IF NOT EXISTS user_bonuses (
+      id SERIAL PRIMARY KEY,
+      user_id BIGINT NOT NULL,
+      code TEXT NOT NULL,
+      bonus_type TEXT NOT NULL,
+      percent DECIMAL(5,2) NOT NULL,
+      service_code TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      used_reference TEXT,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS user_bonuses_pending_idx ON user_bonuses (user_id, bonus_type, status)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS user_bonuses');
+    await client.query('DROP INDEX IF EXISTS gift_codes_campaign_idx');
+    await client.query(`ALTER TABLE gift_codes
+      DROP COLUMN IF EXISTS campaign_id,
+      DROP COLUMN IF EXISTS new_users_only,
+      DROP COLUMN IF EXISTS service_code,
+      DROP COLUMN IF EXISTS bonus_type`);
+    await client.query('DROP TABLE IF EXISTS gift_campaigns');
+  }
+};
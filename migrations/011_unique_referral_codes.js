@@ -0,0 +1,22 @@
+// A user's own referral code lives on the row where they refer themselves;
+// those codes must be unique for a /start link to name one referrer. Older
+// duplicates keep the code on the earliest row and give the rest their row id
+// as a suffix, since the shared code never reliably resolved to them anyway.
+module.exports = {
+  async up(client) {
+    await client.query(`UPDATE referrals r SET referral_code = r.referral_code || r.id::text
+      WHERE r.referrer_id = r.referred_id AND EXISTS (
+        SELECT 1 FROM referrals other
+        WHERE other.referral_code = r.referral_code
+          AND other.referrer_id = other.referred_id
+          AND other.id < r.id
+      )`);
+
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS referrals_own_code_idx
+      ON referrals (referral_code) WHERE referrer_id = referred_id`);
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS referrals_own_code_idx');
+  }
+};
@@ -0,0 +1,27 @@
+// Referral commission is now held before it is paid, and tied to the deposit
+// that earned it so a reversed deposit can take it back. Earnings recorded
+// before this were paid on the spot, so they start out released.
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE referral_earnings
+      ADD COLUMN IF NOT EXISTS topup_request_id INTEGER,
+      ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'released',
+      ADD COLUMN IF NOT EXISTS release_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS released_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS clawed_back_at TIMESTAMP`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS referral_earnings_release_idx ON referral_earnings (status, release_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS referral_earnings_topup_idx ON referral_earnings (topup_request_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS referral_earnings_topup_idx');
+    await client.query('DROP INDEX IF EXISTS referral_earnings_release_idx');
+    await client.query(`ALTER TABLE referral_earnings
+      DROP COLUMN IF EXISTS clawed_back_at,
+      DROP COLUMN IF EXISTS released_at,
+      DROP COLUMN IF EXISTS release_at,
+      DROP COLUMN IF EXISTS status,
+      DROP COLUMN IF EXISTS topup_request_id`);
+  }
+};
@@ -0,0 +1,25 @@
+// Referral commission can be held for admin review when the referral looks
+// like the referrer's own account. The score and the signals behind it are
+// kept on the earning so the reviewer can see why it was flagged.
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE referral_earnings
+      ADD COLUMN IF NOT EXISTS risk_score INTEGER,
+      ADD COLUMN IF NOT EXISTS risk_signals JSONB,
+      ADD COLUMN IF NOT EXISTS reviewed_by BIGINT,
+      ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS referrals_referrer_joined_idx ON referrals (referrer_id, joined_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS balance_transfers_pair_idx ON balance_transfers (from_user_id, to_user_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS balance_transfers_pair_idx');
+    await client.query('DROP INDEX IF EXISTS referrals_referrer_joined_idx');
+    await client.query(`ALTER TABLE referral_earnings
+      DROP COLUMN IF EXISTS reviewed_at,
+      DROP COLUMN IF EXISTS reviewed_by,
+      DROP COLUMN IF EXISTS risk_signals,
+      DROP COLUMN IF EXISTS risk_score`);
+  }
+};
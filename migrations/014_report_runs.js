@@ -0,0 +1,17 @@
+// One row per scheduled report that has gone out, keyed by the time it was
+// due. The scheduler claims a row before sending, so a restart or a second
+// instance never posts the same digest twice.
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE TABLE IF NOT EXISTS report_runs (
+      report TEXT NOT NULL,
+      scheduled_for TIMESTAMP NOT NULL,
+      sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (report, scheduled_for)
+    )`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS report_runs');
+  }
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').child({ module: 'migrator' });
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary key shared by every runner, so two instances starting at the same
+// time apply migrations one after the other instead of racing.
+const MIGRATION_LOCK_KEY = 7311001;
+
+class Migrator {
+  constructor(db, directory = MIGRATIONS_DIR) {
+    this.db = db;
+    this.directory = directory;
+  }
+
+  loadMigrations() {
+    return fs.readdirSync(this.directory)
+      .map(file => {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) return null;
+
+        return {
+          version: parseInt(match[1]),
+          name: match[2],
+          file: path.join(this.directory, file)
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async ensureMigrationsTable(client) {
+    await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+
+  async getAppliedVersions(client) {
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return new Set(result.rows.map(row => row.version));
+  }
+
+  async status() {
+    await this.db.ensureConnection();
+    await this.ensureMigrationsTable(this.db.client);
+
+    const result = await this.db.client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+    return this.loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedAt.has(migration.version),
+      appliedAt: appliedAt.get(migration.version) || null
+    }));
+  }
+
+  async migrate() {
+    const applied = [];
+
+    for (const migration of this.loadMigrations()) {
+      const ran = await this.db.withTransaction(async (tx) => {
+        await tx.client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+        await this.ensureMigrationsTable(tx.client);
+
+        const appliedVersions = await this.getAppliedVersions(tx.client);
+        if (appliedVersions.has(migration.version)) {
+          return false;
+        }
+
+        logger.info('Applying migration', { migration: `${String(migration.version).padStart(3, '0')}_${migration.name}` });
+        await require(migration.file).up(tx.client);
+        await tx.client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        return true;
+      });
+
+      if (ran) applied.push(migration);
+    }
+
+    if (applied.length === 0) {
+      logger.info('Database schema is up to date');
+    } else {
+      logger.info('Applied migrations', { count: applied.length });
+    }
+
+    return applied;
+  }
+
+  async rollback(steps = 1) {
+    const rolledBack = [];
+    const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+
+    for (let i = 0; i < steps; i++) {
+      const migration = await this.db.withTransaction(async (tx) => {
+        await tx.client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+        await this.ensureMigrationsTable(tx.client);
+
+        const result = await tx.client.query('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT 1');
+        if (result.rows.length === 0) {
+          return null;
+        }
+
+        const latest = migrations.get(result.rows[0].version);
+        if (!latest) {
+          throw new Error(`Migration file for version ${result.rows[0].version} not found`);
+        }
+
+        logger.info('Rolling back migration', { migration: `${String(latest.version).padStart(3, '0')}_${latest.name}` });
+        await require(latest.file).down(tx.client);
+        await tx.client.query('DELETE FROM schema_migrations WHERE version = $1', [latest.version]);
+        return latest;
+      });
+
+      if (!migration) break;
+      rolledBack.push(migration);
+    }
+
+    return rolledBack;
+  }
+}
+
+module.exports = Migrator;
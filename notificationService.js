@@ -1,79 +1,325 @@
 const TelegramBot = require('node-telegram-bot-api');
 const config = require('./config');
+const { notifyPhone, notifyOTP } = require('./privacy');
+const logger = require('./logger').child({ module: 'notifications' });
 
+const SEVERITY_LEVELS = { info: 0, action: 1, critical: 2 };
+
+// Headings for the lists that batched events are posted as.
+const BATCH_LABELS = {
+  userRegistered: '👤 New users',
+  orderPlaced: '🛒 Orders placed',
+  otpReceived: '✅ OTPs received',
+  orderCancelled: '❌ Orders cancelled',
+  newNumberRequested: '🆕 New numbers requested',
+  giftCodeRedeemed: '🎟️ Gift codes redeemed'
+};
+
+const MAX_BATCH_LINES = 40;
+const MAX_RETRY_QUEUE = 500;
+const RETRY_BASE_MS = 15 * 1000;
+
+// Sends admin notifications. Each event is routed by NOTIFICATION_SETTINGS to
+// a chat or topic; high-volume events are collected into periodic lists, and
+// a message Telegram refuses for a passing reason goes to a retry queue.
 class NotificationService {
-  constructor() {
+  constructor(settings = config.NOTIFICATION_SETTINGS) {
     this.bot = new TelegramBot(config.NOTIFICATION_BOT_TOKEN, { polling: false });
     this.chatId = config.NOTIFICATION_CHAT_ID;
+    this.settings = settings;
+    this.batches = new Map();
+    this.retryQueue = [];
+    this.batchTimer = null;
+    this.retryTimer = null;
+    this.retrying = false;
+  }
+
+  start() {
+    if (this.batchTimer) return;
+    this.batchTimer = setInterval(() => this.flushBatches().catch(error => logger.error('Notification batch error', { error })), 60 * 1000);
+    this.retryTimer = setInterval(() => this.processRetries(), 5 * 1000);
+  }
+
+  // Posts whatever is still batched and gives every queued retry one last
+  // attempt, so a restart does not silently lose notifications.
+  async stop() {
+    if (this.batchTimer) clearInterval(this.batchTimer);
+    if (this.retryTimer) clearInterval(this.retryTimer);
+    this.batchTimer = null;
+    this.retryTimer = null;
+
+    await this.flushBatches(true);
+    await this.processRetries(true);
+
+    if (this.retryQueue.length > 0) {
+      logger.error('Notifications left unsent at shutdown', { count: this.retryQueue.length });
+    }
+  }
+
+  // Critical events are never batched, whatever the route says.
+  route(event) {
+    const route = { ...this.settings.routes.default, ...this.settings.routes[event] };
+    const severity = route.severity || 'info';
+    return {
+      chatId: route.chat || this.chatId,
+      topicId: route.topic ? parseInt(route.topic) : null,
+      severity,
+      batch: Boolean(route.batch) && severity !== 'critical'
+    };
   }
 
-  async sendNotification(message) {
+  // `summary` is the one-line form used when the event is batched; without
+  // one the message's first line is used.
+  async sendNotification(message, event = 'general', summary = null) {
+    const route = this.route(event);
+
+    if (route.batch) {
+      this.addToBatch(event, route, summary || this.summarize(message));
+      return;
+    }
+
+    const silent = this.isQuietTime() && SEVERITY_LEVELS[route.severity] < SEVERITY_LEVELS.action;
+    await this.deliver(route, message, { silent });
+  }
+
+  addToBatch(event, route, line) {
+    const key = `${route.chatId}:${route.topicId || ''}:${event}`;
+    let batch = this.batches.get(key);
+
+    if (!batch) {
+      batch = { event, route, lines: [], count: 0, startedAt: Date.now() };
+      this.batches.set(key, batch);
+    }
+
+    batch.count++;
+    if (batch.lines.length < MAX_BATCH_LINES) batch.lines.push(line);
+  }
+
+  // Posts every batch that has been open for batch_minutes. Batches wait out
+  // quiet hours unless `force` is set.
+  async flushBatches(force = false) {
+    if (!force && this.isQuietTime()) return;
+
+    const cutoff = Date.now() - this.settings.batch_minutes * 60 * 1000;
+
+    for (const [key, batch] of this.batches) {
+      if (!force && batch.startedAt > cutoff) continue;
+      this.batches.delete(key);
+
+      const more = batch.count - batch.lines.length;
+      const message = `<b>${BATCH_LABELS[batch.event] || batch.event}</b> × ${batch.count}\n` +
+        `🕒 Since ${new Date(batch.startedAt).toLocaleString()}\n\n` +
+        batch.lines.join('\n') +
+        (more > 0 ? `\n… and ${more} more` : '');
+
+      await this.deliver(batch.route, message);
+    }
+  }
+
+  async deliver(route, message, { silent = false } = {}) {
+    const options = { parse_mode: 'HTML', disable_notification: silent };
+    if (route.topicId) options.message_thread_id = route.topicId;
+
     try {
-      await this.bot.sendMessage(this.chatId, message, {
-        parse_mode: 'HTML'
-      });
+      await this.bot.sendMessage(route.chatId, message, options);
+      return true;
     } catch (error) {
-      console.error('❌ Notification send error:', error.message);
+      this.queueRetry({ chatId: route.chatId, message, options, severity: route.severity, attempts: 1 }, error);
+      return false;
     }
   }
 
+  // Rate limits, server errors and network failures are retried with backoff
+  // (or after Telegram's retry_after); a message Telegram rejects outright
+  // would fail the same way again, so it is only logged.
+  queueRetry(item, error) {
+    const status = error.response && error.response.statusCode;
+    const retryable = !status || status === 429 || status >= 500;
+
+    if (!retryable || item.attempts >= this.settings.retry_attempts) {
+      logger.error('Notification dropped', { attempts: item.attempts, error });
+      return;
+    }
+
+    const retryAfter = error.response?.body?.parameters?.retry_after;
+    const delay = retryAfter ? retryAfter * 1000 : RETRY_BASE_MS * 2 ** (item.attempts - 1);
+
+    // A full queue drops its oldest message, keeping critical alerts for as
+    // long as there is anything else to drop.
+    if (this.retryQueue.length >= MAX_RETRY_QUEUE) {
+      const index = this.retryQueue.findIndex(queued => queued.severity !== 'critical');
+      this.retryQueue.splice(Math.max(index, 0), 1);
+      logger.error('Notification retry queue full, dropped the oldest message');
+    }
+
+    this.retryQueue.push({ ...item, nextAt: Date.now() + delay });
+    logger.warn('Notification send error, retrying', { attempts: item.attempts, retry_in_ms: delay, error });
+  }
+
+  // `all` sends every queued message now, whether or not it is due.
+  async processRetries(all = false) {
+    if (this.retrying) return;
+    this.retrying = true;
+
+    try {
+      const now = all ? Infinity : Date.now();
+      const due = this.retryQueue.filter(item => item.nextAt <= now);
+      this.retryQueue = this.retryQueue.filter(item => item.nextAt > now);
+
+      for (const item of due) {
+        try {
+          await this.bot.sendMessage(item.chatId, item.message, item.options);
+        } catch (error) {
+          this.queueRetry({ ...item, attempts: item.attempts + 1 }, error);
+        }
+      }
+    } finally {
+      this.retrying = false;
+    }
+  }
+
+  isQuietTime(now = new Date()) {
+    if (!this.settings.quiet_hours) return false;
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const current = now.getHours() * 60 + now.getMinutes();
+    const start = toMinutes(this.settings.quiet_start);
+    const end = toMinutes(this.settings.quiet_end);
+
+    return start <= end ? current >= start && current < end : current >= start || current < end;
+  }
+
+  summarize(message) {
+    return message.split('\n')[0].replace(/<[^>]+>/g, '').trim();
+  }
+
   async userRegistered(userId, firstName, username) {
     const message = `👤 <b>New User Registered</b>\n\n🆔 User ID: <code>${userId}</code>\n👤 Name: ${firstName}\n📱 Username: @${username || 'N/A'}\n⏰ Time: ${new Date().toLocaleString()}`;
-    await this.sendNotification(message);
+    await this.sendNotification(message, 'userRegistered', `• <code>${userId}</code> ${firstName} (@${username || 'N/A'})`);
   }
 
   async orderPlaced(orderData) {
     const { user_id, service, phone, price, order_id, original_price, discount_applied } = orderData;
-    const message = `🛒 <b>New Order Placed</b>\n\n🆔 User ID: <code>${user_id}</code>\n🛍️ Service: ${service}\n📱 Number: <code>${phone}</code>\n💰 Price: ₹${price}\n🆔 Order ID: ${order_id}${discount_applied > 0 ? `\n🎁 Discount: ₹${discount_applied} (Original: ₹${original_price})` : ''}\n⏰ Time: ${new Date().toLocaleString()}`;
-    await this.sendNotification(message);
+    const message = `🛒 <b>New Order Placed</b>\n\n🆔 User ID: <code>${user_id}</code>\n🛍️ Service: ${service}\n📱 Number: <code>${notifyPhone(phone)}</code>\n💰 Price: ₹${price}\n🆔 Order ID: ${order_id}${discount_applied > 0 ? `\n🎁 Discount: ₹${discount_applied} (Original: ₹${original_price})` : ''}\n⏰ Time: ${new Date().toLocaleString()}`;
+    await this.sendNotification(message, 'orderPlaced', `• ${service} ₹${price} <code>${user_id}</code> ${order_id}`);
   }
 
   async otpReceived(orderData, otpCode) {
     const { user_id, service, phone, order_id } = orderData;
-    const message = `✅ <b>OTP Received</b>\n\n🆔 User ID: <code>${user_id}</code>\n🛍️ Service: ${service}\n📱 Number: <code>${phone}</code>\n🔐 OTP: <code>${otpCode}</code>\n🆔 Order ID: ${order_id}\n⏰ Time: ${new Date().toLocaleString()}`;
-    await this.sendNotification(message);
+    const message = `✅ <b>OTP Received</b>\n\n🆔 User ID: <code>${user_id}</code>\n🛍️ Service: ${service}\n📱 Number: <code>${notifyPhone(phone)}</code>\n🔐 OTP: <code>${notifyOTP(otpCode)}</code>\n🆔 Order ID: ${order_id}\n⏰ Time: ${new Date().toLocaleString()}`;
+    await this.sendNotification(message, 'otpReceived', `• ${service} <code>${notifyPhone(phone)}</code> <code>${user_id}</code> ${order_id}`);
   }
 
   async depositRequested(depositData) {
     const { user_id, amount, utr, depositId } = depositData;
     const message = `💵 <b>Deposit Requested</b>\n\n🆔 User ID: <code>${user_id}</code>\n💰 Amount: ₹${amount}\n🔢 UTR: ${utr}\n🏷️ Deposit ID: ${depositId}\n⏰ Time: ${new Date().toLocaleString()}`;
-    await this.sendNotification(message);
+    await this.sendNotification(message, 'depositRequested');
   }
 
   async depositApproved(depositData, newBalance) {
     const { user_id, amount, utr } = depositData;
     const message = `✅ <b>Deposit Approved</b>\n\n🆔 User ID: <code>${user_id}</code>\n💰 Amount: ₹${amount}\n🔢 UTR: ${utr}\n💳 New Balance: ₹${newBalance}\n⏰ Time: ${new Date().toLocaleString()}`;
-    await this.sendNotification(message);
+    await this.sendNotification(message, 'depositApproved');
   }
   
 async depositRejected(depositData, reason) {
   const { user_id, amount, utr } = depositData;
   const message = `❌ <b>Deposit Rejected</b>\n\n🆔 User ID: <code>${user_id}</code>\n💰 Amount: ₹${amount}\n🔢 UTR: ${utr}\n📝 Reason: ${reason}\n⏰ Time: ${new Date().toLocaleString()}`;
-  await this.sendNotification(message);
+  await this.sendNotification(message, 'depositRejected');
 }
 
   async giftCodeRedeemed(userId, code, amount, newBalance) {
     const message = `🎟️<b>Gift Code Redeemed</b>\n\n🆔 User ID: <code>${userId}</code>\n🔤 Code: ${code}\n💰 Amount: ₹${amount}\n💳 New Balance: ₹${newBalance}\n⏰ Time: ${new Date().toLocaleString()}`;
-    await this.sendNotification(message);
+    await this.sendNotification(message, 'giftCodeRedeemed', `• ${code} ₹${amount} <code>${userId}</code>`);
+  }
+
+  async giftBonusRedeemed(userId, code, reward) {
+    const message = `🎟️<b>Gift Code Redeemed</b>\n\n🆔 User ID: <code>${userId}</code>\n🔤 Code: ${code}\n🎁 Reward: ${reward}\n⏰ Time: ${new Date().toLocaleString()}`;
+    await this.sendNotification(message, 'giftCodeRedeemed', `• ${code} ${reward} <code>${userId}</code>`);
   }
   
 
   async balanceTransferred(fromUserId, toUserId, amount, note) {
     const message = `🔄 <b>Balance Transfer</b>\n\n👤 From: <code>${fromUserId}</code>\n👤 To: <code>${toUserId}</code>\n💰 Amount: ₹${amount}\n📝 Note: ${note || 'N/A'}\n⏰ Time: ${new Date().toLocaleString()}`;
-    await this.sendNotification(message);
+    await this.sendNotification(message, 'balanceTransferred');
   }
 
   async orderCancelled(orderData, reason) {
     const { user_id, service, phone, price, order_id } = orderData;
-    const message = `❌ <b>Order Cancelled</b>\n\n🆔 User ID: <code>${user_id}</code>\n🛍️ Service: ${service}\n📱 Number: <code>${phone}</code>\n💰 Amount: ₹${price}\n🆔 Order ID: ${order_id}\n📝 Reason: ${reason}\n⏰ Time: ${new Date().toLocaleString()}`;
-    await this.sendNotification(message);
+    const message = `❌ <b>Order Cancelled</b>\n\n🆔 User ID: <code>${user_id}</code>\n🛍️ Service: ${service}\n📱 Number: <code>${notifyPhone(phone)}</code>\n💰 Amount: ₹${price}\n🆔 Order ID: ${order_id}\n📝 Reason: ${reason}\n⏰ Time: ${new Date().toLocaleString()}`;
+    await this.sendNotification(message, 'orderCancelled', `• ${service} ₹${price} <code>${user_id}</code> ${order_id}: ${reason}`);
   }
 
   async newNumberRequested(orderData, newPhone) {
     const { user_id, service, order_id } = orderData;
-    const message = `🆕 <b>New Number Requested</b>\n\n🆔 User ID: <code>${user_id}</code>\n🛍️ Service: ${service}\n📱 New Number: <code>${newPhone}</code>\n🆔 Order ID: ${order_id}\n⏰ Time: ${new Date().toLocaleString()}`;
-    await this.sendNotification(message);
+    const message = `🆕 <b>New Number Requested</b>\n\n🆔 User ID: <code>${user_id}</code>\n🛍️ Service: ${service}\n📱 New Number: <code>${notifyPhone(newPhone)}</code>\n🆔 Order ID: ${order_id}\n⏰ Time: ${new Date().toLocaleString()}`;
+    await this.sendNotification(message, 'newNumberRequested', `• ${service} <code>${notifyPhone(newPhone)}</code> <code>${user_id}</code> ${order_id}`);
+  }
+
+  async depositReversed({ userId, amount, requestId, reason }) {
+    const message = `↩️ <b>Deposit Reversed</b>\n\n🆔 User ID: <code>${userId}</code>\n💳 Amount: ₹${amount}\n🆔 Request ID: ${requestId}\n📝 Reason: ${reason}\n⏰ Time: ${new Date().toLocaleString()}`;
+    await this.sendNotification(message, 'depositReversed');
+  }
+
+  async providerAlert(errorCode, serviceName, serverName) {
+    const message = `⚠️ <b>FirexOTP ${errorCode}</b>\n\n🛍️ Service: ${serviceName}\n🖥️ Server: ${serverName}\n⏰ Time: ${new Date().toLocaleString()}`;
+    await this.sendNotification(message, 'providerAlert');
+  }
+
+  async dailyDigest(report) {
+    const message = `📰 <b>Daily Digest</b>\n🗓️ ${this.formatRange(report)}\n\n${this.formatSummary(report.summary)}\n\n${this.formatLiability(report.liability)}`;
+    await this.sendNotification(message, 'dailyDigest');
+  }
+
+  async weeklySummary(report) {
+    const { summary, previous } = report;
+    const services = summary.topServices.map(row => `• ${row.service}: ${row.count}`).join('\n');
+    const message = `📊 <b>Weekly Summary</b>\n🗓️ ${this.formatRange(report)}\n\n${this.formatSummary(summary, previous)}` +
+      `${services ? `\n\n🏆 <b>Top services</b>\n${services}` : ''}\n\n${this.formatLiability(report.liability)}`;
+    await this.sendNotification(message, 'weeklySummary');
+  }
+
+  // Report lines, each followed by its change on `previous` when given.
+  formatSummary(summary, previous = null) {
+    const deposits = (status) => summary.deposits[status] || { count: 0, total: 0 };
+    const previousDeposits = (status) => (previous && previous.deposits[status]) || { count: 0, total: 0 };
+    const change = (current, before) => (previous ? this.formatChange(current, before) : '');
+    const successRate = (data) => (data.orders.finished > 0 ? Math.round((data.orders.delivered / data.orders.finished) * 100) : null);
+    const rate = successRate(summary);
+
+    return [
+      `👥 New users: ${summary.newUsers}${change(summary.newUsers, previous?.newUsers)}`,
+      `✅ Deposits approved: ${deposits('approved').count} (₹${deposits('approved').total})${change(deposits('approved').total, previousDeposits('approved').total)}`,
+      `❌ Deposits rejected: ${deposits('rejected').count} (₹${deposits('rejected').total})`,
+      `⏳ Deposits pending: ${deposits('pending').count}`,
+      `🛒 Orders: ${summary.orders.count} (${summary.orders.cancelled} cancelled)${change(summary.orders.count, previous?.orders.count)}`,
+      `📶 OTP success: ${rate === null ? 'no finished orders' : `${rate}% of ${summary.orders.finished}`}`,
+      `💸 Spent on orders: ₹${summary.spent}${change(summary.spent, previous?.spent)}`,
+      `↩️ Refunds: ${summary.refunds} (₹${summary.refunded})`
+    ].join('\n');
+  }
+
+  formatLiability(liability) {
+    return `💼 <b>Outstanding</b>\n` +
+      `💰 User balances: ₹${liability.balances}\n` +
+      `🎟️ Unused gift credit: ₹${liability.giftCredit} on ${liability.giftCodes} code(s)\n` +
+      `♾️ Unlimited-use gift codes: ${liability.unlimitedGiftCodes} live, ₹${liability.unlimitedGiftCredit} each time all are redeemed once\n` +
+      `🕒 Unpaid referral commission: ₹${liability.referralUnpaid}`;
+  }
+
+  formatChange(current, before) {
+    if (!before) return current > 0 ? ' (new)' : '';
+    const percent = Math.round(((current - before) / before) * 100);
+    return percent === 0 ? ' (=)' : ` (${percent > 0 ? '▲' : '▼'} ${Math.abs(percent)}%)`;
+  }
+
+  formatRange({ from, to }) {
+    return `${from.toLocaleString()} → ${to.toLocaleString()}`;
   }
 }
 
-module.exports = NotificationService;
\ No newline at end of file
+module.exports = NotificationService;
+module.exports.SEVERITY_LEVELS = SEVERITY_LEVELS;
\ No newline at end of file
@@ -0,0 +1,217 @@
+const config = require('./config');
+const logger = require('./logger').child({ module: 'scheduler' });
+
+// Drives every open activation from one timer. Each tick expires finished
+// sessions, polls the provider for the rest in fixed-size batches and then
+// asks the bot which message edits it wants. Edits go through a queue keyed
+// by order, so a slow Telegram only ever holds the latest state per message.
+class OrderScheduler {
+  constructor(bot, firex, jobs, handlers, options = {}) {
+    const settings = config.SCHEDULER_SETTINGS || {};
+
+    this.bot = bot;
+    this.firex = firex;
+    this.jobs = jobs;
+    this.handlers = handlers;
+    this.tickInterval = options.tickInterval || settings.tick_interval_ms || 4000;
+    this.batchSize = options.batchSize || settings.check_batch_size || 10;
+    this.editsPerSecond = options.editsPerSecond || settings.edits_per_second || 20;
+
+    this.tickTimer = null;
+    this.editTimer = null;
+    this.ticking = false;
+    this.flushing = false;
+    this.pendingEdits = new Map();
+    this.lastEdits = new Map();
+    this.stats = {
+      ticks: 0,
+      checks: 0,
+      checkErrors: 0,
+      edits: 0,
+      editErrors: 0,
+      droppedEdits: 0,
+      lastTickAt: null,
+      lastTickMs: 0
+    };
+  }
+
+  start() {
+    if (this.tickTimer) return;
+
+    this.tickTimer = setInterval(() => this.tick(), this.tickInterval);
+    this.editTimer = setInterval(() => this.flushEdits(), 1000);
+    logger.info('Order scheduler started', { tick_ms: this.tickInterval, edits_per_second: this.editsPerSecond });
+  }
+
+  stop() {
+    if (this.tickTimer) clearInterval(this.tickTimer);
+    if (this.editTimer) clearInterval(this.editTimer);
+    this.tickTimer = null;
+    this.editTimer = null;
+  }
+
+  async tick() {
+    // A slow provider can make one tick outlast the interval; skip instead
+    // of stacking a second round of requests on top of it.
+    if (this.ticking) return;
+    this.ticking = true;
+    const started = Date.now();
+
+    try {
+      const expired = [];
+      const due = [];
+
+      for (const [orderId, job] of this.jobs) {
+        if (job.cancelling) continue;
+
+        if (started >= job.startTime + job.duration) {
+          expired.push(orderId);
+        } else if (!job.checking) {
+          due.push(orderId);
+        }
+      }
+
+      for (const orderId of expired) {
+        await this.runHandler('onExpire', orderId);
+      }
+
+      for (let i = 0; i < due.length; i += this.batchSize) {
+        const batch = due.slice(i, i + this.batchSize);
+        await Promise.all(batch.map(orderId => this.checkJob(orderId)));
+      }
+
+      for (const [orderId, job] of this.jobs) {
+        const render = this.handlers.render(orderId, job, Date.now());
+        if (render) this.queueEdit(orderId, job.chatId, job.messageId, render);
+      }
+    } catch (error) {
+      logger.error('Scheduler tick error', { error });
+    } finally {
+      this.stats.ticks++;
+      this.stats.lastTickAt = new Date().toISOString();
+      this.stats.lastTickMs = Date.now() - started;
+      this.ticking = false;
+    }
+  }
+
+  async checkJob(orderId) {
+    const job = this.jobs.get(orderId);
+    if (!job || job.checking) return;
+
+    job.checking = true;
+    await logger.withContext({ order_id: orderId, user_id: job.userId }, async () => {
+      try {
+        const orderData = await this.firex.checkOrder(job.activationId);
+        this.stats.checks++;
+        if (orderData.status === 'ERROR') this.stats.checkErrors++;
+
+        if (this.jobs.get(orderId) === job) {
+          await this.handlers.onStatus(orderId, job, orderData);
+        }
+      } catch (error) {
+        this.stats.checkErrors++;
+        logger.error('Status check failed', { error });
+      } finally {
+        job.checking = false;
+      }
+    });
+  }
+
+  async runHandler(name, orderId) {
+    const job = this.jobs.get(orderId);
+    await logger.withContext({ order_id: orderId, user_id: job?.userId }, async () => {
+      try {
+        await this.handlers[name](orderId);
+      } catch (error) {
+        logger.error(`Scheduler ${name} failed`, { error });
+      }
+    });
+  }
+
+  // Renders are compared with the last edit that went out for the order, so
+  // a keyboard that stopped changing costs nothing on later ticks.
+  queueEdit(orderId, chatId, messageId, { text = null, replyMarkup }) {
+    if (!messageId) return;
+
+    const signature = JSON.stringify([text, replyMarkup]);
+    if (this.lastEdits.get(orderId) === signature) {
+      this.pendingEdits.delete(orderId);
+      return;
+    }
+
+    if (this.pendingEdits.has(orderId)) this.stats.droppedEdits++;
+    this.pendingEdits.set(orderId, { chatId, messageId, text, replyMarkup, signature });
+  }
+
+  forget(orderId) {
+    this.pendingEdits.delete(orderId);
+    this.lastEdits.delete(orderId);
+  }
+
+  async flushEdits() {
+    if (this.flushing || this.pendingEdits.size === 0) return;
+    this.flushing = true;
+
+    const batch = [...this.pendingEdits.entries()].slice(0, this.editsPerSecond);
+
+    try {
+      for (const [orderId, edit] of batch) {
+        await this.sendEdit(orderId, edit);
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  async sendEdit(orderId, edit) {
+    // A newer render may have replaced this one while earlier edits were sent.
+    if (this.pendingEdits.get(orderId) !== edit) return;
+    this.pendingEdits.delete(orderId);
+    if (!this.jobs.has(orderId)) return;
+
+    try {
+      if (edit.text) {
+        await this.bot.editMessageText(edit.text, {
+          chat_id: edit.chatId,
+          message_id: edit.messageId,
+          parse_mode: 'HTML',
+          reply_markup: edit.replyMarkup
+        });
+      } else {
+        await this.bot.editMessageReplyMarkup(edit.replyMarkup, {
+          chat_id: edit.chatId,
+          message_id: edit.messageId
+        });
+      }
+      this.stats.edits++;
+    } catch (error) {
+      // "message is not modified" still means the message shows this state.
+      if (!/not modified/i.test(error.message)) {
+        this.stats.editErrors++;
+      }
+    }
+
+    if (this.jobs.has(orderId)) {
+      this.lastEdits.set(orderId, edit.signature);
+    }
+  }
+
+  getQueueStats() {
+    let checking = 0;
+    for (const job of this.jobs.values()) {
+      if (job.checking) checking++;
+    }
+
+    return {
+      activeOrders: this.jobs.size,
+      checksInFlight: checking,
+      pendingEdits: this.pendingEdits.size,
+      tickInterval: this.tickInterval,
+      batchSize: this.batchSize,
+      editsPerSecond: this.editsPerSecond,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = OrderScheduler;
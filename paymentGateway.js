@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('./config');
+const logger = require('./logger').child({ module: 'payments' });
+
+const PAYMENT_STATUS = {
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  PENDING: 'pending',
+  REVERSED: 'reversed'
+};
+
+// Base class for gateway adapters. A provider creates hosted payments, checks
+// webhook signatures and turns its webhook payloads into
+// { paymentId, status, amount, utr } with status from PAYMENT_STATUS.
+class PaymentProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.webhookSecret = options.webhookSecret || '';
+    this.publicUrl = options.publicUrl || '';
+  }
+
+  async createPayment({ reference, amount, userId }) {
+    throw new Error(`${this.name} provider does not implement createPayment`);
+  }
+
+  parseWebhook(rawBody, headers) {
+    throw new Error(`${this.name} provider does not implement parseWebhook`);
+  }
+
+  // Default scheme: hex HMAC-SHA256 of the raw request body, sent in the
+  // X-Signature header. Providers with their own scheme override this.
+  verifySignature(rawBody, headers) {
+    if (!this.webhookSecret) return false;
+
+    const received = Buffer.from(String(headers['x-signature'] || ''));
+    const expected = Buffer.from(this.sign(rawBody));
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  // Lets a provider serve extra pages on the bot's HTTP server. Returns true
+  // when it handled the request.
+  async handleHttpRequest(req, res) {
+    return false;
+  }
+}
+
+// Offline stand-in for a real gateway. Its checkout page fires the same signed
+// webhook a real provider would, so the whole deposit flow runs locally.
+class MockPaymentProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super('mock', options);
+    this.webhookSecret = this.webhookSecret || crypto.randomBytes(32).toString('hex');
+    this.payments = new Map();
+    logger.warn('Mock payment provider enabled: deposits can be completed without paying');
+  }
+
+  async createPayment({ reference, amount, userId }) {
+    const paymentId = `mock_${crypto.randomUUID()}`;
+    this.payments.set(paymentId, { reference, amount, userId });
+
+    return {
+      paymentId,
+      paymentUrl: `${this.publicUrl}/mock-pay/${paymentId}`
+    };
+  }
+
+  parseWebhook(rawBody) {
+    const event = JSON.parse(rawBody);
+
+    return {
+      paymentId: event.payment_id,
+      status: event.status,
+      amount: parseFloat(event.amount),
+      utr: event.utr || null
+    };
+  }
+
+  async handleHttpRequest(req, res) {
+    const match = req.url.match(/^\/mock-pay\/([\w-]+)(?:\/(success|failed))?$/);
+    if (!match) return false;
+
+    const [, paymentId, outcome] = match;
+    const payment = this.payments.get(paymentId);
+
+    if (!payment) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Unknown payment');
+      return true;
+    }
+
+    if (!outcome) {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(`<h2>Mock checkout</h2><p>${payment.reference}: ₹${payment.amount}</p>` +
+        `<p><a href="/mock-pay/${paymentId}/success">Pay</a> | <a href="/mock-pay/${paymentId}/failed">Fail</a></p>`);
+      return true;
+    }
+
+    const body = JSON.stringify({
+      payment_id: paymentId,
+      reference: payment.reference,
+      amount: payment.amount,
+      status: outcome,
+      utr: outcome === PAYMENT_STATUS.SUCCESS ? String(crypto.randomInt(1e11, 1e12)) : null
+    });
+
+    try {
+      await axios.post(`${this.publicUrl}/webhooks/payments/${this.name}`, body, {
+        headers: { 'Content-Type': 'application/json', 'X-Signature': this.sign(body) },
+        timeout: 15000
+      });
+      this.payments.delete(paymentId);
+
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(`Payment ${outcome}. You can return to Telegram.`);
+    } catch (error) {
+      logger.error('Mock webhook delivery failed', { payment_id: paymentId, error });
+      res.writeHead(502, { 'Content-Type': 'text/plain' });
+      res.end('Webhook delivery failed');
+    }
+
+    return true;
+  }
+}
+
+const PROVIDERS = {
+  mock: MockPaymentProvider
+};
+
+function registerPaymentProvider(name, Provider) {
+  PROVIDERS[name] = Provider;
+}
+
+function createPaymentProvider(name = config.PAYMENT_GATEWAY.provider) {
+  if (!name) return null;
+
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  return new Provider({
+    webhookSecret: config.PAYMENT_GATEWAY.webhook_secret,
+    publicUrl: config.PAYMENT_GATEWAY.public_url
+  });
+}
+
+module.exports = {
+  PAYMENT_STATUS,
+  PaymentProvider,
+  MockPaymentProvider,
+  registerPaymentProvider,
+  createPaymentProvider
+};
@@ -1,20 +1,25 @@
 const QRCode = require('qrcode');
 const config = require('./config');
+const logger = require('./logger').child({ module: 'payments' });
+const CodeGenerator = require('./codeGenerator');
 
 class PaymentService {
+  constructor() {
+    this.giftCodes = new CodeGenerator(config.CODE_FORMATS.gift);
+    this.referralCodes = new CodeGenerator({
+      ...config.CODE_FORMATS.referral,
+      length: config.REFERRAL_SETTINGS.referral_code_length
+    });
+  }
+
   generateUPILink(amount, note) {
     const cleanNote = note.replace(/[^A-Za-z0-9x_.]/g, '').replace(/\./g, '_');
     return `upi://pay?pa=${config.UPI_ID}&pn=${encodeURIComponent(config.UPI_NAME)}&am=${amount}&cu=INR&tn=${cleanNote}`;
   }
 
   generateReferralCode() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = '';
-  for (let i = 0; i < 8; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
+    return this.referralCodes.generate();
   }
-  return code;
-}
 
   async generateQRCode(upiLink) {
     try {
@@ -28,7 +33,7 @@ class PaymentService {
       });
       return qrBuffer;
     } catch (error) {
-      console.error('QR Code generation error:', error);
+      logger.error('QR code generation error', { error });
       throw new Error('Failed to generate QR code');
     }
   }
@@ -48,12 +53,7 @@ class PaymentService {
   }
 
   generateGiftCode() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let code = '';
-    for (let i = 0; i < 8; i++) {
-      code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return code;
+    return this.giftCodes.generate();
   }
 
   calculateDiscountedPrice(originalPrice, monthlyDeposit) {
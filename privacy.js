@@ -0,0 +1,75 @@
+const config = require('./config');
+
+// Masks phone numbers, OTP codes and the provider API key before they reach
+// the console or the notification chat. Admins who need the full values look
+// the order up through the bot, which audits the lookup.
+
+// 919876543210 -> 91******10
+function maskPhone(phone) {
+  if (phone === null || phone === undefined) return phone;
+
+  const text = String(phone);
+  if (text.length <= 4) return '*'.repeat(text.length);
+  return text.slice(0, 2) + '*'.repeat(text.length - 4) + text.slice(-2);
+}
+
+function maskOTP(code) {
+  if (code === null || code === undefined) return code;
+  return String(code).replace(/[^\s]/g, '*');
+}
+
+// Provider responses carry the number (ACCESS_NUMBER:id:phone) and the code
+// (STATUS_OK:code, STATUS_WAIT_RETRY:lastcode), sometimes quoted inside an
+// error message.
+function maskProviderResponse(data) {
+  if (typeof data !== 'string' && typeof data !== 'number') return redactSecrets(data);
+
+  return redactSecrets(String(data)
+    .replace(/(ACCESS_NUMBER:[^:\s]*:)(\S+)/g, (_, prefix, phone) => prefix + maskPhone(phone))
+    .replace(/(STATUS_OK:|STATUS_WAIT_RETRY:)(\S+)/g, (_, prefix, code) => prefix + maskOTP(code)));
+}
+
+function redactSecrets(value) {
+  if (typeof value !== 'string') return value;
+
+  let text = value.replace(/(api_key=)[^&\s]+/gi, '$1[redacted]');
+  if (config.FIREX_API_KEY) text = text.split(config.FIREX_API_KEY).join('[redacted]');
+  return text;
+}
+
+// Request params as they may be logged: the API key never appears.
+function redactParams(params) {
+  const safe = { ...params };
+  if ('api_key' in safe) safe.api_key = '[redacted]';
+  return safe;
+}
+
+// The helpers below honour PRIVACY_SETTINGS, so a deployment that really
+// wants full values in its logs or ops chat can turn masking off.
+function logPhone(phone) {
+  return config.PRIVACY_SETTINGS.mask_in_logs ? maskPhone(phone) : phone;
+}
+
+function logProviderResponse(data) {
+  return config.PRIVACY_SETTINGS.mask_in_logs ? maskProviderResponse(data) : redactSecrets(data);
+}
+
+function notifyPhone(phone) {
+  return config.PRIVACY_SETTINGS.mask_in_notifications ? maskPhone(phone) : phone;
+}
+
+function notifyOTP(code) {
+  return config.PRIVACY_SETTINGS.mask_in_notifications ? maskOTP(code) : code;
+}
+
+module.exports = {
+  maskPhone,
+  maskOTP,
+  maskProviderResponse,
+  redactSecrets,
+  redactParams,
+  logPhone,
+  logProviderResponse,
+  notifyPhone,
+  notifyOTP
+};
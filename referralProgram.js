@@ -0,0 +1,178 @@
+const config = require('./config');
+const logger = require('./logger').child({ module: 'referrals' });
+const { LEDGER_REASONS, REFERRAL_EARNING_STATUS } = require('./database');
+const ReferralRisk = require('./referralRisk');
+
+// Referral commission rules. The rate grows with the referrer's referred
+// deposit volume, each referred user can only earn the referrer so much, and
+// commission sits on hold for a while before it reaches the balance, so a
+// deposit reversed in that time costs nothing to claw back. Commission on a
+// referral that looks like the referrer's own account waits for an admin.
+class ReferralProgram {
+  constructor(db, settings = config.REFERRAL_SETTINGS, risk = new ReferralRisk()) {
+    this.db = db;
+    this.settings = settings;
+    this.risk = risk;
+  }
+
+  // The tier for a given referred volume: the base rate below the first tier.
+  rateFor(volume) {
+    let rate = { percent: this.settings.commission_percent, volume: 0 };
+    let next = null;
+
+    for (const tier of this.settings.tiers || []) {
+      if (volume >= tier.volume) {
+        rate = tier;
+      } else {
+        next = tier;
+        break;
+      }
+    }
+
+    return { percent: rate.percent, next };
+  }
+
+  async getRate(referrerId) {
+    const volume = await this.db.getReferredDepositVolume(referrerId);
+    return { volume, ...this.rateFor(volume) };
+  }
+
+  // Earns the referrer commission on an approved deposit, inside the
+  // approval's transaction. Returns null when the cap leaves nothing to pay.
+  async award(tx, { referrerId, referredId, amount, requestId }) {
+    const volume = await tx.getReferredDepositVolume(referrerId, requestId);
+    const { percent } = this.rateFor(volume);
+    let commissionAmount = Math.round(amount * percent) / 100;
+    let capped = false;
+
+    const cap = this.settings.cap_per_referred;
+    if (cap > 0) {
+      const since = this.settings.cap_monthly ? this.startOfMonth() : null;
+      const earned = await tx.getCommissionFromReferred(referrerId, referredId, since);
+      const remaining = Math.max(0, Math.round((cap - earned) * 100) / 100);
+
+      if (commissionAmount > remaining) {
+        commissionAmount = remaining;
+        capped = true;
+      }
+    }
+
+    if (commissionAmount <= 0) {
+      logger.info('Referral cap reached', { referrer_id: referrerId, referred_id: referredId });
+      return null;
+    }
+
+    const risk = await this.risk.assess(tx, { referrerId, referredId });
+    const holdDays = this.settings.hold_days || 0;
+    const releaseAt = holdDays > 0 && !risk.flagged ? new Date(Date.now() + holdDays * 24 * 60 * 60 * 1000) : null;
+
+    let status = REFERRAL_EARNING_STATUS.RELEASED;
+    if (risk.flagged) status = REFERRAL_EARNING_STATUS.REVIEW;
+    else if (releaseAt) status = REFERRAL_EARNING_STATUS.HELD;
+
+    const earningId = await tx.addReferralEarning({
+      referrer_id: referrerId,
+      referred_id: referredId,
+      deposit_amount: amount,
+      commission_amount: commissionAmount,
+      commission_percent: percent,
+      topup_request_id: requestId,
+      status,
+      release_at: releaseAt,
+      risk_score: risk.score,
+      risk_signals: risk.signals.length > 0 ? risk.signals : null
+    });
+
+    if (risk.flagged) {
+      logger.warn('Referral commission held for review', { earning_id: earningId, score: risk.score });
+    }
+
+    const referrerBalance = status === REFERRAL_EARNING_STATUS.RELEASED
+      ? await this.credit(tx, { id: earningId, referrer_id: referrerId, referred_id: referredId }, commissionAmount)
+      : null;
+
+    return { earningId, referrerId, amount: commissionAmount, percent, capped, releaseAt, referrerBalance, risk };
+  }
+
+  credit(tx, earning, amount) {
+    return tx.updateBalance(earning.referrer_id, amount, LEDGER_REASONS.REFERRAL_COMMISSION, {
+      reference: `referral:${earning.id}`,
+      note: `Referral ${earning.referred_id}`
+    });
+  }
+
+  // Pays out held commission whose hold has ended. The risk checks run again
+  // first, since transfers back to the referrer usually happen after the
+  // deposit; anything they now flag goes to review instead.
+  async releaseDue() {
+    return this.db.withTransaction(async (tx) => {
+      const due = await tx.lockDueReferralEarnings();
+      const released = [];
+      const flagged = [];
+
+      for (const earning of due) {
+        const amount = parseFloat(earning.commission_amount);
+        const risk = await this.risk.assess(tx, { referrerId: earning.referrer_id, referredId: earning.referred_id });
+
+        if (risk.flagged) {
+          await tx.flagReferralEarning(earning.id, risk.score, risk.signals);
+          flagged.push({ ...earning, amount, risk });
+          continue;
+        }
+
+        const balance = await this.credit(tx, earning, amount);
+        await tx.setReferralEarningStatus(earning.id, REFERRAL_EARNING_STATUS.RELEASED);
+        released.push({ ...earning, amount, balance });
+      }
+
+      return { released, flagged };
+    });
+  }
+
+  // An admin's decision on flagged commission: release pays it now, reject
+  // drops it. Returns null when the earning is no longer waiting for review.
+  async review(earningId, adminId, release) {
+    return this.db.withTransaction(async (tx) => {
+      const earning = await tx.lockReferralEarning(earningId);
+      if (!earning || earning.status !== REFERRAL_EARNING_STATUS.REVIEW) return null;
+
+      const amount = parseFloat(earning.commission_amount);
+      const balance = release ? await this.credit(tx, earning, amount) : null;
+      const status = release ? REFERRAL_EARNING_STATUS.RELEASED : REFERRAL_EARNING_STATUS.REJECTED;
+      await tx.setReferralEarningStatus(earning.id, status, adminId);
+
+      return { ...earning, amount, balance, status };
+    });
+  }
+
+  // Takes back commission earned on a reversed deposit: held or flagged
+  // commission is simply cancelled, paid commission is debited from the referrer.
+  async clawBack(tx, requestId) {
+    const earnings = await tx.lockReferralEarningsForTopup(requestId);
+    const clawbacks = [];
+
+    for (const earning of earnings) {
+      const amount = parseFloat(earning.commission_amount);
+      let referrerBalance = null;
+
+      if (earning.status === REFERRAL_EARNING_STATUS.RELEASED) {
+        referrerBalance = await tx.updateBalance(earning.referrer_id, -amount, LEDGER_REASONS.REFERRAL_CLAWBACK, {
+          reference: `referral:${earning.id}`,
+          note: `Deposit ${requestId} reversed`
+        });
+      }
+
+      await tx.setReferralEarningStatus(earning.id, REFERRAL_EARNING_STATUS.CLAWED_BACK);
+      clawbacks.push({ referrerId: earning.referrer_id, amount, wasHeld: earning.status !== REFERRAL_EARNING_STATUS.RELEASED, referrerBalance });
+    }
+
+    return clawbacks;
+  }
+
+  startOfMonth() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  }
+}
+
+module.exports = ReferralProgram;
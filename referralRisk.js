@@ -0,0 +1,69 @@
+const config = require('./config');
+
+const RISK_SIGNALS = {
+  SHARED_UTR: 'shared_utr',
+  TRANSFER_BACK: 'transfer_back',
+  SIGNUP_BURST: 'signup_burst'
+};
+
+const SIGNAL_LABELS = {
+  [RISK_SIGNALS.SHARED_UTR]: 'UTRs close to the referrer\'s circle',
+  [RISK_SIGNALS.TRANSFER_BACK]: 'Balance sent back to the referrer',
+  [RISK_SIGNALS.SIGNUP_BURST]: 'Burst of sign-ups on the code'
+};
+
+// Looks for signs that a referred account is really the referrer's own: its
+// deposits come from the same bank account as the referrer's circle, its
+// balance flows back to the referrer, or it joined in a wave of sign-ups.
+class ReferralRisk {
+  constructor(settings = config.REFERRAL_RISK) {
+    this.settings = settings;
+  }
+
+  // Scores one referral. `db` may be a transaction, so the checks see the
+  // deposit being approved.
+  async assess(db, { referrerId, referredId }) {
+    const signals = [];
+
+    if (!this.settings.enabled) return { score: 0, signals, flagged: false };
+
+    const shared = await db.getSharedUtrPrefixes(referrerId, referredId, this.settings.utr_prefix_length);
+    if (shared.length > 0) {
+      const users = [...new Set(shared.map(row => String(row.other_user_id)))];
+      signals.push({
+        type: RISK_SIGNALS.SHARED_UTR,
+        detail: `${shared.length} UTR(s) match deposits by ${users.join(', ')}`
+      });
+    }
+
+    const since = new Date(Date.now() - this.settings.transfer_days * 24 * 60 * 60 * 1000);
+    const transfers = await db.getTransfersBetween(referredId, referrerId, since);
+    if (transfers.count > 0) {
+      signals.push({
+        type: RISK_SIGNALS.TRANSFER_BACK,
+        detail: `${transfers.count} transfer(s), ₹${transfers.total} in ${this.settings.transfer_days} days`
+      });
+    }
+
+    const referral = await db.getReferralByReferredId(referredId);
+    if (referral) {
+      const nearby = await db.countReferralsAround(referrerId, referral.joined_at, this.settings.burst_minutes);
+      if (nearby >= this.settings.burst_signups) {
+        signals.push({
+          type: RISK_SIGNALS.SIGNUP_BURST,
+          detail: `${nearby} sign-ups within ${this.settings.burst_minutes} min`
+        });
+      }
+    }
+
+    const score = signals.reduce((sum, signal) => sum + (this.settings.weights[signal.type] || 0), 0);
+    return { score, signals, flagged: score >= this.settings.review_score };
+  }
+
+  describe(signals) {
+    return (signals || []).map(signal => `${SIGNAL_LABELS[signal.type] || signal.type}: ${signal.detail}`);
+  }
+}
+
+module.exports = ReferralRisk;
+module.exports.RISK_SIGNALS = RISK_SIGNALS;
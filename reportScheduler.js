@@ -0,0 +1,130 @@
+const config = require('./config');
+const logger = require('./logger').child({ module: 'reports' });
+
+// A report that was due more than this long ago is skipped rather than sent
+// late, e.g. after the bot was down overnight.
+const CATCH_UP_MS = 3 * 60 * 60 * 1000;
+
+const REPORTS = {
+  daily: { days: 1, enabled: 'daily_enabled', time: 'daily_time' },
+  weekly: { days: 7, enabled: 'weekly_enabled', time: 'weekly_time', weekday: 'weekly_day' }
+};
+
+// Posts the daily digest and weekly summary to the notification chat. Checks
+// once a minute which report last fell due and sends it if nobody has yet;
+// the report_runs table makes that check safe across restarts.
+class ReportScheduler {
+  constructor(db, notifier, settings = config.REPORT_SETTINGS) {
+    this.db = db;
+    this.notifier = notifier;
+    this.settings = settings;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), 60 * 1000);
+    logger.info('Report scheduler started');
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick(now = new Date()) {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      for (const key of Object.keys(REPORTS)) {
+        if (!this.settings[REPORTS[key].enabled]) continue;
+
+        const due = this.lastDue(key, now);
+        if (now - due > CATCH_UP_MS) continue;
+
+        await this.run(key, due);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Claims the run before sending, so two instances never both post it, and
+  // gives the claim back when sending fails so a later tick tries again. One
+  // report failing does not hold up the other.
+  async run(key, due) {
+    try {
+      if (!(await this.db.claimReportRun(key, due))) return false;
+    } catch (error) {
+      logger.error('Report scheduler error', { report: key, error });
+      return false;
+    }
+
+    try {
+      await this.send(key, due);
+      return true;
+    } catch (error) {
+      logger.error('Report failed, will retry', { report: key, scheduled_for: due.toISOString(), error });
+      await this.db.releaseReportRun(key, due)
+        .catch(releaseError => logger.error('Could not release report run', { report: key, error: releaseError }));
+      return false;
+    }
+  }
+
+  // The most recent time at or before `now` that the report was due.
+  lastDue(key, now) {
+    const report = REPORTS[key];
+    const [hours, minutes] = this.settings[report.time].split(':').map(Number);
+    const due = new Date(now);
+    due.setHours(hours, minutes, 0, 0);
+
+    if (report.weekday) {
+      const today = due.getDay() || 7;
+      due.setDate(due.getDate() - ((today - this.settings[report.weekday] + 7) % 7));
+    }
+
+    if (due > now) due.setDate(due.getDate() - report.days);
+    return due;
+  }
+
+  async build(key, to = new Date()) {
+    const { days } = REPORTS[key];
+    const from = new Date(to);
+    from.setDate(from.getDate() - days);
+
+    const report = {
+      key,
+      from,
+      to,
+      summary: await this.db.getReportSummary(from, to),
+      liability: await this.db.getWalletLiability()
+    };
+
+    // The weekly summary compares against the week before it.
+    if (key === 'weekly') {
+      const previousFrom = new Date(from);
+      previousFrom.setDate(previousFrom.getDate() - days);
+      report.previous = await this.db.getReportSummary(previousFrom, from);
+    }
+
+    return report;
+  }
+
+  async send(key, due = new Date()) {
+    const report = await this.build(key, due);
+
+    if (key === 'weekly') {
+      await this.notifier.weeklySummary(report);
+    } else {
+      await this.notifier.dailyDigest(report);
+    }
+
+    logger.info('Sent report', { report: key, scheduled_for: due.toISOString() });
+    return report;
+  }
+}
+
+module.exports = ReportScheduler;
+module.exports.REPORTS = REPORTS;
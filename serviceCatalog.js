@@ -0,0 +1,218 @@
+const config = require('./config');
+const logger = require('./logger').child({ module: 'catalog' });
+const { ADMIN_ACTIONS } = require('./database');
+
+const SERVICE_CODE_PATTERN = /^[A-Z0-9]{2,20}$/;
+
+// In-memory copy of the services and service_servers tables. Readers use the
+// synchronous getters; every admin change is written to the database and then
+// reloaded, so menus, commands and purchases see it straight away.
+class ServiceCatalog {
+  constructor(db) {
+    this.db = db;
+    this.services = new Map();
+    this.loading = null;
+    this.loaded = false;
+  }
+
+  // Callers that need the catalog await this first. A failed load is retried
+  // on the next call instead of leaving the bot without services.
+  async ensureLoaded() {
+    if (this.loaded) return;
+    if (!this.loading) {
+      this.loading = this.load().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  async load() {
+    let { services, servers } = await this.db.getCatalog();
+
+    if (services.length === 0) {
+      await this.seedFromConfig();
+      ({ services, servers } = await this.db.getCatalog());
+    }
+
+    const catalog = new Map();
+    for (const row of services) {
+      catalog.set(row.code, {
+        code: row.code,
+        name: row.name,
+        command: row.command,
+        enabled: row.enabled,
+        servers: []
+      });
+    }
+
+    for (const row of servers) {
+      const service = catalog.get(row.service_code);
+      if (!service) continue;
+
+      service.servers.push({
+        id: row.id,
+        name: row.name,
+        price: parseFloat(row.price),
+        success: row.success,
+        time: row.delivery_time,
+        country: row.country,
+        service: row.provider_service,
+        enabled: row.enabled
+      });
+    }
+
+    this.services = catalog;
+    this.loaded = true;
+    logger.info('Service catalog loaded', { services: catalog.size, servers: servers.length });
+  }
+
+  // First start only: copies SERVICES from config.js, giving services without
+  // their own entry in SERVICE_SERVERS a copy of the DEFAULT servers so each
+  // one can be repriced on its own.
+  async seedFromConfig() {
+    const codes = Object.keys(config.SERVICES || {});
+    logger.info('Seeding service catalog from config', { services: codes.length });
+
+    await this.db.withTransaction(async (tx) => {
+      for (const [index, code] of codes.entries()) {
+        const service = config.SERVICES[code];
+        await tx.addService({ code, name: service.name, command: service.command, sortOrder: index });
+
+        const servers = config.SERVICE_SERVERS[code] || config.SERVICE_SERVERS.DEFAULT || [];
+        for (const [position, server] of servers.entries()) {
+          await tx.addServiceServer(code, { ...server, position });
+        }
+      }
+    });
+  }
+
+  listServices({ includeDisabled = false } = {}) {
+    return [...this.services.values()].filter(service => includeDisabled || service.enabled);
+  }
+
+  getService(code, { includeDisabled = false } = {}) {
+    const service = this.services.get(code);
+    return service && (includeDisabled || service.enabled) ? service : null;
+  }
+
+  getServers(code, { includeDisabled = false } = {}) {
+    const service = this.services.get(code);
+    if (!service) return [];
+    return service.servers.filter(server => includeDisabled || server.enabled);
+  }
+
+  getServer(code, serverId, { includeDisabled = false } = {}) {
+    return this.getServers(code, { includeDisabled }).find(server => server.id === serverId) || null;
+  }
+
+  findServer(serverId) {
+    for (const service of this.services.values()) {
+      const server = service.servers.find(candidate => candidate.id === serverId);
+      if (server) return { service, server };
+    }
+    return null;
+  }
+
+  findByCommand(command) {
+    const wanted = command.toLowerCase();
+    return this.listServices().find(service => service.command.toLowerCase() === wanted) || null;
+  }
+
+  search(term) {
+    const wanted = term.toLowerCase();
+    return this.listServices().filter(service =>
+      service.name.toLowerCase().includes(wanted) || service.code.toLowerCase().includes(wanted)
+    );
+  }
+
+  async addService({ code, name }, adminId) {
+    code = String(code).toUpperCase();
+    if (!SERVICE_CODE_PATTERN.test(code)) {
+      throw new Error('Service code must be 2-20 letters or digits');
+    }
+    if (this.services.has(code)) {
+      throw new Error(`Service ${code} already exists`);
+    }
+    if (!name) throw new Error('Service name is required');
+
+    const command = `/find_${code}`;
+    await this.db.withTransaction(async (tx) => {
+      await tx.addService({ code, name, command, sortOrder: this.services.size });
+      await tx.logAdminAction({ adminId, action: ADMIN_ACTIONS.SERVICE_UPDATE, after: { code, name, command }, details: `${code} added` });
+    });
+
+    await this.load();
+    return this.services.get(code);
+  }
+
+  async updateService(code, changes, adminId) {
+    const current = this.services.get(code);
+    if (!current) throw new Error(`Unknown service: ${code}`);
+
+    await this.db.withTransaction(async (tx) => {
+      const updated = await tx.updateService(code, changes);
+      await tx.logAdminAction({
+        adminId,
+        action: ADMIN_ACTIONS.SERVICE_UPDATE,
+        before: { name: current.name, enabled: current.enabled },
+        after: { name: updated.name, enabled: updated.enabled },
+        details: code
+      });
+    });
+
+    await this.load();
+    return this.services.get(code);
+  }
+
+  async addServer(code, server, adminId) {
+    const service = this.services.get(code);
+    if (!service) throw new Error(`Unknown service: ${code}`);
+
+    await this.db.withTransaction(async (tx) => {
+      const row = await tx.addServiceServer(code, { ...server, position: service.servers.length });
+      await tx.logAdminAction({ adminId, action: ADMIN_ACTIONS.SERVER_UPDATE, after: server, details: `${code} server ${row.id} added` });
+    });
+
+    await this.load();
+    return this.services.get(code);
+  }
+
+  async updateServer(serverId, changes, adminId) {
+    const found = this.findServer(serverId);
+    if (!found) throw new Error(`Unknown server: ${serverId}`);
+
+    const before = { ...found.server };
+    await this.db.withTransaction(async (tx) => {
+      await tx.updateServiceServer(serverId, changes);
+      await tx.logAdminAction({
+        adminId,
+        action: ADMIN_ACTIONS.SERVER_UPDATE,
+        before,
+        after: { ...before, ...changes },
+        details: `${found.service.code} server ${serverId}`
+      });
+    });
+
+    await this.load();
+    return this.findServer(serverId);
+  }
+
+  // Admin input for a whole server, in the order the edit prompt shows:
+  //   Name | price | provider service | country | success | delivery time
+  parseServerInput(text) {
+    const [name, price, service, country, success, time] = String(text).split('|').map(part => part.trim());
+    const parsedPrice = parseFloat(price);
+
+    if (!name || !service || !country) {
+      throw new Error('Name, provider service and country are required');
+    }
+    if (isNaN(parsedPrice) || parsedPrice <= 0) {
+      throw new Error('Price must be a number above 0');
+    }
+
+    return { name, price: parsedPrice, service, country, success: success || null, time: time || null };
+  }
+}
+
+module.exports = ServiceCatalog;
@@ -0,0 +1,349 @@
+const config = require('./config');
+const logger = require('./logger').child({ module: 'settings' });
+const { ADMIN_ACTIONS } = require('./database');
+
+// Settings an admin can change from the bot. Each one lives at `path` inside
+// the config object; saved values are written back onto config, so code that
+// reads config.X keeps working and sees changes without a restart.
+const SETTING_DEFINITIONS = {
+  'discount.enabled': {
+    label: 'Deposit discounts',
+    path: ['DISCOUNT_SETTINGS', 'enabled'],
+    type: 'boolean'
+  },
+  'discount.tiers': {
+    label: 'Discount tiers',
+    path: ['DISCOUNT_SETTINGS', 'tiers'],
+    type: 'tiers',
+    hint: 'Monthly deposit:discount % pairs, e.g. 5000:2, 10000:5, 20000:10'
+  },
+  'referral.enabled': {
+    label: 'Referral commission',
+    path: ['REFERRAL_SETTINGS', 'enabled'],
+    type: 'boolean'
+  },
+  'referral.commission_percent': {
+    label: 'Referral commission %',
+    path: ['REFERRAL_SETTINGS', 'commission_percent'],
+    type: 'number',
+    min: 0,
+    max: 100
+  },
+  'referral.min_deposit': {
+    label: 'Min deposit for commission',
+    path: ['REFERRAL_SETTINGS', 'min_deposit_for_commission'],
+    type: 'number',
+    min: 0,
+    max: 1000000
+  },
+  'referral.tiers': {
+    label: 'Referral tiers',
+    path: ['REFERRAL_SETTINGS', 'tiers'],
+    type: 'tiers',
+    tierKeys: ['volume', 'percent'],
+    hint: 'Referred deposit volume:commission % pairs, e.g. 50000:7, 200000:10. Below the first tier the base commission % applies'
+  },
+  'referral.cap_amount': {
+    label: 'Commission cap per referred user',
+    path: ['REFERRAL_SETTINGS', 'cap_per_referred'],
+    type: 'number',
+    min: 0,
+    max: 1000000,
+    hint: '₹ a referrer can earn from one referred user, 0 for no cap'
+  },
+  'referral.cap_monthly': {
+    label: 'Cap resets monthly',
+    path: ['REFERRAL_SETTINGS', 'cap_monthly'],
+    type: 'boolean'
+  },
+  'referral.hold_days': {
+    label: 'Commission hold (days)',
+    path: ['REFERRAL_SETTINGS', 'hold_days'],
+    type: 'integer',
+    min: 0,
+    max: 90
+  },
+  'referral.risk_checks': {
+    label: 'Referral fraud checks',
+    path: ['REFERRAL_RISK', 'enabled'],
+    type: 'boolean'
+  },
+  'referral.risk_review_score': {
+    label: 'Risk score for review',
+    path: ['REFERRAL_RISK', 'review_score'],
+    type: 'integer',
+    min: 1,
+    max: 1000,
+    hint: 'Commission scoring this or more waits for an admin. Shared UTRs add 40, transfers back 60, sign-up bursts 30'
+  },
+  'deposit.min_amount': {
+    label: 'Minimum deposit',
+    path: ['MIN_DEPOSIT_AMOUNT'],
+    type: 'integer',
+    min: 1,
+    max: 1000000
+  },
+  'deposit.min_utr_length': {
+    label: 'Minimum UTR length',
+    path: ['MIN_UTR_LENGTH'],
+    type: 'integer',
+    min: 6,
+    max: 30
+  },
+  'reports.daily': {
+    label: 'Daily digest',
+    path: ['REPORT_SETTINGS', 'daily_enabled'],
+    type: 'boolean'
+  },
+  'reports.daily_time': {
+    label: 'Daily digest time',
+    path: ['REPORT_SETTINGS', 'daily_time'],
+    type: 'time',
+    hint: 'HH:MM in server time, e.g. 09:00'
+  },
+  'reports.weekly': {
+    label: 'Weekly summary',
+    path: ['REPORT_SETTINGS', 'weekly_enabled'],
+    type: 'boolean'
+  },
+  'reports.weekly_day': {
+    label: 'Weekly summary day',
+    path: ['REPORT_SETTINGS', 'weekly_day'],
+    type: 'integer',
+    min: 1,
+    max: 7,
+    hint: '1 = Monday … 7 = Sunday'
+  },
+  'reports.weekly_time': {
+    label: 'Weekly summary time',
+    path: ['REPORT_SETTINGS', 'weekly_time'],
+    type: 'time',
+    hint: 'HH:MM in server time, e.g. 09:00'
+  },
+  'notifications.batch_minutes': {
+    label: 'Notification batch interval (min)',
+    path: ['NOTIFICATION_SETTINGS', 'batch_minutes'],
+    type: 'integer',
+    min: 1,
+    max: 240
+  },
+  'notifications.quiet_hours': {
+    label: 'Notification quiet hours',
+    path: ['NOTIFICATION_SETTINGS', 'quiet_hours'],
+    type: 'boolean'
+  },
+  'notifications.quiet_start': {
+    label: 'Quiet hours start',
+    path: ['NOTIFICATION_SETTINGS', 'quiet_start'],
+    type: 'time',
+    hint: 'HH:MM in server time, e.g. 23:00'
+  },
+  'notifications.quiet_end': {
+    label: 'Quiet hours end',
+    path: ['NOTIFICATION_SETTINGS', 'quiet_end'],
+    type: 'time',
+    hint: 'HH:MM in server time, e.g. 07:00'
+  },
+  'broadcast.enabled': {
+    label: 'Broadcasts',
+    path: ['BROADCAST_SETTINGS', 'enabled'],
+    type: 'boolean'
+  },
+  'broadcast.max_length': {
+    label: 'Broadcast max length',
+    path: ['BROADCAST_SETTINGS', 'max_message_length'],
+    type: 'integer',
+    min: 1,
+    max: 4096
+  }
+};
+
+const BOOLEAN_WORDS = {
+  on: true, true: true, yes: true, enabled: true, '1': true,
+  off: false, false: false, no: false, disabled: false, '0': false
+};
+
+class SettingsStore {
+  constructor(db, target = config) {
+    this.db = db;
+    this.target = target;
+    this.defaults = {};
+
+    for (const key of Object.keys(SETTING_DEFINITIONS)) {
+      this.defaults[key] = this.clone(this.read(key));
+    }
+  }
+
+  // Applies saved overrides on top of the config.js defaults. A row that no
+  // longer validates (e.g. after a range change) is skipped with a warning.
+  async load() {
+    const rows = await this.db.getSettings();
+    let applied = 0;
+
+    for (const row of rows) {
+      if (!SETTING_DEFINITIONS[row.key]) continue;
+
+      try {
+        this.write(row.key, this.validate(row.key, row.value));
+        applied++;
+      } catch (error) {
+        logger.warn('Ignoring saved setting', { key: row.key, error });
+      }
+    }
+
+    logger.info('Loaded runtime settings', { count: applied });
+    return applied;
+  }
+
+  keys() {
+    return Object.keys(SETTING_DEFINITIONS);
+  }
+
+  definition(key) {
+    const definition = SETTING_DEFINITIONS[key];
+    if (!definition) throw new Error(`Unknown setting: ${key}`);
+    return definition;
+  }
+
+  get(key) {
+    return this.clone(this.read(key));
+  }
+
+  isDefault(key) {
+    return JSON.stringify(this.read(key)) === JSON.stringify(this.defaults[key]);
+  }
+
+  // Turns admin input into a typed value, throwing with a message that can be
+  // shown to the admin as is.
+  parse(key, text) {
+    const { type } = this.definition(key);
+    const input = String(text).trim();
+
+    if (type === 'boolean') {
+      const value = BOOLEAN_WORDS[input.toLowerCase()];
+      if (value === undefined) throw new Error('Send on or off');
+      return value;
+    }
+
+    if (type === 'time') {
+      const match = input.match(/^(\d{1,2})[:.](\d{2})$/);
+      if (!match) throw new Error('Send a time as HH:MM');
+      return this.validate(key, `${match[1].padStart(2, '0')}:${match[2]}`);
+    }
+
+    if (type === 'tiers') {
+      if (/^(none|off|-)$/i.test(input)) return [];
+
+      const [amountKey, percentKey] = this.tierKeys(key);
+      return this.validate(key, input.split(/[,\n]+/).filter(part => part.trim()).map(part => {
+        const match = part.trim().match(/^(\d+(?:\.\d+)?)\s*[:=]\s*(\d+(?:\.\d+)?)%?$/);
+        if (!match) throw new Error(`Could not read tier "${part.trim()}". Use ${amountKey}:${percentKey}`);
+        return { [amountKey]: parseFloat(match[1]), [percentKey]: parseFloat(match[2]) };
+      }));
+    }
+
+    const value = Number(input);
+    if (input === '' || isNaN(value)) throw new Error('Send a number');
+    return this.validate(key, value);
+  }
+
+  validate(key, value) {
+    const { type, min, max } = this.definition(key);
+
+    if (type === 'boolean') {
+      if (typeof value !== 'boolean') throw new Error('Expected on or off');
+      return value;
+    }
+
+    if (type === 'time') {
+      const match = typeof value === 'string' && value.match(/^(\d{2}):(\d{2})$/);
+      if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) throw new Error('Expected a time between 00:00 and 23:59');
+      return value;
+    }
+
+    if (type === 'tiers') {
+      if (!Array.isArray(value)) throw new Error('Expected a list of tiers');
+
+      const [amountKey, percentKey] = this.tierKeys(key);
+      const tiers = value.map(tier => ({ [amountKey]: Number(tier[amountKey]), [percentKey]: Number(tier[percentKey]) }));
+      for (const tier of tiers) {
+        if (!(tier[amountKey] > 0)) throw new Error(`Tier ${amountKey} must be above 0`);
+        if (!(tier[percentKey] > 0 && tier[percentKey] < 100)) throw new Error(`Tier ${percentKey} must be above 0 and below 100`);
+      }
+      if (new Set(tiers.map(tier => tier[amountKey])).size !== tiers.length) {
+        throw new Error(`Each tier needs a different ${amountKey}`);
+      }
+      return tiers.sort((a, b) => a[amountKey] - b[amountKey]);
+    }
+
+    if (typeof value !== 'number' || !isFinite(value)) throw new Error('Expected a number');
+    if (type === 'integer' && !Number.isInteger(value)) throw new Error('Send a whole number');
+    if (value < min || value > max) throw new Error(`Must be between ${min} and ${max}`);
+    return value;
+  }
+
+  // The row and its audit entry commit together; config only changes once
+  // they have, so a failed save leaves the running value untouched.
+  async set(key, value, adminId) {
+    const after = this.validate(key, value);
+    const before = this.get(key);
+
+    await this.db.withTransaction(async (tx) => {
+      await tx.saveSetting(key, after, adminId);
+      await tx.logAdminAction({ adminId, action: ADMIN_ACTIONS.SETTING_UPDATE, before, after, details: key });
+    });
+
+    this.write(key, after);
+    return after;
+  }
+
+  async reset(key, adminId) {
+    this.definition(key);
+    const before = this.get(key);
+    const after = this.clone(this.defaults[key]);
+
+    await this.db.withTransaction(async (tx) => {
+      await tx.deleteSetting(key);
+      await tx.logAdminAction({ adminId, action: ADMIN_ACTIONS.SETTING_UPDATE, before, after, details: `${key} (reset)` });
+    });
+
+    this.write(key, after);
+    return after;
+  }
+
+  format(key, value = this.read(key)) {
+    const { type } = this.definition(key);
+
+    if (type === 'boolean') return value ? 'ON' : 'OFF';
+    if (type === 'tiers') {
+      const [amountKey, percentKey] = this.tierKeys(key);
+      return value.length > 0
+        ? value.map(tier => `₹${tier[amountKey]}: ${tier[percentKey]}%`).join(', ')
+        : 'none';
+    }
+    return String(value);
+  }
+
+  // Field names of a tiers setting: the threshold first, then the percentage.
+  tierKeys(key) {
+    return this.definition(key).tierKeys || ['deposit', 'discount'];
+  }
+
+  read(key) {
+    const path = this.definition(key).path;
+    return path.reduce((node, part) => node[part], this.target);
+  }
+
+  write(key, value) {
+    const path = this.definition(key).path;
+    const parent = path.slice(0, -1).reduce((node, part) => node[part], this.target);
+    parent[path[path.length - 1]] = value;
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+module.exports = SettingsStore;
+module.exports.SETTING_DEFINITIONS = SETTING_DEFINITIONS;
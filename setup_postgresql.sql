@@ -1,2 +1,5 @@
 -- Create database
-CREATE DATABASE fire_otp_bot;
\ No newline at end of file
+CREATE DATABASE fire_otp_bot;
+
+-- Tables are created by the numbered files in migrations/, applied on bot
+-- startup or with `npm run migrate`.
@@ -0,0 +1,198 @@
+const ExcelJS = require('exceljs');
+const config = require('./config');
+
+const UTR_HEADERS = [/utr/i, /\brrn\b/i, /^ref(erence)?\.?\s*(no|number|id)?\.?$/i, /(txn|transaction)\s*id/i];
+const NARRATION_HEADERS = [/narration|description|particulars|remarks/i];
+const CREDIT_HEADERS = [/credit/i, /deposit/i];
+// A single signed column holds debits too; they show as negative numbers, a
+// DR mark next to the figure, or DR in a separate Cr/Dr column.
+const AMOUNT_HEADERS = [/amount/i];
+const DIRECTION_HEADERS = [/^(cr|dr)\s*\/\s*(cr|dr)$/i, /^(txn\.?\s*|transaction\s*)?type$/i];
+
+class StatementService {
+  isSupported(fileName) {
+    return /\.(csv|xlsx)$/i.test(fileName || '');
+  }
+
+  async parse(buffer, fileName) {
+    const rows = /\.xlsx$/i.test(fileName)
+      ? await this.readWorkbook(buffer)
+      : this.readCsv(buffer.toString('utf8'));
+
+    return this.extractEntries(rows);
+  }
+
+  async readWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      const values = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        values[column - 1] = this.cellText(cell.value);
+      });
+      rows.push(Array.from(values, value => value || ''));
+    });
+
+    return rows;
+  }
+
+  cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isInteger(value) ? value.toFixed(0) : String(value);
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+      if (value.richText) return value.richText.map(part => part.text).join('');
+      if (value.result !== undefined) return this.cellText(value.result);
+      if (value.text !== undefined) return String(value.text);
+    }
+    return String(value);
+  }
+
+  readCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  // Bank exports put a few lines of account details above the table, so the
+  // header is the first row that names an amount column and somewhere to find
+  // the UTR. Some banks only print the UTR inside the narration text.
+  findColumns(rows) {
+    for (let index = 0; index < Math.min(rows.length, 30); index++) {
+      const headers = rows[index].map(cell => cell.trim());
+      const utrColumn = this.matchColumn(headers, UTR_HEADERS);
+      const narrationColumn = this.matchColumn(headers, NARRATION_HEADERS);
+      const creditColumn = this.matchColumn(headers, CREDIT_HEADERS);
+      const amountColumn = creditColumn !== -1 ? creditColumn : this.matchColumn(headers, AMOUNT_HEADERS);
+
+      if ((utrColumn !== -1 || narrationColumn !== -1) && amountColumn !== -1) {
+        return {
+          headerRow: index,
+          utrColumn,
+          narrationColumn,
+          amountColumn,
+          signed: creditColumn === -1,
+          directionColumn: this.matchColumn(headers, DIRECTION_HEADERS)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  matchColumn(headers, patterns) {
+    for (const pattern of patterns) {
+      const column = headers.findIndex(header => pattern.test(header));
+      if (column !== -1) return column;
+    }
+    return -1;
+  }
+
+  extractEntries(rows) {
+    const columns = this.findColumns(rows);
+    if (!columns) {
+      throw new Error('Could not find UTR and amount columns in the statement');
+    }
+
+    const entries = [];
+    const skipped = [];
+
+    for (let index = columns.headerRow + 1; index < rows.length; index++) {
+      const cells = rows[index];
+      const utr = this.normalizeUTR(cells[columns.utrColumn]) || this.normalizeUTR(cells[columns.narrationColumn]);
+      const amount = this.normalizeAmount(cells[columns.amountColumn]);
+      const line = index + 1;
+
+      // Debits leave the credit column empty, or are negative or marked DR
+      // in a signed one; only incoming money matters.
+      if (amount === null || amount <= 0) continue;
+      if (columns.signed && this.isDebit(cells[columns.amountColumn], cells[columns.directionColumn])) continue;
+
+      if (!utr) {
+        skipped.push({ line, amount });
+        continue;
+      }
+
+      entries.push({ line, utr, amount });
+    }
+
+    return { entries, skipped };
+  }
+
+  // A UTR listed twice is a glitch in the export, or two statements pasted
+  // together; only its first row is reconciled.
+  splitDuplicates(entries) {
+    const seen = new Set();
+    const unique = [];
+    const duplicates = [];
+
+    for (const entry of entries) {
+      (seen.has(entry.utr) ? duplicates : unique).push(entry);
+      seen.add(entry.utr);
+    }
+
+    return { entries: unique, duplicates };
+  }
+
+  isDebit(amount, direction) {
+    const marks = `${amount || ''} ${direction || ''}`.replace(/[\d.,₹]/g, ' ');
+    return /\b(dr|debit)\b/i.test(marks);
+  }
+
+  normalizeUTR(value) {
+    const text = String(value || '').replace(/^'/, '').trim();
+    const match = text.match(new RegExp(`\\d{${config.MIN_UTR_LENGTH},}`));
+    return match ? match[0] : '';
+  }
+
+  normalizeAmount(value) {
+    const cleaned = String(value || '').replace(/[₹,\s]|INR|Rs\.?|CR/gi, '');
+    if (!cleaned) return null;
+
+    const amount = parseFloat(cleaned);
+    return isNaN(amount) ? null : Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = StatementService;
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CodeGenerator = require('../codeGenerator');
+const { CODE_ALPHABET } = CodeGenerator;
+
+test('generated codes use the alphabet and the configured length', () => {
+  const generator = new CodeGenerator();
+
+  for (let i = 0; i < 50; i++) {
+    const code = generator.generate();
+    assert.equal(code.length, 8);
+    assert.ok([...code].every(char => CODE_ALPHABET.includes(char)), code);
+  }
+});
+
+test('a generated code with a check character validates', () => {
+  const generator = new CodeGenerator({ checksum: true });
+
+  for (let i = 0; i < 50; i++) {
+    const code = generator.generate();
+    assert.equal(generator.checkCharacter(code.slice(0, -1)), code.slice(-1));
+    assert.equal(generator.isMistyped(code), false);
+    assert.equal(generator.isMistyped(code.toLowerCase()), false);
+  }
+});
+
+test('changing any single character is detected', () => {
+  const generator = new CodeGenerator({ prefix: 'GIFT-', checksum: true });
+
+  for (let i = 0; i < 10; i++) {
+    const code = generator.generate();
+
+    for (let position = generator.prefix.length; position < code.length; position++) {
+      for (const replacement of CODE_ALPHABET) {
+        if (replacement === code[position]) continue;
+        const typo = code.slice(0, position) + replacement + code.slice(position + 1);
+        assert.equal(generator.isMistyped(typo), true, `${typo} (from ${code}) should be flagged`);
+      }
+    }
+  }
+});
+
+test('the prefix is honoured', () => {
+  const generator = new CodeGenerator({ prefix: 'gift-', checksum: true });
+  const code = generator.generate();
+
+  assert.ok(code.startsWith('GIFT-'), code);
+  // Codes that are not in this format are unknown, not mistyped.
+  assert.equal(generator.isMistyped('REF-' + code.slice(5)), false);
+  assert.equal(generator.isMistyped(code.slice(5)), false);
+  assert.equal(generator.isMistyped(code + 'X'), false);
+  assert.equal(generator.isMistyped('GIFT-0000000OO'), false);
+});
+
+test('without a checksum nothing is ever flagged as mistyped', () => {
+  const generator = new CodeGenerator({ prefix: 'GIFT-' });
+  assert.equal(generator.isMistyped(generator.generate()), false);
+  assert.equal(generator.isMistyped('GIFT-AAAAAAAA'), false);
+});
+
+test('codeLength matches generated codes, as the redeem prompt states', () => {
+  const formats = [
+    {},
+    { prefix: 'GIFT-' },
+    { checksum: true },
+    { prefix: 'FX', checksum: true, length: 10 }
+  ];
+
+  for (const format of formats) {
+    const generator = new CodeGenerator(format);
+    assert.equal(generator.generate().length, generator.codeLength(), JSON.stringify(format));
+  }
+  assert.equal(new CodeGenerator({ prefix: 'GIFT-', checksum: true }).codeLength(), 14);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeCSV, toCSV } = require('../csv');
+
+const COLUMNS = [
+  { key: 'name', header: 'Name' },
+  { key: 'amount', header: 'Amount' }
+];
+
+test('cells that a spreadsheet would run as a formula are prefixed with a quote', () => {
+  for (const text of ['=HYPERLINK("http://x")', '+91 call me', '-2+3', '@SUM(A1)', '\tcmd']) {
+    const cell = escapeCSV(text);
+    assert.ok(/^"?'/.test(cell), `${JSON.stringify(text)} -> ${cell}`);
+  }
+
+  assert.equal(escapeCSV('=1+1'), "'=1+1");
+  assert.equal(escapeCSV('@admin'), "'@admin");
+});
+
+test('plain negative numbers are not treated as formulas', () => {
+  assert.equal(escapeCSV(-150), '-150');
+  assert.equal(escapeCSV('-12.50'), '-12.50');
+  assert.equal(escapeCSV('+100'), '+100');
+});
+
+test('commas, quotes and newlines are quoted', () => {
+  assert.equal(escapeCSV('Ravi, Kumar'), '"Ravi, Kumar"');
+  assert.equal(escapeCSV('the "best" bot'), '"the ""best"" bot"');
+  assert.equal(escapeCSV('line one\nline two'), '"line one\nline two"');
+  assert.equal(escapeCSV('a\r\nb'), '"a\r\nb"');
+  assert.equal(escapeCSV('=x,"y"'), '"\'=x,""y"""');
+});
+
+test('empty values, dates and objects', () => {
+  assert.equal(escapeCSV(null), '');
+  assert.equal(escapeCSV(undefined), '');
+  assert.equal(escapeCSV(new Date(Date.UTC(2026, 9, 19, 9))), '2026-10-19T09:00:00.000Z');
+  assert.equal(escapeCSV({ a: 1 }), '"{""a"":1}"');
+});
+
+test('toCSV writes a header and one CRLF-terminated line per row', () => {
+  const csv = toCSV(COLUMNS, [
+    { name: '=cmd|" /C calc"!A0', amount: 100 },
+    { name: 'Ravi, "R"', amount: -5 },
+    { name: null, amount: 0 }
+  ]);
+
+  assert.equal(csv, [
+    'Name,Amount',
+    '"\'=cmd|"" /C calc""!A0",100',
+    '"Ravi, ""R""",-5',
+    ',0',
+    ''
+  ].join('\r\n'));
+});
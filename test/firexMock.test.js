@@ -0,0 +1,72 @@
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FirexMockServer = require('../firexMock');
+const FirexOTPService = require('../firexService');
+const { ORDER_STATUS } = require('../firexProtocol');
+
+const DELAY_SECONDS = 20;
+
+// Runs the mock on a free port with the service pointed at it.
+async function startMock(scenario) {
+  const mock = await new FirexMockServer({ port: 0, scenario, delay: DELAY_SECONDS, apiKey: 'test-firex-key' }).start();
+  const firex = new FirexOTPService();
+  firex.baseURL = `http://127.0.0.1:${mock.port}/stubs/handler_api.php`;
+  firex.timeout = 2000;
+  return { mock, firex };
+}
+
+// Moves an activation's clock forward instead of waiting for its codes.
+function age(mock, orderId, seconds) {
+  mock.activations.get(orderId).createdAt -= seconds * 1000;
+}
+
+test('no_numbers: buying fails with a retryable NO_NUMBERS error', async (t) => {
+  const { mock, firex } = await startMock('no_numbers');
+  t.after(() => mock.stop());
+
+  const result = await firex.buyNumber('WHATSAPP', '22');
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorCode, 'NO_NUMBERS');
+  assert.equal(mock.activations.size, 0);
+});
+
+test('second_otp: a second code replaces the first once it arrives', async (t) => {
+  const { mock, firex } = await startMock('second_otp');
+  t.after(() => mock.stop());
+
+  const order = await firex.buyNumber('WHATSAPP', '22');
+  assert.equal(order.success, true);
+  assert.match(order.number, /^\d{10}$/);
+
+  assert.deepEqual(await firex.checkOrder(order.orderId), { status: ORDER_STATUS.WAITING, code: null });
+
+  age(mock, order.orderId, DELAY_SECONDS);
+  const first = await firex.checkOrder(order.orderId);
+  assert.equal(first.status, ORDER_STATUS.SUCCESS);
+  assert.match(first.code, /^\d{6}$/);
+
+  // Asking for another code does not cancel the activation.
+  assert.equal(await firex.requestNewNumber(order.orderId), true);
+  assert.equal(await firex.cancelOrder(order.orderId), false);
+
+  age(mock, order.orderId, DELAY_SECONDS);
+  const second = await firex.checkOrder(order.orderId);
+  const { codes } = mock.activations.get(order.orderId);
+  assert.equal(second.status, ORDER_STATUS.SUCCESS);
+  assert.equal(codes.length, 2);
+  assert.equal(second.code, codes[1]);
+});
+
+test('a wrong API key is refused by the mock', async (t) => {
+  const { mock, firex } = await startMock('instant');
+  t.after(() => mock.stop());
+  firex.apiKey = 'someone-else';
+
+  const result = await firex.buyNumber('WHATSAPP', '22');
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorCode, 'BAD_KEY');
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  ORDER_STATUS,
+  SET_STATUS_RESULT,
+  FirexError,
+  NoNumbersError,
+  NoBalanceError,
+  BadServiceError,
+  BadKeyError,
+  BannedKeyError,
+  WrongMaxPriceError,
+  NoActivationError,
+  BadStatusError,
+  EarlyCancelDeniedError,
+  ProviderUnavailableError,
+  UnexpectedResponseError,
+  parseBuyNumber,
+  parseStatus,
+  parseSetStatus
+} = require('../firexProtocol');
+
+// Raw handler API answers, one per file, exactly as the provider sends them.
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'firex', `${name}.txt`), 'utf8');
+
+// What each error answer must turn into, whichever parser meets it.
+const ERROR_FIXTURES = [
+  { name: 'no_numbers', type: NoNumbersError, code: 'NO_NUMBERS', retryable: false, adminAlert: false },
+  { name: 'no_balance', type: NoBalanceError, code: 'NO_BALANCE', retryable: false, adminAlert: true },
+  { name: 'bad_service', type: BadServiceError, code: 'BAD_SERVICE', retryable: false, adminAlert: true },
+  { name: 'bad_key', type: BadKeyError, code: 'BAD_KEY', retryable: false, adminAlert: true },
+  { name: 'banned', type: BannedKeyError, code: 'BANNED', retryable: false, adminAlert: true },
+  { name: 'wrong_max_price', type: WrongMaxPriceError, code: 'WRONG_MAX_PRICE', retryable: false, adminAlert: true },
+  { name: 'early_cancel_denied', type: EarlyCancelDeniedError, code: 'EARLY_CANCEL_DENIED', retryable: true, adminAlert: false },
+  { name: 'bad_status', type: BadStatusError, code: 'BAD_STATUS', retryable: false, adminAlert: false },
+  { name: 'error_sql', type: ProviderUnavailableError, code: 'PROVIDER_UNAVAILABLE', retryable: true, adminAlert: false },
+  { name: 'garbage', type: UnexpectedResponseError, code: 'UNEXPECTED_RESPONSE', retryable: false, adminAlert: false },
+  { name: 'empty', type: UnexpectedResponseError, code: 'UNEXPECTED_RESPONSE', retryable: false, adminAlert: false }
+];
+
+function assertFirexError(error, expected) {
+  assert.ok(error instanceof FirexError, `${expected.name} should throw a FirexError`);
+  assert.ok(error instanceof expected.type, `${expected.name} should throw ${expected.type.name}, got ${error.name}`);
+  assert.equal(error.code, expected.code);
+  assert.equal(error.retryable, expected.retryable);
+  assert.equal(error.adminAlert, expected.adminAlert);
+  assert.equal(error.raw, fixture(expected.name).trim());
+  return true;
+}
+
+test('parseBuyNumber reads the activation ID and a 10-digit number', () => {
+  assert.deepEqual(parseBuyNumber(fixture('access_number')), { activationId: '123456', phone: '9876543210' });
+  assert.deepEqual(parseBuyNumber(fixture('access_number_local')), { activationId: '123457', phone: '9876543210' });
+});
+
+test('parseBuyNumber rejects a number that is not 10 digits', () => {
+  assert.throws(() => parseBuyNumber(fixture('access_number_bad_phone')), UnexpectedResponseError);
+});
+
+test('parseBuyNumber turns error answers into typed errors', () => {
+  for (const expected of ERROR_FIXTURES) {
+    assert.throws(() => parseBuyNumber(fixture(expected.name)), error => assertFirexError(error, expected));
+  }
+});
+
+test('parseStatus maps waiting, success and closed states', () => {
+  assert.deepEqual(parseStatus(fixture('status_wait_code')), { status: ORDER_STATUS.WAITING, code: null });
+  assert.deepEqual(parseStatus(fixture('status_wait_retry')), { status: ORDER_STATUS.WAITING, code: null });
+  assert.deepEqual(parseStatus(fixture('status_ok')), { status: ORDER_STATUS.SUCCESS, code: '4521' });
+  assert.deepEqual(parseStatus(fixture('status_cancel')), { status: ORDER_STATUS.CANCELLED, code: null });
+  assert.deepEqual(parseStatus(fixture('no_activation')), { status: ORDER_STATUS.NOT_FOUND, code: null });
+});
+
+test('parseStatus throws typed errors for everything else', () => {
+  for (const expected of ERROR_FIXTURES) {
+    assert.throws(() => parseStatus(fixture(expected.name)), error => assertFirexError(error, expected));
+  }
+});
+
+test('parseSetStatus maps every ACCESS_ answer', () => {
+  assert.equal(parseSetStatus(fixture('access_ready')), SET_STATUS_RESULT.READY);
+  assert.equal(parseSetStatus(fixture('access_retry_get')), SET_STATUS_RESULT.RETRY_GET);
+  assert.equal(parseSetStatus(fixture('access_activation')), SET_STATUS_RESULT.ACTIVATION);
+  assert.equal(parseSetStatus(fixture('access_cancel')), SET_STATUS_RESULT.CANCELLED);
+});
+
+test('parseSetStatus throws typed errors for refusals and garbage', () => {
+  for (const expected of ERROR_FIXTURES) {
+    assert.throws(() => parseSetStatus(fixture(expected.name)), error => assertFirexError(error, expected));
+  }
+
+  assert.throws(() => parseSetStatus(fixture('no_activation')), NoActivationError);
+  assert.throws(() => parseSetStatus(fixture('status_ok')), UnexpectedResponseError);
+});
+
+test('error answers keep their arguments', () => {
+  assert.throws(() => parseBuyNumber(fixture('banned')), error => error.until === '2026-10-19 18:30:00');
+  assert.throws(() => parseBuyNumber(fixture('wrong_max_price')), error => error.minPrice === 25.5);
+});
+
+test('non-string responses are unexpected', () => {
+  assert.throws(() => parseStatus({ status: 'ok' }), UnexpectedResponseError);
+  assert.throws(() => parseBuyNumber(null), UnexpectedResponseError);
+});
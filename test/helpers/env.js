@@ -0,0 +1,25 @@
+// config.js refuses to load without these; tests never talk to Telegram or
+// the provider, so placeholders are enough. Require this before any module
+// that loads config.js.
+const TEST_ENV = {
+  BOT_TOKEN: 'test-bot-token',
+  NOTIFICATION_BOT_TOKEN: 'test-notification-token',
+  NOTIFICATION_CHAT_ID: '-1000',
+  FIREX_API_KEY: 'test-firex-key',
+  FIREX_BASE_URL: 'http://127.0.0.1:1/stubs/handler_api.php',
+  CHANNEL_ID: '-1001',
+  CHANNEL_LINK: 'https://t.me/test',
+  UPI_ID: 'test@upi',
+  UPI_NAME: 'Test',
+  ADMIN_ID: '1',
+  MIN_UTR_LENGTH: '12',
+  FIRE_OTP_NOTE_PREFIX: 'FIRE',
+  MIN_DEPOSIT_AMOUNT: '10',
+  LOG_LEVEL: 'error'
+};
+
+for (const [key, value] of Object.entries(TEST_ENV)) {
+  process.env[key] = value;
+}
+
+module.exports = TEST_ENV;
@@ -0,0 +1,115 @@
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NotificationService = require('../notificationService');
+
+function createService(overrides = {}) {
+  const settings = {
+    routes: {
+      default: { severity: 'info' },
+      orderPlaced: { severity: 'info', batch: true },
+      depositRequested: { severity: 'action' },
+      // A critical route stays immediate even when configured to batch.
+      providerAlert: { severity: 'critical', batch: true, chat: '-2000' }
+    },
+    batch_minutes: 10,
+    quiet_hours: true,
+    quiet_start: '23:00',
+    quiet_end: '07:00',
+    retry_attempts: 5,
+    ...overrides
+  };
+  const service = new NotificationService(settings);
+  const sent = [];
+
+  service.failures = 0;
+  service.bot = {
+    async sendMessage(chatId, text, options) {
+      if (service.failures > 0) {
+        service.failures--;
+        throw new Error('socket hang up');
+      }
+      sent.push({ chatId, text, options });
+    }
+  };
+
+  return { service, sent };
+}
+
+const at = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes);
+
+test('isQuietTime: a window across midnight covers both sides of it', () => {
+  const { service } = createService();
+
+  assert.equal(service.isQuietTime(at(23, 0)), true);
+  assert.equal(service.isQuietTime(at(23, 59)), true);
+  assert.equal(service.isQuietTime(at(0, 0)), true);
+  assert.equal(service.isQuietTime(at(6, 59)), true);
+  assert.equal(service.isQuietTime(at(7, 0)), false);
+  assert.equal(service.isQuietTime(at(12, 0)), false);
+  assert.equal(service.isQuietTime(at(22, 59)), false);
+});
+
+test('isQuietTime: a same-day window and quiet hours switched off', () => {
+  const { service } = createService({ quiet_start: '13:00', quiet_end: '14:30' });
+
+  assert.equal(service.isQuietTime(at(12, 59)), false);
+  assert.equal(service.isQuietTime(at(13, 0)), true);
+  assert.equal(service.isQuietTime(at(14, 29)), true);
+  assert.equal(service.isQuietTime(at(14, 30)), false);
+
+  const { service: off } = createService({ quiet_hours: false });
+  assert.equal(off.isQuietTime(at(0, 0)), false);
+});
+
+test('critical alerts bypass the batch and sound during quiet hours', async () => {
+  const { service, sent } = createService();
+  service.isQuietTime = () => true;
+
+  await service.providerAlert('NO_NUMBERS', 'WhatsApp', 'India 1');
+  await service.sendNotification('<b>New order</b>\ndetails', 'orderPlaced');
+  await service.sendNotification('<b>Maintenance</b>', 'general');
+
+  assert.equal(service.route('providerAlert').batch, false);
+  assert.equal(sent.length, 2);
+  assert.equal(sent[0].chatId, '-2000');
+  assert.equal(sent[0].options.disable_notification, false);
+  assert.equal(sent[1].options.disable_notification, true);
+  assert.equal(service.batches.size, 1);
+});
+
+test('stop posts open batches even during quiet hours', async () => {
+  const { service, sent } = createService();
+  service.isQuietTime = () => true;
+
+  await service.sendNotification('<b>New order</b> #1', 'orderPlaced');
+  await service.sendNotification('<b>New order</b> #2', 'orderPlaced');
+  await service.flushBatches();
+  assert.equal(sent.length, 0);
+
+  await service.stop();
+
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].text, /× 2/);
+  assert.match(sent[0].text, /New order #1\nNew order #2/);
+  assert.equal(service.batches.size, 0);
+});
+
+test('stop gives queued retries, critical ones included, a last attempt', async () => {
+  const { service, sent } = createService();
+
+  service.failures = 2;
+  await service.providerAlert('NO_BALANCE', 'WhatsApp', 'India 1');
+  await service.depositRequested({ user_id: 5, amount: 100, utr: '412345678901', depositId: 9 });
+  assert.equal(sent.length, 0);
+  assert.equal(service.retryQueue.length, 2);
+  assert.ok(service.retryQueue.every(item => item.nextAt > Date.now()));
+
+  await service.stop();
+
+  assert.equal(service.retryQueue.length, 0);
+  assert.equal(sent.length, 2);
+  assert.match(sent[0].text, /NO_BALANCE/);
+  assert.equal(sent[0].chatId, '-2000');
+});
@@ -0,0 +1,56 @@
+const TEST_ENV = require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const privacy = require('../privacy');
+
+const PHONE = '919876543210';
+const OTP = '482913';
+const API_KEY = TEST_ENV.FIREX_API_KEY;
+
+test('maskPhone keeps only the country code and last two digits', () => {
+  assert.equal(privacy.maskPhone(PHONE), '91********10');
+  assert.equal(privacy.maskPhone(Number(PHONE)), '91********10');
+  assert.equal(privacy.maskPhone('1234'), '****');
+  assert.equal(privacy.maskPhone(null), null);
+});
+
+test('maskOTP hides every character of the code', () => {
+  assert.equal(privacy.maskOTP(OTP), '******');
+  assert.equal(privacy.maskOTP('123 456'), '*** ***');
+  assert.equal(privacy.maskOTP(undefined), undefined);
+});
+
+test('provider responses never show the number, the code or the API key', () => {
+  const responses = [
+    `ACCESS_NUMBER:7781234:${PHONE}`,
+    `STATUS_OK:${OTP}`,
+    `STATUS_WAIT_RETRY:${OTP}`,
+    `Unexpected response "ACCESS_NUMBER:7781234:${PHONE}" for api_key=${API_KEY}&action=getNumber`,
+    `request to https://example.test/stubs/handler_api.php?api_key=${API_KEY}&action=getStatus failed: STATUS_OK:${OTP}`
+  ];
+
+  for (const response of responses) {
+    const masked = privacy.maskProviderResponse(response);
+    assert.ok(!masked.includes(PHONE), masked);
+    assert.ok(!masked.includes(OTP), masked);
+    assert.ok(!masked.includes(API_KEY), masked);
+  }
+
+  assert.equal(privacy.maskProviderResponse(`ACCESS_NUMBER:7781234:${PHONE}`), 'ACCESS_NUMBER:7781234:91********10');
+  assert.equal(privacy.maskProviderResponse('NO_NUMBERS'), 'NO_NUMBERS');
+});
+
+test('the API key is redacted wherever it appears', () => {
+  assert.equal(privacy.redactSecrets(`key ${API_KEY} rejected`), 'key [redacted] rejected');
+  assert.equal(privacy.redactSecrets('?API_KEY=other-key&id=1'), '?API_KEY=[redacted]&id=1');
+  assert.deepEqual(privacy.redactParams({ api_key: API_KEY, action: 'getNumber' }), { api_key: '[redacted]', action: 'getNumber' });
+  assert.deepEqual(privacy.redactParams({ action: 'getBalance' }), { action: 'getBalance' });
+});
+
+test('log and notification helpers mask by default', () => {
+  assert.equal(privacy.logPhone(PHONE), '91********10');
+  assert.equal(privacy.notifyPhone(PHONE), '91********10');
+  assert.equal(privacy.notifyOTP(OTP), '******');
+  assert.ok(!privacy.logProviderResponse(`STATUS_OK:${OTP} api_key=${API_KEY}`).includes(OTP));
+});
@@ -0,0 +1,157 @@
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReferralProgram = require('../referralProgram');
+const { LEDGER_REASONS, REFERRAL_EARNING_STATUS } = require('../database');
+
+const SETTINGS = {
+  commission_percent: 5,
+  tiers: [
+    { volume: 10000, percent: 7 },
+    { volume: 50000, percent: 10 }
+  ],
+  cap_per_referred: 0,
+  cap_monthly: false,
+  hold_days: 0
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const safe = { assess: async () => ({ flagged: false, score: 0, signals: [] }) };
+const flagged = { assess: async () => ({ flagged: true, score: 80, signals: ['shared_utr'] }) };
+
+// The transaction calls award() and clawBack() make, backed by arrays.
+function fakeTransaction({ volume = 0, earned = 0 } = {}) {
+  return {
+    earnings: [],
+    ledger: [],
+    statuses: [],
+    since: undefined,
+    async getReferredDepositVolume() { return volume; },
+    async getCommissionFromReferred(referrerId, referredId, since) {
+      this.since = since;
+      return earned;
+    },
+    async addReferralEarning(earning) {
+      this.earnings.push(earning);
+      return this.earnings.length;
+    },
+    async updateBalance(userId, amount, reason, options) {
+      this.ledger.push({ userId, amount, reason, reference: options.reference });
+      return 1000 + amount;
+    },
+    async lockReferralEarningsForTopup() {
+      return this.earnings.map((earning, index) => ({
+        id: index + 1,
+        ...earning,
+        commission_amount: String(earning.commission_amount)
+      }));
+    },
+    async setReferralEarningStatus(id, status) {
+      this.statuses.push([id, status]);
+    }
+  };
+}
+
+const award = (program, tx, amount = 1000) => program.award(tx, { referrerId: 1, referredId: 2, amount, requestId: 77 });
+
+test('rateFor: the base rate below the first tier, each tier from its volume', () => {
+  const program = new ReferralProgram(null, SETTINGS, safe);
+
+  assert.deepEqual(program.rateFor(0), { percent: 5, next: SETTINGS.tiers[0] });
+  assert.deepEqual(program.rateFor(9999.99), { percent: 5, next: SETTINGS.tiers[0] });
+  assert.deepEqual(program.rateFor(10000), { percent: 7, next: SETTINGS.tiers[1] });
+  assert.deepEqual(program.rateFor(49999), { percent: 7, next: SETTINGS.tiers[1] });
+  assert.deepEqual(program.rateFor(50000), { percent: 10, next: null });
+  assert.deepEqual(new ReferralProgram(null, { ...SETTINGS, tiers: [] }, safe).rateFor(1e9), { percent: 5, next: null });
+});
+
+test('award pays the tier rate for the volume before this deposit', async () => {
+  const program = new ReferralProgram(null, SETTINGS, safe);
+
+  const below = await award(program, fakeTransaction({ volume: 9999 }), 333);
+  assert.equal(below.percent, 5);
+  assert.equal(below.amount, 16.65);
+
+  const tx = fakeTransaction({ volume: 10000 });
+  const result = await award(program, tx, 333);
+  assert.equal(result.percent, 7);
+  assert.equal(result.amount, 23.31);
+  assert.equal(result.capped, false);
+  assert.equal(tx.earnings[0].status, REFERRAL_EARNING_STATUS.RELEASED);
+  assert.deepEqual(tx.ledger, [{ userId: 1, amount: 23.31, reason: LEDGER_REASONS.REFERRAL_COMMISSION, reference: 'referral:1' }]);
+});
+
+test('the cap per referred user limits commission to what is left of it', async () => {
+  const program = new ReferralProgram(null, { ...SETTINGS, cap_per_referred: 100 }, safe);
+
+  const partly = await award(program, fakeTransaction({ earned: 70.5 }), 1000);
+  assert.equal(partly.amount, 29.5);
+  assert.equal(partly.capped, true);
+
+  const under = await award(program, fakeTransaction({ earned: 50 }), 1000);
+  assert.equal(under.amount, 50);
+  assert.equal(under.capped, false);
+
+  const tx = fakeTransaction({ earned: 100 });
+  assert.equal(await award(program, tx, 1000), null);
+  assert.deepEqual(tx.earnings, []);
+  assert.equal(tx.since, null);
+});
+
+test('a monthly cap only counts commission earned this month', async () => {
+  const program = new ReferralProgram(null, { ...SETTINGS, cap_per_referred: 100, cap_monthly: true }, safe);
+  const tx = fakeTransaction();
+
+  await award(program, tx);
+
+  const now = new Date();
+  assert.deepEqual(tx.since, new Date(now.getFullYear(), now.getMonth(), 1));
+});
+
+test('held commission is not credited until its hold ends', async () => {
+  const program = new ReferralProgram(null, { ...SETTINGS, hold_days: 7 }, safe);
+  const tx = fakeTransaction();
+  const before = Date.now();
+
+  const result = await award(program, tx);
+
+  assert.equal(tx.earnings[0].status, REFERRAL_EARNING_STATUS.HELD);
+  assert.equal(result.referrerBalance, null);
+  assert.deepEqual(tx.ledger, []);
+  assert.ok(result.releaseAt.getTime() >= before + 7 * DAY);
+  assert.ok(result.releaseAt.getTime() <= Date.now() + 7 * DAY);
+});
+
+test('flagged commission waits for review without a release date', async () => {
+  const program = new ReferralProgram(null, { ...SETTINGS, hold_days: 7 }, flagged);
+  const tx = fakeTransaction();
+
+  const result = await award(program, tx);
+
+  assert.equal(tx.earnings[0].status, REFERRAL_EARNING_STATUS.REVIEW);
+  assert.equal(tx.earnings[0].risk_score, 80);
+  assert.equal(result.releaseAt, null);
+  assert.deepEqual(tx.ledger, []);
+});
+
+test('clawBack debits paid commission and only cancels held commission', async () => {
+  const program = new ReferralProgram(null, SETTINGS, safe);
+  const tx = fakeTransaction();
+  await award(program, tx, 1000);
+  tx.earnings.push({ ...tx.earnings[0], commission_amount: 12.5, status: REFERRAL_EARNING_STATUS.HELD });
+  tx.ledger = [];
+
+  const clawbacks = await program.clawBack(tx, 77);
+
+  assert.deepEqual(clawbacks, [
+    { referrerId: 1, amount: 50, wasHeld: false, referrerBalance: 950 },
+    { referrerId: 1, amount: 12.5, wasHeld: true, referrerBalance: null }
+  ]);
+  assert.deepEqual(tx.ledger, [{ userId: 1, amount: -50, reason: LEDGER_REASONS.REFERRAL_CLAWBACK, reference: 'referral:1' }]);
+  assert.deepEqual(tx.statuses, [
+    [1, REFERRAL_EARNING_STATUS.CLAWED_BACK],
+    [2, REFERRAL_EARNING_STATUS.CLAWED_BACK]
+  ]);
+});
@@ -0,0 +1,119 @@
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReportScheduler = require('../reportScheduler');
+
+const SETTINGS = {
+  daily_enabled: true,
+  daily_time: '09:00',
+  weekly_enabled: true,
+  weekly_day: 1,
+  weekly_time: '09:00'
+};
+
+// Just enough of DatabaseManager for the scheduler: report_runs as a set,
+// and report queries that can be made to fail.
+function fakeDatabase() {
+  return {
+    runs: new Set(),
+    failures: 0,
+    async claimReportRun(report, scheduledFor) {
+      const key = `${report}:${scheduledFor.toISOString()}`;
+      if (this.runs.has(key)) return false;
+      this.runs.add(key);
+      return true;
+    },
+    async releaseReportRun(report, scheduledFor) {
+      this.runs.delete(`${report}:${scheduledFor.toISOString()}`);
+    },
+    async getReportSummary() {
+      if (this.failures > 0) {
+        this.failures--;
+        throw new Error('connection terminated');
+      }
+      return { users: 0 };
+    },
+    async getWalletLiability() {
+      return { balances: 0 };
+    }
+  };
+}
+
+function fakeNotifier() {
+  const sent = [];
+  return {
+    sent,
+    async dailyDigest(report) { sent.push(['daily', report.to.toISOString()]); },
+    async weeklySummary(report) { sent.push(['weekly', report.to.toISOString()]); }
+  };
+}
+
+// Monday 19 October 2026, local time.
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+test('lastDue: the daily digest is due today once its time has passed, else yesterday', () => {
+  const scheduler = new ReportScheduler(null, null, SETTINGS);
+
+  assert.deepEqual(scheduler.lastDue('daily', at(19, 9, 30)), at(19, 9));
+  assert.deepEqual(scheduler.lastDue('daily', at(19, 9)), at(19, 9));
+  assert.deepEqual(scheduler.lastDue('daily', at(19, 8, 59)), at(18, 9));
+});
+
+test('lastDue: the weekly summary is due on the configured weekday', () => {
+  const scheduler = new ReportScheduler(null, null, SETTINGS);
+
+  assert.deepEqual(scheduler.lastDue('weekly', at(19, 10)), at(19, 9));
+  assert.deepEqual(scheduler.lastDue('weekly', at(19, 8)), at(12, 9));
+  assert.deepEqual(scheduler.lastDue('weekly', at(25, 23)), at(19, 9));
+
+  const sunday = new ReportScheduler(null, null, { ...SETTINGS, weekly_day: 7 });
+  assert.deepEqual(sunday.lastDue('weekly', at(19, 10)), at(18, 9));
+  assert.deepEqual(sunday.lastDue('weekly', at(25, 9, 1)), at(25, 9));
+});
+
+test('a report is sent once per due time', async () => {
+  const db = fakeDatabase();
+  const notifier = fakeNotifier();
+  const scheduler = new ReportScheduler(db, notifier, SETTINGS);
+
+  await scheduler.tick(at(19, 9, 1));
+  await scheduler.tick(at(19, 9, 2));
+
+  assert.deepEqual(notifier.sent.map(([key]) => key).sort(), ['daily', 'weekly']);
+});
+
+test('a failed send releases its claim and is retried on the next tick', async () => {
+  const db = fakeDatabase();
+  const notifier = fakeNotifier();
+  const scheduler = new ReportScheduler(db, notifier, { ...SETTINGS, weekly_enabled: false });
+
+  db.failures = 1;
+  await scheduler.tick(at(19, 9, 1));
+  assert.deepEqual(notifier.sent, []);
+  assert.equal(db.runs.size, 0);
+
+  await scheduler.tick(at(19, 9, 2));
+  assert.deepEqual(notifier.sent, [['daily', at(19, 9).toISOString()]]);
+});
+
+test('one report failing does not skip the other', async () => {
+  const db = fakeDatabase();
+  const notifier = fakeNotifier();
+  const scheduler = new ReportScheduler(db, notifier, SETTINGS);
+
+  db.failures = 1;
+  await scheduler.tick(at(19, 9, 1));
+
+  assert.deepEqual(notifier.sent.map(([key]) => key), ['weekly']);
+});
+
+test('a report that fell due too long ago is not sent late', async () => {
+  const db = fakeDatabase();
+  const notifier = fakeNotifier();
+  const scheduler = new ReportScheduler(db, notifier, SETTINGS);
+
+  await scheduler.tick(at(19, 13));
+
+  assert.deepEqual(notifier.sent, []);
+});
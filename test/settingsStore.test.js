@@ -0,0 +1,134 @@
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const SettingsStore = require('../settingsStore');
+
+// Saved rows and audit entries, recorded so a test can see what set() wrote.
+function fakeDatabase() {
+  return {
+    rows: new Map(),
+    logs: [],
+    failSave: false,
+    async getSettings() {
+      return [...this.rows].map(([key, value]) => ({ key, value }));
+    },
+    async saveSetting(key, value) {
+      if (this.failSave) throw new Error('connection terminated');
+      this.rows.set(key, value);
+    },
+    async deleteSetting(key) {
+      this.rows.delete(key);
+    },
+    async logAdminAction(entry) {
+      this.logs.push(entry);
+    },
+    async withTransaction(fn) {
+      return fn(this);
+    }
+  };
+}
+
+// Each store works on its own copy of the config so tests do not leak values.
+function createStore(db = fakeDatabase()) {
+  const target = JSON.parse(JSON.stringify(config));
+  return { store: new SettingsStore(db, target), target, db };
+}
+
+test('numbers outside min and max are rejected', () => {
+  const { store } = createStore();
+
+  assert.equal(store.parse('referral.commission_percent', '0'), 0);
+  assert.equal(store.parse('referral.commission_percent', ' 100 '), 100);
+  assert.throws(() => store.parse('referral.commission_percent', '100.5'), /Must be between 0 and 100/);
+  assert.throws(() => store.parse('referral.commission_percent', '-1'), /Must be between 0 and 100/);
+  assert.throws(() => store.parse('deposit.min_utr_length', '5'), /Must be between 6 and 30/);
+  assert.throws(() => store.parse('deposit.min_utr_length', '31'), /Must be between 6 and 30/);
+  assert.throws(() => store.parse('referral.hold_days', 'seven'), /Send a number/);
+  assert.throws(() => store.parse('referral.hold_days', ''), /Send a number/);
+});
+
+test('integer settings reject fractions that number settings accept', () => {
+  const { store } = createStore();
+
+  assert.equal(store.parse('referral.commission_percent', '2.5'), 2.5);
+  assert.throws(() => store.parse('referral.hold_days', '2.5'), /Send a whole number/);
+  assert.equal(store.parse('referral.hold_days', '7'), 7);
+  assert.throws(() => store.validate('referral.hold_days', '7'), /Expected a number/);
+});
+
+test('booleans accept on/off words only', () => {
+  const { store } = createStore();
+
+  for (const word of ['on', 'ON', 'true', 'yes', 'enabled', '1']) {
+    assert.equal(store.parse('referral.enabled', word), true, word);
+  }
+  for (const word of ['off', 'false', 'no', 'Disabled', '0']) {
+    assert.equal(store.parse('referral.enabled', word), false, word);
+  }
+  assert.throws(() => store.parse('referral.enabled', 'maybe'), /Send on or off/);
+  assert.throws(() => store.validate('referral.enabled', 'on'), /Expected on or off/);
+});
+
+test('times and tiers are checked and normalised', () => {
+  const { store } = createStore();
+
+  assert.equal(store.parse('reports.daily_time', '9.30'), '09:30');
+  assert.throws(() => store.parse('reports.daily_time', '24:00'), /between 00:00 and 23:59/);
+  assert.throws(() => store.parse('reports.daily_time', '9'), /HH:MM/);
+
+  assert.deepEqual(store.parse('discount.tiers', '1000:5, 500=2%'), [
+    { deposit: 500, discount: 2 },
+    { deposit: 1000, discount: 5 }
+  ]);
+  assert.deepEqual(store.parse('referral.tiers', '5000:3'), [{ volume: 5000, percent: 3 }]);
+  assert.deepEqual(store.parse('discount.tiers', 'none'), []);
+  assert.throws(() => store.parse('discount.tiers', '500:100'), /must be above 0 and below 100/);
+  assert.throws(() => store.parse('discount.tiers', '500:2, 500:3'), /different deposit/);
+  assert.throws(() => store.parse('discount.tiers', '500'), /Could not read tier "500"/);
+});
+
+test('set saves, audits and writes the value onto config', async () => {
+  const { store, target, db } = createStore();
+  const before = target.REFERRAL_SETTINGS.hold_days;
+
+  assert.equal(await store.set('referral.hold_days', 14, 999), 14);
+
+  assert.equal(target.REFERRAL_SETTINGS.hold_days, 14);
+  assert.equal(store.get('referral.hold_days'), 14);
+  assert.equal(db.rows.get('referral.hold_days'), 14);
+  assert.equal(db.logs.length, 1);
+  assert.equal(db.logs[0].adminId, 999);
+  assert.equal(db.logs[0].before, before);
+  assert.equal(db.logs[0].after, 14);
+
+  await store.reset('referral.hold_days', 999);
+  assert.equal(target.REFERRAL_SETTINGS.hold_days, before);
+  assert.equal(db.rows.has('referral.hold_days'), false);
+});
+
+test('set leaves config untouched when the value is invalid or the save fails', async () => {
+  const { store, target, db } = createStore();
+  const before = target.MIN_UTR_LENGTH;
+
+  await assert.rejects(store.set('deposit.min_utr_length', 40, 999), /Must be between 6 and 30/);
+  db.failSave = true;
+  await assert.rejects(store.set('deposit.min_utr_length', 16, 999), /connection terminated/);
+
+  assert.equal(target.MIN_UTR_LENGTH, before);
+  assert.deepEqual(db.logs, []);
+});
+
+test('load applies saved rows and skips ones that no longer validate', async () => {
+  const db = fakeDatabase();
+  db.rows.set('reports.weekly_day', 3);
+  db.rows.set('referral.hold_days', 500);
+  db.rows.set('retired.setting', true);
+  const { store, target } = createStore(db);
+  const holdDays = target.REFERRAL_SETTINGS.hold_days;
+
+  assert.equal(await store.load(), 1);
+  assert.equal(target.REPORT_SETTINGS.weekly_day, 3);
+  assert.equal(target.REFERRAL_SETTINGS.hold_days, holdDays);
+});
@@ -0,0 +1,80 @@
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const StatementService = require('../statementService');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'statements', name));
+const statements = new StatementService();
+
+test('bank export: credits are read, debits and rows without a full UTR are not', async () => {
+  const { entries, skipped } = await statements.parse(fixture('bank.csv'), 'bank.csv');
+
+  assert.deepEqual(entries.map(entry => [entry.utr, entry.amount]), [
+    ['412345678901', 1000],
+    ['412345678901', 1000],
+    ['555566667777', 300]
+  ]);
+  // The 5-digit reference is shorter than MIN_UTR_LENGTH, so the row is
+  // reported instead of being matched on it.
+  assert.deepEqual(skipped.map(row => row.amount), [250]);
+});
+
+test('a repeated UTR is reconciled once and reported as a duplicate', async () => {
+  const parsed = await statements.parse(fixture('bank.csv'), 'bank.csv');
+  const { entries, duplicates } = statements.splitDuplicates(parsed.entries);
+
+  assert.deepEqual(entries.map(entry => entry.utr), ['412345678901', '555566667777']);
+  assert.equal(duplicates.length, 1);
+  assert.equal(duplicates[0].utr, '412345678901');
+  assert.ok(duplicates[0].line > entries[0].line);
+});
+
+test('single signed amount column: negative and DR-marked rows are debits', async () => {
+  const { entries, skipped } = await statements.parse(fixture('signed.csv'), 'signed.csv');
+
+  assert.deepEqual(entries.map(entry => [entry.utr, entry.amount]), [
+    ['111122223333', 100],
+    ['111122227777', 90]
+  ]);
+  assert.deepEqual(skipped, []);
+});
+
+test('xlsx statements are read from the first sheet', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Statement');
+  sheet.addRow(['Statement of account']);
+  sheet.addRow(['Txn Date', 'UTR', 'Amount']);
+  sheet.addRow(['01/10/2026', 412345678901, 500]);
+  sheet.addRow(['02/10/2026', '412345678902', '120.50 DR']);
+  sheet.addRow(['03/10/2026', '12345', 75]);
+  sheet.addRow(['04/10/2026', '412345678901', 500]);
+  const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+  const { entries, skipped } = await statements.parse(buffer, 'statement.xlsx');
+
+  assert.deepEqual(entries.map(entry => [entry.utr, entry.amount]), [
+    ['412345678901', 500],
+    ['412345678901', 500]
+  ]);
+  assert.deepEqual(skipped.map(row => row.amount), [75]);
+  assert.equal(statements.splitDuplicates(entries).duplicates.length, 1);
+});
+
+test('normalizeUTR enforces MIN_UTR_LENGTH', () => {
+  assert.equal(statements.normalizeUTR('412345678901'), '412345678901');
+  assert.equal(statements.normalizeUTR("'412345678901"), '412345678901');
+  assert.equal(statements.normalizeUTR('98765'), '');
+  assert.equal(statements.normalizeUTR('UPI/412345678901/RAVI'), '412345678901');
+  assert.equal(statements.normalizeUTR(''), '');
+});
+
+test('a file without UTR and amount columns is rejected', async () => {
+  await assert.rejects(
+    statements.parse(Buffer.from('Date,Balance\n01/10/2026,100\n'), 'odd.csv'),
+    /Could not find UTR and amount columns/
+  );
+});